@@ -0,0 +1,24 @@
+﻿const express = require('express');
+const cors = require('cors');
+const { config } = require('./lib/config');
+
+// Express 앱 구성 (listen은 server.js에서 - 테스트에서는 앱만 불러와 사용)
+const app = express();
+
+// 로드밸런서 뒤에서 req.ip가 프록시 주소 하나로 모이지 않도록 (IP별 요청 제한)
+app.set('trust proxy', config.trustProxyHops);
+
+// 대용량 데이터 처리를 위해 limit 설정 증가
+app.use(cors());
+app.use(express.json({ limit: '10mb' }));
+
+// --- [Routes] 도메인별 라우터 (모두 /api 아래) ---
+app.use('/api', require('./routes/trips'));
+app.use('/api', require('./routes/places'));
+app.use('/api', require('./routes/currency'));
+app.use('/api', require('./routes/auth'));
+app.use('/api', require('./routes/board'));
+app.use('/api', require('./routes/community'));
+app.use('/api', require('./routes/admin'));
+
+module.exports = app;
@@ -1,49 +1,39 @@
 const cron = require('node-cron');
-const axios = require('axios');
-const { createClient } = require("@supabase/supabase-js");
-
-// 환경 변수 로드 (server.js에서 호출되므로 process.env 사용 가능)
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-const NAVER_CLIENT_ID = process.env.NAVER_CLIENT_ID;
-const NAVER_CLIENT_SECRET = process.env.NAVER_CLIENT_SECRET;
-
-// Naver Image Search Function
-async function fetchNaverImage(query) {
-    try {
-        const response = await axios.get('https://openapi.naver.com/v1/search/image', {
-            params: { query: query, display: 1, sort: 'sim', filter: 'large' },
-            headers: {
-                'X-Naver-Client-Id': NAVER_CLIENT_ID,
-                'X-Naver-Client-Secret': NAVER_CLIENT_SECRET
-            }
-        });
-
-        if (response.data.items && response.data.items.length > 0) {
-            return response.data.items[0].link;
-        }
-    } catch (err) {
-        console.error(`⚠️ Naver Search failed for "${query}":`, err.message);
-    }
-    return null;
+const db = require('../lib/supabase');
+const { fetchStoredPlaceImages } = require('../services/images');
+const { isStoredImageUrl, storeRemoteImage, storedImageExists } = require('../services/image_store');
+
+// images: 점수 순 저장된 사진 목록 - 첫 번째가 대표 사진
+// 같은 URL은 앞쪽 하나만 남김 (이전한 사진이 기존 후보에도 있는 경우)
+async function savePhotos(place, photos) {
+    const images = photos.filter((image, index) => photos.findIndex(other => other.url === image.url) === index);
+    await db.supabaseAdmin
+        .from('places_cache')
+        .update({ photo_url: images[0].url, photo_variants: images[0].variants, photo_candidates: images })
+        .eq('place_id', place.place_id);
 }
 
-// 이미지 URL 유효성 검사 (HEAD 요청)
-async function isImageValid(url) {
-    if (!url) return false;
-    try {
-        await axios.head(url, { timeout: 5000 });
-        return true;
-    } catch (error) {
-        return false;
+// 깨진 대표 사진 대신 쓸 수 있는 저장된 후보 (새 검색 없이 대체)
+async function remainingCandidates(place) {
+    const remaining = [];
+    for (const candidate of place.photo_candidates || []) {
+        if (candidate.url === place.photo_url) continue;
+        if (await storedImageExists(candidate.url)) remaining.push(candidate);
     }
+    return remaining;
 }
 
+// 주간 이미지 점검
+// - 자체 저장소 사진(/api/images/...): 저장소에 남아 있는지 확인
+// - 외부 URL (이전 데이터): 내려받아 자체 저장소로 이전, 받을 수 없으면 깨진 링크로 간주
+// - 깨진 사진은 저장된 다음 후보로 대체, 후보가 없으면 네이버에서 다시 찾아 저장
+// - 관리자가 고정한 사진(photo_pinned)은 존재 여부만 확인
 async function runImageHealthCheck() {
     console.log('⏰ [Cron] Starting Weekly Image Health Check...');
 
     try {
         // 1. 모든 캐시된 장소 가져오기
-        const { data: places, error } = await supabase
+        const { data: places, error } = await db.supabaseAdmin
             .from('places_cache')
             .select('*')
             .not('photo_url', 'is', null);
@@ -52,39 +42,57 @@ async function runImageHealthCheck() {
 
         console.log(`📊 Checking ${places.length} images...`);
         let fixedCount = 0;
+        let migratedCount = 0;
         let errorCount = 0;
 
         // 2. 순차적으로 검사 (서버 부하 방지)
         for (let i = 0; i < places.length; i++) {
             const place = places[i];
 
-            // 유효성 검사
-            const isValid = await isImageValid(place.photo_url);
+            // Rate Limit 방지 (약간의 딜레이)
+            if (i > 0 && i % 10 === 0) await new Promise(r => setTimeout(r, 100));
 
-            if (!isValid) {
-                console.log(`   ❌ Broken link detected: ${place.place_name}`);
+            // Google 사진 프록시는 요청 시점에 Google에서 받아오므로 점검 대상 아님
+            if (place.photo_url.startsWith('/api/proxy/google-photo/')) continue;
 
-                // 재검색 시도
-                const newPhotoUrl = await fetchNaverImage(place.place_name);
-
-                if (newPhotoUrl) {
-                    await supabase
-                        .from('places_cache')
-                        .update({ photo_url: newPhotoUrl })
-                        .eq('place_id', place.place_id);
-                    console.log(`   ✅ Fixed -> ${newPhotoUrl.substring(0, 30)}...`);
-                    fixedCount++;
-                } else {
-                    console.log(`   ⚠️ Failed to find replacement.`);
-                    errorCount++;
+            // 관리자가 고정한 사진은 교체하지 않음 - 저장소에서 사라졌으면 관리자 확인이 필요하므로 오류로 집계
+            if (place.photo_pinned) {
+                if (!isStoredImageUrl(place.photo_url) || await storedImageExists(place.photo_url)) continue;
+                console.log(`   📌 Pinned image missing (needs admin): ${place.place_name}`);
+                errorCount++;
+                continue;
+            }
+
+            if (isStoredImageUrl(place.photo_url)) {
+                if (await storedImageExists(place.photo_url)) continue;
+                console.log(`   ❌ Missing stored image: ${place.place_name}`);
+            } else {
+                const storedImage = await storeRemoteImage(place.photo_url);
+                if (storedImage) {
+                    await savePhotos(place, [storedImage, ...(place.photo_candidates || [])]);
+                    migratedCount++;
+                    continue;
                 }
+                console.log(`   ❌ Broken link detected: ${place.place_name}`);
             }
 
-            // Rate Limit 방지 (약간의 딜레이)
-            if (i % 10 === 0) await new Promise(r => setTimeout(r, 100));
+            // 저장된 후보가 있으면 사용, 없으면 재검색 (키워드 재시도 없이 - 장소 수만큼 API 호출이 몰리지 않도록)
+            let replacements = await remainingCandidates(place);
+            if (replacements.length === 0) {
+                replacements = await fetchStoredPlaceImages({ placeName: place.place_name, types: place.types }, { retryWithKeywords: false });
+            }
+
+            if (replacements.length > 0) {
+                await savePhotos(place, replacements);
+                console.log(`   ✅ Fixed -> ${replacements[0].url}`);
+                fixedCount++;
+            } else {
+                console.log(`   ⚠️ Failed to find replacement.`);
+                errorCount++;
+            }
         }
 
-        console.log(`🎉 [Cron] Health Check Complete! Fixed: ${fixedCount}, Errors: ${errorCount}`);
+        console.log(`🎉 [Cron] Health Check Complete! Migrated: ${migratedCount}, Fixed: ${fixedCount}, Errors: ${errorCount}`);
 
     } catch (err) {
         console.error('❌ [Cron] Error:', err.message);
@@ -0,0 +1,166 @@
+const cron = require('node-cron');
+const db = require('../lib/supabase');
+const { config } = require('../lib/config');
+const { fetchPlaceFreshness, invalidatePlaceDetails } = require('../services/places');
+const { saveTripVersion } = require('../lib/trip_versions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 이 횟수 이상 일정에 쓰인 장소는 "자주 쓰이는 장소" (더 짧은 주기로 재검증)
+const POPULAR_USE_COUNT = 5;
+
+// 재검증 대상 선택 (하루 예산만큼 - 정렬/개수 제한은 DB에서)
+// 대상: 한 번도 확인 안 된 장소 / 오래 확인 안 된 장소 / 자주 쓰이는 장소는 더 짧은 주기
+// 우선순위: 한 번도 확인 안 된 장소 -> 오래 확인 안 된 순 (같으면 사용 횟수 순)
+// 이미 폐업으로 확인된 장소는 제외
+async function selectRefreshTargets(now) {
+    const { dailyBudget, staleDays, popularStaleDays } = config.placeRefresh;
+    const staleCutoff = new Date(now - staleDays * DAY_MS).toISOString();
+    const popularCutoff = new Date(now - Math.min(staleDays, popularStaleDays) * DAY_MS).toISOString();
+
+    // 폐업 제외 AND 재검증 주기 조건 - 한 번의 or()로 (or()를 여러 번 붙이면 PostgREST에서 하나만 적용될 수 있음)
+    const notClosed = 'or(business_status.is.null,business_status.neq.CLOSED_PERMANENTLY)';
+    const due = `or(last_verified_at.is.null,last_verified_at.lt.${staleCutoff},and(last_verified_at.lt.${popularCutoff},use_count.gte.${POPULAR_USE_COUNT}))`;
+
+    const { data: places, error } = await db.supabaseAdmin
+        .from('places_cache')
+        .select('place_id, place_name, business_status, use_count, last_verified_at')
+        .or(`and(${notClosed},${due})`)
+        .order('last_verified_at', { ascending: true, nullsFirst: true })
+        .order('use_count', { ascending: false, nullsFirst: false })
+        .limit(dailyBudget);
+
+    if (error) throw error;
+    return places;
+}
+
+// 일정에서 폐업한 장소의 활동 표시 / 해당 활동이 없으면 null
+function markClosedActivities(itineraryJson, placeId) {
+    let marked = false;
+    for (const day of itineraryJson?.itinerary || []) {
+        for (const activity of day.activities || []) {
+            if (activity.place_id !== placeId) continue;
+            activity.businessStatus = 'CLOSED_PERMANENTLY';
+            activity.needs_replacement = true;
+            marked = true;
+        }
+    }
+    return marked ? itineraryJson : null;
+}
+
+// 폐업한 장소가 들어 있는 일정 표시 (활동에 needs_replacement, 일정에 closed_place_ids)
+// 사용자 수정과 같이 새 버전(kind: system)으로 저장 - 되돌릴 수 있고, 그 사이 사용자가 고친 일정을 덮어쓰지 않음
+// 반환: 표시한 일정 수
+async function markTripsWithClosedPlace(placeId) {
+    const { data: trips, error } = await db.supabaseAdmin
+        .from('trip_plans')
+        .select('id, user_id, closed_place_ids')
+        .contains('itinerary_data', { itinerary: [{ activities: [{ place_id: placeId }] }] });
+
+    if (error) throw error;
+
+    let markedCount = 0;
+    for (const trip of trips) {
+        try {
+            const version = await saveTripVersion(
+                { tripId: trip.id, userId: trip.user_id },
+                itineraryJson => markClosedActivities(itineraryJson, placeId),
+                { kind: 'system', request: { author: 'system', reason: 'place_closed', place_id: placeId } }
+            );
+            if (!version) continue;
+
+            const closedPlaceIds = [...new Set([...(trip.closed_place_ids || []), placeId])];
+            const { error: updateError } = await db.supabaseAdmin
+                .from('trip_plans')
+                .update({ closed_place_ids: closedPlaceIds })
+                .eq('id', trip.id);
+            if (updateError) throw updateError;
+            markedCount++;
+        } catch (markError) {
+            console.error(`   ❌ Failed to mark trip ${trip.id}:`, markError.message);
+        }
+    }
+    return markedCount;
+}
+
+// 매일 장소 정보 재검증 (평점, 리뷰 수, 웹사이트, 영업시간, 영업 상태)
+// - Google Place Details 호출은 하루 예산(PLACE_REFRESH_DAILY_BUDGET) 이내
+// - CLOSED_PERMANENTLY로 바뀐 장소는 표시하고, 그 장소가 들어 있는 일정도 표시
+// 반환: 실행 요약 (테스트/로그용)
+async function runPlaceRefresh(now = Date.now()) {
+    console.log('⏰ [Cron] Starting Daily Place Refresh...');
+    const summary = { checked: 0, updated: 0, closed: 0, missing: 0, tripsMarked: 0, errors: 0 };
+
+    try {
+        const targets = await selectRefreshTargets(now);
+        console.log(`📊 Refreshing ${targets.length} places (budget: ${config.placeRefresh.dailyBudget})...`);
+
+        for (let i = 0; i < targets.length; i++) {
+            const place = targets[i];
+
+            // Rate Limit 방지 (약간의 딜레이)
+            if (i > 0 && i % 10 === 0) await new Promise(r => setTimeout(r, 100));
+
+            summary.checked++;
+            const verifiedAt = new Date(now).toISOString();
+
+            let fresh;
+            try {
+                fresh = await fetchPlaceFreshness(place.place_id);
+            } catch (error) {
+                console.error(`   ❌ Place Details failed for ${place.place_name}:`, error.message);
+                summary.errors++;
+                continue;
+            }
+
+            // Google에서 사라진 place_id - 폐업으로 단정하지 않고 확인 시각만 기록
+            if (!fresh) {
+                console.log(`   ⚠️ Place not found on Google: ${place.place_name}`);
+                await db.supabaseAdmin.from('places_cache').update({ last_verified_at: verifiedAt }).eq('place_id', place.place_id);
+                summary.missing++;
+                continue;
+            }
+
+            const newlyClosed = fresh.business_status === 'CLOSED_PERMANENTLY';
+            const { error } = await db.supabaseAdmin
+                .from('places_cache')
+                .update({ ...fresh, last_verified_at: verifiedAt, ...(newlyClosed ? { closed_detected_at: verifiedAt } : {}) })
+                .eq('place_id', place.place_id);
+
+            if (error) {
+                console.error(`   ❌ Failed to update ${place.place_name}:`, error.message);
+                summary.errors++;
+                continue;
+            }
+            summary.updated++;
+            invalidatePlaceDetails(place.place_id);
+
+            if (newlyClosed) {
+                console.log(`   🚫 Permanently closed: ${place.place_name}`);
+                summary.closed++;
+                try {
+                    summary.tripsMarked += await markTripsWithClosedPlace(place.place_id);
+                } catch (markError) {
+                    console.error(`   ❌ Failed to mark trips for ${place.place_name}:`, markError.message);
+                    summary.errors++;
+                }
+            }
+        }
+
+        console.log(`🎉 [Cron] Place Refresh Complete! Updated: ${summary.updated}, Closed: ${summary.closed}, Trips marked: ${summary.tripsMarked}, Errors: ${summary.errors}`);
+    } catch (err) {
+        console.error('❌ [Cron] Place Refresh Error:', err.message);
+        summary.errors++;
+    }
+    return summary;
+}
+
+// 스케줄러 설정 함수
+function startPlaceRefreshScheduler() {
+    // 매일 새벽 3시 30분에 실행 (30 3 * * *)
+    cron.schedule('30 3 * * *', () => {
+        runPlaceRefresh();
+    });
+    console.log('📅 Place Refresh Scheduler is running (Every day 03:30 AM)');
+}
+
+module.exports = { startPlaceRefreshScheduler, runPlaceRefresh };
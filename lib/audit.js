@@ -0,0 +1,18 @@
+const db = require('./supabase');
+
+// 관리자 작업 감사 로그 기록 (누가, 무엇을, 어떻게 바꿨는지)
+// 로그 저장 실패가 관리자 작업 자체를 막지는 않음 - 에러만 남김
+async function recordAdminAction(req, { action, targetType, targetId, changes = null }) {
+  const { error } = await db.supabaseAdmin.from('admin_audit_log').insert([{
+    actor_id: req.user.id,
+    actor_email: req.user.email,
+    action,
+    target_type: targetType,
+    target_id: targetId != null ? String(targetId) : null,
+    changes
+  }]);
+
+  if (error) console.error(`❌ Audit log failed (${action}):`, error.message);
+}
+
+module.exports = { recordAdminAction };
@@ -0,0 +1,186 @@
+// 여행 예산 추정
+// - 활동별 1인 예상 비용 범위: 식사는 Google priceLevel 기준, 그 외(입장료/교통/숙소)는 모델이 준 estimated_cost
+// - 현지 통화(모델이 준 currency, 기본 KRW) + 원화 환산, 일자별/전체 합계는 인원수를 곱한 값
+// - 원화 환산은 그날 환율(services/currency)을 받아서, 없으면 아래 고정 환율로
+// - 사용자가 적은 예산("50만원", "$1,500", "10만엔")을 넘으면 경고
+
+// 1단위당 원화 (대략적인 고정 환율 - 환율 출처 장애/오프라인용 추정치)
+const KRW_PER_UNIT = {
+  KRW: 1, USD: 1350, EUR: 1450, GBP: 1700, JPY: 9, CNY: 185, TWD: 42, HKD: 173,
+  SGD: 1000, THB: 38, VND: 0.055, PHP: 24, AUD: 880, CZK: 58, AED: 368
+};
+const FIXED_RATES = { date: null, source: 'fixed', rates: KRW_PER_UNIT };
+
+// Google priceLevel -> 1인 식사비 범위 (원)
+const PRICE_LEVEL_KRW = {
+  PRICE_LEVEL_FREE: [0, 0],
+  PRICE_LEVEL_INEXPENSIVE: [5000, 15000],
+  PRICE_LEVEL_MODERATE: [15000, 40000],
+  PRICE_LEVEL_EXPENSIVE: [40000, 100000],
+  PRICE_LEVEL_VERY_EXPENSIVE: [100000, 250000]
+};
+
+// 예산 문자열의 통화 표기 (위에서부터 먼저 찾은 것 - "NT$"가 "$"보다 먼저)
+// 금액 바로 앞뒤에 붙은 것만 통화로 봄 - 한글/円/元은 금액 뒤에만 ("10만엔", "리엔 호텔 100만원"의 '엔'은 무시)
+const CURRENCY_MARKERS = [
+  ['TWD', ['TWD', 'NT$']],
+  ['HKD', ['HKD', 'HK$']],
+  ['SGD', ['SGD', 'S$']],
+  ['USD', ['USD', '$', '달러']],
+  ['EUR', ['EUR', '€', '유로']],
+  ['GBP', ['GBP', '£', '파운드']],
+  ['JPY', ['JPY', '¥', '円', '엔']],
+  ['CNY', ['CNY', '元', '위안']],
+  ['THB', ['THB', '฿', '바트']],
+  ['VND', ['VND', '₫']],
+  ['KRW', ['KRW', '₩', '원']]
+];
+const SUFFIX_ONLY_MARKER = /[가-힣円元]/;
+const KOREAN_UNITS = { 억: 100000000, 천만: 10000000, 백만: 1000000, 만: 10000, 천: 1000 };
+// 금액이 아닌 숫자 (인원/기간 - "1인 50만원", "3박4일")
+const COUNT_SUFFIX = /^\s*(?:인|명|박|일|개월|주|시간|세)/;
+const RANGE_SEPARATOR = /^\s*[~\-–]\s*$/;
+
+const round = value => Math.round(value);
+const roundKrw = value => Math.round(value / 100) * 100;
+
+// 통화 금액 -> 원 (환율을 모르면 null) / rates: { 통화: 1단위당 원화 }
+function toKrw(amount, currency, rates = KRW_PER_UNIT) {
+  const rate = rates[currency];
+  return rate ? roundKrw(amount * rate) : null;
+}
+
+// 금액 찾기 - 큰 단위부터 이어지는 숫자는 하나로 합산 ("1억 5천만", "1만 5000")
+// 반환: [{ amount, start, end }] (text 안의 위치, 앞에서부터)
+function findAmounts(text) {
+  const amounts = [];
+  let current = null;
+  for (const match of text.matchAll(/(\d+(?:\.\d+)?)\s*(억|천만|백만|만|천)?/g)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (COUNT_SUFFIX.test(text.slice(end))) {
+      current = null;
+      continue;
+    }
+
+    const scale = KOREAN_UNITS[match[2]] || 1;
+    const value = Number(match[1]) * scale;
+    if (current && current.scale > scale && !text.slice(current.end, start).trim()) {
+      Object.assign(current, { amount: current.amount + value, end, scale });
+    } else {
+      current = { amount: value, start, end, scale };
+      amounts.push(current);
+    }
+  }
+  return amounts.map(({ amount, start, end }) => ({ amount, start, end }));
+}
+
+// 금액(start~end) 바로 앞뒤의 통화 표기 / 없으면 KRW
+function currencyAround(text, start, end) {
+  const before = text.slice(0, start).trimEnd();
+  const after = text.slice(end).trimStart();
+  const isAdjacent = marker => after.startsWith(marker) || (!SUFFIX_ONLY_MARKER.test(marker) && before.endsWith(marker));
+  return CURRENCY_MARKERS.find(([, markers]) => markers.some(isAdjacent))?.[0] || 'KRW';
+}
+
+// 예산 문자열 -> { amount, currency } / 금액이 없으면 null ("제한 없음" 등)
+// 첫 금액만 사용 ("30만원 (2인 기준)" -> 30만원), 인원/기간 숫자("1인", "3박")는 건너뜀
+// 범위("50~70만원")는 위쪽 값, 한글 단위(억/만/천)는 합산 ("1억 5천만원")
+function parseBudget(budget) {
+  if (typeof budget === 'number') return Number.isFinite(budget) && budget > 0 ? { amount: budget, currency: 'KRW' } : null;
+  if (typeof budget !== 'string') return null;
+
+  const text = budget.replace(/,/g, '').trim();
+  const [first, next] = findAmounts(text);
+  if (!first) return null;
+
+  const upper = next && RANGE_SEPARATOR.test(text.slice(first.end, next.start)) ? next : first;
+  return upper.amount > 0 ? { amount: upper.amount, currency: currencyAround(text, first.start, upper.end) } : null;
+}
+
+const isValidRange = cost => cost
+  && Number.isFinite(cost.min) && Number.isFinite(cost.max) && cost.min >= 0 && cost.max >= cost.min;
+
+// 활동 1인 예상 비용 / 알 수 없으면 null
+// 반환: { currency, min, max, krw_min, krw_max, source: 'price_level' | 'model' }
+function estimateActivityCost(activity, currency, rates = KRW_PER_UNIT) {
+  const rate = rates[currency];
+  const priceRange = activity.type === '식사' ? PRICE_LEVEL_KRW[activity.priceLevel] : null;
+
+  if (priceRange && rate) {
+    const [krwMin, krwMax] = priceRange;
+    return { currency, min: round(krwMin / rate), max: round(krwMax / rate), krw_min: krwMin, krw_max: krwMax, source: 'price_level' };
+  }
+  if (isValidRange(activity.estimated_cost)) {
+    const { min, max } = activity.estimated_cost;
+    return { currency, min, max, krw_min: toKrw(min, currency, rates), krw_max: toKrw(max, currency, rates), source: 'model' };
+  }
+  return null;
+}
+
+function addCost(total, cost, travelers) {
+  total.min += cost.min * travelers;
+  total.max += cost.max * travelers;
+  if (total.krw_min !== null) total.krw_min = cost.krw_min === null ? null : total.krw_min + cost.krw_min * travelers;
+  if (total.krw_max !== null) total.krw_max = cost.krw_max === null ? null : total.krw_max + cost.krw_max * travelers;
+}
+
+// 예산 대비 상태: 최소 추정치도 넘으면 over, 최대 추정치만 넘으면 at_risk
+function compareBudget(total, currency, budget, rates) {
+  const budgetKrw = toKrw(budget.amount, budget.currency, rates);
+  const [min, max, limit] = budgetKrw !== null && total.krw_max !== null
+    ? [total.krw_min, total.krw_max, budgetKrw]
+    : budget.currency === currency ? [total.min, total.max, budget.amount] : [null, null, null];
+
+  if (limit === null) return { status: 'unknown', warning: null };
+  if (min > limit) return { status: 'over', warning: "예상 비용이 예산을 넘습니다." };
+  if (max > limit) return { status: 'at_risk', warning: "일정에 따라 예산을 넘을 수 있습니다." };
+  return { status: 'within', warning: null };
+}
+
+// 일정 전체 비용 추정 (각 활동에 cost를 붙임 - 알 수 없으면 null)
+// budget: 사용자가 적은 예산 (문자열/숫자, 인원 전체 기준), travelers: 인원수
+// exchangeRates: 그날 환율 { date, source, rates } (services/currency getExchangeRates) - 없으면 고정 환율
+// 반환: { currency, travelers, days: [{ day, date, min, max, krw_min, krw_max, unpriced }], total, budget, status, warning, exchange_rate }
+function summarizeBudget(itineraryJson, { budget, travelers, exchangeRates = FIXED_RATES } = {}) {
+  const { rates } = exchangeRates;
+  const currency = rates[itineraryJson.currency] ? itineraryJson.currency : 'KRW';
+  const people = Math.max(1, parseInt(travelers, 10) || 1);
+  const total = { min: 0, max: 0, krw_min: 0, krw_max: 0 };
+
+  const days = itineraryJson.itinerary.map(dayPlan => {
+    const dayTotal = { min: 0, max: 0, krw_min: 0, krw_max: 0 };
+    let unpriced = 0;
+    dayPlan.activities.forEach(activity => {
+      activity.cost = estimateActivityCost(activity, currency, rates);
+      if (activity.cost) addCost(dayTotal, activity.cost, people);
+      else unpriced++;
+    });
+    addCost(total, dayTotal, 1);
+    return { day: dayPlan.day, date: dayPlan.date, ...dayTotal, unpriced };
+  });
+
+  const parsed = parseBudget(budget);
+  const comparison = parsed ? compareBudget(total, currency, parsed, rates) : { status: null, warning: null };
+  if (comparison.warning) console.log(`💸 Budget ${comparison.status}: ${total.krw_min}~${total.krw_max} KRW vs ${budget}`);
+
+  return {
+    currency,
+    travelers: people,
+    days,
+    total,
+    budget: parsed ? { text: String(budget), ...parsed, krw: toKrw(parsed.amount, parsed.currency, rates) } : null,
+    ...comparison,
+    exchange_rate: { date: exchangeRates.date, source: exchangeRates.source, krw_per_unit: rates[currency] }
+  };
+}
+
+// 저장된 일정의 비용을 주어진 환율로 다시 계산 (원화 환산/예산 비교만 바뀜 - 비용 추정이 없던 일정은 그대로)
+function refreshBudgetSummary(itineraryJson, exchangeRates) {
+  const summary = itineraryJson?.budget_summary;
+  if (!summary || !Array.isArray(itineraryJson.itinerary)) return itineraryJson;
+  itineraryJson.budget_summary = summarizeBudget(itineraryJson, { budget: summary.budget?.text, travelers: summary.travelers, exchangeRates });
+  return itineraryJson;
+}
+
+module.exports = { KRW_PER_UNIT, PRICE_LEVEL_KRW, toKrw, parseBudget, estimateActivityCost, summarizeBudget, refreshBudgetSummary };
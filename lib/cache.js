@@ -0,0 +1,130 @@
+// 인메모리 캐시 (LRU + 항목별 TTL + 실패 결과 짧은 TTL + 동시 요청 합치기 + 적중률 통계)
+// - Map의 삽입 순서를 LRU 순서로 사용 (조회 시 맨 뒤로 이동, 가득 차면 맨 앞부터 제거)
+// - 로더가 던진 에러는 캐시하지 않음 / "결과 없음"(isNegative)은 negativeTtlMs 동안만 캐시
+// - 같은 키를 동시에 요청하면 로더는 한 번만 실행
+
+const registry = new Map();
+
+class TtlLruCache {
+  constructor({ name, maxEntries = 1000, ttlMs, negativeTtlMs = ttlMs, isNegative = value => value == null, now = Date.now }) {
+    if (!name) throw new Error('cache name is required');
+    if (!(ttlMs > 0)) throw new Error(`cache ${name}: ttlMs must be positive`);
+
+    this.name = name;
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.negativeTtlMs = negativeTtlMs;
+    this.isNegative = isNegative;
+    this.now = now;
+    this.entries = new Map(); // key -> { value, expiresAt, negative }
+    this.inFlight = new Map(); // key -> Promise
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.metrics = { hits: 0, negativeHits: 0, misses: 0, coalesced: 0, loads: 0, loadErrors: 0, evictions: 0, expirations: 0 };
+  }
+
+  // 만료되지 않은 항목 반환 (없으면 undefined) - 적중/실패 통계에 반영
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      this.metrics.expirations++;
+    } else if (entry) {
+      // 최근 사용으로 이동
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.metrics[entry.negative ? 'negativeHits' : 'hits']++;
+      return entry.value;
+    }
+    this.metrics.misses++;
+    return undefined;
+  }
+
+  set(key, value, ttlMs) {
+    const negative = this.isNegative(value);
+    const ttl = ttlMs ?? (negative ? this.negativeTtlMs : this.ttlMs);
+
+    this.entries.delete(key);
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.metrics.evictions++;
+    }
+    this.entries.set(key, { value, expiresAt: this.now() + ttl, negative });
+    return value;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  // 조건에 맞는 항목 제거 (예: 관리자가 사진을 바꾼 장소) - 제거한 개수 반환
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry.value, key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // 캐시 조회 -> 없으면 loader 실행 후 저장 (진행 중인 같은 키 요청은 같은 Promise 공유)
+  async getOrLoad(key, loader) {
+    const cached = this.get(key);
+    if (cached !== undefined) return cached;
+
+    if (this.inFlight.has(key)) {
+      this.metrics.coalesced++;
+      return this.inFlight.get(key);
+    }
+
+    const task = (async () => {
+      this.metrics.loads++;
+      try {
+        return this.set(key, await loader());
+      } catch (error) {
+        this.metrics.loadErrors++;
+        throw error;
+      }
+    })();
+
+    this.inFlight.set(key, task);
+    try {
+      return await task;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  stats() {
+    const { hits, negativeHits, misses } = this.metrics;
+    const lookups = hits + negativeHits + misses;
+    return {
+      name: this.name,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ...this.metrics,
+      hitRate: lookups ? Number(((hits + negativeHits) / lookups).toFixed(3)) : 0
+    };
+  }
+}
+
+// 이름별로 등록 (관리자 통계 API에서 전체 조회)
+function createCache(options) {
+  const cache = new TtlLruCache(options);
+  registry.set(cache.name, cache);
+  return cache;
+}
+
+function getCacheStats() {
+  return [...registry.values()].map(cache => cache.stats());
+}
+
+module.exports = { TtlLruCache, createCache, getCacheStats };
@@ -0,0 +1,170 @@
+const path = require('path');
+
+// 환경변수 설정 (모든 모듈은 process.env 대신 여기서 읽음)
+// 값은 읽을 때마다 process.env에서 가져옴 - 테스트에서 환경변수를 바꿔도 바로 반영되도록
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`환경변수 설정 오류:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const env = (name) => process.env[name] || undefined;
+
+// 양의 정수 환경변수 (비어 있거나 잘못된 값이면 기본값)
+const positiveInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const config = {
+  get port() { return env('PORT') || 8080; },
+  get serverBaseUrl() { return env('SERVER_BASE_URL') || "http://localhost:8080"; },
+  // 앞단 프록시(로드밸런서) 수 - X-Forwarded-For에서 실제 클라이언트 IP를 읽도록 (IP별 요청 제한용)
+  // 기본 1 (Render 로드밸런서), 프록시 없이 직접 받으면 0 (클라이언트가 보낸 X-Forwarded-For를 믿지 않음)
+  get trustProxyHops() { return env('TRUST_PROXY_HOPS') === undefined ? 1 : parseInt(env('TRUST_PROXY_HOPS'), 10); },
+
+  supabase: {
+    get url() { return env('SUPABASE_URL'); },
+    get anonKey() { return env('SUPABASE_KEY'); },
+    // 관리자 작업(회원 삭제, 등급 변경 등)용 - 없으면 anon key로 대체
+    get serviceRoleKey() { return env('SUPABASE_SERVICE_ROLE_KEY') || env('SUPABASE_KEY'); },
+    get jwtSecret() { return env('SUPABASE_JWT_SECRET'); }
+  },
+
+  google: {
+    get mapsApiKey() { return env('GOOGLE_MAPS_API_KEY'); }
+  },
+
+  naver: {
+    get clientId() { return env('NAVER_CLIENT_ID'); },
+    get clientSecret() { return env('NAVER_CLIENT_SECRET'); }
+  },
+
+  weather: {
+    // WeatherAPI.com (Open-Meteo 429 시 fallback)
+    get apiKey() { return env('WEATHER_API_KEY'); }
+  },
+
+  llm: {
+    get provider() { return env('LLM_PROVIDER') || 'gemini'; },
+    get model() { return env('LLM_MODEL'); },
+    // 등급별 덮어쓰기 (예: LLM_PROVIDER_PRO, LLM_MODEL_PRO)
+    tierProvider(tier) { return env(`LLM_PROVIDER_${tier.toUpperCase()}`); },
+    tierModel(tier) { return env(`LLM_MODEL_${tier.toUpperCase()}`); },
+    get maxRepairs() { return positiveInt('ITINERARY_MAX_REPAIRS', 2); },
+    get geminiApiKey() { return env('GEMINI_API_KEY'); },
+    get openaiBaseUrl() { return env('OPENAI_BASE_URL') || "https://api.openai.com/v1"; },
+    get openaiApiKey() { return env('OPENAI_API_KEY'); }
+  },
+
+  adReward: {
+    get secret() { return env('AD_REWARD_SECRET'); },
+    get dailyCap() { return positiveInt('AD_DAILY_CAP', 3); }
+  },
+
+  placeRefresh: {
+    // 장소 정보 재검증 cron: 하루 Google Place Details 호출 상한
+    get dailyBudget() { return positiveInt('PLACE_REFRESH_DAILY_BUDGET', 200); },
+    // 이 기간(일)이 지나면 재검증 / 자주 쓰이는 장소는 더 짧은 주기
+    get staleDays() { return positiveInt('PLACE_REFRESH_STALE_DAYS', 30); },
+    get popularStaleDays() { return positiveInt('PLACE_REFRESH_POPULAR_STALE_DAYS', 7); }
+  },
+
+  routes: {
+    // 경로 계산 결과(routes_cache) 재사용 기간 (일)
+    get cacheDays() { return positiveInt('ROUTE_CACHE_DAYS', 30); }
+  },
+
+  rateLimit: {
+    // 사용자별 1분당 요청 상한 (외부 API 비용이 드는 라우트)
+    get routesPerMinute() { return positiveInt('RATE_LIMIT_ROUTES_PER_MINUTE', 20); },
+    // 장소 이미지 프록시는 비로그인(<img> 태그)이라 IP 기준 - 화면 하나에 사진이 많아 넉넉하게
+    get placeImagesPerMinute() { return positiveInt('RATE_LIMIT_PLACE_IMAGES_PER_MINUTE', 120); }
+  },
+
+  currency: {
+    // 환율 출처: open_er_api (매일 최신 환율) / fixed (고정 환율 - 오프라인/테스트용)
+    get rateSource() { return env('CURRENCY_RATE_SOURCE') || 'open_er_api'; }
+  },
+
+  imageStore: {
+    // 장소 사진 저장소: supabase (Supabase Storage) / local (개발용 로컬 디스크)
+    get backend() { return env('IMAGE_STORE') || 'local'; },
+    get bucket() { return env('IMAGE_STORE_BUCKET') || 'place-images'; },
+    get localDir() { return env('IMAGE_STORE_DIR') || path.resolve(__dirname, '..', 'storage', 'images'); }
+  }
+};
+
+const LLM_KEY_VARS = { gemini: 'GEMINI_API_KEY', openai: 'OPENAI_API_KEY' };
+const NUMERIC_VARS = [
+  'PORT', 'ITINERARY_MAX_REPAIRS', 'AD_DAILY_CAP',
+  'PLACE_REFRESH_DAILY_BUDGET', 'PLACE_REFRESH_STALE_DAYS', 'PLACE_REFRESH_POPULAR_STALE_DAYS',
+  'ROUTE_CACHE_DAYS', 'RATE_LIMIT_ROUTES_PER_MINUTE', 'RATE_LIMIT_PLACE_IMAGES_PER_MINUTE'
+];
+
+// 설정 검증
+// errors: 서버를 띄우면 안 되는 문제, warnings: 일부 기능만 꺼지는 문제
+function validateConfig() {
+  const errors = [];
+  const warnings = [];
+
+  ['SUPABASE_URL', 'SUPABASE_KEY'].forEach(name => {
+    if (!env(name)) errors.push(`${name}이(가) 설정되지 않았습니다.`);
+  });
+
+  NUMERIC_VARS.forEach(name => {
+    const raw = env(name);
+    if (raw !== undefined && !/^[1-9]\d*$/.test(raw)) {
+      errors.push(`${name}은(는) 양의 정수여야 합니다. (현재: ${raw})`);
+    }
+  });
+  if (env('TRUST_PROXY_HOPS') !== undefined && !/^\d+$/.test(env('TRUST_PROXY_HOPS'))) {
+    errors.push(`TRUST_PROXY_HOPS는 0 이상의 정수여야 합니다. (현재: ${env('TRUST_PROXY_HOPS')})`);
+  }
+
+  // 기본 + 등급별로 지정된 LLM 제공자마다 API 키 확인
+  const { PROVIDERS } = require('../services/llm');
+  const providerVars = Object.keys(process.env).filter(name => /^LLM_PROVIDER(_[A-Z]+)?$/.test(name) && env(name));
+  const providers = new Map([['LLM_PROVIDER', config.llm.provider], ...providerVars.map(name => [name, env(name)])]);
+  providers.forEach((provider, name) => {
+    if (!PROVIDERS[provider]) {
+      errors.push(`${name}=${provider}은(는) 지원하지 않는 LLM 제공자입니다. (${Object.keys(PROVIDERS).join('/')})`);
+    } else if (LLM_KEY_VARS[provider] && !env(LLM_KEY_VARS[provider])) {
+      errors.push(`${name}=${provider}을(를) 쓰려면 ${LLM_KEY_VARS[provider]}이(가) 필요합니다.`);
+    }
+  });
+
+  const { BACKENDS } = require('../services/image_store');
+  if (!BACKENDS[config.imageStore.backend]) {
+    errors.push(`IMAGE_STORE=${config.imageStore.backend}은(는) 지원하지 않는 이미지 저장소입니다. (${Object.keys(BACKENDS).join('/')})`);
+  } else if (config.imageStore.backend === 'local') {
+    // 로컬 디스크는 인스턴스마다 따로라 재배포/확장 시 사진이 사라짐
+    // 기존 배포가 새 변수 없이도 뜨도록 운영 환경에서도 경고만 (IMAGE_STORE 기본값이 local)
+    warnings.push(process.env.NODE_ENV === 'production'
+      ? "IMAGE_STORE=local로 운영 중입니다. 재배포/확장 시 저장한 사진이 사라지므로 IMAGE_STORE=supabase를 설정하세요."
+      : "IMAGE_STORE=local은 개발용입니다. 운영 환경에서는 IMAGE_STORE=supabase를 설정하세요.");
+  }
+
+  const { RATE_SOURCES } = require('../services/currency');
+  if (!RATE_SOURCES[config.currency.rateSource]) {
+    errors.push(`CURRENCY_RATE_SOURCE=${config.currency.rateSource}은(는) 지원하지 않는 환율 출처입니다. (${Object.keys(RATE_SOURCES).join('/')})`);
+  }
+
+  if (!env('SUPABASE_SERVICE_ROLE_KEY')) warnings.push("SUPABASE_SERVICE_ROLE_KEY가 없어 관리자 작업에 anon key를 사용합니다.");
+  if (!env('SUPABASE_JWT_SECRET')) warnings.push("SUPABASE_JWT_SECRET이 없어 토큰 검증마다 Supabase Auth 서버를 호출합니다.");
+  if (!env('GOOGLE_MAPS_API_KEY')) warnings.push("GOOGLE_MAPS_API_KEY가 없어 장소 정보/경로/자동완성이 동작하지 않습니다.");
+  if (!env('NAVER_CLIENT_ID') || !env('NAVER_CLIENT_SECRET')) warnings.push("NAVER_CLIENT_ID/NAVER_CLIENT_SECRET이 없어 장소 사진 대신 기본 이미지를 사용합니다.");
+  if (!env('AD_REWARD_SECRET')) warnings.push("AD_REWARD_SECRET이 없어 광고 보상이 비활성화됩니다.");
+  if (config.imageStore.backend === 'supabase' && !env('SUPABASE_SERVICE_ROLE_KEY')) warnings.push("IMAGE_STORE=supabase는 Storage 업로드에 SUPABASE_SERVICE_ROLE_KEY가 필요합니다.");
+
+  return { errors, warnings };
+}
+
+// 서버 시작 전 검증 - 경고는 출력만 하고, 오류가 있으면 ConfigError
+function assertConfig() {
+  const { errors, warnings } = validateConfig();
+  warnings.forEach(w => console.warn(`⚠️ ${w}`));
+  if (errors.length > 0) throw new ConfigError(errors);
+}
+
+module.exports = { config, validateConfig, assertConfig, ConfigError };
@@ -0,0 +1,80 @@
+// 여행지 이름 정리 / 국가 판별 (날씨 Geocoding, 여행지 통화 매핑에서 공용)
+
+// 여행지 문자열에 적힌 국가명 -> 국가 코드 (정제할 때는 지움)
+const COUNTRY_NAMES = {
+  '일본': 'JP', '대한민국': 'KR', '한국': 'KR', '중국': 'CN', '미국': 'US',
+  '프랑스': 'FR', '이탈리아': 'IT', '스페인': 'ES', '영국': 'GB', '독일': 'DE'
+};
+const COUNTRY_NAME_PATTERN = new RegExp(Object.keys(COUNTRY_NAMES).join('|'), 'g');
+
+// 주요 도시 영문명 매핑 (Geocoding 정확도 향상)
+const CITY_NAME_MAP = {
+  // 일본
+  '교토': 'Kyoto', '오사카': 'Osaka', '도쿄': 'Tokyo', '후쿠오카': 'Fukuoka',
+  '삿포로': 'Sapporo', '나고야': 'Nagoya', '요코하마': 'Yokohama', '오키나와': 'Okinawa',
+  // 한국
+  '서울': 'Seoul', '부산': 'Busan', '제주': 'Jeju', '인천': 'Incheon', '대구': 'Daegu',
+  // 미국 (주요 도시 - City 붙여서 정확도 향상)
+  '뉴욕': 'New York City', 'New York': 'New York City',
+  '로스앤젤레스': 'Los Angeles', '라스베이거스': 'Las Vegas',
+  '샌프란시스코': 'San Francisco', '시카고': 'Chicago', '마이애미': 'Miami',
+  '보스턴': 'Boston', '시애틀': 'Seattle', '워싱턴': 'Washington DC',
+  // 유럽
+  '파리': 'Paris', '런던': 'London', '로마': 'Rome', '바르셀로나': 'Barcelona',
+  '암스테르담': 'Amsterdam', '프라하': 'Prague', '비엔나': 'Vienna',
+  // 아시아
+  '방콕': 'Bangkok', '홍콩': 'Hong Kong', '싱가포르': 'Singapore',
+  '다낭': 'Da Nang', '호이안': 'Hoi An', '나트랑': 'Nha Trang', '푸꾸옥': 'Phu Quoc',
+  '타이베이': 'Taipei', '가오슝': 'Kaohsiung',
+  // 중동/오세아니아
+  '두바이': 'Dubai', '시드니': 'Sydney', '멜버른': 'Melbourne'
+};
+
+// 영문 도시명 -> 국가 코드 (CITY_NAME_MAP의 값 기준)
+const CITY_COUNTRIES = {
+  'Kyoto': 'JP', 'Osaka': 'JP', 'Tokyo': 'JP', 'Fukuoka': 'JP', 'Sapporo': 'JP', 'Nagoya': 'JP', 'Yokohama': 'JP', 'Okinawa': 'JP',
+  'Seoul': 'KR', 'Busan': 'KR', 'Jeju': 'KR', 'Incheon': 'KR', 'Daegu': 'KR',
+  'New York City': 'US', 'Los Angeles': 'US', 'Las Vegas': 'US', 'San Francisco': 'US', 'Chicago': 'US',
+  'Miami': 'US', 'Boston': 'US', 'Seattle': 'US', 'Washington DC': 'US',
+  'Paris': 'FR', 'London': 'GB', 'Rome': 'IT', 'Barcelona': 'ES', 'Amsterdam': 'NL', 'Prague': 'CZ', 'Vienna': 'AT',
+  'Bangkok': 'TH', 'Hong Kong': 'HK', 'Singapore': 'SG',
+  'Da Nang': 'VN', 'Hoi An': 'VN', 'Nha Trang': 'VN', 'Phu Quoc': 'VN',
+  'Taipei': 'TW', 'Kaohsiung': 'TW',
+  'Dubai': 'AE', 'Sydney': 'AU', 'Melbourne': 'AU'
+};
+
+// 도시 이름 정제 (예: "일본 도쿄" -> "도쿄", "New York, 뉴욕" -> "New York", "제주시" -> "제주")
+function cleanCityName(rawName) {
+  // 1. 국가명 제거
+  let name = String(rawName).replace(COUNTRY_NAME_PATTERN, '').trim();
+
+  // 2. 콤마가 있으면 첫 번째 부분만 사용 (예: "New York, 뉴욕" -> "New York")
+  if (name.includes(',')) {
+    name = name.split(',')[0].trim();
+  }
+
+  // 3. 한글/영어 혼합 시 영어 이름 우선 추출 (예: "뉴욕 New York" -> "New York")
+  const englishMatch = name.match(/[A-Za-z\s]+/);
+  if (englishMatch && englishMatch[0].trim().length > 2) {
+    name = englishMatch[0].trim();
+  }
+
+  // 4. 한국 행정구역 접미사 제거
+  return name.replace(/[시군구도부현]$/, '');
+}
+
+// Geocoding용 도시명 (매핑에 있으면 영문명)
+function geocodingName(destination) {
+  const cleanedName = cleanCityName(destination);
+  return CITY_NAME_MAP[cleanedName] || cleanedName;
+}
+
+// 여행지 -> 국가 코드 (적힌 국가명 우선, 없으면 도시 매핑) / 모르면 null
+function detectCountry(destination) {
+  if (!destination) return null;
+  const countryName = String(destination).match(COUNTRY_NAME_PATTERN)?.[0];
+  if (countryName) return COUNTRY_NAMES[countryName];
+  return CITY_COUNTRIES[geocodingName(destination)] || null;
+}
+
+module.exports = { CITY_NAME_MAP, cleanCityName, geocodingName, detectCountry };
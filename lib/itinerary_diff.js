@@ -0,0 +1,98 @@
+// 두 일정 버전 비교 (일자별 추가/삭제/이동/시간 변경)
+// 같은 활동 판별: place_id (없으면 장소명) + 같은 장소가 여러 번 나오면 등장 순서
+// - moved: 다른 날로 옮겼거나, 같은 날 안에서 순서가 바뀜 (남은 활동의 원래 순서를 최대한 유지하는 기준)
+// - retimed: 같은 날/같은 순서인데 시간만 바뀜
+
+function flattenActivities(itineraryJson) {
+  const occurrences = new Map();
+  const entries = [];
+  (itineraryJson?.itinerary || []).forEach(dayPlan => {
+    (dayPlan.activities || []).forEach((activity, position) => {
+      const base = activity.place_id || String(activity.place_name || '').trim();
+      const occurrence = (occurrences.get(base) || 0) + 1;
+      occurrences.set(base, occurrence);
+      entries.push({
+        key: `${base}#${occurrence}`,
+        day: dayPlan.day,
+        date: dayPlan.date,
+        position,
+        time: activity.time,
+        place_name: activity.place_name,
+        place_id: activity.place_id || null
+      });
+    });
+  });
+  return entries;
+}
+
+// 최장 증가 부분열에 드는 원소의 인덱스 (하루 활동 수가 적어 O(n^2)로 충분)
+function longestIncreasingIndexes(values) {
+  const lengths = values.map(() => 1);
+  const previous = values.map(() => -1);
+  values.forEach((value, i) => {
+    for (let j = 0; j < i; j++) {
+      if (values[j] < value && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  });
+
+  const kept = new Set();
+  let i = lengths.indexOf(Math.max(0, ...lengths));
+  while (i >= 0) {
+    kept.add(i);
+    i = previous[i];
+  }
+  return kept;
+}
+
+const placeOf = entry => ({ place_name: entry.place_name, place_id: entry.place_id });
+
+// 반환: { days: [{ day, date, added, removed, moved, retimed }] (바뀐 날만), summary: { added, removed, moved, retimed } }
+// added/removed: { place_name, place_id, time } / moved: { place_name, place_id, from: { day, time }, to: { day, time } }
+// retimed: { place_name, place_id, from: time, to: time }
+function diffItineraries(before, after) {
+  const oldEntries = flattenActivities(before);
+  const newEntries = flattenActivities(after);
+  const oldByKey = new Map(oldEntries.map(entry => [entry.key, entry]));
+  const newKeys = new Set(newEntries.map(entry => entry.key));
+
+  const days = new Map();
+  const dayOf = ({ day, date }) => {
+    if (!days.has(day)) days.set(day, { day, date, added: [], removed: [], moved: [], retimed: [] });
+    return days.get(day);
+  };
+
+  // 같은 날에 남은 활동 중 순서가 바뀐 것
+  const reordered = new Set();
+  const newDays = [...new Set(newEntries.map(entry => entry.day))];
+  newDays.forEach(day => {
+    const stayed = newEntries.filter(entry => entry.day === day && oldByKey.get(entry.key)?.day === day);
+    const kept = longestIncreasingIndexes(stayed.map(entry => oldByKey.get(entry.key).position));
+    stayed.forEach((entry, i) => { if (!kept.has(i)) reordered.add(entry.key); });
+  });
+
+  newEntries.forEach(entry => {
+    const old = oldByKey.get(entry.key);
+    if (!old) {
+      dayOf(entry).added.push({ ...placeOf(entry), time: entry.time });
+    } else if (old.day !== entry.day || reordered.has(entry.key)) {
+      dayOf(entry).moved.push({ ...placeOf(entry), from: { day: old.day, time: old.time }, to: { day: entry.day, time: entry.time } });
+    } else if (old.time !== entry.time) {
+      dayOf(entry).retimed.push({ ...placeOf(entry), from: old.time, to: entry.time });
+    }
+  });
+  oldEntries.filter(entry => !newKeys.has(entry.key)).forEach(entry => {
+    dayOf(entry).removed.push({ ...placeOf(entry), time: entry.time });
+  });
+
+  const changedDays = [...days.values()].sort((a, b) => a.day - b.day);
+  const count = field => changedDays.reduce((sum, day) => sum + day[field].length, 0);
+  return {
+    days: changedDays,
+    summary: { added: count('added'), removed: count('removed'), moved: count('moved'), retimed: count('retimed') }
+  };
+}
+
+module.exports = { diffItineraries };
@@ -0,0 +1,291 @@
+// Gemini가 생성한 일정 JSON 스키마 및 검증
+// /api/generate-trip, /api/modify-trip, /api/trip/:id/edit 공통 사용
+
+const ACTIVITY_TYPES = ['관광', '식사', '숙소', '휴식', '쇼핑', '이동'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// 프롬프트 및 문서화용 스키마 정의 (JSON Schema 형식)
+const ITINERARY_SCHEMA = {
+  type: 'object',
+  required: ['trip_title', 'itinerary'],
+  properties: {
+    trip_title: { type: 'string', minLength: 1 },
+    cover_image_query: { type: 'string' },
+    currency: { type: 'string', pattern: CURRENCY_PATTERN.source },
+    itinerary: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['day', 'date', 'activities'],
+        properties: {
+          day: { type: 'integer', minimum: 1 },
+          date: { type: 'string', pattern: DATE_PATTERN.source },
+          activities: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['time', 'place_name', 'type', 'activity_description'],
+              properties: {
+                time: { type: 'string', pattern: TIME_PATTERN.source },
+                place_name: { type: 'string', minLength: 1 },
+                type: { enum: ACTIVITY_TYPES },
+                activity_description: { type: 'string' },
+                is_booking_required: { type: 'boolean' },
+                estimated_cost: {
+                  type: 'object',
+                  properties: { min: { type: 'number', minimum: 0 }, max: { type: 'number', minimum: 0 } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+class ItineraryValidationError extends Error {
+  constructor(errors, attempts) {
+    super("AI가 생성한 일정이 올바르지 않습니다. 잠시 후 다시 시도해주세요.");
+    this.name = 'ItineraryValidationError';
+    this.code = 'INVALID_ITINERARY';
+    this.status = 502;
+    this.errors = errors;
+    this.attempts = attempts;
+  }
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// 예상 비용 보정 ("15000" -> 15000, 숫자 하나 -> { min, max }) / 쓸 수 없는 값은 지움 (비용은 선택 항목)
+function normalizeEstimatedCost(act) {
+  if (act.estimated_cost === undefined) return;
+  const toNumber = value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+  let cost = act.estimated_cost;
+  if (typeof cost === 'number' || typeof cost === 'string') cost = { min: cost, max: cost };
+
+  const min = toNumber(cost?.min);
+  const max = toNumber(cost?.max);
+  if (Number.isFinite(min) && Number.isFinite(max) && min >= 0 && max >= min) act.estimated_cost = { min, max };
+  else delete act.estimated_cost;
+}
+
+function normalizeActivity(act) {
+  if (!act || typeof act !== 'object') return;
+  if (typeof act.time === 'string' && /^\d:[0-5]\d$/.test(act.time.trim())) act.time = `0${act.time.trim()}`;
+  if (act.is_booking_required === 'true') act.is_booking_required = true;
+  if (act.is_booking_required === 'false' || act.is_booking_required === undefined) act.is_booking_required = false;
+  if (act.activity_description === undefined) act.activity_description = '';
+  normalizeEstimatedCost(act);
+}
+
+// 모델이 자주 틀리는 사소한 형식은 검증 전에 보정 ("9:00" -> "09:00", "true" -> true, "jpy" -> "JPY")
+function normalizeItinerary(json) {
+  if (!json || !Array.isArray(json.itinerary)) return json;
+  if (typeof json.currency === 'string') json.currency = json.currency.trim().toUpperCase();
+  if (json.currency !== undefined && !CURRENCY_PATTERN.test(json.currency)) delete json.currency;
+  json.itinerary.forEach(day => {
+    if (typeof day.day === 'string' && /^\d+$/.test(day.day)) day.day = Number(day.day);
+    if (Array.isArray(day.activities)) day.activities.forEach(normalizeActivity);
+  });
+  return json;
+}
+
+// 부분 수정 결과({ activities: [...] })도 같은 방식으로 보정
+function normalizeActivities(json) {
+  if (!json || !Array.isArray(json.activities)) return json;
+  json.activities.forEach(normalizeActivity);
+  return json;
+}
+
+// 활동 1개 검증 - 반환: 시작 시간(분) / 형식 오류로 알 수 없으면 null
+function validateActivity(act, actPath, push) {
+  if (!act || typeof act !== 'object') {
+    push(actPath, "활동 항목이 객체가 아닙니다.");
+    return null;
+  }
+
+  if (typeof act.place_name !== 'string' || !act.place_name.trim()) {
+    push(`${actPath}.place_name`, "place_name(구체적 상호명)이 필요합니다.");
+  }
+  if (!ACTIVITY_TYPES.includes(act.type)) {
+    push(`${actPath}.type`, `type은 ${ACTIVITY_TYPES.join('/')} 중 하나여야 합니다. (현재: ${act.type})`);
+  }
+  if (typeof act.activity_description !== 'string') {
+    push(`${actPath}.activity_description`, "activity_description(문자열)이 필요합니다.");
+  }
+  if (typeof act.is_booking_required !== 'boolean') {
+    push(`${actPath}.is_booking_required`, "is_booking_required는 true/false여야 합니다.");
+  }
+
+  if (typeof act.time !== 'string' || !TIME_PATTERN.test(act.time)) {
+    push(`${actPath}.time`, `time은 HH:MM(24시간) 형식이어야 합니다. (현재: ${act.time})`);
+    return null;
+  }
+  return toMinutes(act.time);
+}
+
+// 일정 검증
+// constraints: { startDate, endDate, arrivalTime?, departureTime? } - 요청한 날짜 범위 및 도착/출발 시간
+// 반환: [{ path, message }] (빈 배열이면 통과)
+function validateItinerary(json, constraints = {}) {
+  const errors = [];
+  const push = (path, message) => errors.push({ path, message });
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    push('$', "JSON 객체가 아닙니다.");
+    return errors;
+  }
+  if (typeof json.trip_title !== 'string' || !json.trip_title.trim()) {
+    push('trip_title', "trip_title(문자열)이 필요합니다.");
+  }
+  if (!Array.isArray(json.itinerary) || json.itinerary.length === 0) {
+    push('itinerary', "itinerary 배열이 비어 있거나 없습니다.");
+    return errors;
+  }
+
+  const { startDate, endDate, arrivalTime, departureTime } = constraints;
+  const expectedDays = startDate && endDate
+    ? Math.round((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)) + 1
+    : null;
+
+  if (expectedDays && json.itinerary.length !== expectedDays) {
+    push('itinerary', `일정은 ${startDate} ~ ${endDate} 총 ${expectedDays}일이어야 하는데 ${json.itinerary.length}일이 생성되었습니다.`);
+  }
+
+  json.itinerary.forEach((day, dayIndex) => {
+    const dayPath = `itinerary[${dayIndex}]`;
+    if (!day || typeof day !== 'object') {
+      push(dayPath, "일자 항목이 객체가 아닙니다.");
+      return;
+    }
+
+    if (day.day !== dayIndex + 1) {
+      push(`${dayPath}.day`, `day 값은 ${dayIndex + 1}이어야 합니다. (현재: ${day.day})`);
+    }
+
+    if (typeof day.date !== 'string' || !DATE_PATTERN.test(day.date)) {
+      push(`${dayPath}.date`, `date는 YYYY-MM-DD 형식이어야 합니다. (현재: ${day.date})`);
+    } else if (startDate) {
+      const expectedDate = addDays(startDate, dayIndex);
+      if (day.date !== expectedDate) {
+        push(`${dayPath}.date`, `Day ${dayIndex + 1}의 날짜는 ${expectedDate}이어야 합니다. (현재: ${day.date})`);
+      }
+    }
+
+    if (!Array.isArray(day.activities) || day.activities.length === 0) {
+      push(`${dayPath}.activities`, `Day ${dayIndex + 1}에 활동이 없습니다.`);
+      return;
+    }
+
+    let prevMinutes = -1;
+    day.activities.forEach((act, actIndex) => {
+      const actPath = `${dayPath}.activities[${actIndex}]`;
+      const minutes = validateActivity(act, actPath, push);
+      if (minutes === null) return;
+
+      if (minutes < prevMinutes) {
+        push(`${actPath}.time`, `Day ${dayIndex + 1}의 활동이 시간 순서대로 정렬되어 있지 않습니다. (${act.time})`);
+      }
+      prevMinutes = minutes;
+
+      if (dayIndex === 0 && arrivalTime && TIME_PATTERN.test(arrivalTime) && minutes < toMinutes(arrivalTime)) {
+        push(`${actPath}.time`, `Day 1 일정은 도착 시간 ${arrivalTime} 이후에 시작해야 합니다. (현재: ${act.time})`);
+      }
+      const isLastDay = expectedDays ? dayIndex === expectedDays - 1 : dayIndex === json.itinerary.length - 1;
+      if (isLastDay && departureTime && TIME_PATTERN.test(departureTime) && minutes > toMinutes(departureTime)) {
+        push(`${actPath}.time`, `마지막 날 일정은 출발 시간 ${departureTime} 이전에 끝나야 합니다. (현재: ${act.time})`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// 부분 수정 결과 검증 ({ activities: [...] } - 하루 다시 짜기/대체 장소/식사 추가/빈 시간 채우기)
+// constraints: { minItems, maxItems, from?, until?, ordered?, types?, excludePlaces? }
+// - from/until: 활동 시간 범위 (HH:MM, 양 끝 포함), ordered: 시간 순 정렬 필수
+// - types: 허용 활동 유형, excludePlaces: 일정에 이미 있는 장소 (이동/숙소 외에는 겹치면 안 됨)
+// 반환: [{ path, message }] (빈 배열이면 통과)
+function validateActivities(json, { minItems = 1, maxItems, from, until, ordered = false, types, excludePlaces = [] } = {}) {
+  const errors = [];
+  const push = (path, message) => errors.push({ path, message });
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    push('$', "JSON 객체가 아닙니다.");
+    return errors;
+  }
+  const { activities } = json;
+  if (!Array.isArray(activities) || activities.length < minItems) {
+    push('activities', `activities 배열에 활동이 ${minItems}개 이상 필요합니다.`);
+    return errors;
+  }
+  if (maxItems && activities.length > maxItems) {
+    push('activities', `활동은 ${maxItems}개까지만 적어주세요. (현재: ${activities.length}개)`);
+  }
+
+  const seenPlaces = new Set(excludePlaces);
+  let prevMinutes = -1;
+  activities.forEach((act, index) => {
+    const actPath = `activities[${index}]`;
+    const minutes = validateActivity(act, actPath, push);
+    if (!act || typeof act !== 'object') return;
+
+    if (types && !types.includes(act.type)) {
+      push(`${actPath}.type`, `type은 ${types.join('/')} 중 하나여야 합니다. (현재: ${act.type})`);
+    }
+    const name = typeof act.place_name === 'string' ? act.place_name.trim() : '';
+    if (name && !name.includes('이동') && !name.includes('숙소')) {
+      if (seenPlaces.has(name)) push(`${actPath}.place_name`, `이미 일정에 있는 장소입니다. 다른 장소로 바꿔주세요. (${name})`);
+      seenPlaces.add(name);
+    }
+
+    if (minutes === null) return;
+    if (from && minutes < toMinutes(from)) push(`${actPath}.time`, `${from} 이후 시간이어야 합니다. (현재: ${act.time})`);
+    if (until && minutes > toMinutes(until)) push(`${actPath}.time`, `${until} 이전 시간이어야 합니다. (현재: ${act.time})`);
+    if (ordered && minutes < prevMinutes) push(`${actPath}.time`, `활동이 시간 순서대로 정렬되어 있지 않습니다. (${act.time})`);
+    prevMinutes = minutes;
+  });
+
+  return errors;
+}
+
+// 모델에게 다시 요청할 때 붙이는 오류 설명
+function buildRepairPrompt(errors) {
+  const list = errors.slice(0, 20).map(e => `- ${e.path}: ${e.message}`).join('\n');
+  return `
+      방금 출력한 일정 JSON에 다음 오류가 있습니다. 모든 오류를 수정해서 **JSON 전체를 다시** 출력하세요.
+      ${list}
+
+      [형식]
+      - time은 HH:MM (24시간), 하루 안에서 시간 순서대로 정렬
+      - type은 ${ACTIVITY_TYPES.join('/')} 중 하나
+      - day는 1부터 순서대로, date는 YYYY-MM-DD
+      [출력] JSON Only.
+    `;
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  TIME_PATTERN,
+  ITINERARY_SCHEMA,
+  ItineraryValidationError,
+  normalizeItinerary,
+  normalizeActivities,
+  validateItinerary,
+  validateActivities,
+  buildRepairPrompt
+};
@@ -0,0 +1,71 @@
+// 영업시간 판단 (Google Places regularOpeningHours 형식)
+// - periods: [{ open: { day, hour, minute }, close?: { day, hour, minute } }] (day: 0 = 일요일)
+// - close 없는 period 하나 = 24시간 영업 / 자정을 넘기는 영업(예: 18:00 ~ 02:00)은 close.day가 다음 날
+// - weekdayDescriptions: 월요일부터 시작하는 사람이 읽는 요일별 영업시간 문자열
+
+const WEEK_MINUTES = 7 * 24 * 60;
+// 문 닫기 직전 도착 기준 (이보다 짧게 머물 수 있으면 closing_soon)
+const MIN_VISIT_MINUTES = 30;
+
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function formatMinutes(minutes) {
+  const dayMinutes = minutes % (24 * 60);
+  return `${String(Math.floor(dayMinutes / 60)).padStart(2, '0')}:${String(dayMinutes % 60).padStart(2, '0')}`;
+}
+
+// 'YYYY-MM-DD' -> 요일 (0 = 일요일)
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function weekMinutes({ day, hour = 0, minute = 0 }) {
+  return day * 24 * 60 + hour * 60 + minute;
+}
+
+// 해당 날짜의 영업시간 안내 문자열 (없으면 null)
+function hoursTextFor(openingHours, date) {
+  const descriptions = openingHours?.weekdayDescriptions;
+  if (!Array.isArray(descriptions) || descriptions.length !== 7) return null;
+  return descriptions[(weekdayOf(date) + 6) % 7];
+}
+
+// date/time에 영업 중인지 판단
+// 반환: { status: 'open' | 'closing_soon' | 'closed' | 'unknown', closesAt?, hours }
+function checkOpeningHours(openingHours, date, time) {
+  const periods = openingHours?.periods;
+  const hours = hoursTextFor(openingHours, date);
+  if (!Array.isArray(periods) || periods.length === 0 || !date || !time) {
+    return { status: 'unknown', hours };
+  }
+
+  // 24시간 영업
+  if (periods.some(period => period.open && !period.close)) {
+    return { status: 'open', hours };
+  }
+
+  const at = weekdayOf(date) * 24 * 60 + toMinutes(time);
+  for (const period of periods) {
+    if (!period.open || !period.close) continue;
+    const start = weekMinutes(period.open);
+    let end = weekMinutes(period.close);
+    if (end <= start) end += WEEK_MINUTES; // 토요일 밤 -> 일요일 새벽처럼 주를 넘기는 경우
+
+    // 주를 넘긴 영업 구간의 뒷부분(일요일 새벽)도 확인
+    for (const slot of [at, at + WEEK_MINUTES]) {
+      if (slot >= start && slot < end) {
+        const closesAt = formatMinutes(end);
+        return end - slot < MIN_VISIT_MINUTES
+          ? { status: 'closing_soon', closesAt, hours }
+          : { status: 'open', closesAt, hours };
+      }
+    }
+  }
+
+  return { status: 'closed', hours };
+}
+
+module.exports = { MIN_VISIT_MINUTES, weekdayOf, hoursTextFor, checkOpeningHours };
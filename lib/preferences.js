@@ -0,0 +1,185 @@
+const db = require('./supabase');
+
+// 여행자 취향 프로필 (사용자별로 travel_preferences에 저장해 두고 일정 생성 때마다 재사용)
+// { pace, interests[], dietary[], mobility[], companions, wakeTime, sleepTime } - 모두 선택 항목
+// - 프롬프트에 규칙으로 넣고, 생성 후에도 식단/이동 약자/동행에 맞지 않는 장소는 걸러냄 (services/itinerary)
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_INTERESTS = 10;
+const MAX_INTEREST_LENGTH = 30;
+
+// relaxed: 하루 관광/쇼핑/휴식 최대 개수 (식사/숙소/이동 제외)
+const PACES = {
+  relaxed: { label: '여유롭게', maxSpotsPerDay: 3 },
+  packed: { label: '알차게', maxSpotsPerDay: null }
+};
+const PACED_TYPES = ['관광', '쇼핑', '휴식'];
+
+const COMPANION_TYPES = {
+  solo: { label: '혼자' },
+  couple: { label: '커플' },
+  friends: { label: '친구' },
+  family: { label: '가족' },
+  kids: {
+    label: '아이 동반',
+    types: ['bar', 'night_club', 'casino', 'liquor_store'],
+    keywords: ['술집', '이자카야', '포차', '클럽', '카지노', '와인바']
+  },
+  seniors: {
+    label: '어르신 동반',
+    types: ['hiking_area', 'night_club'],
+    keywords: ['등산', '산행', '트레킹', '클럽']
+  }
+};
+
+// 식단 - "식사" 활동에만 적용, 채식/비건 전문점은 통과
+const MEAT_TYPES = ['steak_house', 'barbecue_restaurant', 'hamburger_restaurant', 'brazilian_restaurant'];
+const SEAFOOD_TYPES = ['seafood_restaurant', 'sushi_restaurant'];
+const MEAT_KEYWORDS = ['갈비', '고기', '삼겹', '곱창', '막창', '족발', '보쌈', '불고기', '스테이크', '바베큐', '치킨', '돈까스', '정육', '국밥'];
+const SEAFOOD_KEYWORDS = ['횟집', '회센터', '해물', '조개', '스시', '초밥', '게장', '생선', '장어'];
+const PLANT_BASED_TYPES = ['vegetarian_restaurant', 'vegan_restaurant'];
+
+const DIETARY_RULES = {
+  vegetarian: { label: '채식', types: [...MEAT_TYPES, ...SEAFOOD_TYPES], keywords: [...MEAT_KEYWORDS, ...SEAFOOD_KEYWORDS] },
+  vegan: { label: '비건', types: [...MEAT_TYPES, ...SEAFOOD_TYPES], keywords: [...MEAT_KEYWORDS, ...SEAFOOD_KEYWORDS, '치즈'] },
+  halal: { label: '할랄', types: ['bar'], keywords: ['돼지', '삼겹', '족발', '보쌈', '순대', '술집', '이자카야', '포차'] },
+  no_seafood: { label: '해산물 제외', types: SEAFOOD_TYPES, keywords: SEAFOOD_KEYWORDS }
+};
+
+// 이동 약자 - 숙소/이동을 뺀 모든 활동에 적용
+const MOBILITY_RULES = {
+  wheelchair: { label: '휠체어 이용', types: ['hiking_area'], keywords: ['등산', '산행', '트레킹', '계단', '오름'] },
+  stroller: { label: '유모차 동반', types: ['hiking_area'], keywords: ['등산', '산행', '트레킹', '계단'] },
+  limited_walking: { label: '오래 걷기 어려움', types: ['hiking_area'], keywords: ['등산', '산행', '트레킹', '둘레길'] }
+};
+
+const EXEMPT_TYPES = ['숙소', '이동'];
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// 취향 검증 - 통과하면 null, 아니면 오류 문구
+function validatePreferences(preferences) {
+  if (preferences === null || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return "여행 취향(preferences) 형식이 올바르지 않습니다.";
+  }
+  const { pace, interests, dietary, mobility, companions, wakeTime, sleepTime } = preferences;
+
+  if (pace != null && !PACES[pace]) return `pace는 ${Object.keys(PACES).join(', ')} 중 하나여야 합니다.`;
+  if (companions != null && !COMPANION_TYPES[companions]) {
+    return `companions는 ${Object.keys(COMPANION_TYPES).join(', ')} 중 하나여야 합니다.`;
+  }
+  if (interests != null) {
+    if (!isStringArray(interests)) return "interests는 문자열 배열이어야 합니다.";
+    if (interests.length > MAX_INTERESTS) return `관심사는 최대 ${MAX_INTERESTS}개까지 지정할 수 있습니다.`;
+    if (interests.some(item => item.trim().length > MAX_INTEREST_LENGTH)) return `관심사는 ${MAX_INTEREST_LENGTH}자 이내로 입력해주세요.`;
+  }
+  if (dietary != null && (!isStringArray(dietary) || dietary.some(item => !DIETARY_RULES[item]))) {
+    return `dietary는 ${Object.keys(DIETARY_RULES).join(', ')} 중에서 선택해야 합니다.`;
+  }
+  if (mobility != null && (!isStringArray(mobility) || mobility.some(item => !MOBILITY_RULES[item]))) {
+    return `mobility는 ${Object.keys(MOBILITY_RULES).join(', ')} 중에서 선택해야 합니다.`;
+  }
+  for (const [field, value] of [['wakeTime', wakeTime], ['sleepTime', sleepTime]]) {
+    if (value != null && !TIME_PATTERN.test(value)) return `${field}는 HH:MM 형식이어야 합니다.`;
+  }
+  if (wakeTime && sleepTime && wakeTime >= sleepTime) return "취침 시간(sleepTime)은 기상 시간(wakeTime)보다 늦어야 합니다.";
+  return null;
+}
+
+// 검증된 취향 -> 저장/비교용 형태 (빈 값은 빼고, 목록은 중복 제거)
+function normalizePreferences(preferences = {}) {
+  const normalized = {};
+  const unique = list => [...new Set(list.map(item => item.trim()).filter(Boolean))];
+
+  if (preferences.pace) normalized.pace = preferences.pace;
+  ['interests', 'dietary', 'mobility'].forEach(field => {
+    const list = preferences[field] ? unique(preferences[field]) : [];
+    if (list.length > 0) normalized[field] = list;
+  });
+  ['companions', 'wakeTime', 'sleepTime'].forEach(field => {
+    if (preferences[field]) normalized[field] = preferences[field];
+  });
+  return normalized;
+}
+
+async function loadPreferences(userId) {
+  const { data, error } = await db.supabase
+    .from('travel_preferences')
+    .select('preferences')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.preferences || {};
+}
+
+async function savePreferences(userId, preferences) {
+  const { error } = await db.supabase
+    .from('travel_preferences')
+    .upsert({ user_id: userId, preferences, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+  if (error) throw error;
+}
+
+// 일정 생성에 쓸 취향: 저장된 프로필 위에 요청 본문의 preferences를 항목별로 덮어씀
+// 반환: { preferences } 또는 { error }
+async function resolveTripPreferences(userId, requested) {
+  if (requested !== undefined) {
+    const error = validatePreferences(requested);
+    if (error) return { error };
+  }
+  const saved = await loadPreferences(userId);
+  return { preferences: { ...saved, ...normalizePreferences(requested) } };
+}
+
+// trip_plans.style / companions 컬럼 값
+function describeStyle(preferences = {}) {
+  const parts = [];
+  if (preferences.pace) parts.push(PACES[preferences.pace].label);
+  if (preferences.interests?.length) parts.push(preferences.interests.join(', '));
+  return parts.length > 0 ? parts.join(' · ') : "맞춤 여행";
+}
+
+function describeCompanions(preferences = {}) {
+  return preferences.companions ? COMPANION_TYPES[preferences.companions].label : "제한 없음";
+}
+
+const matchesRule = (rule, name, types) => (
+  (rule.types || []).some(type => types.includes(type))
+  || (rule.keywords || []).some(keyword => name.includes(keyword))
+);
+
+// 취향에 맞지 않는 활동이면 { reason, message }, 괜찮으면 null
+// 장소 유형(types)은 Google Places 결과 (없으면 이름의 키워드로만 판단)
+function findPreferenceViolation(activity, preferences = {}) {
+  if (EXEMPT_TYPES.includes(activity.type)) return null;
+  const name = activity.place_name;
+  const types = activity.types || [];
+
+  if (activity.type === '식사' && !PLANT_BASED_TYPES.some(type => types.includes(type))) {
+    const diet = (preferences.dietary || []).find(key => matchesRule(DIETARY_RULES[key], name, types));
+    if (diet) return { reason: 'dietary', message: `${DIETARY_RULES[diet].label} 식단에 맞지 않는 식당입니다.` };
+  }
+  const mobility = (preferences.mobility || []).find(key => matchesRule(MOBILITY_RULES[key], name, types));
+  if (mobility) return { reason: 'mobility', message: `${MOBILITY_RULES[mobility].label} 여행자에게 어려운 장소입니다.` };
+
+  const companion = COMPANION_TYPES[preferences.companions];
+  if (companion && matchesRule(companion, name, types)) {
+    return { reason: 'companions', message: `${companion.label} 여행에 맞지 않는 장소입니다.` };
+  }
+  return null;
+}
+
+module.exports = {
+  PACES,
+  PACED_TYPES,
+  COMPANION_TYPES,
+  DIETARY_RULES,
+  MOBILITY_RULES,
+  validatePreferences,
+  normalizePreferences,
+  loadPreferences,
+  savePreferences,
+  resolveTripPreferences,
+  describeStyle,
+  describeCompanions,
+  findPreferenceViolation
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const db = require('./supabase');
+const { config } = require('./config');
+
+const TIER_LIMITS = { free: 5, pro: 30, admin: Infinity };
+const DEFAULT_TIER_LIMIT = 3;
+// 하루 최대 광고 보상 횟수
+const AD_DAILY_CAP = config.adReward.dailyCap;
+// 광고 보상 영수증 유효 시간 (재사용/지연 제출 방지)
+const AD_RECEIPT_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Infinity는 JSON으로 표현할 수 없으므로 null(무제한)로 변환해서 DB 함수에 전달
+function tierLimitsForDb() {
+  return Object.fromEntries(
+    Object.entries(TIER_LIMITS).map(([tier, limit]) => [tier, Number.isFinite(limit) ? limit : null])
+  );
+}
+
+function getTierLimit(tier) {
+  return TIER_LIMITS[tier] ?? DEFAULT_TIER_LIMIT;
+}
+
+// 생성 1회분을 원자적으로 예약 (월간 한도 -> 광고 크레딧 순서)
+// 반환: { reserved, source: 'monthly' | 'ad_credit' | null, tier, limit, usage_count, ad_credits }
+async function reserveGeneration(userId) {
+  const { data, error } = await db.supabaseAdmin.rpc('reserve_trip_quota', {
+    p_user_id: userId,
+    p_tier_limits: tierLimitsForDb()
+  });
+  if (error) throw error;
+  return { ...data, limit: data.limit ?? Infinity };
+}
+
+// 생성 실패/취소 시 예약분 반환
+async function refundGeneration(userId, source) {
+  if (!source) return;
+  const { error } = await db.supabaseAdmin.rpc('refund_trip_quota', { p_user_id: userId, p_source: source });
+  if (error) console.error(`❌ Quota refund failed for ${userId}:`, error.message);
+  else console.log(`↩️ Quota refunded (${source}) for ${userId}`);
+}
+
+// 광고 보상 영수증 검증
+// 광고 보상 서버가 HMAC-SHA256(AD_REWARD_SECRET, "user_id:transaction_id:timestamp")로 서명한 값을 전달
+function verifyAdReceipt(userId, { transaction_id, timestamp, signature } = {}) {
+  const secret = config.adReward.secret;
+  if (!secret) return { valid: false, reason: 'not_configured' };
+  if (!transaction_id || !timestamp || !signature) return { valid: false, reason: 'missing_fields' };
+
+  const issuedAt = Number(timestamp);
+  if (!Number.isFinite(issuedAt) || Math.abs(Date.now() - issuedAt) > AD_RECEIPT_MAX_AGE_MS) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${userId}:${transaction_id}:${timestamp}`)
+    .digest('hex');
+
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(String(signature), 'hex');
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+  return { valid: true };
+}
+
+// 검증된 광고 시청 1회당 크레딧 1개 지급 (일일 상한 적용)
+// 반환: { granted, reason: 'daily_cap' | 'duplicate' | null, ad_credits, daily_ad_count }
+async function grantAdCredit(userId, transactionId) {
+  const { data, error } = await db.supabaseAdmin.rpc('grant_ad_credit', {
+    p_user_id: userId,
+    p_transaction_id: String(transactionId),
+    p_daily_cap: AD_DAILY_CAP
+  });
+  if (error) throw error;
+  return data;
+}
+
+// 남은 생성 횟수 조회 (월이 바뀌었거나 날짜가 바뀐 경우 초기화된 값으로 계산)
+async function getQuota(userId) {
+  const { data: row, error } = await db.supabaseAdmin
+    .from('user_limits')
+    .select('tier, usage_count, last_reset_date, ad_credits, daily_ad_count, last_ad_watch_date')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+
+  const now = new Date();
+  const tier = row?.tier || 'free';
+  const limit = getTierLimit(tier);
+
+  const lastReset = row?.last_reset_date ? new Date(row.last_reset_date) : null;
+  const sameMonth = lastReset && lastReset.getMonth() === now.getMonth() && lastReset.getFullYear() === now.getFullYear();
+  const used = sameMonth ? (row.usage_count || 0) : 0;
+
+  const lastAd = row?.last_ad_watch_date ? new Date(row.last_ad_watch_date) : null;
+  const watchedToday = lastAd && lastAd.toDateString() === now.toDateString() ? (row.daily_ad_count || 0) : 0;
+
+  const adCredits = row?.ad_credits || 0;
+  const monthlyRemaining = Number.isFinite(limit) ? Math.max(limit - used, 0) : null;
+
+  return {
+    tier,
+    limit: Number.isFinite(limit) ? limit : null,
+    used,
+    monthlyRemaining,
+    adCredits,
+    remaining: monthlyRemaining === null ? null : monthlyRemaining + adCredits,
+    dailyAdCount: watchedToday,
+    dailyAdCap: AD_DAILY_CAP
+  };
+}
+
+module.exports = {
+  TIER_LIMITS,
+  AD_DAILY_CAP,
+  getTierLimit,
+  reserveGeneration,
+  refundGeneration,
+  verifyAdReceipt,
+  grantAdCredit,
+  getQuota
+};
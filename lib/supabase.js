@@ -0,0 +1,28 @@
+const { createClient } = require("@supabase/supabase-js");
+const { config } = require('./config');
+
+// Supabase 클라이언트는 처음 사용할 때 생성 (환경변수 없이도 모듈 로드 가능)
+let clients = null;
+
+function getClients() {
+  if (!clients) {
+    clients = {
+      // 1. 일반 클라이언트 (조회 및 본인 데이터 수정용)
+      supabase: createClient(config.supabase.url, config.supabase.anonKey),
+      // 2. 관리자 클라이언트 (회원 삭제 및 관리자 권한 작업용 - Service Role Key 필수)
+      supabaseAdmin: createClient(config.supabase.url, config.supabase.serviceRoleKey)
+    };
+  }
+  return clients;
+}
+
+// 테스트에서 인메모리 가짜 클라이언트로 교체할 때 사용
+function setClients(override) {
+  clients = override;
+}
+
+module.exports = {
+  get supabase() { return getClients().supabase; },
+  get supabaseAdmin() { return getClients().supabaseAdmin; },
+  setClients
+};
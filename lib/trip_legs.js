@@ -0,0 +1,89 @@
+// 여러 도시 여행 (예: 오사카 -> 교토 -> 도쿄)
+// legs: [{ city, startDate, endDate }] - 방문 순서대로, 날짜가 이어져야 함
+// - 다음 도시의 시작일이 앞 도시의 마지막 날과 같으면 그날 오전은 앞 도시, 이동 후 다음 도시 (이동일)
+// - 다음 날부터 시작하면 다음 도시의 첫날이 이동일
+// 도시 1곳짜리 요청({ destination, startDate, endDate })도 같은 형태로 다룸
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LEGS = 10;
+const DESTINATION_SEPARATOR = ' → ';
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// 요청의 legs 검증 - 통과하면 null, 아니면 오류 문구
+function validateTripLegs(legs) {
+  if (!Array.isArray(legs) || legs.length === 0) return "도시별 일정(legs)이 비어 있습니다.";
+  if (legs.length > MAX_LEGS) return `도시는 최대 ${MAX_LEGS}곳까지 지정할 수 있습니다.`;
+
+  for (let i = 0; i < legs.length; i++) {
+    const leg = legs[i];
+    if (!leg || typeof leg.city !== 'string' || !leg.city.trim()) return `${i + 1}번째 도시 이름이 없습니다.`;
+    if (!DATE_PATTERN.test(leg.startDate) || !DATE_PATTERN.test(leg.endDate) || leg.startDate > leg.endDate) {
+      return `${leg.city}의 날짜(startDate ~ endDate)가 올바르지 않습니다.`;
+    }
+    const prev = legs[i - 1];
+    if (prev && leg.startDate !== prev.endDate && leg.startDate !== addDays(prev.endDate, 1)) {
+      return `${prev.city} 다음 ${leg.city} 일정은 ${prev.endDate} 또는 ${addDays(prev.endDate, 1)}에 시작해야 합니다.`;
+    }
+  }
+  return null;
+}
+
+// generate-trip 요청 본문 -> 도시별 일정 포함 요청 (destination/startDate/endDate는 legs로부터 채움)
+// 반환: { params } 또는 { error }
+function resolveTripRequest(body) {
+  if (body.legs === undefined) return { params: body };
+
+  const error = validateTripLegs(body.legs);
+  if (error) return { error };
+
+  const legs = body.legs.map(({ city, startDate, endDate }) => ({ city: city.trim(), startDate, endDate }));
+  return {
+    params: {
+      ...body,
+      legs,
+      destination: legs.map(leg => leg.city).join(DESTINATION_SEPARATOR),
+      startDate: legs[0].startDate,
+      endDate: legs[legs.length - 1].endDate
+    }
+  };
+}
+
+// 요청의 도시별 일정 (도시 1곳이면 destination 하나)
+function tripLegsOf({ legs, destination, startDate, endDate }) {
+  return legs || [{ city: destination, startDate, endDate }];
+}
+
+// 일자별 도시 / 이동일
+// 반환: [{ day, date, city, transfer: { from, to } | null }]
+function planTripDays(legs) {
+  const days = [];
+  legs.forEach((leg, i) => {
+    for (let date = leg.startDate; date <= leg.endDate; date = addDays(date, 1)) {
+      const transfer = i > 0 && date === leg.startDate ? { from: legs[i - 1].city, to: leg.city } : null;
+      const last = days[days.length - 1];
+      if (last && last.date === date) {
+        Object.assign(last, { city: leg.city, transfer });
+      } else {
+        days.push({ day: days.length + 1, date, city: leg.city, transfer });
+      }
+    }
+  });
+  return days;
+}
+
+// 활동이 속한 도시 - 이동일은 첫 '이동' 활동 전까지 출발 도시
+function activityCity(dayPlan, index, fallback) {
+  if (!dayPlan.city) return fallback;
+  if (dayPlan.transfer) {
+    const transferIndex = dayPlan.activities.findIndex(activity => activity.type === '이동');
+    if (transferIndex > index) return dayPlan.transfer.from;
+  }
+  return dayPlan.city;
+}
+
+module.exports = { MAX_LEGS, validateTripLegs, resolveTripRequest, tripLegsOf, planTripDays, activityCity };
@@ -0,0 +1,112 @@
+const db = require('./supabase');
+
+// 일정 버전 기록 (trip_versions)
+// 생성/수정/부분 수정/동선 최적화/복원마다 새 버전을 추가하고 trip_plans.itinerary_data/current_version을 그 버전으로 맞춤
+// 버전은 추가만 하고 고치지 않음 -> 잘못된 수정도 이전 버전을 복원해서 되돌릴 수 있음
+
+const VERSION_LIST_COLUMNS = 'version, kind, request, created_at';
+
+async function latestVersion(tripId) {
+  const { data, error } = await db.supabase
+    .from('trip_versions')
+    .select('version')
+    .eq('trip_id', tripId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.version || 0;
+}
+
+// 다음 번호로 버전 추가 - 동시 수정으로 번호가 겹치면(UNIQUE 위반) 한 번 더 시도
+async function insertVersion({ tripId, userId, kind, request = null, itineraryJson }) {
+  for (let attempt = 0; ; attempt++) {
+    const version = (await latestVersion(tripId)) + 1;
+    const { error } = await db.supabase.from('trip_versions').insert([{
+      trip_id: tripId, user_id: userId, version, kind, request, itinerary_data: itineraryJson
+    }]);
+    if (!error) return version;
+    if (error.code !== '23505' || attempt > 0) throw error;
+  }
+}
+
+// 새로 만든 일정의 첫 버전
+async function recordGeneratedVersion(trip, request) {
+  const version = await insertVersion({
+    tripId: trip.id, userId: trip.user_id, kind: 'generate', request, itineraryJson: trip.itinerary_data
+  });
+  const { error } = await db.supabase.from('trip_plans').update({ current_version: version }).eq('id', trip.id);
+  if (error) throw error;
+  return version;
+}
+
+// 저장된 일정을 새 버전으로 교체 (본인 일정만)
+// 버전 기록 전에 만든 일정은 기존 내용을 먼저 snapshot 버전으로 보관
+// itineraryJson: 새 일정, 또는 현재 일정을 받아 고친 일정을 돌려주는 함수 (서버 작업용 - null이면 저장 안 함)
+//   함수로 고칠 때는 읽은 뒤 다른 저장이 끼어들었으면 덮어쓰지 않고 새로 읽어서 한 번 더 시도
+// 반환: 새 버전 번호 / 일정이 없거나 본인 일정이 아니면(또는 고칠 게 없으면) null
+async function saveTripVersion({ tripId, userId }, itineraryJson, { kind, request = null }) {
+  const applyToCurrent = typeof itineraryJson === 'function';
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { data: trip, error } = await db.supabase
+      .from('trip_plans')
+      .select('id, itinerary_data, current_version')
+      .eq('id', tripId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!trip) return null;
+
+    const nextItinerary = applyToCurrent ? itineraryJson(structuredClone(trip.itinerary_data)) : itineraryJson;
+    if (!nextItinerary) return null;
+
+    if (!trip.current_version && (await latestVersion(tripId)) === 0) {
+      await insertVersion({ tripId, userId, kind: 'snapshot', itineraryJson: trip.itinerary_data });
+    }
+    const version = await insertVersion({ tripId, userId, kind, request, itineraryJson: nextItinerary });
+
+    let update = db.supabase
+      .from('trip_plans')
+      .update({ itinerary_data: nextItinerary, current_version: version })
+      .eq('id', tripId)
+      .eq('user_id', userId);
+    if (applyToCurrent) {
+      update = trip.current_version ? update.eq('current_version', trip.current_version) : update.is('current_version', null);
+    }
+    const { data: updated, error: updateError } = await update.select('id');
+    if (updateError) throw updateError;
+    if (updated.length > 0) return version;
+  }
+  return null;
+}
+
+// 버전 목록 (최신순, 일정 본문 제외)
+async function listTripVersions(tripId) {
+  const { data, error } = await db.supabase
+    .from('trip_versions')
+    .select(VERSION_LIST_COLUMNS)
+    .eq('trip_id', tripId)
+    .order('version', { ascending: false });
+  if (error) throw error;
+  return data;
+}
+
+// 버전 1개 (일정 본문 포함) / 없으면 null
+async function getTripVersion(tripId, version) {
+  const { data, error } = await db.supabase
+    .from('trip_versions')
+    .select(`${VERSION_LIST_COLUMNS}, itinerary_data`)
+    .eq('trip_id', tripId)
+    .eq('version', version)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  recordGeneratedVersion,
+  saveTripVersion,
+  listTripVersions,
+  getTripVersion
+};
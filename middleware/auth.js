@@ -0,0 +1,127 @@
+const jwt = require('jsonwebtoken');
+const db = require('../lib/supabase');
+const { config } = require('../lib/config');
+
+// Authorization: Bearer <access_token> 헤더에서 토큰 추출
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+}
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Supabase access token 검증
+// - SUPABASE_JWT_SECRET이 있으면 로컬에서 서명 검증 (네트워크 호출 없음)
+// - 없으면 Supabase Auth 서버에 토큰 확인 요청
+async function verifyAccessToken(token) {
+  const secret = config.supabase.jwtSecret;
+
+  if (secret) {
+    let payload;
+    try {
+      payload = jwt.verify(token, secret, { algorithms: ['HS256'], audience: 'authenticated' });
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        throw new AuthError('TOKEN_EXPIRED', "세션이 만료되었습니다. 다시 로그인해주세요.");
+      }
+      throw new AuthError('TOKEN_INVALID', "유효하지 않은 인증 토큰입니다.");
+    }
+    if (!payload.sub) throw new AuthError('TOKEN_INVALID', "유효하지 않은 인증 토큰입니다.");
+    return { id: payload.sub, email: payload.email || null };
+  }
+
+  const { data, error } = await db.supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    const expired = /expired/i.test(error?.message || '');
+    throw expired
+      ? new AuthError('TOKEN_EXPIRED', "세션이 만료되었습니다. 다시 로그인해주세요.")
+      : new AuthError('TOKEN_INVALID', "유효하지 않은 인증 토큰입니다.");
+  }
+  return { id: data.user.id, email: data.user.email || null };
+}
+
+async function authenticate(req, res, next, required) {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    if (!required) return next();
+    return res.status(401).json({ error: "로그인이 필요합니다.", code: 'AUTH_REQUIRED' });
+  }
+
+  try {
+    req.user = await verifyAccessToken(token);
+    next();
+  } catch (err) {
+    if (!(err instanceof AuthError)) {
+      console.error("Auth Verification Error:", err.message);
+      return res.status(401).json({ error: "유효하지 않은 인증 토큰입니다.", code: 'TOKEN_INVALID' });
+    }
+    res.status(401).json({ error: err.message, code: err.code });
+  }
+}
+
+// 로그인 필수 라우트용: 토큰이 없거나 유효하지 않으면 401
+function requireAuth(req, res, next) {
+  return authenticate(req, res, next, true);
+}
+
+// 비로그인 허용 라우트용: 토큰이 있으면 검증 후 req.user 설정, 없으면 통과
+// (위조/만료된 토큰은 로그인 필수 라우트와 동일하게 401)
+function optionalAuth(req, res, next) {
+  return authenticate(req, res, next, false);
+}
+
+// 서버에 저장된 역할 조회 (user_limits.tier - free / pro / admin)
+// 클라이언트가 보낸 값은 신뢰하지 않고 항상 Service Role 클라이언트로 DB에서 읽음
+async function getUserRole(userId) {
+  if (!userId) return null;
+  const { data, error } = await db.supabaseAdmin
+    .from('user_limits')
+    .select('tier')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.tier || 'free';
+}
+
+async function hasRole(userId, ...roles) {
+  const role = await getUserRole(userId);
+  return roles.includes(role);
+}
+
+// requireAuth 뒤에 사용: 지정한 역할이 아니면 403
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "로그인이 필요합니다.", code: 'AUTH_REQUIRED' });
+    }
+    try {
+      const role = await getUserRole(req.user.id);
+      if (!roles.includes(role)) {
+        return res.status(403).json({ error: "권한이 없습니다.", code: 'FORBIDDEN' });
+      }
+      req.user.role = role;
+      next();
+    } catch (err) {
+      console.error("Role Lookup Error:", err.message);
+      res.status(500).json({ error: "권한 확인 중 오류가 발생했습니다." });
+    }
+  };
+}
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireRole,
+  getUserRole,
+  hasRole,
+  verifyAccessToken,
+  extractBearerToken
+};
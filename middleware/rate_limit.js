@@ -0,0 +1,35 @@
+const { TtlLruCache } = require('../lib/cache');
+
+// 사용자별 요청 횟수 제한 (고정 구간) - 외부 API 비용이 드는 라우트용
+// 로그인 라우트는 사용자 id, 비로그인 라우트는 IP 기준
+// 서버 메모리에만 보관 (인스턴스가 여러 대면 인스턴스별 한도)
+
+const limiters = [];
+
+// name: 로그용 이름 / limit: 구간당 허용 횟수 (숫자 또는 함수 - 설정값을 매번 읽도록) / windowMs: 구간 길이
+function rateLimit({ name, limit, windowMs = 60 * 1000 }) {
+  const counters = new TtlLruCache({ name, maxEntries: 10000, ttlMs: windowMs });
+  limiters.push(counters);
+
+  return (req, res, next) => {
+    const key = req.user?.id || req.ip;
+    const now = Date.now();
+    const max = typeof limit === 'function' ? limit() : limit;
+
+    const counter = counters.get(key) || counters.set(key, { count: 0, resetAt: now + windowMs });
+    counter.count++;
+    if (counter.count > max) {
+      console.warn(`⚠️ Rate limited (${name}): ${key}`);
+      res.set('Retry-After', String(Math.max(1, Math.ceil((counter.resetAt - now) / 1000))));
+      return res.status(429).json({ error: "요청이 너무 많습니다. 잠시 후 다시 시도해주세요.", code: 'RATE_LIMITED' });
+    }
+    next();
+  };
+}
+
+// 모든 제한 초기화 (테스트용)
+function resetRateLimits() {
+  limiters.forEach(counters => counters.clear());
+}
+
+module.exports = { rateLimit, resetRateLimits };
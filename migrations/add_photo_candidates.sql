@@ -0,0 +1,6 @@
+-- =========================================
+-- 장소 사진 후보 (점수 순)
+-- photo_candidates: [{ url, variants, sourceUrl, score }] - 자체 저장소에 보관된 사진
+-- 첫 번째 후보 = photo_url, 나머지는 UI 로테이션 / 대표 사진이 깨졌을 때 재검색 없이 대체
+-- =========================================
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS photo_candidates JSONB NOT NULL DEFAULT '[]'::jsonb;
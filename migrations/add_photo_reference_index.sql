@@ -0,0 +1,6 @@
+-- =========================================
+-- Google 사진 프록시 참조 확인
+-- /api/proxy/google-photo는 places_cache에 저장된 photo_reference만 프록시 -> 요청마다 참조로 조회
+-- =========================================
+
+CREATE INDEX IF NOT EXISTS idx_places_cache_photo_reference ON places_cache(photo_reference);
@@ -0,0 +1,11 @@
+-- =========================================
+-- 장소 사진 자체 저장소 (IMAGE_STORE)
+-- photo_url: card 크기 URL (/api/images/places/{id}/card.webp)
+-- photo_variants: 크기별 URL { thumbnail, card, hero }
+-- =========================================
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS photo_variants JSONB;
+
+-- IMAGE_STORE=supabase 사용 시: public 버킷 생성 (IMAGE_STORE_BUCKET 기본값)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('place-images', 'place-images', true)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,29 @@
+-- =========================================
+-- 장소 정보 재검증 (평점 / 영업시간 / 폐업)
+-- places_cache는 한 번 저장되면 갱신되지 않았음 -> 매일 cron이 오래된/자주 쓰이는 장소를 다시 조회
+-- 폐업(CLOSED_PERMANENTLY)으로 확인된 장소가 들어 있는 일정은 표시해서 사용자가 교체할 수 있도록 함
+-- =========================================
+
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS last_verified_at TIMESTAMPTZ;
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS business_status TEXT;
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS closed_detected_at TIMESTAMPTZ;
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS opening_hours JSONB;
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS utc_offset_minutes INTEGER;
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS use_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ;
+
+-- 재검증 대상 조회용 (검증 안 된 장소 먼저)
+CREATE INDEX IF NOT EXISTS idx_places_cache_last_verified_at ON places_cache(last_verified_at ASC NULLS FIRST);
+
+COMMENT ON COLUMN places_cache.last_verified_at IS 'Google Place Details로 마지막 확인한 시각 (NULL = 저장 후 확인 안 됨)';
+COMMENT ON COLUMN places_cache.business_status IS 'Google businessStatus (OPERATIONAL / CLOSED_TEMPORARILY / CLOSED_PERMANENTLY)';
+COMMENT ON COLUMN places_cache.opening_hours IS 'Google regularOpeningHours (periods, weekdayDescriptions)';
+COMMENT ON COLUMN places_cache.use_count IS '일정 생성에 쓰인 횟수 (DB 캐시 조회 기준) - 자주 쓰이는 장소는 더 자주 재검증';
+
+-- 폐업한 장소가 들어 있는 일정 표시
+ALTER TABLE trip_plans ADD COLUMN IF NOT EXISTS closed_place_ids TEXT[] NOT NULL DEFAULT '{}';
+
+-- 일정 속 장소 검색 (itinerary_data @> '{"itinerary":[{"activities":[{"place_id":"..."}]}]}')
+CREATE INDEX IF NOT EXISTS idx_trip_plans_itinerary_data ON trip_plans USING gin(itinerary_data jsonb_path_ops);
+
+COMMENT ON COLUMN trip_plans.closed_place_ids IS '폐업으로 확인된 장소 place_id 목록 (교체 필요)';
@@ -0,0 +1,9 @@
+-- =========================================
+-- 장소 가격대 (Google Places priceLevel)
+-- 일정 예산 추정에서 식사 비용 범위를 정할 때 사용 (lib/budget.js)
+-- 재검증 cron이 다른 정보와 함께 갱신
+-- =========================================
+
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS price_level TEXT;
+
+COMMENT ON COLUMN places_cache.price_level IS 'Google priceLevel (PRICE_LEVEL_FREE / INEXPENSIVE / MODERATE / EXPENSIVE / VERY_EXPENSIVE)';
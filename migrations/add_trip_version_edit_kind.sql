@@ -0,0 +1,8 @@
+-- =========================================
+-- 부분 수정 버전 (POST /api/trip/:id/edit - 하루 또는 활동 1개만 고침)
+-- request 예: {"operation": "replace_activity", "day": 1, "index": 2} / {"operation": "insert_meal", "day": 2, "time": "12:30"}
+-- =========================================
+
+ALTER TABLE trip_versions DROP CONSTRAINT IF EXISTS trip_versions_kind_check;
+ALTER TABLE trip_versions ADD CONSTRAINT trip_versions_kind_check
+  CHECK (kind IN ('snapshot', 'generate', 'modify', 'fit_budget', 'optimize_day', 'edit', 'restore'));
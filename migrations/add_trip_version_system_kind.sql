@@ -0,0 +1,8 @@
+-- =========================================
+-- 서버 작업이 고친 일정 버전 (kind: system - 사용자 요청 없이 cron 등이 수정)
+-- request 예: {"author": "system", "reason": "place_closed", "place_id": "ChIJ..."} (폐업한 장소 표시)
+-- =========================================
+
+ALTER TABLE trip_versions DROP CONSTRAINT IF EXISTS trip_versions_kind_check;
+ALTER TABLE trip_versions ADD CONSTRAINT trip_versions_kind_check
+  CHECK (kind IN ('snapshot', 'generate', 'modify', 'fit_budget', 'optimize_day', 'edit', 'restore', 'system'));
@@ -0,0 +1,38 @@
+-- =========================================
+-- 관리자 역할 및 감사 로그
+-- 역할은 user_limits.tier에 저장 (free / pro / admin)
+-- =========================================
+
+-- tier 값 제한 (잘못된 등급 저장 방지)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_user_limits_tier'
+  ) THEN
+    ALTER TABLE user_limits
+    ADD CONSTRAINT chk_user_limits_tier CHECK (tier IN ('free', 'pro', 'admin'));
+  END IF;
+END $$;
+
+-- 관리자 작업 감사 로그
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  actor_id UUID NOT NULL,
+  actor_email TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT,
+  target_id TEXT,
+  changes JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor_id ON admin_audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at DESC);
+
+COMMENT ON TABLE admin_audit_log IS '관리자 작업 감사 로그';
+COMMENT ON COLUMN admin_audit_log.action IS '작업 종류 (예: user.tier.update, community.delete)';
+COMMENT ON COLUMN admin_audit_log.changes IS '변경 내용 (이전/이후 값 또는 삭제된 데이터)';
+
+-- 최초 관리자 지정 (user_id를 실제 값으로 바꿔서 실행)
+-- INSERT INTO user_limits (user_id, tier) VALUES ('<admin-user-uuid>', 'admin')
+-- ON CONFLICT (user_id) DO UPDATE SET tier = 'admin';
@@ -0,0 +1,18 @@
+-- =========================================
+-- 일자별 환율 저장본 (원화 기준)
+-- 서버가 그날 처음 환율이 필요할 때 환율 출처(CURRENCY_RATE_SOURCE)에서 받아 1행 저장, 같은 날은 재사용
+-- 출처 장애 시 가장 최근 행을 사용
+-- rates 예: {"KRW": 1, "USD": 1400, "JPY": 9.5, "VND": 0.055}  (외화 1단위당 원화)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  rate_date DATE NOT NULL,
+  source TEXT NOT NULL,
+  rates JSONB NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (rate_date, source)
+);
+
+COMMENT ON TABLE exchange_rates IS '일자별 환율 저장본 - 일정 비용의 현지 통화/원화 환산용';
+COMMENT ON COLUMN exchange_rates.source IS '환율 출처 (open_er_api / fixed)';
+COMMENT ON COLUMN exchange_rates.rates IS '통화 코드 -> 1단위당 원화';
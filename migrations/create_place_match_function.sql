@@ -0,0 +1,84 @@
+-- =========================================
+-- places_cache 장소 검색 함수 (trigram 유사도 + 도시/거리 제한)
+-- 기존: .or(`place_name.eq.${name},search_keywords.ilike.%${name}%`) - 문자열 조립이라
+--       쉼표/괄호가 들어간 이름에서 깨지고, "카페" 같은 짧은 이름이 아무 장소에나 걸림
+-- 검색어는 파라미터로만 전달 (필터 문자열 조립 X), 유사도 점수 순으로 후보 반환
+-- 필요: add_search_keywords.sql (pg_trgm + search_keywords GIN 인덱스)
+-- =========================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 장소명 유사도 검색용 인덱스
+CREATE INDEX IF NOT EXISTS idx_places_cache_name_trgm ON places_cache USING gin(place_name gin_trgm_ops);
+-- 장소명 정확히 일치(lower) 조건용 - 아래 WHERE의 세 조건이 모두 인덱스를 써야 BitmapOr로 합쳐짐
+-- (하나라도 인덱스가 없으면 places_cache 전체를 읽음)
+CREATE INDEX IF NOT EXISTS idx_places_cache_name_lower ON places_cache (lower(place_name));
+
+-- p_query: 장소명 (예: 감천문화마을)
+-- p_city: 도시명 - 주소(search_keywords)나 장소명에 포함된 장소만 (p_lat/p_lng 반경 안이면 통과)
+--         search_keywords가 없는 예전 행은 주소를 몰라 도시를 판단할 수 없으므로 통과 (반경 제한은 그대로 적용)
+-- p_lat / p_lng / p_radius_km: 기준 좌표가 있으면 반경 밖 장소 제외
+-- p_min_similarity: 최소 유사도 (0~1) / 3글자 미만 검색어는 정확히 일치하는 장소만
+-- 반환: place (places_cache 행), confidence (1 = 장소명 정확히 일치), distance_km
+CREATE OR REPLACE FUNCTION match_cached_place(
+  p_query TEXT,
+  p_city TEXT DEFAULT NULL,
+  p_lat DOUBLE PRECISION DEFAULT NULL,
+  p_lng DOUBLE PRECISION DEFAULT NULL,
+  p_radius_km DOUBLE PRECISION DEFAULT 50,
+  p_min_similarity REAL DEFAULT 0.45,
+  p_limit INTEGER DEFAULT 3
+)
+RETURNS TABLE (place JSONB, confidence REAL, distance_km DOUBLE PRECISION)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT lower(btrim(p_query)) AS text, lower(btrim(COALESCE(p_city, ''))) AS city
+  ),
+  scored AS (
+    SELECT
+      pc,
+      CASE
+        WHEN lower(pc.place_name) = q.text THEN 1.0::REAL
+        ELSE GREATEST(
+          similarity(pc.place_name, q.text),
+          COALESCE((
+            SELECT max(similarity(btrim(keyword), q.text))
+            FROM unnest(string_to_array(pc.search_keywords, '|')) AS keyword
+          ), 0)
+        )
+      END AS confidence,
+      CASE
+        WHEN p_lat IS NOT NULL AND p_lng IS NOT NULL
+          AND pc.location ? 'latitude' AND pc.location ? 'longitude' THEN
+          6371 * 2 * asin(sqrt(
+            power(sin(radians(((pc.location ->> 'latitude')::DOUBLE PRECISION - p_lat) / 2)), 2) +
+            cos(radians(p_lat)) * cos(radians((pc.location ->> 'latitude')::DOUBLE PRECISION)) *
+            power(sin(radians(((pc.location ->> 'longitude')::DOUBLE PRECISION - p_lng) / 2)), 2)
+          ))
+      END AS distance_km,
+      q.text AS query_text,
+      q.city AS city
+    FROM places_cache pc, q
+    -- 인덱스로 후보를 먼저 좁힘 (정확히 일치 / 장소명 유사 / 키워드 안에 비슷한 단어)
+    WHERE lower(pc.place_name) = q.text
+       OR pc.place_name % q.text
+       OR q.text <% pc.search_keywords
+  )
+  SELECT to_jsonb(s.pc) AS place, s.confidence, s.distance_km
+  FROM scored s
+  WHERE s.confidence >= p_min_similarity
+    AND (char_length(s.query_text) >= 3 OR s.confidence = 1)
+    AND (s.distance_km IS NULL OR s.distance_km <= p_radius_km)
+    AND (
+      s.city = ''
+      OR (s.pc).search_keywords IS NULL
+      OR strpos(lower((s.pc).search_keywords || '|' || (s.pc).place_name), s.city) > 0
+      OR s.distance_km IS NOT NULL
+    )
+  ORDER BY s.confidence DESC, s.distance_km ASC NULLS LAST
+  LIMIT GREATEST(p_limit, 1);
+$$;
+
+COMMENT ON FUNCTION match_cached_place IS 'places_cache 유사도 검색 (trigram) - 도시/반경 제한, 유사도 순';
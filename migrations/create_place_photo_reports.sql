@@ -0,0 +1,34 @@
+-- =========================================
+-- 장소 사진 신고 / 관리자 사진 고정
+-- 사용자가 틀리거나 깨진 사진을 신고 -> 관리자가 후보/업로드 사진으로 고정
+-- 고정된 사진(photo_pinned)은 자동 보정(장소 조회, 이미지 점검 cron, 마이그레이션 스크립트)에서 제외
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS place_photo_reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  place_id TEXT NOT NULL REFERENCES places_cache(place_id) ON DELETE CASCADE,
+  photo_url TEXT,
+  reason TEXT NOT NULL CHECK (reason IN ('wrong', 'broken', 'inappropriate')),
+  comment TEXT,
+  reporter_id UUID NOT NULL,
+  trip_id UUID,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  resolved_by UUID
+);
+
+CREATE INDEX IF NOT EXISTS idx_place_photo_reports_open ON place_photo_reports(place_id) WHERE status = 'open';
+-- 같은 사용자가 같은 장소를 중복 신고하지 않도록 (처리 대기 중인 신고 기준)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_place_photo_reports_open_reporter
+  ON place_photo_reports(place_id, reporter_id) WHERE status = 'open';
+
+COMMENT ON TABLE place_photo_reports IS '장소 사진 신고 (관리자 검토 대기열)';
+COMMENT ON COLUMN place_photo_reports.photo_url IS '신고 당시 사용자가 본 사진 URL';
+
+-- 관리자가 고정한 사진
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS photo_pinned BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS photo_pinned_at TIMESTAMPTZ;
+ALTER TABLE places_cache ADD COLUMN IF NOT EXISTS photo_pinned_by UUID;
+
+COMMENT ON COLUMN places_cache.photo_pinned IS '관리자가 고정한 사진 - 자동 교체 금지';
@@ -0,0 +1,144 @@
+-- =========================================
+-- 생성 한도(Quota) 원자적 처리 함수
+-- 서버(Service Role)에서만 호출 - 클라이언트 직접 호출 차단
+-- =========================================
+
+-- 광고 보상 중복 지급 방지용 거래 기록
+CREATE TABLE IF NOT EXISTS ad_reward_transactions (
+  transaction_id TEXT PRIMARY KEY,
+  user_id UUID NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ad_reward_transactions_user_id ON ad_reward_transactions(user_id);
+
+COMMENT ON TABLE ad_reward_transactions IS '검증된 광고 시청 보상 기록 (transaction_id 재사용 방지)';
+
+-- 1. 생성 1회분 예약
+-- p_tier_limits: 등급별 월간 한도 (예: {"free": 5, "pro": 30, "admin": null}, null = 무제한)
+-- 월간 한도가 남아 있으면 usage_count, 다 썼으면 ad_credits에서 차감
+CREATE OR REPLACE FUNCTION reserve_trip_quota(p_user_id UUID, p_tier_limits JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  r user_limits%ROWTYPE;
+  v_limit INTEGER;
+BEGIN
+  INSERT INTO user_limits (user_id, tier, usage_count)
+  VALUES (p_user_id, 'free', 0)
+  ON CONFLICT (user_id) DO NOTHING;
+
+  -- 동시 요청 직렬화 (행 잠금)
+  SELECT * INTO r FROM user_limits WHERE user_id = p_user_id FOR UPDATE;
+
+  -- 월별 초기화
+  IF r.last_reset_date IS NULL OR date_trunc('month', r.last_reset_date) < date_trunc('month', NOW()) THEN
+    UPDATE user_limits SET usage_count = 0, last_reset_date = NOW()
+    WHERE user_id = p_user_id
+    RETURNING * INTO r;
+  END IF;
+
+  IF p_tier_limits ? r.tier THEN
+    v_limit := (p_tier_limits ->> r.tier)::INTEGER;
+  ELSE
+    v_limit := 3;
+  END IF;
+
+  IF v_limit IS NULL OR COALESCE(r.usage_count, 0) < v_limit THEN
+    UPDATE user_limits SET usage_count = COALESCE(usage_count, 0) + 1
+    WHERE user_id = p_user_id
+    RETURNING * INTO r;
+
+    RETURN jsonb_build_object(
+      'reserved', true, 'source', 'monthly', 'tier', r.tier, 'limit', v_limit,
+      'usage_count', r.usage_count, 'ad_credits', COALESCE(r.ad_credits, 0)
+    );
+  END IF;
+
+  IF COALESCE(r.ad_credits, 0) > 0 THEN
+    UPDATE user_limits SET ad_credits = ad_credits - 1
+    WHERE user_id = p_user_id
+    RETURNING * INTO r;
+
+    RETURN jsonb_build_object(
+      'reserved', true, 'source', 'ad_credit', 'tier', r.tier, 'limit', v_limit,
+      'usage_count', r.usage_count, 'ad_credits', r.ad_credits
+    );
+  END IF;
+
+  RETURN jsonb_build_object(
+    'reserved', false, 'source', NULL, 'tier', r.tier, 'limit', v_limit,
+    'usage_count', r.usage_count, 'ad_credits', COALESCE(r.ad_credits, 0)
+  );
+END;
+$$;
+
+-- 2. 생성 실패 시 예약분 환불
+CREATE OR REPLACE FUNCTION refund_trip_quota(p_user_id UUID, p_source TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF p_source = 'monthly' THEN
+    UPDATE user_limits SET usage_count = GREATEST(COALESCE(usage_count, 0) - 1, 0)
+    WHERE user_id = p_user_id;
+  ELSIF p_source = 'ad_credit' THEN
+    UPDATE user_limits SET ad_credits = COALESCE(ad_credits, 0) + 1
+    WHERE user_id = p_user_id;
+  END IF;
+END;
+$$;
+
+-- 3. 검증된 광고 시청 1회당 크레딧 1개 지급 (하루 p_daily_cap회까지)
+CREATE OR REPLACE FUNCTION grant_ad_credit(p_user_id UUID, p_transaction_id TEXT, p_daily_cap INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  r user_limits%ROWTYPE;
+BEGIN
+  INSERT INTO user_limits (user_id, tier, usage_count)
+  VALUES (p_user_id, 'free', 0)
+  ON CONFLICT (user_id) DO NOTHING;
+
+  SELECT * INTO r FROM user_limits WHERE user_id = p_user_id FOR UPDATE;
+
+  -- 날짜가 바뀌었으면 일일 시청 횟수 초기화
+  IF r.last_ad_watch_date IS NULL OR r.last_ad_watch_date::DATE < CURRENT_DATE THEN
+    r.daily_ad_count := 0;
+  END IF;
+
+  IF COALESCE(r.daily_ad_count, 0) >= p_daily_cap THEN
+    RETURN jsonb_build_object(
+      'granted', false, 'reason', 'daily_cap',
+      'ad_credits', COALESCE(r.ad_credits, 0), 'daily_ad_count', r.daily_ad_count
+    );
+  END IF;
+
+  BEGIN
+    INSERT INTO ad_reward_transactions (transaction_id, user_id) VALUES (p_transaction_id, p_user_id);
+  EXCEPTION WHEN unique_violation THEN
+    RETURN jsonb_build_object(
+      'granted', false, 'reason', 'duplicate',
+      'ad_credits', COALESCE(r.ad_credits, 0), 'daily_ad_count', COALESCE(r.daily_ad_count, 0)
+    );
+  END;
+
+  UPDATE user_limits
+  SET ad_credits = COALESCE(ad_credits, 0) + 1,
+      daily_ad_count = COALESCE(r.daily_ad_count, 0) + 1,
+      last_ad_watch_date = NOW()
+  WHERE user_id = p_user_id
+  RETURNING * INTO r;
+
+  RETURN jsonb_build_object(
+    'granted', true, 'reason', NULL,
+    'ad_credits', r.ad_credits, 'daily_ad_count', r.daily_ad_count
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION reserve_trip_quota(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refund_trip_quota(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION grant_ad_credit(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,25 @@
+-- =========================================
+-- 경로 계산 결과 캐시 (Google Directions / Distance Matrix)
+-- 같은 구간을 누를 때마다 Google을 호출하지 않도록 출발/도착 place_id + 이동수단 + 시간대별로 보관
+-- 서버는 ROUTE_CACHE_DAYS(기본 30일)보다 오래된 행은 무시하고 다시 조회해서 덮어씀
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS routes_cache (
+  origin_place_id TEXT NOT NULL,
+  destination_place_id TEXT NOT NULL,
+  mode TEXT NOT NULL CHECK (mode IN ('transit', 'driving', 'walking')),
+  time_bucket TEXT NOT NULL DEFAULT 'any' CHECK (time_bucket IN ('any', 'morning', 'daytime', 'evening', 'night')),
+  duration_seconds INTEGER NOT NULL,
+  distance_meters INTEGER NOT NULL,
+  duration_text TEXT,
+  distance_text TEXT,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (origin_place_id, destination_place_id, mode, time_bucket)
+);
+
+-- 오래된 경로 정리용
+CREATE INDEX IF NOT EXISTS idx_routes_cache_fetched_at ON routes_cache(fetched_at);
+
+COMMENT ON TABLE routes_cache IS '장소 간 경로 계산 결과 캐시 - Google Directions/Distance Matrix 비용 절감용';
+COMMENT ON COLUMN routes_cache.time_bucket IS '출발 시간대 (any = 시간 구분 없음, 도보는 항상 any)';
+COMMENT ON COLUMN routes_cache.duration_text IS 'Google이 준 소요 시간 문자열 (예: 15분)';
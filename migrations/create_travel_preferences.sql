@@ -0,0 +1,15 @@
+-- =========================================
+-- 여행 취향 프로필 (사용자당 1행)
+-- 일정 생성 요청마다 기본값으로 쓰이고, 요청 본문의 preferences가 항목별로 덮어씀
+-- preferences 예: {"pace": "relaxed", "interests": ["카페"], "dietary": ["vegetarian"], "mobility": ["stroller"],
+--                  "companions": "kids", "wakeTime": "08:00", "sleepTime": "21:00"}
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS travel_preferences (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  preferences JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE travel_preferences IS '사용자별 여행 취향 프로필 (일정 강도, 관심사, 식단, 이동 약자, 동행, 기상/취침 시간)';
+COMMENT ON COLUMN travel_preferences.preferences IS '서버에서 검증/정리한 취향 JSON (lib/preferences.js)';
@@ -0,0 +1,27 @@
+-- =========================================
+-- 일정 버전 기록 (생성/수정/동선 최적화/복원마다 1행 - 한 번 저장한 버전은 바꾸지 않음)
+-- trip_plans.itinerary_data는 현재 버전의 사본, current_version은 그 버전 번호
+-- 잘못된 수정은 이전 버전을 복원(새 버전으로 기록)해서 되돌림
+-- request 예: {"userRequest": "점심 대신 절에 가고 싶어"} / {"fitBudget": "30만원"} / {"day": 2} / {"version": 1}
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS trip_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trip_id UUID NOT NULL REFERENCES trip_plans(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  version INTEGER NOT NULL CHECK (version > 0),
+  kind TEXT NOT NULL CHECK (kind IN ('snapshot', 'generate', 'modify', 'fit_budget', 'optimize_day', 'restore')),
+  request JSONB,
+  itinerary_data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (trip_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_versions_user_id ON trip_versions(user_id);
+
+ALTER TABLE trip_plans ADD COLUMN IF NOT EXISTS current_version INTEGER;
+
+COMMENT ON TABLE trip_versions IS '여행 일정 버전 기록 (변경 이력/비교/복원용)';
+COMMENT ON COLUMN trip_versions.kind IS 'snapshot = 버전 기록 도입 전에 저장된 일정, restore = request.version을 복원';
+COMMENT ON COLUMN trip_versions.request IS '이 버전을 만든 사용자 요청';
+COMMENT ON COLUMN trip_plans.current_version IS '현재 일정의 trip_versions.version (NULL = 버전 기록 전 일정)';
@@ -0,0 +1,230 @@
+const express = require('express');
+const db = require('../lib/supabase');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { recordAdminAction } = require('../lib/audit');
+const { TIER_LIMITS } = require('../lib/quota');
+const { getCacheStats } = require('../lib/cache');
+const { listReportedPlaces, pinPlacePhoto, unpinPlacePhoto, dismissPhotoReports } = require('../services/photo_reports');
+
+// 관리자 전용 API (모든 라우트 requireAuth + requireRole('admin'))
+const router = express.Router();
+
+// Helper function for delay
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- [API 10] 관리자 페이지 ---
+router.get('/admin/users', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { data, error } = await db.supabaseAdmin
+      .from('user_limits')
+      .select('user_id, tier, usage_count')
+      .order('usage_count', { ascending: false });
+
+    if (error) throw error;
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/admin/user/tier', requireAuth, requireRole('admin'), async (req, res) => {
+  const { target_user_id, new_tier } = req.body;
+
+  if (!target_user_id || !new_tier) {
+    return res.status(400).json({ error: "필수 정보가 누락되었습니다" });
+  }
+  if (!Object.prototype.hasOwnProperty.call(TIER_LIMITS, new_tier)) {
+    return res.status(400).json({ error: "존재하지 않는 등급입니다" });
+  }
+
+  try {
+    const { data: before } = await db.supabaseAdmin
+      .from('user_limits')
+      .select('tier')
+      .eq('user_id', target_user_id)
+      .maybeSingle();
+
+    if (!before) return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+
+    const { error } = await db.supabaseAdmin
+      .from('user_limits')
+      .update({ tier: new_tier })
+      .eq('user_id', target_user_id);
+
+    if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: 'user.tier.update',
+      targetType: 'user_limits',
+      targetId: target_user_id,
+      changes: { tier: { from: before.tier, to: new_tier } }
+    });
+    res.status(200).json({ success: true, message: "등급이 변경되었습니다" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 10.1] 관리자 감사 로그 조회 ---
+router.get('/admin/audit-log', requireAuth, requireRole('admin'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  try {
+    const { data, error } = await db.supabaseAdmin
+      .from('admin_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 10.15] 인메모리 캐시 통계 (크기, 적중률, 제거 횟수) ---
+router.get('/admin/cache-stats', requireAuth, requireRole('admin'), async (req, res) => {
+  res.status(200).json({ success: true, data: getCacheStats() });
+});
+
+// --- [API 10.2] 장소 사진 신고 검토 대기열 (신고 수 많은 순, 후보 사진 포함) ---
+router.get('/admin/photo-reports', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const data = await listReportedPlaces();
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 10.3] 장소 사진 고정 (후보 URL / 외부 URL / 업로드) ---
+// body: { candidate_url } | { source_url } | { image_base64 }
+router.put('/admin/places/:placeId/photo', requireAuth, requireRole('admin'), async (req, res) => {
+  const { placeId } = req.params;
+  const { candidate_url, source_url, image_base64 } = req.body;
+
+  try {
+    const { place, previousPhotoUrl, resolvedReports } = await pinPlacePhoto(placeId, req.user.id, {
+      candidateUrl: candidate_url,
+      sourceUrl: source_url,
+      imageBase64: image_base64
+    });
+
+    await recordAdminAction(req, {
+      action: 'place.photo.pin',
+      targetType: 'places_cache',
+      targetId: placeId,
+      changes: {
+        photo_url: { from: previousPhotoUrl, to: place.photo_url },
+        source: candidate_url ? 'candidate' : source_url ? 'url' : 'upload',
+        resolvedReports
+      }
+    });
+    res.status(200).json({ success: true, data: place, resolvedReports });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 10.4] 장소 사진 고정 해제 (사진은 유지, 자동 보정 대상으로 복귀) ---
+router.delete('/admin/places/:placeId/photo-pin', requireAuth, requireRole('admin'), async (req, res) => {
+  const { placeId } = req.params;
+
+  try {
+    const place = await unpinPlacePhoto(placeId);
+    await recordAdminAction(req, {
+      action: 'place.photo.unpin',
+      targetType: 'places_cache',
+      targetId: placeId,
+      changes: { photo_pinned: { from: true, to: false } }
+    });
+    res.status(200).json({ success: true, data: place });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 10.45] 장소 사진 신고 기각 (사진 변경 없음) ---
+router.post('/admin/places/:placeId/photo-reports/dismiss', requireAuth, requireRole('admin'), async (req, res) => {
+  const { placeId } = req.params;
+
+  try {
+    const dismissed = await dismissPhotoReports(placeId, req.user.id);
+    await recordAdminAction(req, {
+      action: 'place.photo.reports.dismiss',
+      targetType: 'places_cache',
+      targetId: placeId,
+      changes: { dismissed }
+    });
+    res.status(200).json({ success: true, dismissed });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 10.5] 표지 사진 일괄 업데이트 (Admin) ---
+router.post('/admin/update-covers', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    console.log("🔄 Starting Batch Cover Image Update...");
+
+    // 1. 모든 여행 일정 가져오기
+    const { data: trips, error } = await db.supabaseAdmin
+      .from('trip_plans')
+      .select('id, destination, itinerary_data')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    let updatedCount = 0;
+    const results = [];
+
+    // 2. 순차적으로 업데이트 (Rate Limit 방지)
+    for (const trip of trips) {
+      const { id, destination, itinerary_data } = trip;
+
+      // 이미 좋은 이미지가 있는지 확인 (선택 사항: 강제 업데이트 플래그 추가 가능)
+      // 여기서는 무조건 업데이트하거나, 특정 조건(예: unsplash)일 때만 업데이트하도록 설정 가능
+      // 현재는 "기존 이미지 갱신" 요청이므로 모든 항목에 대해 시도합니다.
+
+      // Text-Based Cover Image Update -> SWITCHED TO "Null" for Dynamic Fetch
+      // Old: const koreanRegion = await getKoreanRegionName(destination);
+      // Old: const newImage = `${SERVER_BASE_URL}/api/text-cover?text=${encodeURIComponent(koreanRegion)}`;
+
+      const newImage = null; // Let frontend fetch dynamically via getTripCoverImage
+      console.log(`🖼️ Updating Trip ${id} (${destination}) -> NULL (Dynamic Fetch Enabled)`);
+
+      // JSON 데이터 업데이트
+      itinerary_data.cover_image = newImage;
+
+      // DB 저장
+      await db.supabaseAdmin
+        .from('trip_plans')
+        .update({ itinerary_data: itinerary_data })
+        .eq('id', id);
+
+      updatedCount++;
+      results.push({ id, destination, status: "updated", image: newImage });
+
+      // 딜레이 (0.1초 - 텍스트 생성은 빠르므로 짧게)
+      await delay(100);
+    }
+
+    console.log(`✅ Batch Update Completed. Updated: ${updatedCount}/${trips.length}`);
+    await recordAdminAction(req, {
+      action: 'trips.covers.reset',
+      targetType: 'trip_plans',
+      changes: { cover_image: { to: null }, updatedCount }
+    });
+    res.status(200).json({ success: true, updatedCount, total: trips.length, results });
+
+  } catch (error) {
+    console.error("Batch Update Error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
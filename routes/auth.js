@@ -0,0 +1,184 @@
+const express = require('express');
+const { supabase, supabaseAdmin } = require('../lib/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { validatePreferences, normalizePreferences, loadPreferences, savePreferences } = require('../lib/preferences');
+
+// 회원 탈퇴 / 재가입 제한 / 닉네임 프로필 / 여행 취향 프로필
+const router = express.Router();
+
+// --- [API 4] 회원 탈퇴 ---
+router.delete('/auth/delete', requireAuth, async (req, res) => {
+  const { id: user_id, email } = req.user;
+
+  try {
+    if (email) {
+      await supabase.from('deleted_users').insert([{ email: email }]);
+    }
+
+    // 여행 일정은 버전 기록까지 삭제
+    await supabase.from('trip_versions').delete().eq('user_id', user_id);
+    await supabase.from('trip_plans').delete().eq('user_id', user_id);
+    await supabase.from('user_limits').delete().eq('user_id', user_id);
+    await supabase.from('travel_preferences').delete().eq('user_id', user_id);
+
+    // 건의사항/커뮤니티 글은 삭제하지 않고 "탈퇴한 사용자"로 표시
+    await supabase.from('suggestions')
+      .update({ user_id: null, email: '탈퇴한 사용자' })
+      .eq('user_id', user_id);
+
+    await supabase.from('community')
+      .update({ user_id: null, nickname: '탈퇴한 사용자', email: '탈퇴한 사용자' })
+      .eq('user_id', user_id);
+
+    const { error: deleteError } = await supabaseAdmin.auth.admin.deleteUser(user_id);
+    if (deleteError) throw deleteError;
+
+    res.status(200).json({ success: true, message: "회원 탈퇴 완료" });
+  } catch (error) {
+    console.error("Delete account error:", error);
+    res.status(500).json({ error: "탈퇴 처리 중 오류" });
+  }
+});
+
+// --- [API] 탈퇴 이메일 재가입 가능 여부 확인 ---
+router.post('/auth/check-deleted', async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: "이메일 필요" });
+
+  try {
+    const { data: deletedUser } = await supabase
+      .from('deleted_users')
+      .select('*')
+      .eq('email', email)
+      .order('deleted_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (deletedUser) {
+      const deletedAt = new Date(deletedUser.deleted_at);
+      const now = new Date();
+      const daysSinceDelete = Math.floor((now - deletedAt) / (1000 * 60 * 60 * 24));
+      const remainingDays = 30 - daysSinceDelete;
+
+      if (remainingDays > 0) {
+        return res.status(200).json({
+          blocked: true,
+          remainingDays: remainingDays,
+          message: `탈퇴 후 30일이 지나지 않았습니다. ${remainingDays}일 후에 재가입이 가능합니다.`
+        });
+      }
+    }
+
+    res.status(200).json({ blocked: false });
+  } catch (error) {
+    // 데이터가 없는 경우 (차단 아님)
+    res.status(200).json({ blocked: false });
+  }
+});
+
+// --- [API 9.7] 닉네임 조회/저장 ---
+router.get('/user/profile', requireAuth, async (req, res) => {
+  const user_id = req.user.id;
+
+  try {
+    const { data } = await supabase
+      .from('user_profiles')
+      .select('*')
+      .eq('user_id', user_id)
+      .single();
+
+    res.status(200).json({ success: true, data: data || null });
+  } catch (error) {
+    res.status(200).json({ success: true, data: null });
+  }
+});
+
+router.put('/user/profile', requireAuth, async (req, res) => {
+  const { nickname: rawNickname } = req.body;
+  const user_id = req.user.id;
+
+  // 공백 제거 및 검증
+  const nickname = rawNickname?.trim();
+  if (!nickname || nickname.length < 2 || nickname.length > 12) {
+    return res.status(400).json({ error: "닉네임은 2~12자로 입력해주세요" });
+  }
+
+  try {
+    // 1. 중복 체크 (본인 제외) - maybeSingle 사용으로 에러 방지
+    const { data: existing } = await supabase
+      .from('user_profiles')
+      .select('user_id')
+      .eq('nickname', nickname)
+      .neq('user_id', user_id)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(400).json({ error: "이미 사용 중인 닉네임입니다" });
+    }
+
+    // 2. user_profiles 테이블 upsert
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .upsert({
+        user_id,
+        nickname,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select();
+
+    if (error) throw error;
+
+    // 3. 기존 게시글 닉네임도 업데이트 (익명이 아닌 글만)
+    const { error: communityError } = await supabase
+      .from('community')
+      .update({ nickname })
+      .eq('user_id', user_id)
+      .eq('is_anonymous', false);
+
+    if (communityError) console.error("Community update error:", communityError);
+
+    // 4. 기존 댓글 닉네임도 업데이트 (익명이 아닌 댓글만)
+    const { error: commentsError } = await supabase
+      .from('community_comments')
+      .update({ nickname })
+      .eq('user_id', user_id)
+      .eq('is_anonymous', false);
+
+    if (commentsError) console.error("Comments update error:", commentsError);
+
+    console.log(`✅ Nickname updated for user ${user_id}: ${nickname}`);
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error("Profile update error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 9.8] 여행 취향 프로필 조회/저장 ---
+// { pace, interests, dietary, mobility, companions, wakeTime, sleepTime } - 일정 생성 때마다 기본값으로 사용
+router.get('/user/preferences', requireAuth, async (req, res) => {
+  try {
+    const preferences = await loadPreferences(req.user.id);
+    res.status(200).json({ success: true, data: preferences });
+  } catch (error) {
+    console.error("Preferences fetch error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 저장된 취향 전체를 본문으로 교체
+router.put('/user/preferences', requireAuth, async (req, res) => {
+  const validationError = validatePreferences(req.body);
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  try {
+    const preferences = normalizePreferences(req.body);
+    await savePreferences(req.user.id, preferences);
+    res.status(200).json({ success: true, data: preferences });
+  } catch (error) {
+    console.error("Preferences update error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
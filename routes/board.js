@@ -0,0 +1,70 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { requireAuth, optionalAuth, hasRole } = require('../middleware/auth');
+const { recordAdminAction } = require('../lib/audit');
+
+// 건의사항 게시판
+const router = express.Router();
+
+// --- [API 5] 건의사항 게시판 ---
+router.get('/board', async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('suggestions').select('*').order('created_at', { ascending: false });
+    if (error) throw error;
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/board', optionalAuth, async (req, res) => {
+  const { content } = req.body;
+  if (!content) return res.status(400).json({ error: "내용 부족" });
+
+  try {
+    const { data, error } = await supabase.from('suggestions').insert([{
+      user_id: req.user?.id || null,
+      email: req.user?.email || '익명',
+      content
+    }]).select();
+    if (error) throw error;
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 11] 건의사항 삭제 ---
+router.delete('/board/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const user_id = req.user.id;
+
+  try {
+    const { data: suggestion } = await supabase
+      .from('suggestions')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (!suggestion) return res.status(404).json({ error: "건의사항을 찾을 수 없습니다" });
+
+    const isOwner = suggestion.user_id === user_id;
+    const isAdmin = !isOwner && await hasRole(user_id, 'admin');
+
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ error: "삭제 권한이 없습니다" });
+    }
+
+    const { error } = await supabase.from('suggestions').delete().eq('id', id);
+    if (error) throw error;
+
+    if (isAdmin) {
+      await recordAdminAction(req, { action: 'board.delete', targetType: 'suggestions', targetId: id, changes: { deleted: suggestion } });
+    }
+    res.status(200).json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
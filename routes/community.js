@@ -0,0 +1,287 @@
+const express = require('express');
+const { supabase, supabaseAdmin } = require('../lib/supabase');
+const { requireAuth, optionalAuth, hasRole } = require('../middleware/auth');
+const { recordAdminAction } = require('../lib/audit');
+
+// 커뮤니티 게시글 / 좋아요 / 댓글
+const router = express.Router();
+
+// --- [API 9] 커뮤니티 게시판 ---
+router.get('/community', optionalAuth, async (req, res) => {
+  try {
+    const { sort, period } = req.query;
+    const user_id = req.user?.id;
+
+    // 기간 필터 계산
+    let dateFilter = null;
+    if (period === 'day') {
+      dateFilter = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    } else if (period === 'week') {
+      dateFilter = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    } else if (period === 'month') {
+      dateFilter = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    // 게시글 조회
+    let query = supabase.from('community').select('*');
+
+    if (dateFilter) {
+      query = query.gte('created_at', dateFilter);
+    }
+
+    query = query.order('created_at', { ascending: false });
+
+    const { data: posts, error } = await query;
+    if (error) throw error;
+
+    // 각 게시글에 좋아요 수 추가
+    const { data: allLikes } = await supabase
+      .from('community_likes')
+      .select('post_id, user_id');
+
+    // 게시글별 사용자 정보 동적 조회 (닉네임, 프로필 사진)
+    const postsWithUserInfo = await Promise.all(posts.map(async (post) => {
+      const postLikes = allLikes?.filter(like => like.post_id == post.id) || [];
+
+      let displayNickname = post.nickname;
+      let avatarUrl = null;
+
+      // 익명이 아니고 user_id가 있는 경우 최신 사용자 정보 조회
+      if (!post.is_anonymous && post.user_id) {
+        try {
+          const { data: userData } = await supabaseAdmin.auth.admin.getUserById(post.user_id);
+          if (userData?.user?.user_metadata) {
+            const meta = userData.user.user_metadata;
+            displayNickname = meta.nickname || post.nickname;
+            avatarUrl = meta.custom_avatar_url || meta.avatar_url || null;
+          }
+        } catch (userErr) {
+          // 사용자 정보 조회 실패 시 기존 닉네임 사용
+          console.error(`Failed to fetch user info for ${post.user_id}:`, userErr.message);
+        }
+      }
+
+      return {
+        ...post,
+        nickname: displayNickname,
+        avatar_url: avatarUrl,
+        likes_count: postLikes.length,
+        user_liked: user_id ? postLikes.some(like => like.user_id === user_id) : false
+      };
+    }));
+
+    // 인기순 정렬
+    if (sort === 'popular') {
+      postsWithUserInfo.sort((a, b) => b.likes_count - a.likes_count);
+    }
+
+    res.status(200).json({ success: true, data: postsWithUserInfo });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/community', optionalAuth, async (req, res) => {
+  const { nickname, content, is_anonymous } = req.body;
+  if (!content) return res.status(400).json({ error: "내용이 필요합니다" });
+
+  try {
+    const { data, error } = await supabase.from('community').insert([{
+      user_id: req.user?.id || null,
+      email: req.user?.email || '익명',
+      nickname: nickname || '익명',
+      content,
+      is_anonymous: is_anonymous || false
+    }]).select();
+    if (error) throw error;
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/community/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const user_id = req.user.id;
+
+  try {
+    const { data: post } = await supabase
+      .from('community')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (!post) return res.status(404).json({ error: "게시글을 찾을 수 없습니다" });
+
+    const isOwner = post.user_id === user_id;
+    const isAdmin = !isOwner && await hasRole(user_id, 'admin');
+
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ error: "삭제 권한이 없습니다" });
+    }
+
+    const { error } = await supabase.from('community').delete().eq('id', id);
+    if (error) throw error;
+
+    if (isAdmin) {
+      await recordAdminAction(req, { action: 'community.delete', targetType: 'community', targetId: id, changes: { deleted: post } });
+    }
+    res.status(200).json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 9.1] 좋아요 토글 ---
+router.post('/community/:id/like', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const user_id = req.user.id;
+
+  try {
+    // 기존 좋아요 확인
+    const { data: existing } = await supabase
+      .from('community_likes')
+      .select('*')
+      .eq('post_id', id)
+      .eq('user_id', user_id)
+      .single();
+
+    if (existing) {
+      // 좋아요 취소
+      await supabase.from('community_likes').delete().eq('id', existing.id);
+      res.status(200).json({ success: true, liked: false });
+    } else {
+      // 좋아요 추가
+      await supabase.from('community_likes').insert([{ post_id: id, user_id }]);
+      res.status(200).json({ success: true, liked: true });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 9.2] 게시글 좋아요 수 및 상태 조회 ---
+router.get('/community/:id/likes', optionalAuth, async (req, res) => {
+  const { id } = req.params;
+  const user_id = req.user?.id;
+
+  try {
+    const { data: likes, count } = await supabase
+      .from('community_likes')
+      .select('*', { count: 'exact' })
+      .eq('post_id', id);
+
+    let userLiked = false;
+    if (user_id) {
+      userLiked = likes?.some(like => like.user_id === user_id) || false;
+    }
+
+    res.status(200).json({ success: true, count: count || 0, userLiked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 9.3] 댓글 목록 조회 ---
+router.get('/community/:id/comments', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data: comments, error } = await supabase
+      .from('community_comments')
+      .select('*')
+      .eq('post_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    // 댓글별 사용자 정보 동적 조회 (닉네임, 프로필 사진)
+    const commentsWithUserInfo = await Promise.all(comments.map(async (comment) => {
+      let displayNickname = comment.nickname;
+      let avatarUrl = null;
+
+      // 익명이 아니고 user_id가 있는 경우 최신 사용자 정보 조회
+      if (!comment.is_anonymous && comment.user_id) {
+        try {
+          const { data: userData } = await supabaseAdmin.auth.admin.getUserById(comment.user_id);
+          if (userData?.user?.user_metadata) {
+            const meta = userData.user.user_metadata;
+            displayNickname = meta.nickname || comment.nickname;
+            avatarUrl = meta.custom_avatar_url || meta.avatar_url || null;
+          }
+        } catch (userErr) {
+          console.error(`Failed to fetch user info for ${comment.user_id}:`, userErr.message);
+        }
+      }
+
+      return {
+        ...comment,
+        nickname: displayNickname,
+        avatar_url: avatarUrl
+      };
+    }));
+
+    res.status(200).json({ success: true, data: commentsWithUserInfo });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 9.4] 댓글 작성 ---
+router.post('/community/:id/comments', optionalAuth, async (req, res) => {
+  const { id } = req.params;
+  const { nickname, content, is_anonymous } = req.body;
+  const user_id = req.user?.id;
+
+  if (!content) return res.status(400).json({ error: "내용이 필요합니다" });
+
+  try {
+    const { data, error } = await supabase.from('community_comments').insert([{
+      post_id: id,
+      user_id: user_id || null,
+      nickname: is_anonymous ? '익명' : (nickname || '익명'),
+      content,
+      is_anonymous: is_anonymous || false
+    }]).select();
+
+    if (error) throw error;
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 9.5] 댓글 삭제 ---
+router.delete('/community/comments/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const user_id = req.user.id;
+
+  try {
+    const { data: comment } = await supabase
+      .from('community_comments')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (!comment) return res.status(404).json({ error: "댓글을 찾을 수 없습니다" });
+
+    const isOwner = comment.user_id === user_id;
+    const isAdmin = !isOwner && await hasRole(user_id, 'admin');
+
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ error: "삭제 권한이 없습니다" });
+    }
+
+    const { error } = await supabase.from('community_comments').delete().eq('id', id);
+    if (error) throw error;
+
+    if (isAdmin) {
+      await recordAdminAction(req, { action: 'community_comment.delete', targetType: 'community_comments', targetId: id, changes: { deleted: comment } });
+    }
+    res.status(200).json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
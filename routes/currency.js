@@ -0,0 +1,40 @@
+const express = require('express');
+const { getExchangeRates, convertAmount, currencyForDestination } = require('../services/currency');
+
+// 통화 변환 (예산/비용 표시용 - 오늘 환율)
+const router = express.Router();
+
+// --- [API 12] 통화 변환 ---
+// query: amount, from (통화 코드 - 없으면 destination의 현지 통화), to (기본 KRW)
+// 예: /api/currency/convert?amount=3000&destination=도쿄 -> JPY 3000을 원화로
+router.get('/currency/convert', async (req, res) => {
+  const { amount, destination } = req.query;
+  const value = Number(amount);
+  const from = (req.query.from ? String(req.query.from) : currencyForDestination(destination) || '').toUpperCase();
+  const to = String(req.query.to || 'KRW').toUpperCase();
+
+  if (amount === undefined || amount === '' || !Number.isFinite(value) || value < 0) {
+    return res.status(400).json({ success: false, error: "변환할 금액(amount)이 필요합니다." });
+  }
+  if (!from) {
+    return res.status(400).json({ success: false, error: "변환할 통화(from) 또는 여행지(destination)가 필요합니다." });
+  }
+
+  try {
+    const { date, source, rates } = await getExchangeRates();
+    const converted = convertAmount(value, from, to, rates);
+    if (converted === null) {
+      return res.status(400).json({ success: false, error: `지원하지 않는 통화입니다. (${rates[from] ? to : from})` });
+    }
+
+    res.json({
+      success: true,
+      data: { amount: value, from, to, converted, rate: Number((rates[from] / rates[to]).toPrecision(5)), date, source }
+    });
+  } catch (error) {
+    console.error("Currency Convert Error:", error.message);
+    res.status(500).json({ success: false, error: "환율 정보를 불러오지 못했습니다." });
+  }
+});
+
+module.exports = router;
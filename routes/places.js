@@ -0,0 +1,182 @@
+const express = require('express');
+const { FALLBACK_IMAGE_URL } = require('../services/images');
+const { getImageStore, objectPathFromUrl } = require('../services/image_store');
+const { autocompleteRegions, getPlaceImage } = require('../services/places');
+const { MAX_BATCH_LEGS, calculateRoutes, getRouteByMode } = require('../services/routing');
+const { PHOTO_CACHE_TTL_MS, parsePhotoSize, getGooglePhoto } = require('../services/google_photos');
+const { reportPlacePhoto } = require('../services/photo_reports');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate_limit');
+const { config } = require('../lib/config');
+
+// 장소 이미지 / 사진 신고 / 지역 자동완성 / 경로 계산
+const router = express.Router();
+
+// --- [API 3.5] 장소 이미지 프록시 (New) ---
+// variant: thumbnail / card (기본) / hero
+// places_cache에 있는 장소만 사진을 찾아 저장 (그 외 검색어는 기본 이미지) + IP별 분당 요청 제한
+const limitPlaceImages = rateLimit({ name: 'place-image', limit: () => config.rateLimit.placeImagesPerMinute });
+router.get('/place-image', limitPlaceImages, async (req, res) => {
+  const { query, variant } = req.query;
+  // ✨ [Fix] Prevent browser caching of redirects (especially fallbacks) so retries happen
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+
+  if (!query) return res.redirect(FALLBACK_IMAGE_URL);
+
+  try {
+    // 캐시된 장소의 저장된 사진 -> 없으면 네이버 이미지 검색 -> 자체 저장소 (이미 저장된 사진이면 다운로드 생략)
+    const image = await getPlaceImage(String(query));
+
+    if (image) {
+      return res.redirect(image.variants?.[variant] || image.url);
+    }
+
+    // 실패 시 기본 이미지
+    return res.redirect(FALLBACK_IMAGE_URL);
+
+  } catch (error) {
+    console.error("Image Proxy Error:", error);
+    return res.redirect(FALLBACK_IMAGE_URL);
+  }
+});
+
+// --- [API 3.6] Google 장소 사진 프록시 ---
+// /api/proxy/google-photo/places/{placeId}/photos/{photoId}?width=800&height=600
+// API 키는 서버에서만 사용하고, 응답은 이미지 바이트 + ETag (브라우저/CDN 캐시 허용)
+// places_cache에 저장된 참조만, 크기는 정해진 단계로 + 장소 이미지와 같은 IP별 분당 요청 제한
+router.get('/proxy/google-photo/*reference', limitPlaceImages, async (req, res) => {
+  const reference = [].concat(req.params.reference).join('/');
+
+  try {
+    const size = parsePhotoSize(req.query);
+    const photo = await getGooglePhoto(reference, size);
+
+    res.setHeader('Cache-Control', `public, max-age=${PHOTO_CACHE_TTL_MS / 1000}, immutable`);
+    res.setHeader('ETag', photo.etag);
+    if (req.headers['if-none-match'] === photo.etag) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', photo.contentType);
+    res.send(photo.bytes);
+  } catch (error) {
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(error.status || 500).json({ error: error.status ? error.message : '사진을 불러오지 못했습니다' });
+  }
+});
+
+// --- [API 3.7] 저장된 장소 사진 ---
+// places_cache.photo_url의 고정 URL - 로컬 저장소는 파일 응답, Supabase Storage는 public URL로 redirect
+router.get('/images/*objectPath', async (req, res) => {
+  const objectPath = objectPathFromUrl(`/api/images/${[].concat(req.params.objectPath).join('/')}`);
+  if (!objectPath) return res.status(404).json({ error: "이미지를 찾을 수 없습니다" });
+
+  try {
+    const store = getImageStore();
+    // 같은 경로의 파일 내용은 바뀌지 않음 (원본 URL 해시 기반 경로)
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+
+    if (store.publicUrl) {
+      return res.redirect(store.publicUrl(objectPath));
+    }
+
+    const bytes = await store.read(objectPath);
+    if (!bytes) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(404).json({ error: "이미지를 찾을 수 없습니다" });
+    }
+    res.type('image/webp').send(bytes);
+  } catch (error) {
+    console.error("Stored Image Error:", error.message);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(500).json({ error: "이미지를 불러오지 못했습니다" });
+  }
+});
+
+// --- [API 3.7] 장소 사진 신고 (틀린 사진 / 깨진 사진) ---
+// 같은 사용자가 처리 대기 중인 신고를 다시 보내면 기존 신고 반환
+router.post('/places/:placeId/photo-report', requireAuth, async (req, res) => {
+  const { reason, comment, photo_url, trip_id } = req.body;
+
+  try {
+    const { report, duplicate } = await reportPlacePhoto({
+      placeId: req.params.placeId,
+      reporterId: req.user.id,
+      reason,
+      comment,
+      photoUrl: photo_url,
+      tripId: trip_id
+    });
+    res.status(duplicate ? 200 : 201).json({ success: true, duplicate, data: report });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Photo Report Error:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 3] 자동완성 (New API + 도시 필터링) ---
+router.get('/places/autocomplete', async (req, res) => {
+  const { query } = req.query;
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+
+  if (!query) return res.status(200).json({ predictions: [] });
+
+  try {
+    const predictions = await autocompleteRegions(query);
+    res.status(200).json({ predictions: predictions });
+
+  } catch (error) {
+    console.error("Autocomplete Error:", error.response?.data || error.message);
+    res.status(200).json({ predictions: [] });
+  }
+});
+
+// --- [API] 경로 계산 On-Demand ---
+// departure_time: 출발 시각 "HH:MM" (현지 시간, 선택) - 대중교통/차량은 시간대별로 계산
+router.post('/calculate-route', async (req, res) => {
+  try {
+    const { origin_place_id, destination_place_id, mode, departure_time } = req.body;
+
+    if (!origin_place_id || !destination_place_id) {
+      return res.status(400).json({ error: "출발지와 도착지 place_id가 필요합니다" });
+    }
+
+    const route = await getRouteByMode(origin_place_id, destination_place_id, mode, { time: departure_time });
+    if (route) {
+      return res.json({ success: true, data: route });
+    }
+
+    res.json({ success: false, error: "경로를 찾을 수 없습니다" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API] 경로 일괄 계산 (하루 / 여행 전체) ---
+// body: { mode, activities: [{ place_id, time }] } (하루) 또는 { mode, itinerary: [{ day, activities }] } (여행 전체)
+// 반환: [{ day, legs: [{ origin_place_id, destination_place_id, route }] }] - 연속된 활동 사이마다 구간 1개
+// 로그인 필수 + 사용자별 분당 요청 제한 (Google 과금)
+const limitRouteBatches = rateLimit({ name: 'calculate-routes', limit: () => config.rateLimit.routesPerMinute });
+router.post('/calculate-routes', requireAuth, limitRouteBatches, async (req, res) => {
+  const { mode, activities, itinerary } = req.body;
+  const days = Array.isArray(itinerary) ? itinerary : (Array.isArray(activities) ? [{ activities }] : null);
+
+  if (!days || !days.every(day => Array.isArray(day?.activities))) {
+    return res.status(400).json({ error: "activities 또는 itinerary 배열이 필요합니다" });
+  }
+  const legCount = days.reduce((sum, day) => sum + Math.max(0, day.activities.length - 1), 0);
+  if (legCount > MAX_BATCH_LEGS) {
+    return res.status(400).json({ error: `한 번에 최대 ${MAX_BATCH_LEGS}개 구간까지 계산할 수 있습니다` });
+  }
+
+  try {
+    const data = await calculateRoutes(days, { mode });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("Batch Route Error:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,554 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { requireAuth, getUserRole } = require('../middleware/auth');
+const { ItineraryValidationError } = require('../lib/itinerary_schema');
+const { reserveGeneration, refundGeneration, verifyAdReceipt, grantAdCredit, getQuota } = require('../lib/quota');
+const { validateTripWindow, buildTripItinerary, modifyTripItinerary, optimizeTripDay, validateTripEdit, editTripDay } = require('../services/itinerary');
+const { FALLBACK_IMAGE_URL } = require('../services/images');
+const { resolveTripRequest } = require('../lib/trip_legs');
+const { resolveTripPreferences, describeStyle, describeCompanions } = require('../lib/preferences');
+const { parseBudget, refreshBudgetSummary } = require('../lib/budget');
+const { getExchangeRates } = require('../services/currency');
+const { recordGeneratedVersion, saveTripVersion, listTripVersions, getTripVersion } = require('../lib/trip_versions');
+const { diffItineraries } = require('../lib/itinerary_diff');
+const { config } = require('../lib/config');
+
+// 여행 일정 생성/수정/조회 + 생성 한도
+const router = express.Router();
+
+// 검증 실패는 502 + 상세 오류, 그 외는 500
+function sendGenerationError(res, error, fallbackMessage) {
+  if (error instanceof ItineraryValidationError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      details: error.errors
+    });
+  }
+  res.status(500).json({ success: false, error: fallbackMessage || error.message });
+}
+
+// 생성 요청 중 버전 기록(trip_versions.request)에 남길 항목
+const GENERATE_REQUEST_FIELDS = [
+  'destination', 'legs', 'startDate', 'endDate', 'arrivalTime', 'departureTime',
+  'travelers', 'budget', 'otherRequirements', 'preferences', 'resolveConflicts'
+];
+
+// 여러 도시 여행도 destination("오사카 → 교토")/duration은 전체 여정 기준으로 저장 (목록 표시용)
+// style/companions는 여행자 취향에서 (취향이 없으면 "맞춤 여행"/"제한 없음")
+// 저장한 일정은 1번 버전으로도 기록
+async function saveTripPlan(params, itineraryJson, user_id) {
+  const { destination, startDate, endDate, preferences } = params;
+  const { data, error } = await supabase.from('trip_plans').insert([{
+    destination, duration: `${startDate} ~ ${endDate}`,
+    style: describeStyle(preferences), companions: describeCompanions(preferences),
+    itinerary_data: itineraryJson,
+    user_id
+  }]).select();
+
+  if (error) throw error;
+  const trip = data[0];
+  const request = Object.fromEntries(GENERATE_REQUEST_FIELDS.filter(field => params[field] !== undefined).map(field => [field, params[field]]));
+  try {
+    trip.current_version = await recordGeneratedVersion(trip, request);
+  } catch (versionError) {
+    // 버전 없이 남은 일정은 지움 (호출한 쪽에서 한도 환불)
+    await deleteTripPlan(trip.id, user_id);
+    throw versionError;
+  }
+  return trip;
+}
+
+// 생성 실패/취소 시 저장한 일정 롤백 - 실패해도 throw하지 않음 (로그만)
+async function deleteTripPlan(tripId, user_id) {
+  try {
+    const { error } = await supabase.from('trip_plans').delete().eq('id', tripId).eq('user_id', user_id);
+    if (error) throw error;
+  } catch (error) {
+    console.error(`❌ Failed to roll back trip ${tripId}:`, error.message);
+  }
+}
+
+// 본인 일정 (없으면 null)
+async function findOwnTrip(tripId, user_id, columns = 'id, current_version') {
+  const { data, error } = await supabase
+    .from('trip_plans')
+    .select(columns)
+    .eq('id', tripId)
+    .eq('user_id', user_id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+const parseVersion = value => (/^[1-9]\d*$/.test(String(value)) ? Number(value) : null);
+
+// --- [API 1] 여행 일정 생성 (Generate) ---
+// 도시 1곳: { destination, startDate, endDate, ... }
+// 여러 도시: { legs: [{ city, startDate, endDate }], ... } - 방문 순서대로, destination/startDate/endDate는 legs에서 계산
+// preferences: 여행자 취향 (선택) - 저장된 취향 프로필(/api/user/preferences) 위에 항목별로 덮어씀
+router.post('/generate-trip', requireAuth, async (req, res) => {
+  console.log("Generate Trip Request Received");
+  const user_id = req.user.id;
+  let reservation = null;
+
+  try {
+    const { params, error: legsError } = resolveTripRequest(req.body);
+    if (legsError) return res.status(400).json({ error: legsError });
+
+    const windowError = validateTripWindow(params);
+    if (windowError) return res.status(400).json({ error: windowError });
+
+    const { preferences, error: preferencesError } = await resolveTripPreferences(user_id, req.body.preferences);
+    if (preferencesError) return res.status(400).json({ error: preferencesError });
+    params.preferences = preferences;
+
+    // [Server-Side Limit Check] 생성 전에 1회분을 원자적으로 예약 (실패 시 환불)
+    reservation = await reserveGeneration(user_id);
+    if (!reservation.reserved) {
+      return res.status(403).json({
+        error: "월간 생성 한도를 초과했습니다.",
+        code: 'QUOTA_EXCEEDED',
+        baseLimit: reservation.limit,
+        adCredits: reservation.ad_credits
+      });
+    }
+
+    const itineraryJson = await buildTripItinerary(params, { tier: reservation.tier });
+    const trip = await saveTripPlan(params, itineraryJson, user_id);
+
+    res.status(200).json({ success: true, data: trip, quotaSource: reservation.source });
+
+  } catch (error) {
+    console.error("Generate Error:", error);
+    if (reservation?.reserved) await refundGeneration(user_id, reservation.source);
+    sendGenerationError(res, error);
+  }
+});
+
+// --- [API 1.0.1] 여행 일정 생성 - 진행 상황 스트리밍 (Server-Sent Events) ---
+// 이벤트 순서: itinerary(뼈대) -> weather(일자별) -> activity(장소별) -> conflicts(영업시간 충돌/재배치, 있을 때만)
+//   -> final(후처리가 끝난 최종 일정) -> done(저장된 trip_plans id)
+// activity는 장소 정보를 붙인 직후의 진행 상황 - 취향 적용/이동 시간 검사/재배치로 빠지거나 시간이 바뀔 수 있으므로
+// 화면의 일정은 final(저장되는 itinerary_data와 동일)로 교체
+// 실패하면 error 이벤트 후 종료, 클라이언트가 중간에 연결을 끊으면 생성을 중단하고 저장하지 않으며, 예약한 한도도 환불
+router.post('/generate-trip/stream', requireAuth, async (req, res) => {
+  console.log("Generate Trip (Stream) Request Received");
+  const user_id = req.user.id;
+  let reservation = null;
+
+  const { params, error: legsError } = resolveTripRequest(req.body);
+  if (legsError) return res.status(400).json({ error: legsError });
+
+  const windowError = validateTripWindow(params);
+  if (windowError) return res.status(400).json({ error: windowError });
+
+  try {
+    const { preferences, error: preferencesError } = await resolveTripPreferences(user_id, req.body.preferences);
+    if (preferencesError) return res.status(400).json({ error: preferencesError });
+    params.preferences = preferences;
+
+    reservation = await reserveGeneration(user_id);
+  } catch (error) {
+    console.error("Generate Stream Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+  if (!reservation.reserved) {
+    return res.status(403).json({
+      error: "월간 생성 한도를 초과했습니다.",
+      code: 'QUOTA_EXCEEDED',
+      baseLimit: reservation.limit,
+      adCredits: reservation.ad_credits
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // 프록시(Nginx 등) 버퍼링 방지
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log(`🔌 Generate stream closed by client (${user_id})`);
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    if (controller.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // 장시간 작업 중 프록시 타임아웃 방지용 주석 이벤트
+  const heartbeat = setInterval(() => {
+    if (!controller.signal.aborted) res.write(': ping\n\n');
+  }, 15000);
+
+  let trip = null;
+  try {
+    const itineraryJson = await buildTripItinerary(params, {
+      tier: reservation.tier,
+      signal: controller.signal,
+      hooks: {
+        onItinerary: (itinerary) => send('itinerary', itinerary),
+        onWeather: (weather) => send('weather', weather),
+        onActivity: (activity) => send('activity', activity),
+        onConflicts: (conflicts) => send('conflicts', conflicts)
+      }
+    });
+
+    controller.signal.throwIfAborted();
+    trip = await saveTripPlan(params, itineraryJson, user_id);
+
+    // 저장 도중 연결이 끊겼다면 저장분 롤백
+    controller.signal.throwIfAborted();
+
+    send('final', itineraryJson);
+    send('done', { id: trip.id, quotaSource: reservation.source });
+    res.end();
+  } catch (error) {
+    // 롤백/환불이 실패해도 error 이벤트와 응답 종료는 반드시 보냄
+    try {
+      if (trip) await deleteTripPlan(trip.id, user_id);
+      await refundGeneration(user_id, reservation.source);
+    } catch (cleanupError) {
+      console.error("Generate Stream Cleanup Error:", cleanupError);
+    }
+
+    if (controller.signal.aborted) {
+      console.log(`🛑 Generate stream cancelled, nothing saved (${user_id})`);
+    } else {
+      console.error("Generate Stream Error:", error);
+      send('error', error instanceof ItineraryValidationError
+        ? { error: error.message, code: error.code, details: error.errors }
+        : { error: error.message });
+    }
+    res.end();
+  } finally {
+    clearInterval(heartbeat);
+  }
+});
+
+// --- [API 1.1] 남은 생성 횟수 조회 ---
+router.get('/quota', requireAuth, async (req, res) => {
+  try {
+    const quota = await getQuota(req.user.id);
+    res.status(200).json({ success: true, data: quota });
+  } catch (error) {
+    console.error("Quota Error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 1.2] 광고 시청 보상 (검증된 영수증 1건당 크레딧 1개) ---
+router.post('/quota/ad-reward', requireAuth, async (req, res) => {
+  const user_id = req.user.id;
+  const verification = verifyAdReceipt(user_id, req.body);
+
+  if (!verification.valid) {
+    if (verification.reason === 'not_configured') {
+      return res.status(503).json({ error: "광고 보상 기능이 설정되지 않았습니다." });
+    }
+    return res.status(400).json({ error: "광고 시청을 확인할 수 없습니다.", code: 'INVALID_AD_RECEIPT', reason: verification.reason });
+  }
+
+  try {
+    const result = await grantAdCredit(user_id, req.body.transaction_id);
+
+    if (!result.granted) {
+      if (result.reason === 'daily_cap') {
+        return res.status(429).json({ error: "오늘 받을 수 있는 광고 보상을 모두 받았습니다.", code: 'AD_DAILY_CAP' });
+      }
+      return res.status(409).json({ error: "이미 지급된 광고 보상입니다.", code: 'AD_DUPLICATE' });
+    }
+
+    const quota = await getQuota(user_id);
+    res.status(200).json({ success: true, data: quota });
+  } catch (error) {
+    console.error("Ad Reward Error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 2] 일정 수정 (Modify - DB 저장 포함) ---
+// 일정 전체를 다시 씀 - 하루/활동 1개만 고칠 때는 [API 2.5]
+// fitBudget(예: "30만원")을 보내면 userRequest 대신 그 예산 안으로 일정을 줄임
+// arrivalTime/departureTime(HH:MM, 선택): 없으면 일정을 만들 때의 도착/출발 시간을 그대로 지킴
+// trip_id가 있으면 본인 일정이어야 함 (없거나 남의 일정이면 모델 호출 전에 404) - 결과는 새 버전으로 저장
+// (응답의 version - 이전 버전은 [API 2.4]로 복원 가능) / trip_id가 없으면 저장하지 않고 수정 결과만 반환 (version: null)
+router.post('/modify-trip', requireAuth, async (req, res) => {
+  try {
+    const { trip_id, currentItinerary, userRequest, destination, resolveConflicts, fitBudget, arrivalTime, departureTime } = req.body;
+    const user_id = req.user.id;
+
+    if (fitBudget !== undefined && !parseBudget(fitBudget)) {
+      return res.status(400).json({ error: "맞출 예산 금액을 알 수 없습니다. (예: 30만원, $500)" });
+    }
+
+    const trip = trip_id ? await findOwnTrip(trip_id, user_id) : null;
+    if (trip_id && !trip) return res.status(404).json({ success: false, error: "일정을 찾을 수 없습니다." });
+
+    const tier = await getUserRole(user_id);
+    const modifiedJson = await modifyTripItinerary({ currentItinerary, userRequest, destination, resolveConflicts, fitBudget, arrivalTime, departureTime }, { tier });
+
+    // DB 업데이트 (새 버전)
+    const version = trip
+      ? await saveTripVersion({ tripId: trip.id, userId: user_id }, modifiedJson, fitBudget
+        ? { kind: 'fit_budget', request: { fitBudget } }
+        : { kind: 'modify', request: { userRequest } })
+      : null;
+
+    res.status(200).json({ success: true, data: modifiedJson, version });
+
+  } catch (error) {
+    console.error("Modify Error:", error);
+    sendGenerationError(res, error, "수정 중 오류가 발생했습니다.");
+  }
+});
+
+// --- [API 2.1] 하루 동선 최적화 (LLM 호출 없음 - DB 저장 포함) ---
+// body: { day } - 숙소/이동/예약/식사 시간대의 식사는 고정하고 나머지 순서를 이동 시간이 가장 짧게 바꾼 뒤 시간 재조정
+router.post('/trip/:id/optimize-day', requireAuth, async (req, res) => {
+  const user_id = req.user.id;
+  const dayNumber = Number(req.body.day);
+
+  if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+    return res.status(400).json({ error: "최적화할 일차(day)가 필요합니다" });
+  }
+
+  try {
+    const { data: trip, error } = await supabase
+      .from('trip_plans')
+      .select('id, itinerary_data')
+      .eq('id', req.params.id)
+      .eq('user_id', user_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!trip) return res.status(404).json({ success: false, error: "일정을 찾을 수 없습니다." });
+
+    const itineraryJson = trip.itinerary_data;
+    const result = await optimizeTripDay(itineraryJson, dayNumber);
+    if (!result) return res.status(404).json({ success: false, error: `${dayNumber}일차 일정이 없습니다.` });
+
+    const version = await saveTripVersion({ tripId: trip.id, userId: user_id }, itineraryJson, { kind: 'optimize_day', request: { day: dayNumber } });
+
+    res.status(200).json({ success: true, data: { ...result, itinerary: itineraryJson, version } });
+  } catch (error) {
+    console.error("Optimize Day Error:", error);
+    res.status(500).json({ success: false, error: "동선 최적화 중 오류가 발생했습니다." });
+  }
+});
+
+// --- [API 2.2] 일정 버전 목록 (최신순) ---
+// 반환: { current_version, versions: [{ version, kind, request, created_at }] }
+router.get('/trip/:id/versions', requireAuth, async (req, res) => {
+  try {
+    const trip = await findOwnTrip(req.params.id, req.user.id);
+    if (!trip) return res.status(404).json({ success: false, error: "일정을 찾을 수 없습니다." });
+
+    const versions = await listTripVersions(trip.id);
+    res.status(200).json({ success: true, data: { current_version: trip.current_version, versions } });
+  } catch (error) {
+    console.error("Trip Versions Error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- [API 2.3] 일정 버전 비교 (일자별 추가/삭제/이동/시간 변경) ---
+// query.against: 비교 기준 버전 (기본: 바로 이전 버전)
+router.get('/trip/:id/versions/:version/diff', requireAuth, async (req, res) => {
+  const version = parseVersion(req.params.version);
+  const against = req.query.against === undefined ? (version && version - 1) : parseVersion(req.query.against);
+  if (!version || !against) {
+    return res.status(400).json({ success: false, error: "비교할 버전 번호가 올바르지 않습니다." });
+  }
+
+  try {
+    const trip = await findOwnTrip(req.params.id, req.user.id);
+    if (!trip) return res.status(404).json({ success: false, error: "일정을 찾을 수 없습니다." });
+
+    const [base, target] = await Promise.all([getTripVersion(trip.id, against), getTripVersion(trip.id, version)]);
+    if (!base || !target) return res.status(404).json({ success: false, error: "버전을 찾을 수 없습니다." });
+
+    const diff = diffItineraries(base.itinerary_data, target.itinerary_data);
+    res.status(200).json({ success: true, data: { from: against, to: version, ...diff } });
+  } catch (error) {
+    console.error("Trip Version Diff Error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- [API 2.4] 일정 버전 복원 (되돌리기) ---
+// 고른 버전의 일정을 현재 일정으로 - 기록을 지우지 않고 복원도 새 버전(kind: restore)으로 남김
+router.post('/trip/:id/versions/:version/restore', requireAuth, async (req, res) => {
+  const user_id = req.user.id;
+  const version = parseVersion(req.params.version);
+  if (!version) return res.status(400).json({ success: false, error: "복원할 버전 번호가 올바르지 않습니다." });
+
+  try {
+    const trip = await findOwnTrip(req.params.id, user_id);
+    if (!trip) return res.status(404).json({ success: false, error: "일정을 찾을 수 없습니다." });
+    if (trip.current_version === version) {
+      return res.status(400).json({ success: false, error: "이미 현재 버전입니다." });
+    }
+
+    const target = await getTripVersion(trip.id, version);
+    if (!target) return res.status(404).json({ success: false, error: "버전을 찾을 수 없습니다." });
+
+    const newVersion = await saveTripVersion({ tripId: trip.id, userId: user_id }, target.itinerary_data, { kind: 'restore', request: { version } });
+    res.status(200).json({ success: true, data: { version: newVersion, restored_from: version, itinerary: target.itinerary_data } });
+  } catch (error) {
+    console.error("Trip Version Restore Error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+// --- [API 2.5] 부분 수정 (하루 또는 활동 1개만 - DB 저장 포함) ---
+// body: { operation, day, index?, time?, userRequest?, fill?, alternative? }
+// - replace_activity (index): 대체 장소 3곳 추천 -> 첫 곳으로 바꾸고 나머지는 alternatives로 반환
+//   (alternatives 중 하나를 alternative로 다시 보내면 모델 호출 없이 그곳으로 교체)
+// - regenerate_day: 하루 전체 다시 짜기 / insert_meal (time): 그 시간에 식사 추가
+// - remove_activity (index): 활동 삭제 후 빈 시간 채우기 (fill: false면 삭제만)
+// 다른 날은 장소 정보/경로/비용까지 그대로 유지 - 새 버전(kind: edit)으로 저장
+router.post('/trip/:id/edit', requireAuth, async (req, res) => {
+  const user_id = req.user.id;
+  const { operation, time, userRequest, fill, alternative } = req.body;
+  const edit = {
+    operation, time, userRequest, fill, alternative,
+    day: Number(req.body.day),
+    index: req.body.index === undefined ? undefined : Number(req.body.index)
+  };
+
+  try {
+    const trip = await findOwnTrip(req.params.id, user_id, 'id, destination, itinerary_data');
+    if (!trip) return res.status(404).json({ success: false, error: "일정을 찾을 수 없습니다." });
+
+    const invalid = validateTripEdit(trip.itinerary_data, edit);
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+    const tier = await getUserRole(user_id);
+    const result = await editTripDay(trip.itinerary_data, edit, { tier, destination: trip.destination });
+
+    const request = { ...edit, alternative: alternative?.place_name };
+    Object.keys(request).forEach(key => request[key] === undefined && delete request[key]);
+    const version = await saveTripVersion({ tripId: trip.id, userId: user_id }, result.itinerary, { kind: 'edit', request });
+
+    res.status(200).json({ success: true, data: { ...result, version } });
+  } catch (error) {
+    console.error("Edit Trip Error:", error);
+    sendGenerationError(res, error, "일정 수정 중 오류가 발생했습니다.");
+  }
+});
+
+// --- [API 6] 공유 일정 조회 (로그인 불필요) ---
+router.get('/public/trip/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data, error } = await supabase
+      .from('trip_plans')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      console.error('Public trip fetch error:', error);
+      return res.status(404).json({ success: false, error: '일정을 찾을 수 없습니다.' });
+    }
+
+    if (!data) {
+      return res.status(404).json({ success: false, error: '일정을 찾을 수 없습니다.' });
+    }
+
+    // 비용의 원화 환산은 오늘 환율로 (저장된 일정은 그대로)
+    refreshBudgetSummary(data.itinerary_data, await getExchangeRates());
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error('Public trip error:', error);
+    res.status(500).json({ success: false, error: '서버 오류가 발생했습니다.' });
+  }
+});
+
+// --- [API 7] 내 여행 목록 조회 ---
+router.get('/my-trips', requireAuth, async (req, res) => {
+  const user_id = req.user.id;
+
+  try {
+    const { data, error } = await supabase
+      .from('trip_plans')
+      .select('*')
+      .eq('user_id', user_id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    const exchangeRates = await getExchangeRates();
+    data.forEach(trip => refreshBudgetSummary(trip.itinerary_data, exchangeRates));
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 8] 여행 일정 삭제 ---
+router.delete('/trip/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const user_id = req.user.id;
+
+  try {
+    const { error } = await supabase
+      .from('trip_plans')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', user_id);
+
+    if (error) throw error;
+    res.status(200).json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- [API 9.6] 여행 일정 프리뷰 (카드용) ---
+router.get('/trip-preview/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data, error } = await supabase
+      .from('trip_plans')
+      .select('id, destination, duration, itinerary_data')
+      .eq('id', id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ success: false, error: "일정을 찾을 수 없습니다" });
+    }
+
+    // 첫 번째 활동의 이미지를 커버로 사용 (자체 저장소 사진이면 큰 사이즈)
+    const firstActivity = data.itinerary_data?.itinerary?.[0]?.activities?.[0];
+    let coverImage = firstActivity?.photoVariants?.hero || firstActivity?.photoUrl || null;
+    // 링크 미리보기(OG 이미지)는 절대 URL이 필요 - /api/images/... 등 서버 내부 경로 변환
+    if (coverImage && coverImage.startsWith('/')) {
+      coverImage = `${config.serverBaseUrl}${coverImage}`;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: data.id,
+        title: data.itinerary_data?.trip_title || data.destination,
+        destination: data.destination,
+        duration: data.duration,
+        coverImage: coverImage || FALLBACK_IMAGE_URL
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
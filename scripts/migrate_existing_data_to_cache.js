@@ -1,7 +1,5 @@
 require('dotenv').config();
-const { createClient } = require("@supabase/supabase-js");
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const { supabase } = require('../lib/supabase');
 
 async function migrateExistingDataToCache() {
     console.log('🚀 Starting migration of existing trip data to places_cache...\n');
@@ -51,7 +49,8 @@ async function migrateExistingDataToCache() {
                         placesToCache.set(activity.place_id, {
                             place_id: activity.place_id,
                             place_name: activity.place_name,
-                            search_keywords: activity.place_name, // 기본값으로 place_name 사용
+                            // 장소명 + 여행지 (캐시 검색 시 도시 조건에 걸리도록)
+                            search_keywords: [activity.place_name, trip.destination].filter(Boolean).join('|'),
                             rating: typeof activity.rating === 'number' ? activity.rating : null,
                             rating_count: activity.ratingCount || 0,
                             google_maps_uri: activity.googleMapsUri || activity.google_maps_uri || null,
@@ -70,7 +69,19 @@ async function migrateExistingDataToCache() {
         console.log(`   Skipped (no data/movement): ${skippedPlaces}`);
         console.log(`   Unique places to cache: ${placesToCache.size}\n`);
 
-        // 3. places_cache에 삽입 (배치 처리)
+        // 3. 관리자가 사진을 고정한 장소는 덮어쓰지 않음
+        const { data: pinnedPlaces, error: pinnedError } = await supabase
+            .from('places_cache')
+            .select('place_id')
+            .eq('photo_pinned', true);
+
+        if (pinnedError) throw pinnedError;
+
+        for (const { place_id } of pinnedPlaces) {
+            if (placesToCache.delete(place_id)) console.log(`📌 Skipped pinned place: ${place_id}`);
+        }
+
+        // 4. places_cache에 삽입 (배치 처리)
         const placesArray = Array.from(placesToCache.values());
         const batchSize = 50;
 
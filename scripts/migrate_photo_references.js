@@ -1,7 +1,5 @@
 require('dotenv').config();
-const { createClient } = require("@supabase/supabase-js");
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const { supabase } = require('../lib/supabase');
 
 async function migratePhotoReferences() {
     console.log('🚀 Starting migration of photo references...\n');
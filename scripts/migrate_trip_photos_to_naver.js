@@ -1,27 +1,6 @@
 require('dotenv').config();
-const axios = require('axios');
-const { createClient } = require("@supabase/supabase-js");
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-const NAVER_CLIENT_ID = process.env.NAVER_CLIENT_ID;
-const NAVER_CLIENT_SECRET = process.env.NAVER_CLIENT_SECRET;
-
-// Naver Image Search
-async function fetchNaverImage(query) {
-    try {
-        const response = await axios.get('https://openapi.naver.com/v1/search/image', {
-            params: { query, display: 1, sort: 'sim' },
-            headers: {
-                'X-Naver-Client-Id': NAVER_CLIENT_ID,
-                'X-Naver-Client-Secret': NAVER_CLIENT_SECRET
-            }
-        });
-        return response.data.items[0]?.link || null;
-    } catch (err) {
-        console.error(`Naver Image Search failed for "${query}":`, err.message);
-        return null;
-    }
-}
+const { supabase } = require('../lib/supabase');
+const { fetchStoredNaverImage, FALLBACK_IMAGE_URL } = require('../services/images');
 
 async function migrateTripPhotos() {
     console.log('🚀 Starting migration of trip photos to Naver...\n');
@@ -37,6 +16,15 @@ async function migrateTripPhotos() {
 
         console.log(`📊 Found ${trips.length} trips in database\n`);
 
+        // 관리자가 고정한 장소 사진 (검색 대신 그대로 사용)
+        const { data: pinnedPlaces, error: pinnedError } = await supabase
+            .from('places_cache')
+            .select('place_id, photo_url, photo_variants')
+            .eq('photo_pinned', true);
+
+        if (pinnedError) throw pinnedError;
+        const pinnedPhotos = new Map(pinnedPlaces.map(p => [p.place_id, p]));
+
         let updatedCount = 0;
         let skippedCount = 0;
         let errorCount = 0;
@@ -62,16 +50,26 @@ async function migrateTripPhotos() {
                     if (activity.photoUrl && activity.photoUrl.includes('places.googleapis.com')) {
                         console.log(`  🔍 Found Google Photo URL: ${activity.place_name}`);
 
-                        // Try to get Naver image
-                        const naverImage = await fetchNaverImage(`${trip.destination} ${activity.place_name}`);
+                        const pinned = pinnedPhotos.get(activity.place_id);
+                        if (pinned) {
+                            activity.photoUrl = pinned.photo_url;
+                            activity.photoVariants = pinned.photo_variants;
+                            hasChanges = true;
+                            console.log(`  📌 Replaced with pinned photo`);
+                            continue;
+                        }
+
+                        // Try to get Naver image (자체 저장소에 보관)
+                        const naverImage = await fetchStoredNaverImage(`${trip.destination} ${activity.place_name}`, false);
 
                         if (naverImage) {
-                            activity.photoUrl = naverImage;
+                            activity.photoUrl = naverImage.url;
+                            activity.photoVariants = naverImage.variants;
                             hasChanges = true;
                             console.log(`  ✅ Replaced with Naver image`);
                         } else {
                             // Fallback to Unsplash
-                            activity.photoUrl = "https://images.unsplash.com/photo-1476514525535-07fb3b4ae5f1?q=80&w=800&auto=format&fit=crop";
+                            activity.photoUrl = FALLBACK_IMAGE_URL;
                             hasChanges = true;
                             console.log(`  ⚠️ Replaced with Unsplash fallback`);
                         }
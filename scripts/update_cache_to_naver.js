@@ -1,26 +1,6 @@
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-
-async function fetchNaverImage(query) {
-    try {
-        const response = await axios.get('https://openapi.naver.com/v1/search/image', {
-            params: { query: query, display: 1, sort: 'sim' },
-            headers: {
-                'X-Naver-Client-Id': process.env.NAVER_CLIENT_ID,
-                'X-Naver-Client-Secret': process.env.NAVER_CLIENT_SECRET
-            }
-        });
-        if (response.data.items && response.data.items.length > 0) {
-            return response.data.items[0].link;
-        }
-    } catch (error) {
-        console.error(`⚠️ Naver Image Search Failed for ${query}:`, error.message);
-    }
-    return null;
-}
+const { supabaseAdmin: supabase } = require('../lib/supabase');
+const { fetchStoredNaverImage } = require('../services/images');
 
 async function updateCache() {
     console.log("🔄 Starting Cache Update...");
@@ -35,6 +15,12 @@ async function updateCache() {
     console.log(`Found ${places.length} places in cache.`);
 
     for (const place of places) {
+        // 관리자가 고정한 사진은 교체하지 않음
+        if (place.photo_pinned) {
+            console.log(`📌 Skipped (pinned): ${place.place_name}`);
+            continue;
+        }
+
         // Check if it needs update (e.g., has Google Photo URL or no URL)
         // We want to replace ALL Google URLs with Naver URLs to save cost/quota if we view them again? 
         // Actually, Google URLs expire, so replacing them is good.
@@ -59,11 +45,12 @@ async function updateCache() {
 
         console.log(`Processing: ${place.place_name} (Query: ${query})`);
 
-        const newUrl = await fetchNaverImage(query);
-        if (newUrl) {
+        // 자체 저장소(IMAGE_STORE)에 내려받아 저장한 URL 사용
+        const storedImage = await fetchStoredNaverImage(query, false);
+        if (storedImage) {
             const { error: updateError } = await supabase
                 .from('places_cache')
-                .update({ photo_url: newUrl })
+                .update({ photo_url: storedImage.url, photo_variants: storedImage.variants })
                 .eq('place_id', place.place_id);
 
             if (updateError) console.error(`❌ Failed to update ${place.place_name}:`, updateError);
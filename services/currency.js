@@ -0,0 +1,112 @@
+const axios = require('axios');
+const db = require('../lib/supabase');
+const { config } = require('../lib/config');
+const { createCache } = require('../lib/cache');
+const { KRW_PER_UNIT } = require('../lib/budget');
+const { detectCountry } = require('../lib/destinations');
+
+// 환율 (원화 기준) - 예산/비용을 현지 통화와 원화로 함께 보여주기 위함
+// 하루 한 번 환율 출처에서 받아 exchange_rates 테이블에 날짜별로 저장 (같은 날은 DB/메모리 재사용)
+// 출처 장애 시: 가장 최근 저장본 -> 고정 환율 (lib/budget KRW_PER_UNIT)
+
+// 국가 코드 -> 통화 (lib/destinations detectCountry 결과 기준)
+const COUNTRY_CURRENCIES = {
+  KR: 'KRW', JP: 'JPY', CN: 'CNY', US: 'USD', GB: 'GBP',
+  FR: 'EUR', IT: 'EUR', ES: 'EUR', DE: 'EUR', NL: 'EUR', AT: 'EUR',
+  CZ: 'CZK', TH: 'THB', HK: 'HKD', SG: 'SGD', VN: 'VND', TW: 'TWD', AE: 'AED', AU: 'AUD'
+};
+
+// 원화 1원당 외화 -> 외화 1단위당 원화 (유효숫자 5자리)
+const toKrwPerUnit = unitsPerKrw => Number((1 / unitsPerKrw).toPrecision(5));
+
+// 환율 출처: () => Promise<{ 통화: 1단위당 원화 }>
+const RATE_SOURCES = {
+  // open.er-api.com (API 키 불필요, 하루 1회 갱신)
+  open_er_api: async () => {
+    const response = await axios.get('https://open.er-api.com/v6/latest/KRW', { timeout: 5000 });
+    if (response.data?.result !== 'success') {
+      throw new Error(`open.er-api: ${response.data?.['error-type'] || 'unexpected response'}`);
+    }
+    return Object.fromEntries(
+      Object.entries(response.data.rates)
+        .filter(([, rate]) => rate > 0)
+        .map(([currency, rate]) => [currency, toKrwPerUnit(rate)])
+    );
+  },
+  fixed: async () => ({ ...KRW_PER_UNIT })
+};
+
+// 오늘 환율 (출처별) - 출처 장애(null)는 10분 뒤 다시 시도
+const rateCache = createCache({ name: 'exchangeRates', maxEntries: 10, ttlMs: 60 * 60 * 1000, negativeTtlMs: 10 * 60 * 1000 });
+
+const todayUtc = () => new Date().toISOString().slice(0, 10);
+
+// 그날 환율 - DB 저장본이 있으면 재사용, 없으면 출처에서 받아 저장 / 출처 실패 시 null
+async function loadDailyRates(date, source) {
+  const { data: saved, error } = await db.supabase
+    .from('exchange_rates')
+    .select('rate_date, source, rates')
+    .eq('rate_date', date)
+    .eq('source', source)
+    .maybeSingle();
+  if (error) console.error("⚠️ Exchange rate lookup failed:", error.message);
+  if (saved) return { date, source, rates: saved.rates };
+
+  let rates;
+  try {
+    rates = await RATE_SOURCES[source]();
+  } catch (fetchError) {
+    console.error(`💱 Exchange rate fetch failed (${source}):`, fetchError.message);
+    return null;
+  }
+
+  const { error: saveError } = await db.supabase
+    .from('exchange_rates')
+    .upsert({ rate_date: date, source, rates, fetched_at: new Date().toISOString() }, { onConflict: 'rate_date,source' });
+  if (saveError) console.error("⚠️ Exchange rate save failed:", saveError.message);
+
+  console.log(`💱 Exchange rates saved: ${date} (${source}, ${Object.keys(rates).length} currencies)`);
+  return { date, source, rates };
+}
+
+// 가장 최근 저장본 (출처 장애 시) / 없으면 null
+async function loadLatestRates(source) {
+  const { data, error } = await db.supabase
+    .from('exchange_rates')
+    .select('rate_date, source, rates')
+    .eq('source', source)
+    .order('rate_date', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) console.error("⚠️ Exchange rate lookup failed:", error.message);
+  return data ? { date: data.rate_date, source, rates: data.rates } : null;
+}
+
+// 오늘 환율 - 반환: { date, source, rates: { 통화: 1단위당 원화 } }
+// 출처 장애 시 가장 최근 저장본, 그마저 없으면 고정 환율 (date: null, source: 'fixed')
+async function getExchangeRates() {
+  const source = config.currency.rateSource;
+  const date = todayUtc();
+  const today = await rateCache.getOrLoad(`${source}:${date}`, () => loadDailyRates(date, source));
+  if (today) return today;
+  return (await loadLatestRates(source)) || { date: null, source: 'fixed', rates: { ...KRW_PER_UNIT } };
+}
+
+// 금액 변환 (소수점 둘째 자리) / 환율을 모르는 통화면 null
+function convertAmount(amount, from, to, rates) {
+  if (!rates[from] || !rates[to]) return null;
+  return Math.round((amount * rates[from]) / rates[to] * 100) / 100;
+}
+
+// 여행지 -> 현지 통화 (국가를 모르면 null)
+function currencyForDestination(destination) {
+  return COUNTRY_CURRENCIES[detectCountry(destination)] || null;
+}
+
+module.exports = {
+  RATE_SOURCES,
+  rateCache,
+  getExchangeRates,
+  convertAmount,
+  currencyForDestination
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { config } = require('../lib/config');
+const db = require('../lib/supabase');
+
+// Google Places 사진 프록시 (Places API New - Photo Media)
+// 서버 키는 요청 헤더로만 보내고, 클라이언트에는 이미지 바이트만 전달 (키/googleusercontent URL 노출 X)
+
+// places_cache.photo_reference 형식: places/{placeId}/photos/{photoId}
+// 사진 호출은 유료이므로 서버가 저장한 참조만, 정해진 크기로만 프록시 (임의 참조/크기로 호출 수와 캐시를 늘리지 못하도록)
+const PHOTO_REFERENCE_PATTERN = /^places\/[A-Za-z0-9_-]+\/photos\/[A-Za-z0-9_-]+$/;
+
+const MAX_PHOTO_PX = 4800; // Places API 허용 최대값
+const DEFAULT_MAX_WIDTH_PX = 800;
+// 요청 크기는 이 단계 중 하나로 올림 (가장 큰 단계를 넘으면 가장 큰 단계)
+const PHOTO_SIZE_BUCKETS = [200, 400, 800, 1600];
+
+// --- 인메모리 바이트 캐시 (용량 기준 제한) ---
+const PHOTO_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 1일
+const MAX_PHOTO_CACHE_BYTES = 50 * 1024 * 1024; // 50MB
+const photoCache = new Map();
+let photoCacheBytes = 0;
+
+class PhotoRequestError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'PhotoRequestError';
+    this.status = status;
+  }
+}
+
+function isValidPhotoReference(reference) {
+  return typeof reference === 'string' && PHOTO_REFERENCE_PATTERN.test(reference);
+}
+
+const snapToBucket = px => PHOTO_SIZE_BUCKETS.find(bucket => bucket >= px) || PHOTO_SIZE_BUCKETS[PHOTO_SIZE_BUCKETS.length - 1];
+
+// width/height 쿼리 파싱 - 크기 단계로 올림, 둘 다 없으면 기본 너비 800px
+function parsePhotoSize({ width, height } = {}) {
+  const size = {};
+  for (const [key, value] of [['maxWidthPx', width], ['maxHeightPx', height]]) {
+    if (value === undefined || value === '') continue;
+    const px = Number(value);
+    if (!Number.isInteger(px) || px < 1 || px > MAX_PHOTO_PX) {
+      throw new PhotoRequestError(`width/height는 1~${MAX_PHOTO_PX} 사이의 정수여야 합니다`, 400);
+    }
+    size[key] = snapToBucket(px);
+  }
+  if (!size.maxWidthPx && !size.maxHeightPx) size.maxWidthPx = DEFAULT_MAX_WIDTH_PX;
+  return size;
+}
+
+// places_cache에 저장된 사진 참조인지
+async function isStoredPhotoReference(reference) {
+  const { data, error } = await db.supabaseAdmin
+    .from('places_cache')
+    .select('place_id')
+    .eq('photo_reference', reference)
+    .limit(1);
+  if (error) throw error;
+  return data.length > 0;
+}
+
+function cacheKey(reference, size) {
+  return `${reference}|${size.maxWidthPx || ''}x${size.maxHeightPx || ''}`;
+}
+
+function removeFromCache(key) {
+  const entry = photoCache.get(key);
+  if (!entry) return;
+  photoCacheBytes -= entry.bytes.length;
+  photoCache.delete(key);
+}
+
+function addToCache(key, entry) {
+  if (entry.bytes.length > MAX_PHOTO_CACHE_BYTES) return;
+  removeFromCache(key);
+  // 오래된 항목부터 제거 (Map은 삽입 순서 유지)
+  for (const oldKey of photoCache.keys()) {
+    if (photoCacheBytes + entry.bytes.length <= MAX_PHOTO_CACHE_BYTES) break;
+    removeFromCache(oldKey);
+  }
+  photoCache.set(key, entry);
+  photoCacheBytes += entry.bytes.length;
+}
+
+// 사진 바이트 조회 (캐시 -> Google Photo Media)
+// 반환: { bytes, contentType, etag } / 잘못된 요청·Google 실패 시 PhotoRequestError
+async function getGooglePhoto(reference, size) {
+  if (!isValidPhotoReference(reference)) {
+    throw new PhotoRequestError('잘못된 사진 참조입니다', 400);
+  }
+
+  const key = cacheKey(reference, size);
+  const cached = photoCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached;
+  removeFromCache(key);
+
+  if (!(await isStoredPhotoReference(reference))) {
+    throw new PhotoRequestError('사진을 찾을 수 없습니다', 404);
+  }
+
+  let response;
+  try {
+    response = await axios.get(`https://places.googleapis.com/v1/${reference}/media`, {
+      params: size,
+      headers: { 'X-Goog-Api-Key': config.google.mapsApiKey },
+      responseType: 'arraybuffer',
+      timeout: 10000
+    });
+  } catch (error) {
+    // 🚨 error.config에 API 키가 들어있으므로 상태 코드만 남김
+    const status = error.response?.status;
+    console.error(`📸 Google Photo fetch failed (${status || error.code}): ${reference}`);
+    throw new PhotoRequestError('사진을 불러오지 못했습니다', status === 404 || status === 400 ? 404 : 502);
+  }
+
+  const bytes = Buffer.from(response.data);
+  const entry = {
+    bytes,
+    contentType: response.headers?.['content-type'] || 'image/jpeg',
+    etag: `"${crypto.createHash('sha1').update(bytes).digest('hex')}"`,
+    expiresAt: Date.now() + PHOTO_CACHE_TTL_MS
+  };
+  addToCache(key, entry);
+  return entry;
+}
+
+module.exports = {
+  PhotoRequestError,
+  PHOTO_CACHE_TTL_MS,
+  PHOTO_SIZE_BUCKETS,
+  isValidPhotoReference,
+  parsePhotoSize,
+  getGooglePhoto
+};
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const sharp = require('sharp');
+const { config } = require('../../lib/config');
+const { createLocalDiskBackend } = require('./local_disk');
+const { createSupabaseStorageBackend } = require('./supabase_storage');
+
+// 장소 사진 자체 저장소
+// 외부 이미지(네이버 검색 결과 등)를 한 번만 내려받아 크기별 webp로 저장하고,
+// places_cache.photo_url에는 외부 URL 대신 /api/images/... (우리 서버의 고정 URL)을 저장
+// -> 핫링크 차단/원본 삭제로 사진이 깨지는 문제 방지
+
+const BACKENDS = {
+  supabase: () => createSupabaseStorageBackend({ bucket: config.imageStore.bucket }),
+  local: () => createLocalDiskBackend({ dir: config.imageStore.localDir })
+};
+
+// 크기별 사진 (썸네일: 목록, 카드: 일정 카드 - photo_url 기본값, 히어로: 상세/커버)
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 640, height: 400, fit: 'cover' },
+  hero: { width: 1600, height: 900, fit: 'inside' }
+};
+
+const STORED_IMAGE_PREFIX = '/api/images/';
+const STORED_IMAGE_PATH_PATTERN = /^places\/[0-9a-f]{24}\/(thumbnail|card|hero)\.webp$/;
+
+// 다운로드 검증 기준
+const ALLOWED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const MAX_SOURCE_BYTES = 10 * 1024 * 1024; // 10MB
+const MIN_SOURCE_WIDTH = 200;
+const MIN_SOURCE_HEIGHT = 150;
+
+// 내려받지 않을 주소 (SSRF 방지) - 사설망/루프백/링크로컬(클라우드 메타데이터)/예약 대역
+// BlockList는 IPv4 주소를 IPv6 대역(::ffff:0:0/96 등)에도 맞춰 보므로 주소 체계별로 따로 둠
+const BLOCKED_ADDRESSES = { 4: new net.BlockList(), 6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES[4].addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES[6].addSubnet(prefix, bits, 'ipv6'));
+
+class ImageValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageValidationError';
+  }
+}
+
+let store = null;
+let storeKey = null;
+
+// 설정된 저장소 반환 (설정이 바뀌면 새로 생성 - 테스트에서 IMAGE_STORE_DIR 교체 가능)
+function getImageStore() {
+  const { backend, bucket, localDir } = config.imageStore;
+  const key = `${backend}:${bucket}:${localDir}`;
+  if (store && storeKey === key) return store;
+
+  const factory = BACKENDS[backend];
+  if (!factory) throw new Error(`Unknown image store: ${backend}`);
+  store = factory();
+  storeKey = key;
+  return store;
+}
+
+// key: 원본 URL (업로드는 파일 내용 해시) - 같은 원본은 항상 같은 경로
+function variantPaths(key) {
+  const id = crypto.createHash('sha1').update(key).digest('hex').slice(0, 24);
+  return Object.fromEntries(Object.keys(IMAGE_VARIANTS).map(name => [name, `places/${id}/${name}.webp`]));
+}
+
+function toStoredImageUrl(objectPath) {
+  return `${STORED_IMAGE_PREFIX}${objectPath}`;
+}
+
+function isStoredImageUrl(url) {
+  return typeof url === 'string' && url.startsWith(STORED_IMAGE_PREFIX);
+}
+
+// /api/images/places/{id}/card.webp -> places/{id}/card.webp (형식이 다르면 null)
+function objectPathFromUrl(url) {
+  if (!isStoredImageUrl(url)) return null;
+  const objectPath = url.slice(STORED_IMAGE_PREFIX.length);
+  return STORED_IMAGE_PATH_PATTERN.test(objectPath) ? objectPath : null;
+}
+
+function describeStoredImage(sourceUrl, paths) {
+  const variants = Object.fromEntries(Object.entries(paths).map(([name, p]) => [name, toStoredImageUrl(p)]));
+  return { url: variants.card, variants, sourceUrl };
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_ADDRESSES[family].check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// 호스트가 공인 주소로만 풀리는 http(s) URL인지 (관리자가 입력한 외부 사진 URL 검증)
+async function isPublicImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return isPublicAddress(host);
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+  } catch {
+    return false;
+  }
+}
+
+// 다운로드 연결용 DNS 조회 - 내부 주소로 풀리면 연결하지 않음 (리다이렉트, 검증 후 DNS 변경 포함)
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const resolved = Array.isArray(address) ? address : [{ address, family }];
+    if (!resolved.every(entry => isPublicAddress(entry.address))) {
+      return callback(new Error(`blocked private address for ${hostname}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// IP를 직접 적은 리다이렉트는 DNS 조회를 거치지 않으므로 따로 확인
+function rejectPrivateRedirect(options) {
+  const host = String(options.hostname || '').replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`blocked redirect to private address ${host}`);
+  }
+}
+
+// 원본 다운로드 + 형식/용량/해상도 검증
+async function downloadSourceImage(sourceUrl) {
+  const response = await axios.get(sourceUrl, {
+    responseType: 'arraybuffer',
+    timeout: 10000,
+    maxContentLength: MAX_SOURCE_BYTES,
+    lookup: publicOnlyLookup,
+    beforeRedirect: rejectPrivateRedirect,
+    headers: { 'User-Agent': 'Mozilla/5.0', 'Accept': ALLOWED_CONTENT_TYPES.join(',') }
+  });
+
+  const contentType = String(response.headers?.['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+    throw new Error(`unsupported content-type: ${contentType || 'none'}`);
+  }
+
+  const bytes = Buffer.from(response.data);
+  await validateImageBytes(bytes);
+  return bytes;
+}
+
+// 용량/형식/해상도 검증 (Content-Type은 거짓일 수 있으므로 실제 디코딩해서 확인)
+async function validateImageBytes(bytes) {
+  if (bytes.length === 0 || bytes.length > MAX_SOURCE_BYTES) {
+    throw new Error(`invalid size: ${bytes.length} bytes`);
+  }
+
+  const metadata = await sharp(bytes).metadata();
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new Error(`unsupported format: ${metadata.format}`);
+  }
+  if (metadata.width < MIN_SOURCE_WIDTH || metadata.height < MIN_SOURCE_HEIGHT) {
+    throw new Error(`too small: ${metadata.width}x${metadata.height}`);
+  }
+}
+
+async function storeVariants(bytes, paths) {
+  const imageStore = getImageStore();
+  // hero를 마지막에 저장 -> hero가 있으면 전체 저장 완료로 간주
+  for (const [name, { width, height, fit }] of Object.entries(IMAGE_VARIANTS)) {
+    const resized = await sharp(bytes)
+      .rotate() // EXIF 방향 반영
+      .resize({ width, height, fit, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    await imageStore.put(paths[name], resized, 'image/webp');
+  }
+}
+
+const inFlight = new Map();
+
+// 외부 이미지를 저장소에 보관하고 자체 URL 반환
+// 반환: { url (card), variants: { thumbnail, card, hero }, sourceUrl } / 다운로드·검증·업로드 실패 시 null
+async function storeRemoteImage(sourceUrl) {
+  if (!sourceUrl || isStoredImageUrl(sourceUrl)) return null;
+  if (inFlight.has(sourceUrl)) return inFlight.get(sourceUrl);
+
+  const task = (async () => {
+    const paths = variantPaths(sourceUrl);
+    try {
+      if (await getImageStore().exists(paths.hero)) {
+        return describeStoredImage(sourceUrl, paths);
+      }
+      const bytes = await downloadSourceImage(sourceUrl);
+      await storeVariants(bytes, paths);
+      console.log(`🖼️ Stored image: ${sourceUrl.substring(0, 60)}`);
+      return describeStoredImage(sourceUrl, paths);
+    } catch (error) {
+      console.error(`🖼️ Image store failed for ${sourceUrl.substring(0, 60)}:`, error.message);
+      return null;
+    }
+  })();
+
+  inFlight.set(sourceUrl, task);
+  try {
+    return await task;
+  } finally {
+    inFlight.delete(sourceUrl);
+  }
+}
+
+// 관리자가 직접 올린 사진 저장 - 검증 실패 시 ImageValidationError (사용자에게 사유 전달)
+// 반환: { url (card), variants, sourceUrl: null }
+async function storeUploadedImage(bytes) {
+  try {
+    await validateImageBytes(bytes);
+  } catch (error) {
+    throw new ImageValidationError(error.message);
+  }
+  const digest = crypto.createHash('sha1').update(bytes).digest('hex');
+  const paths = variantPaths(`upload:${digest}`);
+  if (!(await getImageStore().exists(paths.hero))) {
+    await storeVariants(bytes, paths);
+    console.log(`🖼️ Stored uploaded image: ${paths.card}`);
+  }
+  return describeStoredImage(null, paths);
+}
+
+// 저장된 사진이 실제로 남아 있는지 (이미지 점검 cron용)
+async function storedImageExists(url) {
+  const objectPath = objectPathFromUrl(url);
+  if (!objectPath) return false;
+  try {
+    return await getImageStore().exists(objectPath);
+  } catch (error) {
+    console.error(`🖼️ Image store check failed for ${url}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  IMAGE_VARIANTS,
+  ImageValidationError,
+  getImageStore,
+  isPublicImageUrl,
+  isStoredImageUrl,
+  objectPathFromUrl,
+  publicOnlyLookup,
+  storeRemoteImage,
+  storeUploadedImage,
+  storedImageExists
+};
@@ -0,0 +1,38 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// 로컬 디스크 저장소 (개발용) - /api/images 라우트가 파일을 직접 응답
+function createLocalDiskBackend({ dir }) {
+  const resolve = (objectPath) => path.join(dir, objectPath);
+
+  return {
+    name: 'local',
+
+    async put(objectPath, bytes) {
+      const filePath = resolve(objectPath);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, bytes);
+    },
+
+    async exists(objectPath) {
+      try {
+        await fs.access(resolve(objectPath));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    // 없으면 null
+    async read(objectPath) {
+      try {
+        return await fs.readFile(resolve(objectPath));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = { createLocalDiskBackend };
@@ -0,0 +1,35 @@
+const path = require('path');
+const db = require('../../lib/supabase');
+
+// Supabase Storage 저장소 - 업로드는 service role 클라이언트로, 조회는 public bucket URL로 redirect
+// 버킷은 미리 public으로 만들어 둬야 함 (Dashboard > Storage)
+function createSupabaseStorageBackend({ bucket }) {
+  const storage = () => db.supabaseAdmin.storage.from(bucket);
+
+  return {
+    name: 'supabase',
+
+    async put(objectPath, bytes, contentType) {
+      const { error } = await storage().upload(objectPath, bytes, {
+        contentType,
+        cacheControl: '31536000',
+        upsert: true
+      });
+      if (error) throw new Error(`Storage upload failed: ${error.message}`);
+    },
+
+    async exists(objectPath) {
+      const { data, error } = await storage().list(path.posix.dirname(objectPath), {
+        search: path.posix.basename(objectPath)
+      });
+      if (error) throw new Error(`Storage list failed: ${error.message}`);
+      return (data || []).some(file => file.name === path.posix.basename(objectPath));
+    },
+
+    publicUrl(objectPath) {
+      return storage().getPublicUrl(objectPath).data.publicUrl;
+    }
+  };
+}
+
+module.exports = { createSupabaseStorageBackend };
@@ -0,0 +1,229 @@
+const axios = require('axios');
+const { config } = require('../lib/config');
+const { storeRemoteImage } = require('./image_store');
+
+// 장소 사진 검색 (네이버 이미지 검색) 및 기본 이미지
+// 서버 라우트, 이미지 점검 cron, 마이그레이션 스크립트 공통 사용
+
+const FALLBACK_IMAGE_URL = "https://images.unsplash.com/photo-1476514525535-07fb3b4ae5f1?q=80&w=800&auto=format&fit=crop";
+
+const FALLBACK_IMAGES = {
+  food: "https://images.unsplash.com/photo-1504674900247-0877df9cc836?q=80&w=800&auto=format&fit=crop",
+  nature: "https://images.unsplash.com/photo-1441974231531-c6227db76b6e?q=80&w=800&auto=format&fit=crop",
+  city: "https://images.unsplash.com/photo-1449824913935-59a10b8d2000?q=80&w=800&auto=format&fit=crop",
+  culture: "https://images.unsplash.com/photo-1566073771259-6a8506099945?q=80&w=800&auto=format&fit=crop",
+  hotel: "https://images.unsplash.com/photo-1566073771259-6a8506099945?q=80&w=800&auto=format&fit=crop"
+};
+
+// Google Places types 기반 기본 이미지
+function getFallbackImage(types = []) {
+  if (!types || types.length === 0) return FALLBACK_IMAGES.default || FALLBACK_IMAGE_URL;
+  if (types.some(t => ['restaurant', 'food', 'cafe', 'bar', 'bakery', 'meal_takeaway'].includes(t))) return FALLBACK_IMAGES.food;
+  if (types.some(t => ['park', 'campground', 'natural_feature', 'amusement_park'].includes(t))) return FALLBACK_IMAGES.nature;
+  if (types.some(t => ['museum', 'art_gallery', 'church', 'place_of_worship', 'library', 'university'].includes(t))) return FALLBACK_IMAGES.culture;
+  if (types.some(t => ['lodging', 'hotel', 'guest_house'].includes(t))) return FALLBACK_IMAGES.hotel;
+  return FALLBACK_IMAGES.city;
+}
+
+// --- 검색 결과 점수 매기기 ---
+// 네이버 검색 결과(display=10)를 모두 점수화해서 높은 순으로 후보 선택
+// (예전: 블랙리스트만 통과하면 첫 결과 -> 호텔에 앨범 커버, 식당에 인물 사진이 걸리는 문제)
+
+// 장소 유형별 검색 접미사 + 제목에 있으면 가산점을 주는 키워드 (위에서부터 먼저 맞는 유형 사용)
+const PLACE_IMAGE_PROFILES = [
+  { types: ['restaurant', 'food', 'cafe', 'bar', 'bakery', 'meal_takeaway'], suffix: " 맛집 음식 사진", keywords: ['맛집', '음식', '메뉴', '요리', '카페', '디저트'] },
+  { types: ['tourist_attraction', 'point_of_interest', 'landmark', 'museum'], suffix: " 관광명소 사진", keywords: ['관광', '명소', '여행', '풍경', '전시'] },
+  { types: ['park', 'natural_feature'], suffix: " 공원 풍경 사진", keywords: ['공원', '풍경', '자연', '산책'] },
+  { types: ['lodging', 'hotel', 'guest_house'], suffix: " 호텔 외관 사진", keywords: ['호텔', '외관', '객실', '숙소', '리조트'] },
+  { types: ['shopping_mall', 'store'], suffix: " 쇼핑몰 내부 사진", keywords: ['쇼핑', '매장', '내부'] }
+];
+const DEFAULT_IMAGE_PROFILE = { suffix: " 관광 사진", keywords: ['여행', '관광'] };
+
+function getImageProfile(types = []) {
+  return PLACE_IMAGE_PROFILES.find(profile => (types || []).some(t => profile.types.includes(t))) || DEFAULT_IMAGE_PROFILE;
+}
+
+// 장소 유형별 네이버 검색 접미사
+function getSearchSuffix(types = []) {
+  return getImageProfile(types).suffix;
+}
+
+// 네이버 호스팅 이미지는 외부 로딩이 막히지 않음
+const TRUSTED_HOSTS = ['pstatic.net', 'blog.naver.com', 'post.naver.com'];
+// Hotlink Protection 의심 도메인 (외부 로딩 차단) + 네이버 뉴스 이미지 -> 후보에서 제외
+const BLOCKED_HOSTS = ['exp.cdn-hotels.com', 'tripadvisor', 'agoda', 'booking.com', 'hotels.com', 'imgnews.naver.net', 'news.naver.com'];
+// URL/제목에 있으면 감점 (프로필, 앨범, 광고 등 장소와 무관한 사진)
+const BAD_URL_PATTERNS = [
+  'profile', 'avatar', 'user', 'thumbnail', 'icon',
+  'logo', 'banner', 'advertisement', 'ad_', 'spotify',
+  'album', 'cover', 'music', 'person', 'people'
+];
+const BAD_TITLE_KEYWORDS = ['앨범', '음반', '프로필', '셀카', '로고', '포스터', '일러스트', '캐릭터', 'album', 'cover', 'profile', 'logo'];
+
+const MIN_CANDIDATE_SCORE = 2; // 이보다 낮으면 기본 이미지가 나음
+const PHOTO_CANDIDATE_LIMIT = 3; // 장소마다 저장해 두는 사진 수 (UI 로테이션 + 깨졌을 때 대체)
+
+const compact = text => text.toLowerCase().replace(/\s+/g, '');
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// 검색 결과 1건 점수 계산 - 차단 도메인/잘못된 URL이면 null
+// context: { placeName, city, types } (모르면 생략 가능), index: 네이버 검색 순위 (동점일 때만 영향)
+function scoreImageCandidate(item, context = {}, index = 0) {
+  const host = hostOf(item.link);
+  const lowerUrl = (item.link || '').toLowerCase();
+  if (!host || BLOCKED_HOSTS.some(blocked => lowerUrl.includes(blocked))) return null;
+
+  let score = 0;
+
+  // 1. 호스트 신뢰도
+  if (TRUSTED_HOSTS.some(trusted => host === trusted || host.endsWith(`.${trusted}`))) score += 3;
+  if (BAD_URL_PATTERNS.some(pattern => lowerUrl.includes(pattern))) score -= 4;
+
+  // 2. 제목이 장소명/도시명/유형 키워드와 맞는지 (네이버 제목에는 <b> 태그가 섞여 있음)
+  const title = (item.title || '').replace(/<[^>]+>/g, '').toLowerCase();
+  const { placeName, city, types } = context;
+  if (placeName) {
+    if (compact(title).includes(compact(placeName))) {
+      score += 3;
+    } else {
+      // 도시명은 아래에서 따로 가산하므로 장소명 토큰에서 제외 (예: "시그니엘 부산" -> "시그니엘")
+      const tokens = placeName.toLowerCase().split(/\s+/)
+        .filter(token => token.length >= 2 && (!city || token !== city.toLowerCase()));
+      if (tokens.length > 0) score += 2 * tokens.filter(token => title.includes(token)).length / tokens.length;
+    }
+  }
+  if (city && title.includes(city.toLowerCase())) score += 1;
+  if (getImageProfile(types).keywords.some(keyword => title.includes(keyword))) score += 1;
+  if (BAD_TITLE_KEYWORDS.some(keyword => title.includes(keyword))) score -= 3;
+
+  // 3. 해상도/비율 (작은 사진, 세로로 긴 사진은 카드에 부적합)
+  const width = parseInt(item.sizewidth, 10) || null;
+  const height = parseInt(item.sizeheight, 10) || null;
+  if (width && height) {
+    if (width < 400 || height < 300) score -= 3;
+    else if (width >= 800 && height >= 500) score += 2;
+    const ratio = width / height;
+    if (ratio >= 1.2 && ratio <= 2.2) score += 1;
+    else if (ratio < 0.8) score -= 1;
+  }
+
+  return {
+    url: item.link,
+    title,
+    width,
+    height,
+    score: Math.round((score - index * 0.01) * 100) / 100
+  };
+}
+
+// 검색 1회: 모든 결과를 점수화해서 높은 순으로 반환 (기준 미달/차단 도메인 제외)
+async function searchNaverImages(searchQuery, context) {
+  try {
+    const response = await axios.get('https://openapi.naver.com/v1/search/image', {
+      params: { query: searchQuery, display: 10, sort: 'sim', filter: 'large' },
+      headers: { 'X-Naver-Client-Id': config.naver.clientId, 'X-Naver-Client-Secret': config.naver.clientSecret }
+    });
+    const candidates = new Map(); // 같은 URL이 여러 번 나오면 첫 번째만
+    (response.data.items || []).forEach((item, index) => {
+      const candidate = scoreImageCandidate(item, context, index);
+      if (candidate && candidate.score >= MIN_CANDIDATE_SCORE && !candidates.has(candidate.url)) {
+        candidates.set(candidate.url, candidate);
+      }
+    });
+    return [...candidates.values()].sort((a, b) => b.score - a.score);
+  } catch (error) {
+    console.error(`Naver Image Search Error for ${searchQuery}:`, error.message);
+  }
+  return [];
+}
+
+// 네이버 이미지 후보 검색 (재시도 포함) - 점수 높은 순 후보 목록
+// retryWithKeywords: 결과가 없을 때 여행 키워드를 붙여 재검색 (일괄 작업에서는 호출 수 절약을 위해 false)
+async function searchImageCandidates(query, retryWithKeywords = true, context = { placeName: query }) {
+  if (!config.naver.clientId || !config.naver.clientSecret) return [];
+
+  // 1차 시도: 원본 쿼리
+  let result = await searchNaverImages(query, context);
+  if (result.length > 0) return result;
+
+  // 2차 시도: "by ..." 패턴 제거 (예: "L7 MYEONGDONG by LOTTE" -> "L7 MYEONGDONG")
+  if (query.toLowerCase().includes(' by ')) {
+    const simplifiedQuery = query.replace(/\s+by\s+.*$/i, '');
+    console.log(`🔄 Retrying with simplified query: ${simplifiedQuery}`);
+    result = await searchNaverImages(simplifiedQuery, context);
+    if (result.length > 0) return result;
+
+    // 단순화된 쿼리에 "호텔" 등 키워드 추가 재시도
+    result = await searchNaverImages(`${simplifiedQuery} hotel`, context);
+    if (result.length > 0) return result;
+  }
+
+  // 3차 시도: 여행/관광 키워드 추가
+  if (retryWithKeywords) {
+    const travelKeywords = ['여행 사진', '관광 명소', '풍경 사진', '호텔'];
+    for (const keyword of travelKeywords) {
+      result = await searchNaverImages(`${query} ${keyword}`, context);
+      if (result.length > 0) {
+        console.log(`📸 Found image with keyword: ${query} ${keyword}`);
+        return result;
+      }
+    }
+  }
+
+  return [];
+}
+
+// 네이버 이미지 검색 (Naver Search API) - 가장 점수가 높은 이미지 URL, 없으면 null
+async function fetchNaverImage(query, retryWithKeywords = true) {
+  const [best] = await searchImageCandidates(query, retryWithKeywords);
+  return best ? best.url : null;
+}
+
+// 후보를 점수 순으로 자체 저장소에 보관 - 내려받지 못한 후보는 건너뛰고 다음 후보 사용
+// 다운로드 시도는 limit의 2배까지 (후보가 전부 깨진 경우 10건을 모두 받지 않도록)
+// 반환: [{ url, variants, sourceUrl, score }] (최대 limit개)
+async function storeImageCandidates(candidates, limit = PHOTO_CANDIDATE_LIMIT) {
+  const stored = [];
+  for (const candidate of candidates.slice(0, limit * 2)) {
+    if (stored.length >= limit) break;
+    const image = await storeRemoteImage(candidate.url);
+    if (image) stored.push({ ...image, score: candidate.score });
+  }
+  return stored;
+}
+
+// 장소 사진 후보 검색 + 저장 ("도시명 + 장소명 + 유형별 접미사"로 검색)
+// place: { placeName, city, types } / 반환: 점수 순 저장된 사진 목록 (없으면 빈 배열)
+async function fetchStoredPlaceImages({ placeName, city, types }, { retryWithKeywords = true, limit = PHOTO_CANDIDATE_LIMIT } = {}) {
+  const query = `${city ? `${city} ` : ''}${placeName}${getSearchSuffix(types)}`;
+  console.log(`🔍 Naver Search Query: ${query}`);
+  const candidates = await searchImageCandidates(query, retryWithKeywords, { placeName, city, types });
+  return storeImageCandidates(candidates, limit);
+}
+
+// 네이버 검색 결과를 내려받아 자체 저장소에 보관 (핫링크 대신 /api/images/... 사용)
+// 반환: { url, variants, sourceUrl, score } / 검색·저장 실패 시 null
+async function fetchStoredNaverImage(query, retryWithKeywords = true) {
+  const candidates = await searchImageCandidates(query, retryWithKeywords);
+  const [stored] = await storeImageCandidates(candidates, 1);
+  return stored || null;
+}
+
+module.exports = {
+  FALLBACK_IMAGE_URL,
+  PHOTO_CANDIDATE_LIMIT,
+  getFallbackImage,
+  getSearchSuffix,
+  scoreImageCandidate,
+  searchImageCandidates,
+  fetchNaverImage,
+  fetchStoredNaverImage,
+  fetchStoredPlaceImages
+};
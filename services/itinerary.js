@@ -0,0 +1,721 @@
+const { getItineraryGenerator } = require('./llm');
+const { getPlaceDetails } = require('./places');
+const { fetchDailyWeather } = require('./weather');
+const { calculateRoute } = require('./routing');
+const { applyTravelTimes } = require('./travel_time');
+const { optimizeDayRoute } = require('./route_optimizer');
+const { checkOpeningHours } = require('../lib/opening_hours');
+const { tripLegsOf, planTripDays, activityCity } = require('../lib/trip_legs');
+const { PACES, PACED_TYPES, findPreferenceViolation } = require('../lib/preferences');
+const { summarizeBudget } = require('../lib/budget');
+const { TIME_PATTERN, normalizeActivities, validateActivities } = require('../lib/itinerary_schema');
+const { getExchangeRates, currencyForDestination } = require('./currency');
+
+// 여행 일정 생성/수정 파이프라인 (LLM -> 중복 제거/보정 -> 날씨 -> 장소 상세 정보)
+
+// Helper function for delay
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function calculateDays(start, end) {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  const diffTime = Math.abs(endDate - startDate);
+  return Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
+}
+
+// 체류 시간 검사 (3시간 미만 차단) - 통과하면 null
+function validateTripWindow({ startDate, endDate, arrivalTime, departureTime }) {
+  const startDateTime = new Date(`${startDate}T${arrivalTime}`);
+  const endDateTime = new Date(`${endDate}T${departureTime}`);
+  if ((endDateTime - startDateTime) / (1000 * 60 * 60) < 3) {
+    return "체류 시간이 너무 짧습니다. (최소 3시간)";
+  }
+  return null;
+}
+
+// 중복 제거 로직 (이동/숙소는 여러 번 허용)
+// seenPlaces는 일정 전체에서 공유해야 날짜를 넘나드는 중복도 걸러짐
+function dedupeActivities(activities, seenPlaces) {
+  const uniqueActivities = [];
+  activities.forEach(act => {
+    if (act.place_name.includes("이동") || act.place_name.includes("숙소")) {
+      uniqueActivities.push(act);
+    } else {
+      if (!seenPlaces.has(act.place_name)) {
+        seenPlaces.add(act.place_name);
+        uniqueActivities.push(act);
+      }
+    }
+  });
+  return uniqueActivities;
+}
+
+// 🔧 [Fix] 뷰티/미용 업종이 "식사"로 분류된 경우 타입 수정
+const BEAUTY_KEYWORDS = ['왁싱', '뷰티', '네일', '미용', '스파', '마사지', '피부', '에스테틱', '헤어'];
+
+function correctBeautyPlaces(activities) {
+  activities.forEach(act => {
+    if (act.type === '식사') {
+      const placeLower = act.place_name.toLowerCase();
+      const descLower = (act.activity_description || '').toLowerCase();
+      if (BEAUTY_KEYWORDS.some(keyword => placeLower.includes(keyword) || descLower.includes(keyword))) {
+        console.log(`⚠️ Correcting misclassified beauty place: ${act.place_name} (식사 -> 관광)`);
+        act.type = '관광';
+        // 설명도 장소와 맞지 않으면 수정
+        if (descLower.includes('카페') || descLower.includes('식사') || descLower.includes('베이커리') || descLower.includes('빵')) {
+          act.activity_description = `${act.place_name}에서 휴식 및 뷰티 체험을 즐깁니다.`;
+        }
+      }
+    }
+  });
+}
+
+// 예약 링크: 공원/자연 제외, 웹사이트 -> 구글 지도 -> 구글 검색 순서
+function resolveBookingUrl(activity, details, destination) {
+  const isPark = details.types && (details.types.includes('park') || details.types.includes('natural_feature'));
+  if (isPark || !activity.is_booking_required) return null;
+  if (details.websiteUri) return details.websiteUri;
+  if (details.googleMapsUri) return details.googleMapsUri;
+  return `https://www.google.com/search?q=${destination}+${activity.place_name}+예약`;
+}
+
+// 영업시간 검사 제외 유형 (이동 중, 숙소는 체크인 시간이 따로 있음)
+const HOURS_EXEMPT_TYPES = ['이동', '숙소'];
+
+function describeConflict({ status, closesAt, hours }, activity, date, businessStatus) {
+  const hoursText = hours ? ` (영업시간: ${hours})` : '';
+  if (businessStatus === 'CLOSED_PERMANENTLY') return { reason: 'closed_permanently', message: "폐업한 장소입니다." };
+  if (businessStatus === 'CLOSED_TEMPORARILY') return { reason: 'closed_temporarily', message: "임시 휴업 중인 장소입니다." };
+  if (status === 'closed') return { reason: 'closed', message: `${date} ${activity.time}에는 영업하지 않습니다.${hoursText}` };
+  if (status === 'closing_soon') return { reason: 'closing_soon', message: `${closesAt}에 영업이 끝나 머물 시간이 부족합니다.${hoursText}` };
+  return null;
+}
+
+// ⏰ 영업시간 충돌 검사 - 충돌한 활동에 hours_conflict 표시 (이전 표시는 지움)
+// 영업시간 정보가 없는 장소는 판단하지 않음
+// 반환: [{ day, date, index, place_name, time, reason, message, hours }]
+function detectScheduleConflicts(itineraryJson) {
+  const conflicts = [];
+
+  for (const dayPlan of itineraryJson.itinerary) {
+    dayPlan.activities.forEach((activity, index) => {
+      delete activity.hours_conflict;
+      if (HOURS_EXEMPT_TYPES.includes(activity.type)) return;
+
+      const check = checkOpeningHours(activity.openingHours, dayPlan.date, activity.time);
+      const conflict = describeConflict(check, activity, dayPlan.date, activity.businessStatus);
+      if (!conflict) return;
+
+      activity.hours_conflict = { ...conflict, hours: check.hours };
+      conflicts.push({
+        day: dayPlan.day,
+        date: dayPlan.date,
+        index,
+        place_name: activity.place_name,
+        time: activity.time,
+        ...activity.hours_conflict
+      });
+    });
+  }
+
+  return conflicts;
+}
+
+// 🙋 여행자 취향 적용 (itineraryJson을 직접 수정) - 장소 정보를 붙인 뒤 실행
+// - 식단/이동 약자/동행에 맞지 않는 장소, 취침 시간 이후 활동, 여유 일정의 하루 한도를 넘는 활동은 뺌
+// - 기상 시간 전 활동은 기상 시간으로 미룸 (겹치는 뒤 활동은 이동 시간 검사가 다시 미룸)
+// 반환: 뺀 활동 [{ day, date, place_name, time, reason, message }]
+function applyPreferences(itineraryJson, preferences = {}) {
+  const { wakeTime, sleepTime, pace } = preferences;
+  const maxSpots = PACES[pace]?.maxSpotsPerDay;
+  const filtered = [];
+
+  for (const dayPlan of itineraryJson.itinerary) {
+    let spots = 0;
+    dayPlan.activities = dayPlan.activities.filter(activity => {
+      let violation = findPreferenceViolation(activity, preferences);
+      if (!violation && sleepTime && activity.time > sleepTime && !HOURS_EXEMPT_TYPES.includes(activity.type)) {
+        violation = { reason: 'sleep', message: `취침 시간(${sleepTime}) 이후 일정입니다.` };
+      }
+      if (!violation && maxSpots && PACED_TYPES.includes(activity.type) && ++spots > maxSpots) {
+        violation = { reason: 'pace', message: `여유로운 일정을 위해 하루 ${maxSpots}곳까지만 남겼습니다.` };
+      }
+      if (!violation) return true;
+
+      filtered.push({ day: dayPlan.day, date: dayPlan.date, place_name: activity.place_name, time: activity.time, ...violation });
+      return false;
+    });
+
+    if (wakeTime) {
+      dayPlan.activities.forEach(activity => {
+        if (activity.time >= wakeTime || activity.type === '이동') return;
+        activity.original_time = activity.original_time || activity.time;
+        activity.time = wakeTime;
+      });
+    }
+  }
+
+  if (filtered.length > 0) console.log(`🙋 Removed ${filtered.length} activities that do not fit the traveler preferences`);
+  return filtered;
+}
+
+// LLM에 넘길 활동 (사진/평점 등 상세 정보 제외, 예상 비용은 유지)
+function simplifyActivity(act) {
+  return {
+    time: act.time,
+    place_name: act.place_name,
+    type: act.type,
+    activity_description: act.activity_description,
+    is_booking_required: act.is_booking_required,
+    ...(act.estimated_cost ? { estimated_cost: act.estimated_cost } : {})
+  };
+}
+
+// LLM에 넘길 일정
+function simplifyItinerary(itineraryJson) {
+  return {
+    trip_title: itineraryJson.trip_title,
+    ...(itineraryJson.currency ? { currency: itineraryJson.currency } : {}),
+    itinerary: itineraryJson.itinerary.map(day => ({
+      day: day.day,
+      date: day.date,
+      ...(day.city ? { city: day.city } : {}),
+      activities: day.activities.map(simplifyActivity)
+    }))
+  };
+}
+
+// 여러 도시 여행: 모델이 다시 쓴 일정에 날짜별 도시/이동일 정보 복원
+function restoreDayCities(sourceItinerary, itinerary) {
+  itinerary.forEach(dayPlan => {
+    const source = sourceItinerary.find(day => day.date === dayPlan.date);
+    if (!source?.city) return;
+    dayPlan.city = source.city;
+    dayPlan.transfer = source.transfer || null;
+  });
+}
+
+// 일정에 이미 있는 장소 정보 (장소명 -> 활동, 경로/충돌 표시 제외)
+function collectKnownPlaces(itineraryJson) {
+  const knownPlaces = new Map();
+  itineraryJson.itinerary.forEach(day => {
+    day.activities.forEach(({ travel_info, hours_conflict, original_time, ...act }) => {
+      if (act.place_id) knownPlaces.set(act.place_name, act);
+    });
+  });
+  return knownPlaces;
+}
+
+const hasCoordinates = location => location?.latitude != null && location?.longitude != null;
+
+// 장소 캐시 검색 기준 좌표 - 같은 날 가장 가까운 활동(앞 -> 뒤 순) 중 위치를 아는 곳, 없으면 fallback
+// 이름이 같은 다른 지역 장소(예: 다른 도시의 같은 체인점)가 걸리지 않도록 findCachedPlace 반경 제한에 사용
+function nearbyLocation(activities, index, knownPlaces = new Map(), fallback = null) {
+  const locate = activity => (activity && (activity.location || knownPlaces.get(activity.place_name)?.location)) || null;
+  for (let distance = 1; distance < activities.length; distance++) {
+    for (const j of [index - distance, index + distance]) {
+      const location = locate(activities[j]);
+      if (hasCoordinates(location)) return location;
+    }
+  }
+  return fallback;
+}
+
+// 장소 상세 정보 붙이기 - 이미 아는 장소는 재사용, 이동은 그대로
+// near: 기준 좌표 (nearbyLocation)
+async function enrichActivity(activity, city, knownPlaces, near = null) {
+  if (activity.place_name.includes("이동") && !activity.place_name.includes("숙소")) return activity;
+
+  if (knownPlaces.has(activity.place_name)) {
+    return { ...knownPlaces.get(activity.place_name), ...activity };
+  }
+  const details = (await getPlaceDetails(activity.place_name, city, { near })) || { place_name: activity.place_name };
+  return {
+    ...activity,
+    ...details,
+    booking_url: resolveBookingUrl(activity, details, city),
+    place_name: details.place_name || activity.place_name
+  };
+}
+
+// 영업시간 충돌 해결 (요청 시) - 모델이 충돌 활동의 시간을 옮기거나 장소를 바꾼 일정을 받아
+// 기존 장소 정보는 재사용하고 새 장소만 조회 / 실패하면 원래 일정 유지 (충돌은 그대로 보고)
+async function resolveScheduleConflicts(itineraryJson, conflicts, { tier, destination, arrivalTime, departureTime, signal }) {
+  const knownPlaces = collectKnownPlaces(itineraryJson);
+
+  let resolved;
+  try {
+    resolved = await getItineraryGenerator(tier).resolveConflicts(
+      { simplifiedItinerary: simplifyItinerary(itineraryJson), conflicts, destination, arrivalTime, departureTime },
+      { signal }
+    );
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`⚠️ Conflict resolution failed, keeping the original schedule: ${error.message}`);
+    return itineraryJson;
+  }
+
+  const seenPlaces = new Set();
+  restoreDayCities(itineraryJson.itinerary, resolved.itinerary);
+  for (const dayPlan of resolved.itinerary) {
+    const weather = itineraryJson.itinerary.find(day => day.date === dayPlan.date)?.weather_info;
+    if (weather) dayPlan.weather_info = weather;
+
+    const activities = dedupeActivities(dayPlan.activities, seenPlaces);
+    dayPlan.activities = activities; // activityCity가 이동일의 '이동' 활동 위치를 참고
+    dayPlan.activities = await Promise.all(activities.map((activity, i) => (
+      enrichActivity(activity, activityCity(dayPlan, i, destination), knownPlaces, nearbyLocation(activities, i, knownPlaces))
+    )));
+  }
+  signal?.throwIfAborted();
+
+  console.log(`⏰ Rescheduled ${conflicts.length} opening-hours conflicts`);
+  return { ...itineraryJson, itinerary: resolved.itinerary };
+}
+
+// 일정 생성
+// tier: 등급별 LLM 선택, hooks: 단계별 진행 상황 콜백 (SSE 스트리밍용), signal: 클라이언트 연결 종료 시 중단
+// params.resolveConflicts: 영업시간 충돌이 있으면 모델에게 재배치 요청 (기본: 충돌 보고만)
+// params.legs: 여러 도시 여행 (lib/trip_legs) - 날씨/장소 검색을 도시별로 하고 일자마다 city/transfer 표시
+// params.preferences: 여행자 취향 (lib/preferences) - 프롬프트에 넣고 장소 정보를 붙인 뒤 맞지 않는 활동을 뺌
+async function buildTripItinerary(params, { tier, hooks = {}, signal } = {}) {
+  const { destination, startDate, endDate, arrivalTime, departureTime, preferences = {} } = params;
+  const totalDays = calculateDays(startDate, endDate);
+  const legs = tripLegsOf(params);
+
+  let itineraryJson = await getItineraryGenerator(tier).generate({ ...params, totalDays }, { signal });
+
+  // 병렬 처리 & 데이터 보정
+  const seenPlaces = new Set(); // ✨ [Fix] Move seenPlaces OUT of the loop to track duplicates across ALL days
+
+  for (const dayPlan of itineraryJson.itinerary) {
+    const uniqueActivities = dedupeActivities(dayPlan.activities, seenPlaces);
+    correctBeautyPlaces(uniqueActivities);
+    dayPlan.activities = uniqueActivities;
+  }
+
+  if (legs.length > 1) {
+    itineraryJson.legs = legs;
+    restoreDayCities(planTripDays(legs), itineraryJson.itinerary);
+  }
+
+  hooks.onItinerary?.(itineraryJson);
+
+  // [Weather Injection] 도시별 조회 - 이동일은 도착 도시 날씨
+  const weatherMaps = await Promise.all(legs.map(leg => fetchDailyWeather(leg.city, leg.startDate, leg.endDate)));
+  signal?.throwIfAborted();
+  const weatherMap = weatherMaps.some(Boolean) ? Object.assign({}, ...weatherMaps) : null;
+  if (weatherMap) {
+    itineraryJson.itinerary.forEach(day => {
+      if (weatherMap[day.date]) {
+        day.weather_info = weatherMap[day.date];
+        hooks.onWeather?.({ day: day.day, date: day.date, weather_info: day.weather_info });
+      }
+    });
+  }
+
+  // 도시별 기준 좌표 (앞선 날 찾은 장소 위치) - 같은 날 활동은 병렬로 조회하므로 이전 일자 기준
+  const cityLocations = new Map();
+
+  // ⚡ [Optimization] 병렬 처리로 전환 - 속도 대폭 개선
+  for (const dayPlan of itineraryJson.itinerary) {
+    // ⚡ 병렬 처리로 장소 상세 정보 조회
+    const detailsPromises = dayPlan.activities.map(async (activity, i) => {
+      // 이동은 패스
+      if (activity.place_name.includes("이동") && !activity.place_name.includes("숙소")) {
+        hooks.onActivity?.({ day: dayPlan.day, index: i, activity });
+        return { index: i, data: activity };
+      }
+
+      const city = activityCity(dayPlan, i, destination);
+      let details = await getPlaceDetails(activity.place_name, city, { near: cityLocations.get(city) });
+      if (!details) details = { place_name: activity.place_name };
+
+      const data = {
+        ...activity,
+        ...details,
+        booking_url: resolveBookingUrl(activity, details, city),
+        place_name: details.place_name || activity.place_name
+      };
+      if (!signal?.aborted) hooks.onActivity?.({ day: dayPlan.day, index: i, activity: data });
+
+      return { index: i, data };
+    });
+
+    // 모든 장소 정보 병렬 조회 완료 대기
+    const results = await Promise.all(detailsPromises);
+    signal?.throwIfAborted();
+    results.forEach(({ index, data }) => {
+      dayPlan.activities[index] = data;
+      const city = activityCity(dayPlan, index, destination);
+      if (!cityLocations.has(city) && hasCoordinates(data.location)) cityLocations.set(city, data.location);
+    });
+
+    // ⚡ [Optimization] 경로 계산은 On-Demand로 이동 (초기 로딩 3-5초 단축)
+    // 사용자가 이동수단 버튼 클릭 시 /api/calculate-route API 호출
+  }
+
+  // ✨ [Optimization] Cover Photo Logic
+  // Frontend will handle it via 'getTripCoverImage' -> '/api/place-image'
+  // This ensures real photos are used instead of "Text Covers".
+  itineraryJson.cover_image = null; // Use NULL to trigger frontend fallback logic
+
+  // 🙋 취향 적용 -> 🚶 이동 시간 검사 (도착 불가능한 활동은 미루거나 순서 조정) -> ⏰ 영업시간 충돌 검사
+  // 요청 시 충돌을 모델이 재배치한 뒤 세 단계를 다시 실행
+  const travelOptions = { departureTime, dayEndTime: preferences.sleepTime };
+  const preferenceFiltered = applyPreferences(itineraryJson, preferences);
+  itineraryJson.travel_summary = applyTravelTimes(itineraryJson, travelOptions);
+  let conflicts = detectScheduleConflicts(itineraryJson);
+  let rescheduled = false;
+  if (conflicts.length > 0 && params.resolveConflicts) {
+    const resolved = await resolveScheduleConflicts(itineraryJson, conflicts, { tier, destination, arrivalTime, departureTime, signal });
+    rescheduled = resolved !== itineraryJson;
+    itineraryJson = resolved;
+    if (rescheduled) {
+      preferenceFiltered.push(...applyPreferences(itineraryJson, preferences));
+      itineraryJson.travel_summary = applyTravelTimes(itineraryJson, travelOptions);
+    }
+    conflicts = detectScheduleConflicts(itineraryJson);
+  }
+  itineraryJson.schedule_conflicts = conflicts;
+  if (conflicts.length > 0 || rescheduled) hooks.onConflicts?.({ conflicts, rescheduled });
+
+  // 💸 활동별 예상 비용 + 일자별/전체 합계 (예산을 넘으면 warning) - 통화를 안 적었으면 여행지(첫 도시) 통화, 원화 환산은 오늘 환율
+  if (!itineraryJson.currency) itineraryJson.currency = currencyForDestination(legs[0].city) || 'KRW';
+  const exchangeRates = await getExchangeRates();
+  itineraryJson.budget_summary = summarizeBudget(itineraryJson, { budget: params.budget, travelers: params.travelers, exchangeRates });
+
+  // 수정/예산 맞추기 때도 같은 도착/출발 시간을 지키도록 일정에 보관
+  if (arrivalTime) itineraryJson.arrival_time = arrivalTime;
+  if (departureTime) itineraryJson.departure_time = departureTime;
+
+  // 수정/동선 최적화 때도 같은 취향을 쓰도록 일정에 보관
+  if (Object.keys(preferences).length > 0) {
+    itineraryJson.preferences = preferences;
+    itineraryJson.preference_filtered = preferenceFiltered;
+  }
+
+  return itineraryJson;
+}
+
+// 일정 수정 (사용자 요청 반영) - 기존 장소 정보는 재사용, 새 장소만 조회 후 취향 적용/이동 시간/영업시간 검사 + 경로 계산
+// resolveConflicts: 영업시간 충돌이 있으면 모델에게 재배치 요청
+// fitBudget: 예산 맞추기 모드 (예: "30만원") - userRequest 대신 이 예산 안으로 줄이도록 요청
+// 여행자 취향은 일정을 만들 때 보관한 currentItinerary.preferences를 그대로 씀
+// arrivalTime/departureTime: 요청에 없으면 일정을 만들 때 보관한 arrival_time/departure_time
+async function modifyTripItinerary({ currentItinerary, userRequest, destination, resolveConflicts, fitBudget, arrivalTime, departureTime }, { tier } = {}) {
+  const simplifiedItinerary = simplifyItinerary(currentItinerary);
+  const preferences = currentItinerary.preferences || {};
+  const arrival = arrivalTime || currentItinerary.arrival_time;
+  const departure = departureTime || currentItinerary.departure_time;
+  const budgetOptions = {
+    budget: fitBudget ?? currentItinerary.budget_summary?.budget?.text,
+    travelers: currentItinerary.budget_summary?.travelers,
+    exchangeRates: await getExchangeRates()
+  };
+
+  // 캐싱 (재사용)
+  const existingPlacesMap = new Map();
+  currentItinerary.itinerary.forEach(day => {
+    day.activities.forEach(act => {
+      if (act.place_name && act.photoUrl) {
+        existingPlacesMap.set(act.place_name, act);
+      }
+    });
+  });
+
+  const generator = getItineraryGenerator(tier);
+  let modifiedJson = fitBudget
+    ? await generator.fitBudget({
+      simplifiedItinerary, destination, preferences, targetBudget: fitBudget,
+      budgetSummary: summarizeBudget(currentItinerary, budgetOptions),
+      arrivalTime: arrival, departureTime: departure
+    })
+    : await generator.modify({ simplifiedItinerary, userRequest, destination, preferences, arrivalTime: arrival, departureTime: departure });
+  if (currentItinerary.legs) modifiedJson.legs = currentItinerary.legs;
+  if (!modifiedJson.currency && currentItinerary.currency) modifiedJson.currency = currentItinerary.currency;
+  restoreDayCities(currentItinerary.itinerary, modifiedJson.itinerary);
+
+  const seenPlaces = new Set(); // ✨ [Fix] Move seenPlaces OUT of the loop for modify-trip too
+
+  // ✨ [Optimization] 순차 처리 (Sequential Processing) for modify-trip
+  // 네이버 API 429 에러 방지를 위해 Promise.all 대신 for...of 루프 사용
+  for (const dayPlan of modifiedJson.itinerary) {
+    dayPlan.activities = dedupeActivities(dayPlan.activities, seenPlaces);
+
+    const enrichedActivities = [];
+    for (const [i, activity] of dayPlan.activities.entries()) {
+      if (activity.place_name.includes("이동") && !activity.place_name.includes("숙소")) {
+        // 이동은 null로 처리하지 않고 건너뜀 (enrichedActivities에 추가 안함)
+        continue;
+      }
+
+      // 💡 [Rate Limit 방지] 요청 사이에 0.2초 딜레이
+      await delay(200);
+
+      const city = activityCity(dayPlan, i, destination);
+      let details;
+      if (existingPlacesMap.has(activity.place_name)) {
+        const cached = existingPlacesMap.get(activity.place_name);
+        details = { ...cached, ...activity };
+      } else {
+        // 기준 좌표: 바로 앞에 붙인 활동 -> 같은 날 기존 장소
+        const previous = enrichedActivities[enrichedActivities.length - 1]?.location;
+        const near = hasCoordinates(previous) ? previous : nearbyLocation(dayPlan.activities, i, existingPlacesMap);
+        details = await getPlaceDetails(activity.place_name, city, { near });
+      }
+
+      if (!details) details = { place_name: activity.place_name };
+
+      activity.booking_url = resolveBookingUrl(activity, details, city);
+
+      enrichedActivities.push({ ...activity, ...details, place_name: details.place_name || activity.place_name });
+    }
+
+    dayPlan.activities = enrichedActivities;
+  }
+
+  const travelOptions = { departureTime: departure, dayEndTime: preferences.sleepTime };
+  const preferenceFiltered = applyPreferences(modifiedJson, preferences);
+  modifiedJson.travel_summary = applyTravelTimes(modifiedJson, travelOptions);
+  let conflicts = detectScheduleConflicts(modifiedJson);
+  if (conflicts.length > 0 && resolveConflicts) {
+    const resolved = await resolveScheduleConflicts(modifiedJson, conflicts, { tier, destination, arrivalTime: arrival, departureTime: departure });
+    if (resolved !== modifiedJson) {
+      preferenceFiltered.push(...applyPreferences(resolved, preferences));
+      resolved.travel_summary = applyTravelTimes(resolved, travelOptions);
+    }
+    modifiedJson = resolved;
+    conflicts = detectScheduleConflicts(modifiedJson);
+  }
+  modifiedJson.schedule_conflicts = conflicts;
+  if (arrival) modifiedJson.arrival_time = arrival;
+  if (departure) modifiedJson.departure_time = departure;
+  if (currentItinerary.preferences) {
+    modifiedJson.preferences = currentItinerary.preferences;
+    modifiedJson.preference_filtered = preferenceFiltered;
+  }
+  modifiedJson.budget_summary = summarizeBudget(modifiedJson, budgetOptions);
+
+  // 경로 계산은 최종 순서 기준
+  for (const dayPlan of modifiedJson.itinerary) {
+    for (let i = 1; i < dayPlan.activities.length; i++) {
+      const prev = dayPlan.activities[i - 1];
+      const curr = dayPlan.activities[i];
+      if (prev.place_id && curr.place_id) {
+        const routeInfo = await calculateRoute(prev.place_id, curr.place_id);
+        if (routeInfo) curr.travel_info = routeInfo;
+      }
+    }
+  }
+
+  return modifiedJson;
+}
+
+// 하루 동선 최적화 (itineraryJson을 직접 수정) - 이동 시간 요약과 영업시간 충돌도 다시 계산
+// 해당 일차가 없으면 null / 반환: { day, date, reordered, fixed, moved, travel_minutes_before, travel_minutes_after }
+async function optimizeTripDay(itineraryJson, dayNumber) {
+  const dayPlan = itineraryJson.itinerary?.find(day => day.day === dayNumber);
+  if (!dayPlan) return null;
+
+  const { travel_summary, ...result } = await optimizeDayRoute(dayPlan, { endTime: itineraryJson.preferences?.sleepTime });
+  if (Array.isArray(itineraryJson.travel_summary)) {
+    const summary = { day: dayPlan.day, date: dayPlan.date, ...travel_summary };
+    const index = itineraryJson.travel_summary.findIndex(entry => entry.day === dayPlan.day);
+    if (index >= 0) itineraryJson.travel_summary[index] = summary;
+    else itineraryJson.travel_summary.push(summary);
+  }
+  itineraryJson.schedule_conflicts = detectScheduleConflicts(itineraryJson);
+
+  console.log(`🧭 Day ${dayPlan.day} optimized: ${result.travel_minutes_before} -> ${result.travel_minutes_after} travel minutes (${result.moved} moved)`);
+  return { day: dayPlan.day, date: dayPlan.date, ...result };
+}
+
+// ✂️ 부분 수정 종류 - index: 고칠 활동 자리, time: 넣을 시간이 필요한지
+const EDIT_OPERATIONS = {
+  replace_activity: { index: true }, // 활동 1개를 다른 장소로 (후보 여러 곳 중 첫 곳을 넣고 나머지는 alternatives로)
+  regenerate_day: {}, // 하루 전체 다시 짜기
+  insert_meal: { time: true }, // 지정 시간에 식사 추가
+  remove_activity: { index: true } // 활동 삭제 (fill이면 빈 시간을 채울 활동 1개 추가)
+};
+
+// 대체 장소 후보 수
+const ALTERNATIVE_COUNT = 3;
+
+// 같은 시간 활동 뒤에 넣음
+function insertionIndex(activities, time) {
+  const index = activities.findIndex(activity => activity.time > time);
+  return index < 0 ? activities.length : index;
+}
+
+// 앞서 받은 대체 후보 중 사용자가 고른 것 (장소 정보는 버리고 다시 조회)
+function chosenAlternative(alternative) {
+  return normalizeActivities({ activities: [simplifyActivity(alternative)] });
+}
+
+// 모델 응답 검증 조건 (lib/itinerary_schema validateActivities)
+// - 일정에 이미 있는 장소는 다시 추천하지 않음 (하루 다시 짜기는 그날 장소 재사용 가능)
+// - 첫날/마지막 날 다시 짜기는 도착/출발 시간을 저장하지 않으므로 기존 일정의 시작/끝 시간 안에서
+function editConstraints(itineraryJson, source, { operation, index }) {
+  const days = itineraryJson.itinerary;
+  const excludePlaces = [...new Set(days
+    .filter(day => operation !== 'regenerate_day' || day !== source)
+    .flatMap(day => day.activities.map(activity => activity.place_name))
+    .filter(name => !name.includes("이동") && !name.includes("숙소")))];
+
+  if (operation === 'replace_activity') return { maxItems: ALTERNATIVE_COUNT, excludePlaces };
+  if (operation === 'insert_meal') return { maxItems: 1, types: ['식사'], excludePlaces };
+  if (operation === 'remove_activity') {
+    return { maxItems: 1, from: source.activities[index].time, until: source.activities[index + 1]?.time, excludePlaces };
+  }
+  return {
+    ordered: true,
+    from: source === days[0] ? source.activities[0]?.time : undefined,
+    until: source === days[days.length - 1] ? source.activities[source.activities.length - 1]?.time : undefined,
+    excludePlaces
+  };
+}
+
+// 일자별 목록(travel_summary/schedule_conflicts/preference_filtered)에서 그날 항목만 교체
+function replaceDayEntries(entries = [], dayNumber, dayEntries) {
+  return [...entries.filter(entry => entry.day !== dayNumber), ...dayEntries].sort((a, b) => a.day - b.day);
+}
+
+// 부분 수정 요청 검사 - 통과하면 null
+// edit: { operation, day, index?, time?, fill?, alternative? }
+function validateTripEdit(itineraryJson, { operation, day, index, time, fill, alternative }) {
+  const rule = EDIT_OPERATIONS[operation];
+  if (!rule) return `수정 종류(operation)는 ${Object.keys(EDIT_OPERATIONS).join('/')} 중 하나여야 합니다.`;
+
+  const source = itineraryJson?.itinerary?.find(dayPlan => dayPlan.day === day);
+  if (!source) return `${day}일차 일정이 없습니다.`;
+  if (rule.index && !(Number.isInteger(index) && source.activities[index])) return `${day}일차에 ${index}번 활동이 없습니다.`;
+  if (rule.time && !TIME_PATTERN.test(time || '')) return "식사를 넣을 시간(time)은 HH:MM 형식이어야 합니다.";
+  if (operation === 'remove_activity' && fill === false && source.activities.length === 1) {
+    return "하루에 활동이 하나는 있어야 합니다.";
+  }
+
+  if (alternative !== undefined) {
+    if (operation !== 'replace_activity' || !alternative || typeof alternative !== 'object') {
+      return "대체 장소(alternative)는 replace_activity에서 활동 객체로만 보낼 수 있습니다.";
+    }
+    const { excludePlaces } = editConstraints(itineraryJson, source, { operation, index });
+    const [error] = validateActivities(chosenAlternative(alternative), { maxItems: 1, excludePlaces });
+    if (error) return `고른 대체 장소가 올바르지 않습니다. (${error.message})`;
+  }
+  return null;
+}
+
+// ✂️ 부분 수정 (하루 또는 활동 1개) - 고칠 날 하루만 모델에 보내고 새 활동만 장소 조회 (병렬)
+// 다른 날은 잠금: 객체를 그대로 두어 장소 정보/시간/경로/비용까지 그대로 유지
+// 고친 날만 취향 적용/이동 시간/영업시간 검사, 경로는 새로 이웃하게 된 활동 사이만 계산
+// edit: validateTripEdit를 통과한 요청 / destination: 여행지 (여러 도시 여행은 일자별 city 우선)
+// 반환: { itinerary, day, date, alternatives } - alternatives: replace_activity의 나머지 후보 (장소 정보 포함)
+async function editTripDay(itineraryJson, edit, { tier, destination, signal } = {}) {
+  const { operation, index, time, userRequest, fill = true, alternative } = edit;
+  const source = itineraryJson.itinerary.find(day => day.day === edit.day);
+  const dayPlan = structuredClone(source);
+  const preferences = itineraryJson.preferences || {};
+  const target = EDIT_OPERATIONS[operation].index ? dayPlan.activities[index] : null;
+  const position = operation === 'insert_meal' ? insertionIndex(dayPlan.activities, time) : (index ?? 0);
+
+  let suggested = [];
+  if (alternative) {
+    suggested = chosenAlternative(alternative).activities;
+  } else if (operation !== 'remove_activity' || fill) {
+    const region = operation === 'regenerate_day' && dayPlan.transfer
+      ? `${dayPlan.transfer.from} → ${dayPlan.transfer.to}`
+      : activityCity(dayPlan, position, destination);
+    ({ activities: suggested } = await getItineraryGenerator(tier).editActivities({
+      operation, region, day: dayPlan.day, date: dayPlan.date,
+      activities: dayPlan.activities.map(simplifyActivity),
+      target: target && simplifyActivity(target),
+      time, userRequest, currency: itineraryJson.currency, preferences,
+      constraints: editConstraints(itineraryJson, source, edit)
+    }, { signal }));
+  }
+  correctBeautyPlaces(suggested);
+
+  let added;
+  if (operation === 'regenerate_day') {
+    added = suggested;
+    dayPlan.activities = [...suggested];
+  } else if (operation === 'insert_meal') {
+    added = [{ ...suggested[0], time }];
+    dayPlan.activities.splice(position, 0, ...added);
+  } else {
+    // 대체 장소는 원래 시간 그대로, 빈 시간 채우기는 모델이 고른 시간
+    added = suggested.slice(0, 1).map(activity => (operation === 'replace_activity' ? { ...activity, time: target.time } : activity));
+    dayPlan.activities.splice(index, 1, ...added);
+  }
+
+  // 기준 좌표: 같은 날 이웃한 활동 -> (하루 전체를 바꾼 경우) 원래 일정의 장소
+  const knownPlaces = collectKnownPlaces(itineraryJson);
+  const dayLocation = source.activities.map(activity => activity.location).find(hasCoordinates) || null;
+  const enrich = (activity, i) => enrichActivity(
+    activity, activityCity(dayPlan, i, destination), knownPlaces, nearbyLocation(dayPlan.activities, i, knownPlaces, dayLocation)
+  );
+  const others = operation === 'replace_activity' ? suggested.slice(1).map(activity => ({ ...activity, time: target.time })) : [];
+  const [activities, alternatives] = await Promise.all([
+    Promise.all(dayPlan.activities.map((activity, i) => (added.includes(activity) ? enrich(activity, i) : activity))),
+    Promise.all(others.map(activity => enrich(activity, index)))
+  ]);
+  signal?.throwIfAborted();
+  dayPlan.activities = activities;
+
+  const scoped = { itinerary: [dayPlan] };
+  const preferenceFiltered = applyPreferences(scoped, preferences);
+  const [travelSummary] = applyTravelTimes(scoped, { dayEndTime: preferences.sleepTime });
+  const conflicts = detectScheduleConflicts(scoped);
+
+  // 그대로 이웃한 활동은 기존 travel_info 유지 (이동 시간 검사가 활동을 복사하므로 장소로 비교)
+  const placeKey = activity => activity.place_id || activity.place_name;
+  const previousPlace = new Map(source.activities.slice(1).map((activity, i) => [placeKey(activity), placeKey(source.activities[i])]));
+  for (const [i, activity] of dayPlan.activities.entries()) {
+    const prev = dayPlan.activities[i - 1];
+    if (prev && activity.travel_info && previousPlace.get(placeKey(activity)) === placeKey(prev)) continue;
+    delete activity.travel_info;
+    if (prev?.place_id && activity.place_id) {
+      const routeInfo = await calculateRoute(prev.place_id, activity.place_id);
+      if (routeInfo) activity.travel_info = routeInfo;
+    }
+  }
+
+  const edited = {
+    ...itineraryJson,
+    itinerary: itineraryJson.itinerary.map(day => (day === source ? dayPlan : day)),
+    schedule_conflicts: replaceDayEntries(itineraryJson.schedule_conflicts, dayPlan.day, conflicts)
+  };
+  if (Array.isArray(itineraryJson.travel_summary)) {
+    edited.travel_summary = replaceDayEntries(itineraryJson.travel_summary, dayPlan.day, [travelSummary]);
+  }
+  if (itineraryJson.preferences) {
+    // 하루 다시 짜기가 아니면 그날 이전에 뺀 활동 기록도 유지
+    const kept = operation === 'regenerate_day' ? [] : (itineraryJson.preference_filtered || []).filter(entry => entry.day === dayPlan.day);
+    edited.preference_filtered = replaceDayEntries(itineraryJson.preference_filtered, dayPlan.day, [...kept, ...preferenceFiltered]);
+  }
+
+  // 💸 합계는 오늘 환율로 다시 계산 - 잠긴 날의 활동(cost)은 바꾸지 않도록 사본으로 계산
+  const summary = itineraryJson.budget_summary;
+  edited.budget_summary = summarizeBudget({
+    ...edited,
+    itinerary: edited.itinerary.map(day => (day === dayPlan ? day : { ...day, activities: day.activities.map(activity => ({ ...activity })) }))
+  }, { budget: summary?.budget?.text, travelers: summary?.travelers, exchangeRates: await getExchangeRates() });
+
+  console.log(`✂️ Day ${dayPlan.day} ${operation}: ${added.length} new activities, ${alternatives.length} alternatives`);
+  return { itinerary: edited, day: dayPlan.day, date: dayPlan.date, alternatives };
+}
+
+module.exports = {
+  calculateDays,
+  validateTripWindow,
+  dedupeActivities,
+  correctBeautyPlaces,
+  detectScheduleConflicts,
+  applyPreferences,
+  buildTripItinerary,
+  modifyTripItinerary,
+  optimizeTripDay,
+  validateTripEdit,
+  editTripDay
+};
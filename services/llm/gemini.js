@@ -0,0 +1,26 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { config } = require('../../lib/config');
+
+// Google Gemini 구현
+// messages: [{ role: 'user' | 'assistant', content }]
+function createGeminiProvider({ model = "gemini-2.5-flash", apiKey = config.llm.geminiApiKey } = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    async complete({ messages, signal }) {
+      const result = await generativeModel.generateContent({
+        contents: messages.map(m => ({
+          role: m.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: m.content }]
+        })),
+        generationConfig: { responseMimeType: "application/json" }
+      }, { signal });
+      return result.response.text();
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,119 @@
+const {
+  ItineraryValidationError, normalizeItinerary, normalizeActivities, validateItinerary, validateActivities, buildRepairPrompt
+} = require('../../lib/itinerary_schema');
+const { config } = require('../../lib/config');
+const { buildGeneratePrompt, buildModifyPrompt, buildFitBudgetPrompt, buildResolveConflictsPrompt, buildScopedEditPrompt } = require('./prompts');
+
+// 일정 검증 실패 시 모델에게 오류 내용을 알려주고 다시 요청하는 횟수
+const MAX_ITINERARY_REPAIRS = config.llm.maxRepairs;
+
+function cleanAndParseJSON(text) {
+  try {
+    const cleaned = text.replace(/```json/g, "").replace(/```/g, "").trim();
+    return JSON.parse(cleaned);
+  } catch (e) {
+    console.error("JSON Parse Error:", e);
+    return null;
+  }
+}
+
+// 일정 생성기: LLM 구현체(provider) 위에 프롬프트 + 스키마 검증 + 수정 재요청 루프를 얹음
+// provider: { name, model, complete({ task, messages, signal }) -> JSON 문자열 }
+function createItineraryGenerator(provider) {
+  // schema: { normalize(json), validate(json) -> [{ path, message }] }
+  async function completeChecked(task, prompt, schema, signal) {
+    const messages = [{ role: 'user', content: prompt }];
+    const maxAttempts = MAX_ITINERARY_REPAIRS + 1;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const text = await provider.complete({ task, messages, signal });
+      signal?.throwIfAborted();
+
+      const parsed = schema.normalize(cleanAndParseJSON(text));
+      errors = parsed
+        ? schema.validate(parsed)
+        : [{ path: '$', message: "올바른 JSON이 아닙니다." }];
+
+      if (errors.length === 0) return parsed;
+
+      console.warn(`⚠️ Itinerary validation failed (${provider.name}/${provider.model}, attempt ${attempt}/${maxAttempts}): ${errors.length} errors`);
+      messages.push(
+        { role: 'assistant', content: text },
+        { role: 'user', content: buildRepairPrompt(errors) }
+      );
+    }
+
+    throw new ItineraryValidationError(errors, maxAttempts);
+  }
+
+  // 전체 일정 - constraints: { startDate, endDate, arrivalTime?, departureTime? }
+  function completeValidated(task, prompt, constraints, signal) {
+    return completeChecked(task, prompt, {
+      normalize: normalizeItinerary,
+      validate: json => validateItinerary(json, constraints)
+    }, signal);
+  }
+
+  return {
+    provider: provider.name,
+    model: provider.model,
+
+    // params: generate-trip 요청 본문 + totalDays
+    generate(params, { signal } = {}) {
+      const { startDate, endDate, arrivalTime, departureTime } = params;
+      return completeValidated(
+        { type: 'generate', params },
+        buildGeneratePrompt(params),
+        { startDate, endDate, arrivalTime, departureTime },
+        signal
+      );
+    },
+
+    // simplifiedItinerary의 날짜 범위와 도착/출발 시간은 유지해야 함 / preferences: 일정을 만들 때 쓴 여행자 취향
+    modify({ simplifiedItinerary, userRequest, destination, preferences, arrivalTime, departureTime }, { signal } = {}) {
+      const days = simplifiedItinerary.itinerary;
+      return completeValidated(
+        { type: 'modify', simplifiedItinerary, userRequest, destination },
+        buildModifyPrompt({ simplifiedItinerary, userRequest, destination, preferences, arrivalTime, departureTime }),
+        { startDate: days[0]?.date, endDate: days[days.length - 1]?.date, arrivalTime, departureTime },
+        signal
+      );
+    },
+
+    // 예산(targetBudget) 안으로 일정 줄이기 - 날짜 범위와 도착/출발 시간은 유지
+    fitBudget({ simplifiedItinerary, destination, budgetSummary, targetBudget, preferences, arrivalTime, departureTime }, { signal } = {}) {
+      const days = simplifiedItinerary.itinerary;
+      return completeValidated(
+        { type: 'fit_budget', simplifiedItinerary, destination, targetBudget },
+        buildFitBudgetPrompt({ simplifiedItinerary, destination, budgetSummary, targetBudget, preferences, arrivalTime, departureTime }),
+        { startDate: days[0]?.date, endDate: days[days.length - 1]?.date, arrivalTime, departureTime },
+        signal
+      );
+    },
+
+    // 영업시간 충돌(conflicts) 활동만 다시 배치 - 날짜 범위와 도착/출발 시간은 유지
+    resolveConflicts({ simplifiedItinerary, conflicts, destination, arrivalTime, departureTime }, { signal } = {}) {
+      const days = simplifiedItinerary.itinerary;
+      return completeValidated(
+        { type: 'resolve_conflicts', simplifiedItinerary, conflicts, destination },
+        buildResolveConflictsPrompt({ simplifiedItinerary, conflicts, destination }),
+        { startDate: days[0]?.date, endDate: days[days.length - 1]?.date, arrivalTime, departureTime },
+        signal
+      );
+    },
+
+    // 부분 수정 - 고칠 날 하루만 보내고 새 활동만 받음 ({ activities })
+    // edit: prompts buildScopedEditPrompt 인자, edit.constraints: validateActivities 조건
+    editActivities(edit, { signal } = {}) {
+      return completeChecked(
+        { type: 'edit_activities', edit },
+        buildScopedEditPrompt(edit),
+        { normalize: normalizeActivities, validate: json => validateActivities(json, edit.constraints) },
+        signal
+      );
+    }
+  };
+}
+
+module.exports = { createItineraryGenerator, cleanAndParseJSON };
@@ -0,0 +1,46 @@
+const { config } = require('../../lib/config');
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openai_compatible');
+const { createStubProvider } = require('./stub');
+const { createItineraryGenerator } = require('./generator');
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  stub: createStubProvider
+};
+
+const DEFAULT_MODELS = {
+  gemini: "gemini-2.5-flash",
+  openai: "gpt-4o-mini",
+  stub: "fixture"
+};
+
+// 등급별 LLM 설정
+// - LLM_PROVIDER / LLM_MODEL: 기본값 (gemini / gemini-2.5-flash)
+// - 등급 이름을 붙이면 해당 등급만 덮어씀 (예: LLM_MODEL_PRO=gemini-2.5-pro)
+function resolveTierConfig(tier) {
+  const baseProvider = config.llm.provider;
+  const provider = (tier && config.llm.tierProvider(tier)) || baseProvider;
+  const model = (tier && config.llm.tierModel(tier))
+    || (provider === baseProvider ? config.llm.model : null)
+    || DEFAULT_MODELS[provider];
+  return { provider, model };
+}
+
+const generators = new Map();
+
+// 등급에 맞는 일정 생성기 반환 (provider+model 조합별로 재사용)
+function getItineraryGenerator(tier = 'free') {
+  const { provider, model } = resolveTierConfig(tier);
+  const factory = PROVIDERS[provider];
+  if (!factory) throw new Error(`Unknown LLM provider: ${provider}`);
+
+  const key = `${provider}:${model}`;
+  if (!generators.has(key)) {
+    generators.set(key, createItineraryGenerator(factory({ model })));
+  }
+  return generators.get(key);
+}
+
+module.exports = { getItineraryGenerator, resolveTierConfig, PROVIDERS };
@@ -0,0 +1,41 @@
+const axios = require('axios');
+const { config } = require('../../lib/config');
+
+// OpenAI 호환 Chat Completions API 구현 (OpenAI, Azure OpenAI, vLLM, Ollama 등)
+function createOpenAICompatibleProvider({
+  model = "gpt-4o-mini",
+  baseUrl = config.llm.openaiBaseUrl,
+  apiKey = config.llm.openaiApiKey
+} = {}) {
+  return {
+    name: 'openai',
+    model,
+    async complete({ messages, signal }) {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+        {
+          model,
+          messages: [
+            { role: 'system', content: "You are a travel planner. Always answer with a single valid JSON object." },
+            ...messages.map(m => ({ role: m.role, content: m.content }))
+          ],
+          response_format: { type: 'json_object' }
+        },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          timeout: 120000,
+          signal
+        }
+      );
+
+      const content = response.data.choices?.[0]?.message?.content;
+      if (!content) throw new Error("LLM 응답이 비어 있습니다.");
+      return content;
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,200 @@
+// 일정 생성/수정 프롬프트 (모든 LLM 구현체 공통)
+
+const { ACTIVITY_TYPES } = require('../../lib/itinerary_schema');
+const { planTripDays } = require('../../lib/trip_legs');
+const { PACES, PACED_TYPES, COMPANION_TYPES, DIETARY_RULES, MOBILITY_RULES } = require('../../lib/preferences');
+
+// 여러 도시 여행: 일자별 도시 / 이동일 규칙
+function buildLegRules(legs) {
+  const lines = planTripDays(legs).map(({ day, date, city, transfer }) => (transfer
+    ? `- Day ${day} (${date}): **${transfer.from} → ${transfer.to} 이동일** - ${transfer.from} 일정 후 "${transfer.to}로 이동"(type: 이동) 활동, 이후는 ${transfer.to} 일정`
+    : `- Day ${day} (${date}): ${city}`));
+  return lines.join('\n      ');
+}
+
+// 여행자 취향 (lib/preferences) - 없으면 빈 문자열
+function buildPreferenceRules(preferences = {}) {
+  const { pace, interests, dietary, mobility, companions, wakeTime, sleepTime } = preferences;
+  const lines = [];
+  if (pace === 'relaxed') lines.push(`- 일정 강도: 여유롭게 - ${PACED_TYPES.join('/')} 활동은 하루 최대 ${PACES.relaxed.maxSpotsPerDay}곳, 장소마다 충분히 머물기`);
+  if (pace === 'packed') lines.push("- 일정 강도: 알차게 - 가까운 명소를 촘촘히 배치");
+  if (interests?.length) lines.push(`- 관심사: ${interests.join(', ')} (관련 장소 우선)`);
+  if (dietary?.length) lines.push(`- 식단: ${dietary.map(key => DIETARY_RULES[key].label).join(', ')} - "식사"는 이 식단이 가능한 식당만 (고깃집/횟집 등 금지)`);
+  if (mobility?.length) lines.push(`- 이동 약자: ${mobility.map(key => MOBILITY_RULES[key].label).join(', ')} - 등산로/계단이 많은 장소 금지, 이동 거리 최소화`);
+  if (companions) lines.push(`- 동행: ${COMPANION_TYPES[companions].label}${companions === 'kids' ? ' - 술집/클럽 등 성인 전용 장소 금지' : ''}`);
+  if (wakeTime || sleepTime) lines.push(`- 활동 시간: ${wakeTime || '09:00'} 이후 시작, ${sleepTime || '22:00'} 전 마무리`);
+  return lines.length > 0 ? `[여행자 취향] (반드시 지킬 것)\n      ${lines.join('\n      ')}` : '';
+}
+
+// 일정 생성 프롬프트
+// legs가 있으면 여러 도시 여행 (destination은 "오사카 → 교토" 형태)
+function buildGeneratePrompt({ destination, legs, startDate, endDate, arrivalTime, departureTime, otherRequirements, budget, travelers, totalDays, preferences = {} }) {
+  // 시간 제약 프롬프트
+  let timeConstraint = "";
+  if (totalDays === 1) {
+    timeConstraint = `**[🚨 당일치기 필수]** 일정은 **${arrivalTime} 시작**, **${departureTime} 종료**. 범위 밖 일정 생성 금지.`;
+  } else {
+    const dayHours = `${preferences.wakeTime || '09:00'}~${preferences.sleepTime || '22:00'}`;
+    timeConstraint = `**[시간 규칙]** Day 1: ${arrivalTime} 이후 시작. Day ${totalDays}: ${departureTime} 이전 종료. 나머지: ${dayHours} ${preferences.pace === 'relaxed' ? '여유 있게' : '꽉 채움'}.`;
+  }
+
+  const isMultiCity = Array.isArray(legs) && legs.length > 1;
+  const regionRule = isMultiCity
+    ? `1. **[절대 원칙] 도시별 지역 고정:** 각 날짜의 장소는 반드시 아래 도시 안에 실제 위치해야 합니다. 다른 도시의 장소를 섞지 마세요.
+      ${buildLegRules(legs)}`
+    : `1. **[절대 원칙] 지역 고정:** 모든 장소는 반드시 **${destination}** 지역 내에 실제 위치해야 합니다. 이름만 같고 다른 지역에 있는 체인점이나, 엉뚱한 도시의 명소를 절대 포함하지 마세요. (예: 부산 여행에 '서울 남산타워' 추천 금지)`;
+
+  return `
+      여행지: ${destination}${isMultiCity ? ' (도시 순서대로 이동)' : ''}
+      기간: ${startDate} ~ ${endDate} (총 ${totalDays}일)
+      인원: ${travelers || "1"}명
+      예산: ${budget || "제한 없음"} (인원 전체 합계 기준 - 넘지 않게 구성)
+      ${timeConstraint}
+      ✨ 사용자 요청: "${otherRequirements || "없음"}" (최우선 반영)
+      ${buildPreferenceRules(preferences)}
+
+      [규칙]
+      ${regionRule}
+      2. **장소:** 구체적 상호명 필수 (예: '맛집' X -> '명동교자' O).
+      3. **중복:** 같은 장소 반복 금지.
+      4. **데이터:** photoUrl 등 상세 정보 제외.
+      5. **[중요] 장소 유형 일관성:**
+         - "식사" 타입은 반드시 음식점, 카페, 베이커리 등 식음료 전문점만 추천하세요.
+         - 왁싱샵, 미용실, 네일샵, 마사지샵, 스파 등 뷰티/미용 업종은 "관광" 또는 "휴식" 타입으로만 분류하세요. 절대 "식사"로 분류하지 마세요.
+         - 장소명에 "뷰티", "왁싱", "네일", "미용", "스파", "마사지" 등이 포함된 경우 식사 장소로 추천하면 안 됩니다.
+         - activity_description은 반드시 place_name과 일치해야 합니다. (예: 왁싱샵인데 "카페에서 아침 식사" 설명 금지)
+      6. **영업시간:** 방문 시간(time)에 실제로 영업 중인 곳만 배치하세요. (예: 저녁 전용 식당을 점심에 배치 금지, 정기 휴무일 주의)
+      7. **동선:** 같은 날은 가까운 장소끼리 묶고, 앞 장소 체류 시간 + 이동 시간을 고려해 다음 활동 시간을 정하세요.
+      8. **비용:** 모든 활동에 1인 기준 예상 비용 범위(estimated_cost)를 현지 통화 숫자로 적으세요. (입장료, 식사비, 교통비, 숙소는 1박 요금) 무료면 0. currency는 현지 통화 ISO 코드 (예: KRW, JPY).
+
+      [출력 JSON]
+      { 
+        "trip_title": "제목", 
+        "cover_image_query": "Short English artistic image search query for this trip (e.g., 'Kyoto zen garden watercolor')",
+        "currency": "KRW",
+        "itinerary": [ { "day": 1, "date": "YYYY-MM-DD", "activities": [ { "time": "HH:MM", "place_name": "장소명", "type": "관광/식사/숙소", "activity_description": "설명", "is_booking_required": true/false, "estimated_cost": { "min": 0, "max": 0 } } ] } ] 
+      }
+    `;
+}
+
+// 일정 수정 프롬프트 (simplifiedItinerary: 사진/평점 등 상세 정보를 뺀 기존 일정)
+// preferences: 일정을 만들 때 쓴 여행자 취향 (수정 후에도 유지)
+// 수정/예산 맞추기 때 지켜야 할 도착/출발 시간 규칙 (둘 다 없으면 빈 문자열)
+function buildTripTimeRule({ arrivalTime, departureTime }) {
+  const rules = [];
+  if (arrivalTime) rules.push(`Day 1: ${arrivalTime} 이후 시작.`);
+  if (departureTime) rules.push(`마지막 날: ${departureTime} 이전 종료.`);
+  return rules.length > 0 ? `**[시간 규칙]** ${rules.join(' ')} 범위 밖 일정 생성 금지.` : '';
+}
+
+function buildModifyPrompt({ simplifiedItinerary, userRequest, destination, preferences, arrivalTime, departureTime }) {
+  return `
+    여행 전문가로서 일정을 수정해주세요.
+    [여행지]: **${destination}** (변경 금지)
+    [기존]: ${JSON.stringify(simplifiedItinerary)}
+    ✨ [수정 요청]: "${userRequest}"
+    ${buildTripTimeRule({ arrivalTime, departureTime })}
+    ${buildPreferenceRules(preferences)}
+    
+    [규칙]
+    1. **[절대 원칙] 지역 고정:** 추천하는 장소는 반드시 **${destination}** 내에 있어야 합니다. 다른 지역의 장소를 추천하면 절대 안 됩니다.
+    2. 시간: 저녁까지 꽉 채움.
+    3. 중복 금지, 구체적 상호명.
+    4. **[중요] 장소 변경 시:** 사용자가 특정 활동(예: 점심, 저녁)을 다른 종류(예: 라멘, 초밥)로 바꿔달라고 하면, **반드시 'place_name'을 새로운 가게 이름으로 변경해야 합니다.** 기존 장소 이름을 그대로 두고 설명만 바꾸면 절대 안 됩니다.
+    - 예시: "점심을 라멘으로 바꿔줘" -> 기존 '명동교자'를 '이치란 라멘'으로 변경 (설명만 바꾸지 말 것!)
+    5. **[일관성 필수]** 'place_name'과 'activity_description'은 반드시 일치해야 합니다.
+    - 잘못된 예: place_name="스타벅스", activity_description="CGV에서 영화 관람" (X) -> 설명이 영화관이면 이름도 'CGV'여야 함.
+    - 수정 요청에 따라 장소의 성격이 바뀌면(예: 식당 -> 실내 관광지), 반드시 이름도 그에 맞는 곳으로 변경하세요.
+    6. **형식 유지:** 기존과 같은 JSON 구조와 날짜(day, date)를 유지하세요. time은 HH:MM, type은 ${ACTIVITY_TYPES.join('/')} 중 하나.
+    7. **비용:** currency는 그대로, 새 활동에도 1인 기준 estimated_cost({ min, max }, 현지 통화)를 적으세요.
+    
+    [출력] JSON Only.
+    `;
+}
+
+// 예산 맞추기 프롬프트 (budgetSummary: lib/budget summarizeBudget 결과, targetBudget: 사용자가 적은 예산)
+function buildFitBudgetPrompt({ simplifiedItinerary, destination, budgetSummary, targetBudget, preferences, arrivalTime, departureTime }) {
+  const { currency, travelers, total } = budgetSummary;
+  return `
+    여행 전문가로서 일정을 예산 안으로 줄여주세요.
+    [여행지]: **${destination}** (변경 금지)
+    [기존]: ${JSON.stringify(simplifiedItinerary)}
+    💸 [현재 예상 비용]: ${travelers}명 합계 ${total.min}~${total.max} ${currency}
+    🎯 [목표 예산]: ${targetBudget} (${travelers}명 합계, 최대 추정치도 넘지 않게)
+    ${buildTripTimeRule({ arrivalTime, departureTime })}
+    ${buildPreferenceRules(preferences)}
+
+    [규칙]
+    1. 비싼 활동부터 같은 지역의 더 저렴한 곳(구체적 상호명)으로 바꾸거나, 무료 명소로 대체하세요.
+    2. 날짜(day, date)와 하루 일정의 큰 흐름(시간대, 숙소/이동)은 유지합니다.
+    3. 모든 활동에 1인 기준 estimated_cost({ min, max }, ${currency})를 다시 적으세요. currency는 그대로.
+    4. 중복 장소 금지. 'place_name'과 'activity_description'은 반드시 일치해야 합니다.
+    5. **형식 유지:** 기존과 같은 JSON 구조. time은 HH:MM, type은 ${ACTIVITY_TYPES.join('/')} 중 하나.
+
+    [출력] JSON Only.
+    `;
+}
+
+// 영업시간 충돌 해결 프롬프트 (conflicts: detectScheduleConflicts 결과)
+function buildResolveConflictsPrompt({ simplifiedItinerary, conflicts, destination }) {
+  const conflictLines = conflicts
+    .map(c => `- Day ${c.day} (${c.date}) ${c.time} "${c.place_name}": ${c.message}`)
+    .join('\n');
+
+  return `
+    여행 전문가로서 영업시간과 맞지 않는 일정을 고쳐주세요.
+    [여행지]: **${destination}** (변경 금지)
+    [기존]: ${JSON.stringify(simplifiedItinerary)}
+    ⏰ [영업시간 충돌]:
+${conflictLines}
+
+    [규칙]
+    1. 위 목록의 활동만 고치세요. 나머지 활동의 장소/시간/설명은 그대로 유지합니다.
+    2. 고치는 방법 (우선순위 순):
+       - 같은 날 영업시간 안으로 시간 변경 (다른 활동과 순서를 바꿔도 됨)
+       - 같은 날 다른 활동과 시간 맞바꾸기
+       - 그 시간에 영업하는 ${destination} 내 비슷한 장소로 교체 (구체적 상호명)
+    3. 같은 날 활동은 시간 순으로 정렬하고, 중복 장소 금지.
+    4. **형식 유지:** 기존과 같은 JSON 구조와 날짜(day, date)를 유지하세요. time은 HH:MM, type은 ${ACTIVITY_TYPES.join('/')} 중 하나.
+
+    [출력] JSON Only.
+    `;
+}
+
+// 부분 수정별 요청 문장 (constraints: lib/itinerary_schema validateActivities 조건)
+const EDIT_INSTRUCTIONS = {
+  replace_activity: ({ target, constraints }) =>
+    `${target.time} "${target.place_name}"(${target.type}) 대신 갈 곳 ${constraints.maxItems}곳을 추천 순서대로 적으세요. 같은 시간(${target.time})에 맞는 비슷한 성격의 장소로, 이 날의 다른 활동은 적지 마세요.`,
+  regenerate_day: ({ constraints }) =>
+    `이 날 하루 일정을 새로 짜서 **하루 전체 활동을 시간 순서대로** 적으세요.${constraints.from ? ` ${constraints.from} 이후 시작.` : ''}${constraints.until ? ` ${constraints.until} 이전 종료.` : ''}`,
+  insert_meal: ({ time }) =>
+    `${time}에 식사(type: 식사) 1곳을 추가합니다. 앞뒤 활동 장소와 가까운 식당 1곳만 적으세요.`,
+  remove_activity: ({ target, constraints }) =>
+    `${target.time} "${target.place_name}"을(를) 일정에서 뺍니다. 비는 시간을 채울 활동 1개만 적으세요. (${constraints.from}${constraints.until ? `~${constraints.until}` : ' 이후'} 사이 시작)`
+};
+
+// 부분 수정 프롬프트 - 고칠 날 하루만 보내고 새로 추천할 활동만 받음 (나머지 날은 서버에서 그대로 유지)
+// activities: 고칠 날의 기존 활동 (simplified), target: 바꾸거나 뺄 활동, time: 식사를 넣을 시간
+function buildScopedEditPrompt({ operation, region, day, date, activities, target, time, userRequest, currency, preferences, constraints }) {
+  const { excludePlaces = [] } = constraints;
+  return `
+    여행 전문가로서 일정의 일부만 고쳐주세요.
+    [지역]: **${region}** (변경 금지)
+    [날짜]: Day ${day} (${date})
+    [이 날 일정]: ${JSON.stringify(activities)}
+    ✂️ [할 일]: ${EDIT_INSTRUCTIONS[operation]({ target, time, constraints })}
+    ✨ [추가 요청]: "${userRequest || "없음"}"
+    ${buildPreferenceRules(preferences)}
+
+    [규칙]
+    1. **[절대 원칙] 지역 고정:** 추천하는 장소는 반드시 **${region}** 안에 있어야 합니다.
+    2. **중복 금지:** 이미 일정에 있는 장소는 다시 적지 마세요.${excludePlaces.length > 0 ? ` (${excludePlaces.join(', ')})` : ''}
+    3. 구체적 상호명 필수. 'place_name'과 'activity_description'은 반드시 일치해야 합니다.
+    4. time은 HH:MM, type은 ${ACTIVITY_TYPES.join('/')} 중 하나. 1인 기준 estimated_cost({ min, max }, ${currency || '현지 통화'})를 적으세요.
+    5. **형식:** {"activities": [{ "time", "place_name", "type", "activity_description", "is_booking_required", "estimated_cost" }]}
+
+    [출력] JSON Only.
+    `;
+}
+
+module.exports = { buildPreferenceRules, buildGeneratePrompt, buildModifyPrompt, buildFitBudgetPrompt, buildResolveConflictsPrompt, buildScopedEditPrompt };
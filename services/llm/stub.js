@@ -0,0 +1,103 @@
+const fixture = require('./fixtures/itinerary.json');
+const { planTripDays } = require('../../lib/trip_legs');
+
+// 네트워크 없이 동작하는 결정적(deterministic) 스텁 - 테스트 및 로컬 개발용
+// 같은 요청에는 항상 같은 일정을 반환하며, 요청한 날짜 범위와 도착/출발 시간을 지킴
+function fill(text, destination) {
+  return text.replace(/\{destination\}/g, destination);
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// legs가 있으면 일자별 도시 이름으로 채우고, 이동일 맨 앞에 도시 간 이동 활동을 넣음
+function buildStubItinerary({ destination, legs, startDate, arrivalTime, departureTime, totalDays }) {
+  const itinerary = [];
+  const tripDays = legs ? planTripDays(legs) : [];
+
+  for (let i = 0; i < totalDays; i++) {
+    const cycle = Math.floor(i / fixture.days.length);
+    const template = fixture.days[i % fixture.days.length];
+    const isFirst = i === 0;
+    const isLast = i === totalDays - 1;
+
+    let activities = template
+      .filter(act => !(isFirst && arrivalTime && act.time < arrivalTime))
+      .filter(act => !(isLast && departureTime && act.time > departureTime));
+
+    if (activities.length === 0) {
+      activities = [{ ...template[0], time: isFirst && arrivalTime ? arrivalTime : departureTime }];
+    }
+
+    const city = tripDays[i]?.city || destination;
+    const transfer = tripDays[i]?.transfer;
+    activities = activities.map(act => ({
+      ...act,
+      // 3일 이상이면 템플릿을 반복하되 장소명이 겹치지 않게 번호를 붙임
+      place_name: fill(act.place_name, city) + (cycle > 0 ? ` ${cycle + 1}` : ''),
+      activity_description: fill(act.activity_description, city)
+    }));
+    if (transfer) {
+      activities[0] = {
+        time: activities[0].time,
+        place_name: `${transfer.to}로 이동`,
+        type: '이동',
+        activity_description: `${transfer.from}에서 ${transfer.to}로 이동`,
+        is_booking_required: false
+      };
+    }
+
+    itinerary.push({ day: i + 1, date: addDays(startDate, i), activities });
+  }
+
+  return {
+    trip_title: fill(fixture.trip_title, destination),
+    cover_image_query: fixture.cover_image_query,
+    itinerary
+  };
+}
+
+// 부분 수정: 조건(constraints)에 맞는 추천 활동 - 이미 일정에 있는 이름은 건너뜀
+function buildStubActivities({ operation, region, activities, target, time, constraints }) {
+  const { maxItems, from, types, excludePlaces = [] } = constraints;
+  const count = maxItems || Math.max(1, activities.length);
+  const start = target?.time || time || from || activities[0]?.time || '10:00';
+  const result = [];
+  for (let n = 1; result.length < count; n++) {
+    const place_name = `${region} 추천 장소 ${n}`;
+    if (excludePlaces.includes(place_name)) continue;
+    result.push({
+      time: operation === 'regenerate_day' && activities[result.length] ? activities[result.length].time : start,
+      place_name,
+      type: types?.[0] || target?.type || '관광',
+      activity_description: `${place_name} 방문`,
+      is_booking_required: false
+    });
+  }
+  return { activities: result };
+}
+
+function createStubProvider({ model = 'fixture' } = {}) {
+  return {
+    name: 'stub',
+    model,
+    async complete({ task }) {
+      if (task?.type === 'generate') {
+        return JSON.stringify(buildStubItinerary(task.params));
+      }
+      if (['modify', 'resolve_conflicts', 'fit_budget'].includes(task?.type)) {
+        // 수정/충돌 해결/예산 맞추기 요청은 기존 일정을 그대로 돌려줌
+        return JSON.stringify(task.simplifiedItinerary);
+      }
+      if (task?.type === 'edit_activities') {
+        return JSON.stringify(buildStubActivities(task.edit));
+      }
+      throw new Error(`Stub provider does not support task: ${task?.type}`);
+    }
+  };
+}
+
+module.exports = { createStubProvider, buildStubItinerary };
@@ -0,0 +1,227 @@
+const db = require('../lib/supabase');
+const { storeRemoteImage, storeUploadedImage, isPublicImageUrl, isStoredImageUrl, ImageValidationError } = require('./image_store');
+const { invalidatePlaceDetails } = require('./places');
+
+// 장소 사진 신고 / 관리자 사진 고정
+// - 사용자: 일정 속 장소 사진이 틀렸거나 깨졌으면 신고 (place_photo_reports)
+// - 관리자: 신고된 장소를 후보 사진과 함께 보고, 후보/외부 URL/직접 업로드한 사진으로 고정
+// - 고정된 사진(photo_pinned)은 자동 보정(fetchPlaceDetails, 이미지 점검 cron, 마이그레이션 스크립트)이 바꾸지 않음
+
+const REPORT_REASONS = ['wrong', 'broken', 'inappropriate'];
+const MAX_COMMENT_LENGTH = 500;
+
+class PhotoReportError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'PhotoReportError';
+    this.status = status;
+  }
+}
+
+async function findPlace(placeId) {
+  const { data, error } = await db.supabaseAdmin
+    .from('places_cache')
+    .select('*')
+    .eq('place_id', placeId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new PhotoReportError("장소를 찾을 수 없습니다", 404);
+  return data;
+}
+
+async function findOpenReport(placeId, reporterId) {
+  const { data, error } = await db.supabaseAdmin
+    .from('place_photo_reports')
+    .select('*')
+    .eq('place_id', placeId)
+    .eq('reporter_id', reporterId)
+    .eq('status', 'open')
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// 사용자 신고 - 같은 사용자가 같은 장소에 처리 대기 중인 신고가 있으면 새로 만들지 않음
+// 반환: { report, duplicate }
+async function reportPlacePhoto({ placeId, reporterId, reason, comment, photoUrl, tripId }) {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new PhotoReportError(`신고 사유는 ${REPORT_REASONS.join('/')} 중 하나여야 합니다`, 400);
+  }
+  if (comment && String(comment).length > MAX_COMMENT_LENGTH) {
+    throw new PhotoReportError(`설명은 ${MAX_COMMENT_LENGTH}자 이하로 입력해주세요`, 400);
+  }
+
+  const place = await findPlace(placeId);
+
+  const existing = await findOpenReport(placeId, reporterId);
+  if (existing) return { report: existing, duplicate: true };
+
+  const { data, error } = await db.supabaseAdmin
+    .from('place_photo_reports')
+    .insert([{
+      place_id: placeId,
+      reporter_id: reporterId,
+      reason,
+      comment: comment ? String(comment) : null,
+      // 사용자가 본 사진 (일정에 저장된 사진은 캐시와 다를 수 있음)
+      photo_url: photoUrl || place.photo_url,
+      trip_id: tripId || null,
+      status: 'open'
+    }])
+    .select()
+    .single();
+  if (error) {
+    // 동시에 들어온 같은 신고는 유니크 인덱스(uq_place_photo_reports_open_reporter)에 걸림 -> 먼저 저장된 신고 반환
+    const winner = error.code === '23505' ? await findOpenReport(placeId, reporterId) : null;
+    if (winner) return { report: winner, duplicate: true };
+    throw error;
+  }
+
+  console.log(`🚩 Photo reported (${reason}): ${place.place_name}`);
+  return { report: data, duplicate: false };
+}
+
+// 관리자 검토 대기열 - 처리 대기 중인 신고를 장소별로 묶어 신고 수 많은 순
+async function listReportedPlaces() {
+  const { data: reports, error } = await db.supabaseAdmin
+    .from('place_photo_reports')
+    .select('*')
+    .eq('status', 'open')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  if (reports.length === 0) return [];
+
+  const placeIds = [...new Set(reports.map(r => r.place_id))];
+  const { data: places, error: placesError } = await db.supabaseAdmin
+    .from('places_cache')
+    .select('place_id, place_name, photo_url, photo_variants, photo_candidates, photo_pinned, photo_pinned_at, types')
+    .in('place_id', placeIds);
+  if (placesError) throw placesError;
+
+  const placeMap = new Map(places.map(p => [p.place_id, p]));
+  return placeIds
+    .filter(id => placeMap.has(id))
+    .map(id => {
+      const place = placeMap.get(id);
+      const placeReports = reports.filter(r => r.place_id === id);
+      return {
+        ...place,
+        photo_candidates: place.photo_candidates || [],
+        report_count: placeReports.length,
+        latest_report_at: placeReports[0].created_at,
+        reports: placeReports.map(({ id: reportId, reason, comment, photo_url, trip_id, created_at }) => ({
+          id: reportId, reason, comment, photo_url, trip_id, created_at
+        }))
+      };
+    })
+    .sort((a, b) => b.report_count - a.report_count || (a.latest_report_at < b.latest_report_at ? 1 : -1));
+}
+
+async function resolveReports(placeId, adminId, status) {
+  const { data, error } = await db.supabaseAdmin
+    .from('place_photo_reports')
+    .update({ status, resolved_by: adminId, resolved_at: new Date().toISOString() })
+    .eq('place_id', placeId)
+    .eq('status', 'open')
+    .select();
+  if (error) throw error;
+  return data.length;
+}
+
+// 고정할 사진 준비: 기존 후보 URL / 외부 URL(내려받아 저장) / 업로드(base64)
+async function resolvePinnedImage(place, { candidateUrl, sourceUrl, imageBase64 }) {
+  if (candidateUrl) {
+    const candidate = (place.photo_candidates || []).find(c => c.url === candidateUrl);
+    if (candidate) return candidate;
+    if (candidateUrl === place.photo_url && isStoredImageUrl(place.photo_url)) {
+      return { url: place.photo_url, variants: place.photo_variants, sourceUrl: null };
+    }
+    throw new PhotoReportError("이 장소의 후보 사진이 아닙니다", 400);
+  }
+
+  if (sourceUrl) {
+    // 내부망 주소로 요청을 보내지 않도록 공인 주소로 풀리는 http(s) URL만 허용
+    if (!(await isPublicImageUrl(sourceUrl))) throw new PhotoReportError("사진 URL이 올바르지 않습니다", 400);
+    const stored = await storeRemoteImage(sourceUrl);
+    if (!stored) throw new PhotoReportError("사진을 내려받지 못했습니다 (형식/크기 확인)", 422);
+    return stored;
+  }
+
+  if (imageBase64) {
+    const bytes = Buffer.from(String(imageBase64).replace(/^data:[^;]+;base64,/, ''), 'base64');
+    try {
+      return await storeUploadedImage(bytes);
+    } catch (error) {
+      if (error instanceof ImageValidationError) {
+        throw new PhotoReportError(`업로드한 사진을 사용할 수 없습니다: ${error.message}`, 422);
+      }
+      throw error;
+    }
+  }
+
+  throw new PhotoReportError("candidate_url, source_url, image_base64 중 하나가 필요합니다", 400);
+}
+
+// 관리자 사진 고정 - 고정한 사진을 후보 맨 앞에 두고, 처리 대기 중인 신고는 해결 처리
+// 반환: { place, previousPhotoUrl, resolvedReports }
+async function pinPlacePhoto(placeId, adminId, input) {
+  const place = await findPlace(placeId);
+  const image = await resolvePinnedImage(place, input);
+
+  const candidates = [
+    { url: image.url, variants: image.variants, sourceUrl: image.sourceUrl || null, score: image.score ?? null },
+    ...(place.photo_candidates || []).filter(c => c.url !== image.url)
+  ];
+
+  const { data, error } = await db.supabaseAdmin
+    .from('places_cache')
+    .update({
+      photo_url: image.url,
+      photo_variants: image.variants,
+      photo_candidates: candidates,
+      photo_pinned: true,
+      photo_pinned_by: adminId,
+      photo_pinned_at: new Date().toISOString()
+    })
+    .eq('place_id', placeId)
+    .select()
+    .single();
+  if (error) throw error;
+
+  // 인메모리 장소 캐시에 남은 이전 사진 제거
+  invalidatePlaceDetails(placeId);
+  const resolvedReports = await resolveReports(placeId, adminId, 'resolved');
+  console.log(`📌 Photo pinned for ${place.place_name}: ${image.url}`);
+  return { place: data, previousPhotoUrl: place.photo_url, resolvedReports };
+}
+
+// 고정 해제 - 사진은 그대로 두고 자동 보정 대상으로 되돌림
+async function unpinPlacePhoto(placeId) {
+  const place = await findPlace(placeId);
+  if (!place.photo_pinned) throw new PhotoReportError("고정된 사진이 아닙니다", 409);
+
+  const { data, error } = await db.supabaseAdmin
+    .from('places_cache')
+    .update({ photo_pinned: false, photo_pinned_by: null, photo_pinned_at: null })
+    .eq('place_id', placeId)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// 사진을 바꾸지 않고 신고만 정리 (잘못된 신고)
+async function dismissPhotoReports(placeId, adminId) {
+  await findPlace(placeId);
+  return resolveReports(placeId, adminId, 'dismissed');
+}
+
+module.exports = {
+  REPORT_REASONS,
+  PhotoReportError,
+  reportPlacePhoto,
+  listReportedPlaces,
+  pinPlacePhoto,
+  unpinPlacePhoto,
+  dismissPhotoReports
+};
@@ -0,0 +1,395 @@
+const axios = require('axios');
+const db = require('../lib/supabase');
+const { config } = require('../lib/config');
+const { createCache } = require('../lib/cache');
+const { fetchStoredNaverImage, fetchStoredPlaceImages, getFallbackImage } = require('./images');
+
+// 장소 정보 (Google Places) + DB 캐시(places_cache) + 인메모리 캐시
+
+// --- [Optimization] 1차 캐시: 인메모리 (LRU + TTL) / 2차 캐시: DB (places_cache) ---
+// 키는 "도시|장소명" - 같은 "스타벅스"라도 부산과 도쿄는 다른 장소
+// 검색 실패(place_id 없는 Fallback 결과)는 짧게만 캐시해서 일시적인 API 오류가 오래 남지 않도록 함
+const PLACE_CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6시간
+const PLACE_NEGATIVE_TTL_MS = 5 * 60 * 1000; // 5분
+
+const placeDetailsCache = createCache({
+  name: 'placeDetails',
+  maxEntries: 1000,
+  ttlMs: PLACE_CACHE_TTL_MS,
+  negativeTtlMs: PLACE_NEGATIVE_TTL_MS,
+  isNegative: details => !details?.place_id
+});
+
+// DB 캐시 유사도 검색 기준 (match_cached_place)
+const PLACE_MATCH_MIN_SIMILARITY = 0.45;
+const PLACE_MATCH_RADIUS_KM = 50;
+
+const normalizeKeyPart = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+function placeCacheKey(placeName, cityContext) {
+  return `${normalizeKeyPart(cityContext)}|${normalizeKeyPart(placeName)}`;
+}
+
+// DB 캐시(places_cache)에서 가장 비슷한 장소 찾기 (match_cached_place RPC - 검색어는 파라미터로만 전달)
+// city: 도시명 (주소에 포함된 장소만), near: { latitude, longitude } (반경 안의 장소만)
+// 반환: { place, confidence, distanceKm } / 기준 유사도 미만이거나 조회 실패 시 null
+async function findCachedPlace(placeName, { city, near } = {}) {
+  const { data, error } = await db.supabase.rpc('match_cached_place', {
+    p_query: placeName,
+    p_city: city || null,
+    p_lat: near?.latitude ?? null,
+    p_lng: near?.longitude ?? null,
+    p_radius_km: PLACE_MATCH_RADIUS_KM,
+    p_min_similarity: PLACE_MATCH_MIN_SIMILARITY,
+    p_limit: 1
+  });
+
+  if (error) {
+    console.error(`⚠️ Place cache lookup failed for ${placeName}:`, error.message);
+    return null;
+  }
+
+  const [best] = data || [];
+  return best ? { place: best.place, confidence: best.confidence, distanceKm: best.distance_km } : null;
+}
+
+// 장소 상세 정보 조회 (DB Cache -> Google API -> Naver Image) - 인메모리 캐시는 getPlaceDetails에서
+// near: { latitude, longitude } - 같은 날 이웃한 활동 등 기준 좌표 (DB 캐시에서 반경 밖의 같은 이름 장소 제외)
+async function fetchPlaceDetails(placeName, cityContext = "", { near } = {}) {
+  if (placeName.includes("체크인") || placeName.includes("숙소") || placeName.includes("복귀")) {
+    return {
+      place_name: placeName,
+      type: "숙소",
+      photoUrl: getFallbackImage(['lodging', 'hotel'])
+    };
+  }
+
+  // [1] Check DB Cache (Supabase) - 유사도 순 가장 비슷한 장소 (같은 도시 + 기준 좌표 반경 안에서)
+  const match = await findCachedPlace(placeName, { city: cityContext, near });
+
+  if (match) {
+    const cachedPlace = match.place;
+    // [Self-Healing] 이미지가 없으면 다시 찾아 채워넣음 (Naver -> Google)
+    // 관리자가 고정한 사진(photo_pinned)은 건드리지 않음
+    if (!cachedPlace.photo_url && !cachedPlace.photo_pinned) {
+      console.log(`🩹 Healing missing photo for cached place: ${placeName}`);
+
+      // 1. Try Naver First (점수 순 후보를 자체 저장소에 보관)
+      // 💡 검색어 조합: "도시명 + 장소명"이 가장 정확함 (여기서는 placeName만 사용)
+      const naverImages = await fetchStoredPlaceImages({ placeName, types: cachedPlace.types });
+
+      let newPhotoUrl = naverImages[0]?.url || null;
+      let newPhotoVariants = naverImages[0]?.variants || null;
+      let newPhotoCandidates = naverImages; // 점수 순 사진 후보 (UI 로테이션 + 깨졌을 때 대체)
+      let newPhotoReference = null;
+
+      // 2. Fallback to Google Photos if Naver fails
+      if (!newPhotoUrl) {
+        try {
+          const googleRes = await axios.post(
+            `https://places.googleapis.com/v1/places:searchText`,
+            { textQuery: placeName, languageCode: "ko" },
+            {
+              headers: {
+                "Content-Type": "application/json",
+                "X-Goog-Api-Key": config.google.mapsApiKey,
+                "X-Goog-FieldMask": "places.photos"
+              }
+            }
+          );
+          const place = googleRes.data.places && googleRes.data.places[0];
+          if (place && place.photos && place.photos.length > 0) {
+            newPhotoReference = place.photos[0].name;
+            newPhotoUrl = `/api/proxy/google-photo/${newPhotoReference}`;
+            console.log(`📸 Healing success (Google) for: ${placeName}`);
+          }
+        } catch (e) {
+          console.error(`Healing Google Fallback Error for ${placeName}:`, e.message);
+        }
+      }
+
+      // 3. Update DB if we found something
+      if (newPhotoUrl) {
+        cachedPlace.photo_url = newPhotoUrl;
+        cachedPlace.photo_reference = newPhotoReference; // Update reference too if found
+        cachedPlace.photo_variants = newPhotoVariants;
+        cachedPlace.photo_candidates = newPhotoCandidates;
+
+        // 비동기 업데이트
+        db.supabase.from('places_cache')
+          .update({
+            photo_url: newPhotoUrl,
+            photo_reference: newPhotoReference,
+            photo_variants: newPhotoVariants,
+            photo_candidates: newPhotoCandidates
+          })
+          .eq('place_id', cachedPlace.place_id)
+          .then(({ error }) => {
+            if (!error) console.log("🔄 Updated cached photo URL for:", placeName);
+          });
+      }
+    }
+
+    // 사용 횟수 기록 (자주 쓰이는 장소는 재검증 cron이 더 자주 확인) - 비동기
+    db.supabase.from('places_cache')
+      .update({ use_count: (cachedPlace.use_count || 0) + 1, last_used_at: new Date().toISOString() })
+      .eq('place_id', cachedPlace.place_id)
+      .then(({ error }) => {
+        if (error) console.error(`⚠️ Failed to record place usage for ${placeName}:`, error.message);
+      });
+
+    // 🔧 [Fix] DB 필드명(snake_case)을 프론트엔드 필드명(camelCase)으로 변환
+    return {
+      place_id: cachedPlace.place_id,
+      place_name: cachedPlace.place_name,
+      rating: cachedPlace.rating,
+      ratingCount: cachedPlace.rating_count,
+      googleMapsUri: cachedPlace.google_maps_uri,
+      websiteUri: cachedPlace.website_uri,
+      photoUrl: cachedPlace.photo_url,  // ✅ photo_url → photoUrl
+      photoReference: cachedPlace.photo_reference,
+      photoVariants: cachedPlace.photo_variants || null,
+      photoCandidates: cachedPlace.photo_candidates || [],
+      location: cachedPlace.location,
+      types: cachedPlace.types,
+      businessStatus: cachedPlace.business_status || null,
+      openingHours: cachedPlace.opening_hours || null,
+      priceLevel: cachedPlace.price_level || null,
+      matchConfidence: match.confidence // 검색어와 캐시된 장소의 유사도 (1 = 이름 정확히 일치)
+    };
+  }
+
+  // [2] Google Places API Call (텍스트 정보만! 사진 X)
+  try {
+    // 🔧 [Fix] 도시 컨텍스트를 검색어 앞에 배치하여 지역 바이어스 강화
+    // "타임스퀘어 뉴욕" 대신 "뉴욕 타임스퀘어"로 검색 = 더 정확한 결과
+    const placeSearchQuery = cityContext
+      ? `${cityContext} ${placeName}`
+      : placeName;
+
+    console.log(`🔍 Google Places Search: ${placeSearchQuery}`);
+
+    const response = await axios.post(
+      `https://places.googleapis.com/v1/places:searchText`,
+      { textQuery: placeSearchQuery, languageCode: "ko" },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Goog-Api-Key": config.google.mapsApiKey,
+          // 🚨 photos 필드 제외 확인 (비용 절감)
+          "X-Goog-FieldMask": "places.id,places.rating,places.userRatingCount,places.googleMapsUri,places.location,places.websiteUri,places.types,places.displayName,places.formattedAddress,places.businessStatus,places.regularOpeningHours,places.utcOffsetMinutes,places.priceLevel"
+        }
+      }
+    );
+
+    const place = response.data.places && response.data.places[0];
+    if (!place) {
+      return {
+        place_name: placeName,
+        photoUrl: getFallbackImage()
+      };
+    }
+
+    console.log(`📍 API Search Result: ${place.displayName?.text}`);
+
+    // [3] 다른 검색어로 이미 캐시된 장소에 관리자가 고정한 사진이 있으면 그대로 사용 (검색/덮어쓰기 X)
+    const { data: pinnedPlace } = await db.supabase
+      .from('places_cache')
+      .select('photo_url, photo_variants, photo_candidates')
+      .eq('place_id', place.id)
+      .eq('photo_pinned', true)
+      .maybeSingle();
+
+    // [4] Naver Image Search (Primary) -> 후보 점수화 후 상위 사진을 자체 저장소에 보관
+    // 검색어: "도시명 + 장소명 + 유형별 접미사" (영어 이름도 도시 컨텍스트 + 한글 키워드로 정확도 보완)
+    const searchName = place.displayName?.text || placeName;
+    const storedImages = pinnedPlace
+      ? (pinnedPlace.photo_candidates || [])
+      : await fetchStoredPlaceImages({ placeName: searchName, city: cityContext, types: place.types });
+    let photoUrl = pinnedPlace ? pinnedPlace.photo_url : storedImages[0]?.url;
+
+    // [5] Fallback: Generic Image (Google Photos Removed for Cost)
+    // 만약 네이버 이미지를 못 찾았거나 내려받지 못했다면? -> Fallback 이미지 사용
+    if (!photoUrl) {
+      photoUrl = getFallbackImage(place.types);
+    }
+
+    const placeData = {
+      place_id: place.id,
+      place_name: searchName, // 정제된 구글 장소명 사용
+      rating: place.rating,
+      ratingCount: place.userRatingCount,
+      googleMapsUri: place.googleMapsUri,
+      websiteUri: place.websiteUri,
+      photoUrl: photoUrl, // 저장된 네이버 이미지 OR Fallback
+      photoReference: null,
+      photoVariants: pinnedPlace ? pinnedPlace.photo_variants : (storedImages[0]?.variants || null),
+      photoCandidates: storedImages, // [{ url, variants, sourceUrl, score }] 점수 순
+      location: place.location,
+      types: place.types,
+      businessStatus: place.businessStatus || null,
+      openingHours: place.regularOpeningHours || null,
+      priceLevel: place.priceLevel || null
+    };
+
+    // [6] DB에 캐시 저장
+    const newKeywords = [placeName, placeData.place_name, place.formattedAddress].filter(Boolean).join('|');
+
+    await db.supabase.from('places_cache').upsert([{
+      place_id: placeData.place_id,
+      place_name: placeData.place_name,
+      search_keywords: newKeywords,
+      rating: placeData.rating,
+      rating_count: placeData.ratingCount,
+      google_maps_uri: placeData.googleMapsUri,
+      website_uri: placeData.websiteUri,
+      photo_url: placeData.photoUrl,
+      photo_reference: null,
+      photo_variants: placeData.photoVariants,
+      photo_candidates: placeData.photoCandidates,
+      location: placeData.location,
+      types: placeData.types,
+      business_status: placeData.businessStatus,
+      opening_hours: placeData.openingHours,
+      price_level: placeData.priceLevel,
+      utc_offset_minutes: place.utcOffsetMinutes ?? null,
+      last_verified_at: new Date().toISOString()
+    }], { onConflict: 'place_id' }).select();
+
+    return placeData;
+  } catch (error) {
+    console.error(`⚠️ 검색 실패: ${placeName}`, error.message);
+    return {
+      place_name: placeName,
+      photoUrl: getFallbackImage()
+    };
+  }
+}
+
+// 재검증용 Place Details 필드 (평점/웹사이트/영업 상태/영업시간/가격대)
+const PLACE_DETAILS_FIELD_MASK = "id,rating,userRatingCount,websiteUri,googleMapsUri,businessStatus,regularOpeningHours,utcOffsetMinutes,priceLevel";
+
+// 캐시된 장소의 최신 정보 조회 (Google Place Details) - places_cache 컬럼 형태로 반환
+// Google에서 장소가 사라졌으면(404) null
+async function fetchPlaceFreshness(placeId) {
+  let response;
+  try {
+    response = await axios.get(`https://places.googleapis.com/v1/places/${encodeURIComponent(placeId)}`, {
+      params: { languageCode: "ko" },
+      headers: {
+        "X-Goog-Api-Key": config.google.mapsApiKey,
+        "X-Goog-FieldMask": PLACE_DETAILS_FIELD_MASK
+      },
+      timeout: 10000
+    });
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+
+  const place = response.data;
+  return {
+    rating: place.rating ?? null,
+    rating_count: place.userRatingCount ?? 0,
+    website_uri: place.websiteUri || null,
+    google_maps_uri: place.googleMapsUri || null,
+    business_status: place.businessStatus || null,
+    opening_hours: place.regularOpeningHours || null,
+    utc_offset_minutes: place.utcOffsetMinutes ?? null,
+    price_level: place.priceLevel || null
+  };
+}
+
+// 인메모리 캐시를 거친 장소 조회 - 같은 장소를 동시에 여러 번 조회하면 한 번만 검색
+async function getPlaceDetails(placeName, cityContext = "", { near } = {}) {
+  return placeDetailsCache.getOrLoad(
+    placeCacheKey(placeName, cityContext),
+    () => fetchPlaceDetails(placeName, cityContext, { near })
+  );
+}
+
+// 관리자가 사진을 바꾼 장소 등 - 인메모리 캐시에서 해당 place_id 항목 제거
+function invalidatePlaceDetails(placeId) {
+  return placeDetailsCache.deleteWhere(details => details?.place_id === placeId);
+}
+
+// 장소 이미지 프록시(/api/place-image)용 사진 조회
+// places_cache에 있는 장소만 처리 - 저장된 사진이 있으면 그대로, 없으면 네이버 검색 결과를 저장소에 보관 후 행에 기록
+// (캐시에 없는 검색어로는 네이버 검색/다운로드를 하지 않음 - 임의 검색어로 저장소가 채워지지 않도록)
+// 반환: { url, variants } / 캐시에 없는 장소거나 사진을 찾지 못하면 null
+async function getPlaceImage(query) {
+  const match = await findCachedPlace(query);
+  if (!match) return null;
+
+  const place = match.place;
+  if (place.photo_url) return { url: place.photo_url, variants: place.photo_variants || {} };
+  if (place.photo_pinned) return null;
+
+  const storedImage = await fetchStoredNaverImage(query);
+  if (!storedImage) return null;
+
+  const { error } = await db.supabase.from('places_cache')
+    .update({ photo_url: storedImage.url, photo_variants: storedImage.variants, photo_candidates: [storedImage] })
+    .eq('place_id', place.place_id);
+  if (error) console.error(`⚠️ Failed to save photo for ${place.place_name}:`, error.message);
+  else invalidatePlaceDetails(place.place_id);
+  return storedImage;
+}
+
+// 지역 자동완성 (New API + 도시 필터링)
+async function autocompleteRegions(query) {
+  // [Refinement] Limit granularity globally to Country, Level 1 (Do/State), Level 2 (Si/County), and Locality (City).
+  // We MUST include 'locality' because major cities like "Las Vegas", "Paris", "London" are localities.
+  // We exclude 'sublocality' and 'neighborhood' to avoid small districts (Dong/Eup/Myeon).
+  const primaryTypes = ["locality", "administrative_area_level_1", "administrative_area_level_2", "country"];
+
+  const response = await axios.post(
+    `https://places.googleapis.com/v1/places:autocomplete`,
+    {
+      input: query,
+      languageCode: "ko",
+      includedPrimaryTypes: primaryTypes
+    },
+    {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Goog-Api-Key": config.google.mapsApiKey
+      }
+    }
+  );
+
+  const suggestions = response.data.suggestions || [];
+  let predictions = suggestions.map(item => ({
+    description: item.placePrediction.text.text,
+    place_id: item.placePrediction.placeId,
+    secondary_text: item.placePrediction.structuredFormat?.secondaryText?.text || "",
+    main_text: item.placePrediction.structuredFormat?.mainText?.text || item.placePrediction.text.text
+  }));
+
+  // [Fix] 정렬 로직 제거 (Google API 순서 신뢰) 및 필터링 완화
+  // 기존 로직이 '부산'보다 '부산광역시'를 뒤로 보내는 등 부자연스러운 결과 초래
+
+  // [Fix] Prioritize Korean results if query contains Korean
+  const isKoreanQuery = /[가-힣]/.test(query);
+  if (isKoreanQuery) {
+    // 한국어로 검색 시 한국 지역만 필터링 (베트남, 인도 등 제외)
+    predictions = predictions.filter(p =>
+      p.description.includes("대한민국") ||
+      p.description.includes("South Korea") ||
+      p.description.includes("Korea")
+    );
+  }
+
+  return predictions;
+}
+
+module.exports = {
+  placeDetailsCache,
+  findCachedPlace,
+  fetchPlaceDetails,
+  getPlaceDetails,
+  invalidatePlaceDetails,
+  getPlaceImage,
+  fetchPlaceFreshness,
+  autocompleteRegions
+};
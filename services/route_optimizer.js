@@ -0,0 +1,167 @@
+const db = require('../lib/supabase');
+const { warmRouteCache } = require('./routing');
+const { travelBetween, planDayTravel } = require('./travel_time');
+
+// 하루 일정 동선 최적화 (LLM 호출 없이 결정적으로 계산)
+// - 고정 활동(자리 유지): 숙소 체크인, 이동, 예약 필요한 활동, 식사 시간대 안의 식사, 좌표 없는 활동
+// - 나머지 활동을 빈 자리에 다시 배치해 하루 총 이동 시간을 최소화
+//   이동 시간: 계산해 둔 경로(인메모리 + routes_cache) -> 없으면 places_cache 좌표로 추정 (Google 호출 없음)
+// - 각 자리의 원래 시각을 그대로 쓰고, 이동 시간이 모자라면 travel_time 검사가 뒤 활동을 미룸
+
+// 식사 시간대 (이 안의 식사는 고정, 밖이면 다른 활동처럼 옮길 수 있음)
+const MEAL_WINDOWS = [['07:00', '10:00'], ['11:00', '14:30'], ['17:00', '21:00']];
+const FIXED_TYPES = ['숙소', '이동'];
+// 이 개수까지는 모든 순서를 확인, 넘으면 자리 바꾸기 반복으로 개선
+const EXACT_SEARCH_LIMIT = 8;
+
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+const hasLocation = activity => activity.location?.latitude != null && activity.location?.longitude != null;
+
+function isWithinMealWindow(time) {
+  if (!time) return false;
+  const minutes = toMinutes(time);
+  return MEAL_WINDOWS.some(([from, to]) => minutes >= toMinutes(from) && minutes <= toMinutes(to));
+}
+
+function isFixed(activity) {
+  if (FIXED_TYPES.includes(activity.type)) return true;
+  if (activity.is_booking_required) return true;
+  if (activity.type === '식사' && isWithinMealWindow(activity.time)) return true;
+  return !hasLocation(activity);
+}
+
+// 장소 좌표는 places_cache 기준 (일정에 저장된 값이 없거나 오래됐을 수 있음)
+async function loadPlaceLocations(placeIds) {
+  const locations = new Map();
+  if (placeIds.length === 0) return locations;
+
+  const { data, error } = await db.supabase
+    .from('places_cache')
+    .select('place_id, location')
+    .in('place_id', placeIds);
+  if (error) {
+    console.error("⚠️ Place location lookup failed:", error.message);
+    return locations;
+  }
+  (data || []).forEach(row => {
+    if (row.location?.latitude != null && row.location?.longitude != null) locations.set(row.place_id, row.location);
+  });
+  return locations;
+}
+
+// 활동 순서의 총 이동 시간 (분) - 이동 시간을 알 수 없는 구간은 0
+function totalTravelMinutes(order, minutesBetween) {
+  let total = 0;
+  for (let i = 1; i < order.length; i++) total += minutesBetween(order[i - 1], order[i]);
+  return total;
+}
+
+// 모든 배치 확인 (분기 한정) - 비용이 같으면 먼저 찾은(원래 순서에 가까운) 배치 유지
+function searchExact(activities, freeSlots, movable, minutesBetween) {
+  let best = { cost: totalTravelMinutes(activities, minutesBetween), order: activities };
+  const order = [...activities];
+  const used = new Array(movable.length).fill(false);
+
+  const visit = (position, cost) => {
+    if (cost >= best.cost) return;
+    if (position === order.length) {
+      best = { cost, order: [...order] };
+      return;
+    }
+    const legCost = activity => (position > 0 ? minutesBetween(order[position - 1], activity) : 0);
+    if (!freeSlots.includes(position)) {
+      visit(position + 1, cost + legCost(order[position]));
+      return;
+    }
+    movable.forEach((activity, i) => {
+      if (used[i]) return;
+      used[i] = true;
+      order[position] = activity;
+      visit(position + 1, cost + legCost(activity));
+      used[i] = false;
+    });
+  };
+
+  visit(0, 0);
+  return best.order;
+}
+
+// 빈 자리끼리 두 활동을 바꿔 보며 줄어드는 동안 반복
+function searchBySwaps(activities, freeSlots, minutesBetween) {
+  let order = [...activities];
+  let cost = totalTravelMinutes(order, minutesBetween);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let a = 0; a < freeSlots.length; a++) {
+      for (let b = a + 1; b < freeSlots.length; b++) {
+        const candidate = [...order];
+        [candidate[freeSlots[a]], candidate[freeSlots[b]]] = [candidate[freeSlots[b]], candidate[freeSlots[a]]];
+        const candidateCost = totalTravelMinutes(candidate, minutesBetween);
+        if (candidateCost < cost) {
+          order = candidate;
+          cost = candidateCost;
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+// 하루 일정 동선 최적화 (dayPlan.activities를 직접 수정)
+// endTime: 마지막 활동 시작 한도 (기본: travel_time 기본값)
+// 반환: { reordered, fixed, moved, travel_minutes_before, travel_minutes_after, travel_summary }
+async function optimizeDayRoute(dayPlan, { endTime } = {}) {
+  const placeIds = [...new Set(dayPlan.activities.map(a => a.place_id).filter(Boolean))];
+  const [locations] = await Promise.all([loadPlaceLocations(placeIds), warmRouteCache(placeIds)]);
+
+  const activities = dayPlan.activities.map(activity => (
+    locations.has(activity.place_id) ? { ...activity, location: locations.get(activity.place_id) } : activity
+  ));
+
+  const minutes = new Map();
+  const minutesBetween = (from, to) => {
+    const key = `${activities.indexOf(from)}|${activities.indexOf(to)}`;
+    if (!minutes.has(key)) minutes.set(key, travelBetween(from, to)?.minutes || 0);
+    return minutes.get(key);
+  };
+
+  const freeSlots = activities.map((activity, i) => (isFixed(activity) ? null : i)).filter(i => i !== null);
+  const movable = freeSlots.map(i => activities[i]);
+  const before = totalTravelMinutes(activities, minutesBetween);
+
+  let order = activities;
+  if (movable.length >= 2) {
+    order = movable.length <= EXACT_SEARCH_LIMIT
+      ? searchExact(activities, freeSlots, movable, minutesBetween)
+      : searchBySwaps(activities, freeSlots, minutesBetween);
+  }
+
+  // 각 자리의 원래 시각을 새 활동에 배정 - 앞 활동이 바뀐 구간의 경로 정보는 지움
+  const moved = order.filter((activity, i) => activity !== activities[i]).length;
+  dayPlan.activities = order.map((activity, i) => {
+    const updated = { ...activity, time: activities[i].time };
+    if (updated.time !== activity.time) updated.original_time = activity.original_time || activity.time;
+    if (order[i - 1] !== activities[activities.indexOf(activity) - 1]) delete updated.travel_info;
+    return updated;
+  });
+
+  const travelSummary = planDayTravel(dayPlan, endTime ? { endTime } : {});
+
+  return {
+    reordered: moved > 0,
+    fixed: activities.length - movable.length,
+    moved,
+    travel_minutes_before: before,
+    travel_minutes_after: travelSummary.total_travel_minutes,
+    travel_summary: travelSummary
+  };
+}
+
+module.exports = { MEAL_WINDOWS, isFixed, optimizeDayRoute };
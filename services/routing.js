@@ -0,0 +1,365 @@
+const axios = require('axios');
+const db = require('../lib/supabase');
+const { config } = require('../lib/config');
+const { createCache } = require('../lib/cache');
+
+// 장소 간 이동 경로 (Google Directions / Distance Matrix API)
+// 1차 캐시: 인메모리 (routeCache) / 2차 캐시: DB (routes_cache - 출발/도착 place_id + 이동수단 + 시간대)
+
+// 계산한 경로 보관 (일정 이동 시간 검사에서 재사용) - 경로 없음은 10분만 보관
+const routeCache = createCache({ name: 'routes', maxEntries: 5000, ttlMs: 24 * 60 * 60 * 1000, negativeTtlMs: 10 * 60 * 1000 });
+
+const GOOGLE_MODES = ['transit', 'driving', 'walking'];
+
+const MODE_LABELS = {
+  transit: '대중교통',
+  driving: '택시/차량',
+  walking: '도보'
+};
+
+// 사용자가 고른 이동수단 라벨 (이동수단 버튼 / 일괄 계산)
+const SELECTED_MODE_LABELS = {
+  transit: '대중교통',
+  driving: '자동차'
+};
+
+// 출발 시각 -> 시간대 (대중교통/차량은 시간대별로 소요 시간이 달라 따로 캐시)
+// Google에는 시간대의 대표 시각(hour)을 출발 시각으로 전달
+const TIME_BUCKETS = [
+  { name: 'morning', from: 6, to: 10, hour: 8 },
+  { name: 'daytime', from: 10, to: 17, hour: 13 },
+  { name: 'evening', from: 17, to: 21, hour: 18 },
+  { name: 'night', from: 21, to: 30, hour: 22 }
+];
+const ANY_TIME = 'any';
+
+// Distance Matrix 요청 1회당 도착지 수 (출발지는 1곳 - 필요한 구간만 과금되도록)
+const MATRIX_MAX_DESTINATIONS = 25;
+// 동시에 보내는 Distance Matrix 요청 수
+const MATRIX_CONCURRENCY = 5;
+// 일괄 계산 요청 1회당 최대 구간 수
+const MAX_BATCH_LEGS = 150;
+
+function timeBucketOf(time) {
+  const hour = parseInt(String(time).split(':')[0], 10);
+  if (!(hour >= 0 && hour < 24)) return null;
+  const shifted = hour < 6 ? hour + 24 : hour;
+  return TIME_BUCKETS.find(bucket => shifted >= bucket.from && shifted < bucket.to);
+}
+
+// 출발 시각("HH:MM", 현지 시간) -> { bucket, departureTime (unix 초) }
+// 도보이거나 시각/현지 UTC 오프셋을 모르면 시간대 구분 없이 'any'
+function resolveDeparture(mode, time, utcOffsetMinutes, now = Date.now()) {
+  const bucket = mode !== 'walking' && time && utcOffsetMinutes != null ? timeBucketOf(time) : null;
+  if (!bucket) return { bucket: ANY_TIME, departureTime: null };
+
+  // 현지 시각 기준으로 아직 지나지 않은 가장 가까운 대표 시각
+  const local = new Date(now + utcOffsetMinutes * 60 * 1000);
+  let target = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), bucket.hour % 24) - utcOffsetMinutes * 60 * 1000;
+  if (target <= now) target += 24 * 60 * 60 * 1000;
+  return { bucket: bucket.name, departureTime: Math.floor(target / 1000) };
+}
+
+const routeKey = (originId, destId, mode, bucket) => `${originId}|${destId}|${mode}|${bucket}`;
+
+const toRoute = ({ duration, distance }) => ({
+  duration: duration.text,
+  distance: distance.text,
+  durationSeconds: duration.value,
+  distanceMeters: distance.value
+});
+
+// 장소별 현지 UTC 오프셋 (places_cache) - 조회 실패 시 빈 Map
+async function loadUtcOffsets(placeIds) {
+  const offsets = new Map();
+  if (placeIds.length === 0) return offsets;
+
+  const { data, error } = await db.supabase
+    .from('places_cache')
+    .select('place_id, utc_offset_minutes')
+    .in('place_id', placeIds);
+  if (error) {
+    console.error("⚠️ UTC offset lookup failed:", error.message);
+    return offsets;
+  }
+  (data || []).forEach(row => {
+    if (row.utc_offset_minutes != null) offsets.set(row.place_id, row.utc_offset_minutes);
+  });
+  return offsets;
+}
+
+// DB 캐시(routes_cache)에서 보관 기간(ROUTE_CACHE_DAYS) 안의 경로 조회
+// 반환: Map(routeKey -> route)
+async function readStoredRoutes(originIds, destIds, modes, buckets) {
+  const stored = new Map();
+  const cutoff = new Date(Date.now() - config.routes.cacheDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await db.supabase
+    .from('routes_cache')
+    .select('origin_place_id, destination_place_id, mode, time_bucket, duration_seconds, distance_meters, duration_text, distance_text')
+    .in('origin_place_id', originIds)
+    .in('destination_place_id', destIds)
+    .in('mode', modes)
+    .in('time_bucket', buckets)
+    .gte('fetched_at', cutoff);
+  if (error) {
+    console.error("⚠️ Route cache lookup failed:", error.message);
+    return stored;
+  }
+
+  (data || []).forEach(row => {
+    stored.set(routeKey(row.origin_place_id, row.destination_place_id, row.mode, row.time_bucket), {
+      duration: row.duration_text,
+      distance: row.distance_text,
+      durationSeconds: row.duration_seconds,
+      distanceMeters: row.distance_meters
+    });
+  });
+  return stored;
+}
+
+// 계산한 경로를 DB 캐시에 저장 (실패해도 결과는 그대로 사용)
+// entries: [{ originId, destId, mode, bucket, route }]
+async function storeRoutes(entries) {
+  if (entries.length === 0) return;
+  const fetchedAt = new Date().toISOString();
+
+  const { error } = await db.supabase.from('routes_cache').upsert(entries.map(({ originId, destId, mode, bucket, route }) => ({
+    origin_place_id: originId,
+    destination_place_id: destId,
+    mode,
+    time_bucket: bucket,
+    duration_seconds: route.durationSeconds,
+    distance_meters: route.distanceMeters,
+    duration_text: route.duration,
+    distance_text: route.distance,
+    fetched_at: fetchedAt
+  })), { onConflict: 'origin_place_id,destination_place_id,mode,time_bucket' });
+  if (error) console.error("⚠️ Failed to store routes:", error.message);
+}
+
+// Google Directions 1회 조회 - 경로가 없으면 null, 요청 실패는 throw
+async function fetchDirections(originId, destId, mode, departureTime) {
+  const response = await axios.get('https://maps.googleapis.com/maps/api/directions/json', {
+    params: {
+      origin: `place_id:${originId}`,
+      destination: `place_id:${destId}`,
+      mode,
+      ...(departureTime ? { departure_time: departureTime } : {}),
+      language: 'ko',
+      key: config.google.mapsApiKey
+    }
+  });
+
+  if (response.data.status === 'OK' && response.data.routes?.length > 0) {
+    return toRoute(response.data.routes[0].legs[0]);
+  }
+  return null;
+}
+
+// Google Distance Matrix 1회 조회 (출발지 1곳 x 도착지 destIds)
+// 반환: [{ originId, destId, route | null }] - 요청 실패는 throw
+async function fetchDistanceMatrix(originId, destIds, mode, departureTime) {
+  const response = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
+    params: {
+      origins: `place_id:${originId}`,
+      destinations: destIds.map(id => `place_id:${id}`).join('|'),
+      mode,
+      ...(departureTime ? { departure_time: departureTime } : {}),
+      language: 'ko',
+      key: config.google.mapsApiKey
+    }
+  });
+
+  if (response.data.status !== 'OK') {
+    throw new Error(`Distance Matrix status: ${response.data.status}`);
+  }
+
+  const elements = response.data.rows[0]?.elements || [];
+  return destIds.map((destId, j) => ({
+    originId,
+    destId,
+    route: elements[j]?.status === 'OK' ? toRoute(elements[j]) : null
+  }));
+}
+
+// 이동수단 하나로 경로 조회: 인메모리 -> DB 캐시 -> Google Directions (결과는 두 캐시에 저장)
+// 반환: { duration, distance, durationSeconds, distanceMeters } | null
+function lookupRoute(originId, destId, mode, { bucket = ANY_TIME, departureTime = null } = {}) {
+  return routeCache.getOrLoad(routeKey(originId, destId, mode, bucket), async () => {
+    const stored = await readStoredRoutes([originId], [destId], [mode], [bucket]);
+    const cached = stored.get(routeKey(originId, destId, mode, bucket));
+    if (cached) return cached;
+
+    const route = await fetchDirections(originId, destId, mode, departureTime);
+    if (route) await storeRoutes([{ originId, destId, mode, bucket, route }]);
+    return route;
+  });
+}
+
+// 경로 계산 (3단계 시도: 대중교통 -> 운전 -> 도보)
+// 반환: { duration, distance, mode, durationSeconds, distanceMeters } | null
+async function calculateRoute(originId, destId) {
+  if (!originId || !destId) return null;
+  return routeCache.getOrLoad(`${originId}|${destId}`, async () => {
+    for (const mode of GOOGLE_MODES) {
+      try {
+        const route = await lookupRoute(originId, destId, mode);
+        if (route) return { ...route, mode: MODE_LABELS[mode] };
+      } catch (error) { continue; }
+    }
+    return null;
+  });
+}
+
+// 이미 계산해 둔 경로만 조회 (API 호출 없음) - 없으면 null
+// 반환: { duration, distance, mode, durationSeconds, distanceMeters }
+function getCachedRoute(originId, destId) {
+  if (!originId || !destId) return null;
+  return routeCache.get(`${originId}|${destId}`) || null;
+}
+
+// DB 캐시에 있는 장소 쌍의 경로를 인메모리에 올림 (API 호출 없음) - 이후 getCachedRoute로 조회 가능
+// calculateRoute와 같은 우선순위 (대중교통 -> 운전 -> 도보), 이미 올라 있는 쌍은 그대로 둠
+async function warmRouteCache(placeIds) {
+  const ids = [...new Set(placeIds.filter(Boolean))];
+  if (ids.length < 2) return 0;
+
+  const stored = await readStoredRoutes(ids, ids, GOOGLE_MODES, [ANY_TIME]);
+  let warmed = 0;
+  ids.forEach(originId => ids.forEach(destId => {
+    if (originId === destId || getCachedRoute(originId, destId)) return;
+    const mode = GOOGLE_MODES.find(m => stored.has(routeKey(originId, destId, m, ANY_TIME)));
+    if (!mode) return;
+    routeCache.set(`${originId}|${destId}`, { ...stored.get(routeKey(originId, destId, mode, ANY_TIME)), mode: MODE_LABELS[mode] });
+    warmed++;
+  }));
+  return warmed;
+}
+
+// 지정한 이동수단으로 경로 1회 조회 (사용자가 이동수단 버튼을 눌렀을 때)
+// mode: walking, transit, driving (그 외 값은 transit) / time: 출발 시각 "HH:MM" (현지 시간, 선택)
+// 경로가 없거나 실패하면 null
+async function getRouteByMode(originId, destId, mode, { time } = {}) {
+  const travelMode = mode || 'transit';
+  const googleMode = GOOGLE_MODES.includes(travelMode) ? travelMode : 'transit';
+
+  try {
+    const offsets = time && googleMode !== 'walking' ? await loadUtcOffsets([originId]) : new Map();
+    const route = await lookupRoute(originId, destId, googleMode, resolveDeparture(googleMode, time, offsets.get(originId)));
+    if (route) {
+      return { ...route, mode: SELECTED_MODE_LABELS[travelMode] || '도보' };
+    }
+  } catch (error) {
+    console.error(`Route calculation error:`, error.message);
+  }
+  return null;
+}
+
+// 출발지와 시간대가 같은 구간끼리 묶음 (묶음당 도착지 MATRIX_MAX_DESTINATIONS개 이하)
+// 일정의 연속된 구간만 요청 - 장소 전체 N x N 행렬은 요청하지 않음
+function groupLegsByOrigin(legs) {
+  const groups = new Map();
+  legs.forEach(leg => {
+    const groupKey = `${leg.originId}|${leg.bucket}|${leg.departureTime}`;
+    let chunks = groups.get(groupKey);
+    if (!chunks) groups.set(groupKey, chunks = []);
+    let current = chunks[chunks.length - 1];
+    if (!current || current.destIds.length >= MATRIX_MAX_DESTINATIONS) {
+      current = { originId: leg.originId, bucket: leg.bucket, departureTime: leg.departureTime, destIds: [], legs: [] };
+      chunks.push(current);
+    }
+    if (!current.destIds.includes(leg.destId)) current.destIds.push(leg.destId);
+    current.legs.push(leg);
+  });
+  return [...groups.values()].flat();
+}
+
+// 묶음 하나를 Distance Matrix로 채움 (실패하면 구간별 Directions)
+async function fillChunk(chunk, mode) {
+  try {
+    const results = await fetchDistanceMatrix(chunk.originId, chunk.destIds, mode, chunk.departureTime);
+    results.forEach(({ originId, destId, route }) => routeCache.set(routeKey(originId, destId, mode, chunk.bucket), route));
+    await storeRoutes(results.filter(r => r.route).map(r => ({ ...r, mode, bucket: chunk.bucket })));
+    chunk.legs.forEach(leg => { leg.route = routeCache.get(leg.key) ?? null; });
+  } catch (error) {
+    console.error(`Distance Matrix error:`, error.message);
+    for (const leg of chunk.legs) {
+      try {
+        leg.route = await lookupRoute(leg.originId, leg.destId, mode, leg);
+      } catch (legError) {
+        console.error(`Route calculation error:`, legError.message);
+        leg.route = null;
+      }
+    }
+  }
+}
+
+// 하루 또는 여행 전체 일정의 연속된 활동 사이 경로 일괄 계산
+// days: [{ day, activities: [{ place_id, time }] }] / mode: walking, transit, driving (그 외 값은 transit)
+// 인메모리 -> DB 캐시 -> Distance Matrix (출발지/시간대별 묶음, 실패하면 구간별 Directions) 순으로 채움
+// 반환: [{ day, legs: [{ origin_place_id, destination_place_id, route | null }] }]
+async function calculateRoutes(days, { mode } = {}) {
+  const googleMode = GOOGLE_MODES.includes(mode) ? mode : 'transit';
+  const label = SELECTED_MODE_LABELS[googleMode] || '도보';
+
+  const dayLegs = days.map(dayPlan => {
+    const activities = dayPlan.activities || [];
+    return activities.slice(1).map((to, i) => ({
+      originId: activities[i]?.place_id,
+      destId: to?.place_id,
+      time: activities[i]?.time,
+      route: undefined
+    }));
+  });
+  const legs = dayLegs.flat().filter(leg => leg.originId && leg.destId && leg.originId !== leg.destId);
+
+  const offsets = googleMode === 'walking' ? new Map() : await loadUtcOffsets([...new Set(legs.map(leg => leg.originId))]);
+  legs.forEach(leg => {
+    Object.assign(leg, resolveDeparture(googleMode, leg.time, offsets.get(leg.originId)));
+    leg.key = routeKey(leg.originId, leg.destId, googleMode, leg.bucket);
+    leg.route = routeCache.get(leg.key);
+  });
+
+  // DB 캐시
+  let pending = legs.filter(leg => leg.route === undefined);
+  if (pending.length > 0) {
+    const stored = await readStoredRoutes(
+      [...new Set(pending.map(leg => leg.originId))],
+      [...new Set(pending.map(leg => leg.destId))],
+      [googleMode],
+      [...new Set(pending.map(leg => leg.bucket))]
+    );
+    pending.forEach(leg => {
+      const route = stored.get(leg.key);
+      if (route) leg.route = routeCache.set(leg.key, route);
+    });
+    pending = pending.filter(leg => leg.route === undefined);
+  }
+
+  // Distance Matrix - 출발지별로 필요한 도착지만, MATRIX_CONCURRENCY개씩 동시에
+  const chunks = groupLegsByOrigin(pending);
+  for (let i = 0; i < chunks.length; i += MATRIX_CONCURRENCY) {
+    await Promise.all(chunks.slice(i, i + MATRIX_CONCURRENCY).map(chunk => fillChunk(chunk, googleMode)));
+  }
+
+  return days.map((dayPlan, i) => ({
+    day: dayPlan.day ?? null,
+    legs: dayLegs[i].map(leg => ({
+      origin_place_id: leg.originId || null,
+      destination_place_id: leg.destId || null,
+      route: leg.route ? { ...leg.route, mode: label } : null
+    }))
+  }));
+}
+
+module.exports = {
+  MAX_BATCH_LEGS,
+  calculateRoute,
+  calculateRoutes,
+  getRouteByMode,
+  getCachedRoute,
+  resolveDeparture,
+  warmRouteCache,
+  routeCache
+};
@@ -0,0 +1,206 @@
+const { getCachedRoute } = require('./routing');
+
+// 일정 이동 시간 검사
+// - 연속된 두 활동 사이 이동 시간: 계산해 둔 경로(routeCache) -> 없으면 좌표 직선거리로 추정 (API 호출 없음)
+// - 앞 활동 최소 체류 + 이동 시간 안에 도착할 수 없으면 뒤 활동을 미루고,
+//   미뤄도 하루 안에 끝나지 않으면 관광/쇼핑/휴식 활동의 순서를 가까운 순으로 바꿔 봄
+// - 식사/숙소/이동 활동과 좌표 없는 활동은 순서를 바꾸지 않음
+
+// 직선거리 -> 실제 이동 거리 보정 (도로/골목 우회)
+const DETOUR_FACTOR = 1.3;
+// 이 거리 이하는 도보, 넘으면 대중교통 (대기/환승 시간 포함)
+const WALKING_MAX_KM = 1.2;
+const WALKING_KMH = 4.5;
+const TRANSIT_KMH = 20;
+const TRANSIT_OVERHEAD_MINUTES = 10;
+
+// 활동 유형별 최소 체류 시간 (분) - 이보다 짧게 머물러야 하는 일정은 "불가능"으로 판단
+const MIN_STAY_MINUTES = { 관광: 45, 식사: 40, 쇼핑: 30, 휴식: 30, 숙소: 0, 이동: 0 };
+const REORDERABLE_TYPES = ['관광', '쇼핑', '휴식'];
+
+// 출발 시간이 없는 날의 마지막 활동 시작 한도
+const DEFAULT_DAY_END = '23:30';
+
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+const roundUpTo5 = minutes => Math.ceil(minutes / 5) * 5;
+
+function haversineKm(a, b) {
+  const rad = deg => deg * Math.PI / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// 직선거리(km) -> 예상 이동 시간(분)
+function estimateTravelMinutes(straightKm) {
+  const km = straightKm * DETOUR_FACTOR;
+  if (km <= WALKING_MAX_KM) return Math.max(5, roundUpTo5(km / WALKING_KMH * 60));
+  return roundUpTo5(TRANSIT_OVERHEAD_MINUTES + km / TRANSIT_KMH * 60);
+}
+
+const hasLocation = activity => activity.location?.latitude != null && activity.location?.longitude != null;
+
+// 두 활동 사이 이동 시간 (알 수 없으면 null)
+// 반환: { minutes, source: 'route' | 'estimate', distance_km }
+function travelBetween(from, to) {
+  const route = getCachedRoute(from.place_id, to.place_id);
+  if (route?.durationSeconds != null) {
+    return {
+      minutes: Math.ceil(route.durationSeconds / 60),
+      source: 'route',
+      distance_km: Number((route.distanceMeters / 1000).toFixed(1))
+    };
+  }
+  if (hasLocation(from) && hasLocation(to)) {
+    const km = haversineKm(from.location, to.location);
+    return { minutes: estimateTravelMinutes(km), source: 'estimate', distance_km: Number((km * DETOUR_FACTOR).toFixed(1)) };
+  }
+  return null;
+}
+
+const minStay = activity => MIN_STAY_MINUTES[activity.type] ?? 30;
+
+// 주어진 순서/시간표로 하루 일정 시뮬레이션 (원본은 바꾸지 않음)
+// slots: 각 자리의 계획 시간(분)
+function simulateDay(order, slots, endMinutes) {
+  const plan = [];
+  let delay = 0;
+  let infeasible = 0;
+
+  order.forEach((activity, i) => {
+    let start = slots[i];
+    const leg = i > 0 ? travelBetween(order[i - 1], activity) : null;
+
+    if (i > 0) {
+      const earliest = plan[i - 1].start + minStay(order[i - 1]) + (leg?.minutes || 0);
+      if (earliest > start) {
+        const shifted = roundUpTo5(earliest);
+        if (shifted <= endMinutes) {
+          delay += shifted - start;
+          start = shifted;
+        } else {
+          infeasible++;
+          plan.push({ activity, start, leg, conflict: { needed: earliest - plan[i - 1].start, available: start - plan[i - 1].start } });
+          return;
+        }
+      }
+    }
+    plan.push({ activity, start, leg, conflict: null });
+  });
+
+  return { plan, delay, infeasible };
+}
+
+// 가까운 순 재배치 - 고정 활동은 자리 유지, 나머지 자리는 직전 활동에서 가장 가까운 활동으로 채움
+function reorderByProximity(activities) {
+  const movable = activities.filter(a => REORDERABLE_TYPES.includes(a.type) && hasLocation(a));
+  if (movable.length < 2) return null;
+
+  const remaining = [...movable];
+  const order = [];
+  activities.forEach(activity => {
+    if (!movable.includes(activity)) {
+      order.push(activity);
+      return;
+    }
+    const prev = order[order.length - 1];
+    let pick = 0;
+    if (prev && hasLocation(prev)) {
+      remaining.forEach((candidate, i) => {
+        if (haversineKm(prev.location, candidate.location) < haversineKm(prev.location, remaining[pick].location)) pick = i;
+      });
+    }
+    order.push(remaining.splice(pick, 1)[0]);
+  });
+
+  return order.every((activity, i) => activity === activities[i]) ? null : order;
+}
+
+// 하루 일정 이동 시간 검사 + 보정 (dayPlan.activities를 직접 수정)
+// 반환: { total_travel_minutes, legs, estimated_legs, unknown_legs, shifted, reordered, infeasible }
+function planDayTravel(dayPlan, { endTime = DEFAULT_DAY_END } = {}) {
+  const activities = dayPlan.activities;
+  const slots = activities.map(a => toMinutes(a.time));
+  const endMinutes = toMinutes(endTime);
+
+  let result = simulateDay(activities, slots, endMinutes);
+  let reordered = false;
+
+  if (result.infeasible > 0) {
+    const order = reorderByProximity(activities);
+    if (order) {
+      const candidate = simulateDay(order, slots, endMinutes);
+      if (candidate.infeasible < result.infeasible
+        || (candidate.infeasible === result.infeasible && candidate.delay < result.delay)) {
+        result = candidate;
+        reordered = true;
+      }
+    }
+  }
+
+  const summary = { total_travel_minutes: 0, legs: 0, estimated_legs: 0, unknown_legs: 0, shifted: 0, reordered, infeasible: result.infeasible };
+
+  dayPlan.activities = result.plan.map(({ activity, start, leg, conflict }, i) => {
+    const time = toTime(start);
+    const updated = { ...activity, time };
+    delete updated.travel_estimate;
+    delete updated.travel_conflict;
+
+    if (time !== activity.time) {
+      updated.original_time = activity.original_time || activity.time;
+      summary.shifted++;
+    }
+    if (i > 0) {
+      if (leg) {
+        updated.travel_estimate = leg;
+        summary.total_travel_minutes += leg.minutes;
+        summary.legs++;
+        if (leg.source === 'estimate') summary.estimated_legs++;
+      } else {
+        summary.unknown_legs++;
+      }
+    }
+    if (conflict) {
+      updated.travel_conflict = {
+        needed_minutes: conflict.needed,
+        available_minutes: conflict.available,
+        message: `이전 장소에서 이동/체류에 ${conflict.needed}분이 필요하지만 ${conflict.available}분밖에 없습니다.`
+      };
+    }
+    return updated;
+  });
+
+  return summary;
+}
+
+// 전체 일정 이동 시간 검사 - 마지막 날은 출발 시간(departureTime)까지, 나머지 날은 dayEndTime(여행자 취침 시간)까지
+// 반환: [{ day, date, total_travel_minutes, legs, estimated_legs, unknown_legs, shifted, reordered, infeasible }]
+function applyTravelTimes(itineraryJson, { departureTime, dayEndTime = DEFAULT_DAY_END } = {}) {
+  const days = itineraryJson.itinerary;
+  return days.map((dayPlan, i) => {
+    const endTime = i === days.length - 1 && departureTime ? departureTime : dayEndTime;
+    const summary = planDayTravel(dayPlan, { endTime });
+    if (summary.shifted > 0 || summary.infeasible > 0) {
+      console.log(`🚶 Day ${dayPlan.day}: ${summary.shifted} activities shifted${summary.reordered ? ' (reordered)' : ''}, ${summary.infeasible} infeasible`);
+    }
+    return { day: dayPlan.day, date: dayPlan.date, ...summary };
+  });
+}
+
+module.exports = {
+  MIN_STAY_MINUTES,
+  haversineKm,
+  estimateTravelMinutes,
+  travelBetween,
+  planDayTravel,
+  applyTravelTimes
+};
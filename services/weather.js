@@ -0,0 +1,207 @@
+const axios = require('axios');
+const { config } = require('../lib/config');
+const { createCache } = require('../lib/cache');
+const { geocodingName } = require('../lib/destinations');
+
+// 일자별 날씨 (Open-Meteo, 429 시 WeatherAPI.com fallback)
+
+// 🔧 날씨 API 인메모리 캐시 (429 에러 방지) - 조회 실패(null)는 짧게만 캐시
+const WEATHER_CACHE_TTL = 60 * 60 * 1000; // 1시간
+const WEATHER_NEGATIVE_TTL = 5 * 60 * 1000; // 5분
+
+const weatherCache = createCache({
+  name: 'weather',
+  maxEntries: 500,
+  ttlMs: WEATHER_CACHE_TTL,
+  negativeTtlMs: WEATHER_NEGATIVE_TTL
+});
+
+// 날씨 정보 조회 - 같은 도시/기간은 캐시 + 동시 요청 합치기
+async function fetchDailyWeather(destination, startDate, endDate) {
+  const cacheKey = `${String(destination).trim().toLowerCase()}_${startDate}_${endDate}`;
+  return weatherCache.getOrLoad(cacheKey, () => loadDailyWeather(destination, startDate, endDate));
+}
+
+// 날씨 정보 조회 (Open-Meteo) - 개선된 버전 (Network Fix + Name Cleaning)
+async function loadDailyWeather(destination, startDate, endDate) {
+  try {
+    // 국가명/행정구역 접미사 제거 + 주요 도시는 영문명으로 변환
+    const cleanedName = geocodingName(destination);
+
+    console.log(`🌤️ Weather Fetch Started: ${destination} -> ${cleanedName} (${startDate} ~ ${endDate})`);
+
+    const axiosConfig = {
+      timeout: 5000, // 5초 타임아웃
+      family: 4      // IPv4 강제 (Node 17+ AggregateError 방지)
+    };
+
+    // 1. Geocoding (count=5로 늘려서 더 정확한 결과 선택)
+    let geoRes = await axios.get(
+      `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(cleanedName)}&count=5&language=en&format=json`,
+      axiosConfig
+    );
+
+    // 결과에서 인구가 가장 많은 도시 선택 (대도시 우선)
+    if (geoRes.data.results && geoRes.data.results.length > 0) {
+      const sortedResults = geoRes.data.results.sort((a, b) => (b.population || 0) - (a.population || 0));
+      geoRes.data.results = [sortedResults[0]];
+    }
+
+    // 검색 실패 시, 한글로 재시도
+    if (!geoRes.data.results || geoRes.data.results.length === 0) {
+      console.log(`⚠️ Geocoding failed with (${cleanedName}), trying Korean...`);
+
+      geoRes = await axios.get(
+        `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(destination)}&count=5&language=ko&format=json`,
+        axiosConfig
+      );
+
+      if (geoRes.data.results && geoRes.data.results.length > 0) {
+        const sortedResults = geoRes.data.results.sort((a, b) => (b.population || 0) - (a.population || 0));
+        geoRes.data.results = [sortedResults[0]];
+      }
+    }
+
+    if (!geoRes.data.results || geoRes.data.results.length === 0) {
+      console.error(`❌ Geocoding failed for: ${destination} (cleaned: ${cleanedName})`);
+      return null;
+    }
+
+    const { latitude, longitude, name: geoName } = geoRes.data.results[0];
+    console.log(`✅ Geocoding success: ${geoName} (${latitude}, ${longitude})`);
+
+    // 2. Weather Forecast
+    const weatherUrl = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&daily=weather_code,temperature_2m_max,temperature_2m_min&timezone=auto&start_date=${startDate}&end_date=${endDate}`;
+    console.log(`🌤️ Requesting Weather: ${weatherUrl}`);
+
+    const weatherRes = await axios.get(weatherUrl, axiosConfig);
+
+    if (!weatherRes.data.daily) {
+      console.error(`❌ Weather data is empty for ${geoName}`);
+      return null;
+    }
+
+    const daily = weatherRes.data.daily;
+    const weatherMap = {};
+
+    daily.time.forEach((date, index) => {
+      weatherMap[date] = {
+        code: daily.weather_code[index],
+        max: daily.temperature_2m_max[index],
+        min: daily.temperature_2m_min[index]
+      };
+    });
+
+    console.log(`✅ Weather data fetched successfully for ${geoName}:`, Object.keys(weatherMap).length, 'days');
+
+    return weatherMap;
+  } catch (error) {
+    console.error("❌ Weather Fetch Error:", error.message);
+
+    // 🔧 429 에러 시 WeatherAPI.com으로 fallback
+    if (error.response?.status === 429) {
+      console.log("🔄 Trying WeatherAPI.com fallback...");
+      const fallbackResult = await fetchWeatherApiFallback(destination, startDate, endDate);
+      if (fallbackResult) return fallbackResult;
+    }
+
+    console.error("📍 Destination:", destination);
+    if (error.response) {
+      console.error("🔴 API Response Error:", error.response.status, error.response.data);
+    }
+    return null;
+  }
+}
+
+// 🔧 WeatherAPI.com Fallback 함수
+async function fetchWeatherApiFallback(destination, startDate, endDate) {
+  const apiKey = config.weather.apiKey;
+  if (!apiKey) {
+    console.log("⚠️ WEATHER_API_KEY not configured, skipping fallback");
+    return null;
+  }
+
+  try {
+    // 🔧 한글 도시명 영어 변환 매핑
+    const cityNameMap = {
+      '서울': 'Seoul', '부산': 'Busan', '제주': 'Jeju', '인천': 'Incheon',
+      '대구': 'Daegu', '광주': 'Gwangju', '대전': 'Daejeon', '울산': 'Ulsan',
+      '도쿄': 'Tokyo', '오사카': 'Osaka', '교토': 'Kyoto', '후쿠오카': 'Fukuoka',
+      '삿포로': 'Sapporo', '나고야': 'Nagoya', '오키나와': 'Okinawa',
+      '뉴욕': 'New York', '로스앤젤레스': 'Los Angeles', '샌프란시스코': 'San Francisco',
+      '파리': 'Paris', '런던': 'London', '로마': 'Rome', '바르셀로나': 'Barcelona',
+      '방콕': 'Bangkok', '싱가포르': 'Singapore', '홍콩': 'Hong Kong',
+      '다낭': 'Da Nang', '호이안': 'Hoi An', '타이베이': 'Taipei'
+    };
+
+    // 도시 이름 정제
+    let cityName = destination.split(',')[0].trim();
+
+    // 한글 도시명에서 영어로 변환
+    for (const [korean, english] of Object.entries(cityNameMap)) {
+      if (cityName.includes(korean)) {
+        cityName = english;
+        break;
+      }
+    }
+
+    // 영어 이름 추출 (fallback)
+    if (!/^[A-Za-z\s]+$/.test(cityName)) {
+      const englishMatch = destination.match(/[A-Za-z\s]+/);
+      if (englishMatch && englishMatch[0].trim().length > 2) {
+        cityName = englishMatch[0].trim();
+      }
+    }
+
+    console.log(`🌦️ WeatherAPI.com Request: ${cityName}`);
+
+    // WeatherAPI.com은 예보 일수 기반 (최대 14일)
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const days = Math.min(14, Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1);
+
+    const response = await axios.get('https://api.weatherapi.com/v1/forecast.json', {
+      params: {
+        key: apiKey,
+        q: cityName,
+        days: days,
+        lang: 'ko'
+      },
+      timeout: 5000
+    });
+
+    if (!response.data.forecast?.forecastday) {
+      console.error("❌ WeatherAPI.com: No forecast data");
+      return null;
+    }
+
+    const weatherMap = {};
+    response.data.forecast.forecastday.forEach(day => {
+      // WeatherAPI.com 코드를 Open-Meteo 코드로 변환 (간단 매핑)
+      const conditionCode = day.day.condition.code;
+      let weatherCode = 0; // 기본: 맑음
+
+      if (conditionCode === 1000) weatherCode = 0; // Sunny/Clear
+      else if ([1003, 1006, 1009].includes(conditionCode)) weatherCode = 2; // Cloudy
+      else if ([1030, 1135, 1147].includes(conditionCode)) weatherCode = 45; // Fog
+      else if ([1063, 1150, 1153, 1180, 1183, 1186, 1189, 1192, 1195, 1240, 1243, 1246].includes(conditionCode)) weatherCode = 61; // Rain
+      else if ([1066, 1114, 1117, 1210, 1213, 1216, 1219, 1222, 1225, 1255, 1258].includes(conditionCode)) weatherCode = 71; // Snow
+      else if ([1087, 1273, 1276, 1279, 1282].includes(conditionCode)) weatherCode = 95; // Thunderstorm
+
+      weatherMap[day.date] = {
+        code: weatherCode,
+        max: Math.round(day.day.maxtemp_c),
+        min: Math.round(day.day.mintemp_c)
+      };
+    });
+
+    console.log(`✅ WeatherAPI.com: Got ${Object.keys(weatherMap).length} days of forecast`);
+    return weatherMap;
+
+  } catch (err) {
+    console.error("❌ WeatherAPI.com Error:", err.message);
+    return null;
+  }
+}
+
+module.exports = { weatherCache, fetchDailyWeather };
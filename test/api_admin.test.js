@@ -0,0 +1,283 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const sharp = require('sharp');
+
+const { db, http, USERS, resetState, startServer } = require('./support/app_harness');
+const { createFakeSupabase } = require('./support/fake_supabase');
+const supabaseClients = require('../lib/supabase');
+
+// 익명 키 클라이언트를 RLS처럼 다른 사용자의 행이 보이지 않는 빈 DB로 바꿔서 실행
+async function withRestrictedAnonClient(fn) {
+  supabaseClients.setClients({ supabase: createFakeSupabase(), supabaseAdmin: db });
+  try {
+    return await fn();
+  } finally {
+    supabaseClients.setClients({ supabase: db, supabaseAdmin: db });
+  }
+}
+
+function seedUsers() {
+  resetState({
+    user_limits: [
+      { user_id: USERS.alice.id, tier: 'free', usage_count: 4 },
+      { user_id: USERS.bob.id, tier: 'pro', usage_count: 12 }
+    ]
+  });
+}
+
+describe('admin API', () => {
+  let api;
+
+  before(async () => { api = await startServer(); });
+  after(() => api.close());
+  beforeEach(seedUsers);
+
+  test('every admin route rejects non-admin users and anonymous callers', async () => {
+    const routes = [
+      ['GET', '/api/admin/users'],
+      ['PUT', '/api/admin/user/tier'],
+      ['GET', '/api/admin/audit-log'],
+      ['GET', '/api/admin/cache-stats'],
+      ['POST', '/api/admin/update-covers'],
+      ['GET', '/api/admin/photo-reports'],
+      ['PUT', '/api/admin/places/ChIJ_gamcheon/photo'],
+      ['DELETE', '/api/admin/places/ChIJ_gamcheon/photo-pin'],
+      ['POST', '/api/admin/places/ChIJ_gamcheon/photo-reports/dismiss']
+    ];
+
+    for (const [method, path] of routes) {
+      const body = method === 'GET' ? undefined : { target_user_id: USERS.bob.id, new_tier: 'admin' };
+      const anonymous = await api.request(method, path, { body });
+      assert.equal(anonymous.status, 401, `${method} ${path} without token`);
+
+      const member = await api.request(method, path, { user: USERS.bob, body });
+      assert.equal(member.status, 403, `${method} ${path} as non-admin`);
+      assert.equal(member.body.code, 'FORBIDDEN');
+    }
+
+    assert.equal(db.table('user_limits').find(r => r.user_id === USERS.bob.id).tier, 'pro');
+  });
+
+  test('GET /api/admin/users lists users by usage', async () => {
+    const res = await api.request('GET', '/api/admin/users', { user: USERS.admin });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map(u => u.user_id), [USERS.bob.id, USERS.alice.id, USERS.admin.id]);
+  });
+
+  test('GET /api/admin/users reads every user through the service role client', async () => {
+    const res = await withRestrictedAnonClient(() => api.request('GET', '/api/admin/users', { user: USERS.admin }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map(u => u.user_id), [USERS.bob.id, USERS.alice.id, USERS.admin.id]);
+    assert.deepEqual(Object.keys(res.body.data[0]).sort(), ['tier', 'usage_count', 'user_id']);
+  });
+
+  describe('PUT /api/admin/user/tier', () => {
+    test('changes the tier and audits the before/after values', async () => {
+      const res = await api.request('PUT', '/api/admin/user/tier', {
+        user: USERS.admin,
+        body: { target_user_id: USERS.alice.id, new_tier: 'pro' }
+      });
+      assert.equal(res.status, 200);
+      assert.equal(db.table('user_limits').find(r => r.user_id === USERS.alice.id).tier, 'pro');
+
+      const [entry] = db.table('admin_audit_log');
+      assert.equal(entry.action, 'user.tier.update');
+      assert.equal(entry.actor_email, USERS.admin.email);
+      assert.equal(entry.target_id, USERS.alice.id);
+      assert.deepEqual(entry.changes, { tier: { from: 'free', to: 'pro' } });
+    });
+
+    test('rejects unknown tiers, missing fields and unknown users', async () => {
+      const badTier = await api.request('PUT', '/api/admin/user/tier', { user: USERS.admin, body: { target_user_id: USERS.alice.id, new_tier: 'vip' } });
+      assert.equal(badTier.status, 400);
+
+      const missing = await api.request('PUT', '/api/admin/user/tier', { user: USERS.admin, body: { new_tier: 'pro' } });
+      assert.equal(missing.status, 400);
+
+      const unknown = await api.request('PUT', '/api/admin/user/tier', { user: USERS.admin, body: { target_user_id: 'nobody', new_tier: 'pro' } });
+      assert.equal(unknown.status, 404);
+
+      assert.equal(db.table('admin_audit_log').length, 0);
+    });
+  });
+
+  test('GET /api/admin/audit-log returns recent entries first and caps the limit', async () => {
+    resetState({
+      admin_audit_log: Array.from({ length: 205 }, (_, i) => ({
+        id: i + 1,
+        actor_id: USERS.admin.id,
+        action: 'board.delete',
+        created_at: new Date(Date.UTC(2025, 0, 1, 0, i)).toISOString()
+      }))
+    });
+
+    const recent = await api.request('GET', '/api/admin/audit-log?limit=2', { user: USERS.admin });
+    assert.deepEqual(recent.body.data.map(e => e.id), [205, 204]);
+
+    const capped = await api.request('GET', '/api/admin/audit-log?limit=1000', { user: USERS.admin });
+    assert.equal(capped.body.data.length, 200);
+  });
+
+  test('GET /api/admin/cache-stats reports the place, route, weather and exchange rate caches', async () => {
+    const res = await api.request('GET', '/api/admin/cache-stats', { user: USERS.admin });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map(c => c.name).sort(), ['exchangeRates', 'placeDetails', 'routes', 'weather']);
+    assert.ok(res.body.data.every(c => typeof c.hitRate === 'number' && c.maxEntries > 0));
+  });
+
+  describe('photo reports', () => {
+    const stored = (id, variant = 'card') => `/api/images/places/${id.repeat(24)}/${variant}.webp`;
+    const candidate = (id, score) => ({
+      url: stored(id),
+      variants: { thumbnail: stored(id, 'thumbnail'), card: stored(id), hero: stored(id, 'hero') },
+      sourceUrl: `https://blogfiles.pstatic.net/${id}.jpg`,
+      score
+    });
+    const report = (placeId, reporterId, status = 'open', minute = 0) => ({
+      place_id: placeId, reporter_id: reporterId, reason: 'wrong', status,
+      created_at: new Date(Date.UTC(2025, 0, 1, 0, minute)).toISOString()
+    });
+
+    function seedReports() {
+      resetState({
+        places_cache: [
+          { place_id: 'ChIJ_gamcheon', place_name: '감천문화마을', photo_url: stored('a'), photo_candidates: [candidate('a', 6), candidate('b', 4)] },
+          { place_id: 'ChIJ_haeundae', place_name: '해운대', photo_url: stored('c'), photo_candidates: [candidate('c', 5)] },
+          { place_id: 'ChIJ_quiet', place_name: '조용한 곳', photo_url: stored('d') }
+        ],
+        place_photo_reports: [
+          report('ChIJ_haeundae', USERS.alice.id, 'open', 1),
+          report('ChIJ_gamcheon', USERS.alice.id, 'open', 2),
+          report('ChIJ_gamcheon', USERS.bob.id, 'open', 3),
+          report('ChIJ_quiet', USERS.bob.id, 'dismissed', 4)
+        ]
+      });
+    }
+
+    beforeEach(seedReports);
+
+    test('GET /api/admin/photo-reports groups open reports by place with candidates', async () => {
+      const res = await api.request('GET', '/api/admin/photo-reports', { user: USERS.admin });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(p => [p.place_id, p.report_count]), [['ChIJ_gamcheon', 2], ['ChIJ_haeundae', 1]]);
+      assert.deepEqual(res.body.data[0].photo_candidates.map(c => c.url), [stored('a'), stored('b')]);
+      assert.equal(res.body.data[0].reports[0].reason, 'wrong');
+    });
+
+    test('pins a candidate, resolves the reports and audits the change', async () => {
+      const res = await api.request('PUT', '/api/admin/places/ChIJ_gamcheon/photo', {
+        user: USERS.admin,
+        body: { candidate_url: stored('b') }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.resolvedReports, 2);
+      const place = db.table('places_cache').find(p => p.place_id === 'ChIJ_gamcheon');
+      assert.equal(place.photo_url, stored('b'));
+      assert.equal(place.photo_variants.hero, stored('b', 'hero'));
+      assert.equal(place.photo_pinned, true);
+      assert.equal(place.photo_pinned_by, USERS.admin.id);
+      assert.deepEqual(place.photo_candidates.map(c => c.url), [stored('b'), stored('a')]);
+
+      const reports = db.table('place_photo_reports').filter(r => r.place_id === 'ChIJ_gamcheon');
+      assert.ok(reports.every(r => r.status === 'resolved' && r.resolved_by === USERS.admin.id));
+
+      const [entry] = db.table('admin_audit_log');
+      assert.equal(entry.action, 'place.photo.pin');
+      assert.deepEqual(entry.changes.photo_url, { from: stored('a'), to: stored('b') });
+    });
+
+    test('pins an uploaded photo after validating it', async () => {
+      const upload = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#224466' } }).jpeg().toBuffer();
+      const res = await api.request('PUT', '/api/admin/places/ChIJ_quiet/photo', {
+        user: USERS.admin,
+        body: { image_base64: `data:image/jpeg;base64,${upload.toString('base64')}` }
+      });
+
+      assert.equal(res.status, 200);
+      assert.match(res.body.data.photo_url, /^\/api\/images\/places\/[0-9a-f]{24}\/card\.webp$/);
+      const image = await fetch(`${api.baseUrl}${res.body.data.photo_url}`);
+      assert.equal(image.status, 200);
+
+      const invalid = await api.request('PUT', '/api/admin/places/ChIJ_quiet/photo', {
+        user: USERS.admin,
+        body: { image_base64: Buffer.from('not an image').toString('base64') }
+      });
+      assert.equal(invalid.status, 422);
+    });
+
+    test('pins a photo downloaded from an external URL', async () => {
+      const source = 'https://203.0.113.10/photos/gamcheon.jpg';
+      http.overrideImage(url => url === source);
+
+      const res = await api.request('PUT', '/api/admin/places/ChIJ_gamcheon/photo', { user: USERS.admin, body: { source_url: source } });
+
+      assert.equal(res.status, 200);
+      const place = db.table('places_cache').find(p => p.place_id === 'ChIJ_gamcheon');
+      assert.match(place.photo_url, /^\/api\/images\/places\/[0-9a-f]{24}\/card\.webp$/);
+      assert.equal(place.photo_candidates[0].sourceUrl, source);
+    });
+
+    test('refuses to download source URLs on private addresses', async () => {
+      for (const source of ['http://169.254.169.254/latest/meta-data/', 'http://localhost:3000/api/admin/users', 'http://[::1]/a.jpg', 'ftp://203.0.113.10/a.jpg']) {
+        const res = await api.request('PUT', '/api/admin/places/ChIJ_gamcheon/photo', { user: USERS.admin, body: { source_url: source } });
+        assert.equal(res.status, 400, source);
+      }
+
+      assert.equal(http.calls.length, 0);
+      assert.ok(!db.table('places_cache').some(p => p.photo_pinned));
+    });
+
+    test('rejects unknown candidates, empty bodies and unknown places', async () => {
+      const foreign = await api.request('PUT', '/api/admin/places/ChIJ_gamcheon/photo', { user: USERS.admin, body: { candidate_url: stored('c') } });
+      const empty = await api.request('PUT', '/api/admin/places/ChIJ_gamcheon/photo', { user: USERS.admin, body: {} });
+      const unknown = await api.request('PUT', '/api/admin/places/ChIJ_nowhere/photo', { user: USERS.admin, body: { candidate_url: stored('a') } });
+
+      assert.deepEqual([foreign.status, empty.status, unknown.status], [400, 400, 404]);
+      assert.ok(!db.table('places_cache').some(p => p.photo_pinned));
+      assert.equal(db.table('admin_audit_log').length, 0);
+    });
+
+    test('unpins a photo without changing it', async () => {
+      await api.request('PUT', '/api/admin/places/ChIJ_gamcheon/photo', { user: USERS.admin, body: { candidate_url: stored('b') } });
+      const res = await api.request('DELETE', '/api/admin/places/ChIJ_gamcheon/photo-pin', { user: USERS.admin });
+      const again = await api.request('DELETE', '/api/admin/places/ChIJ_gamcheon/photo-pin', { user: USERS.admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(again.status, 409);
+      const place = db.table('places_cache').find(p => p.place_id === 'ChIJ_gamcheon');
+      assert.equal(place.photo_pinned, false);
+      assert.equal(place.photo_url, stored('b'));
+    });
+
+    test('dismisses open reports without touching the photo', async () => {
+      const res = await api.request('POST', '/api/admin/places/ChIJ_haeundae/photo-reports/dismiss', { user: USERS.admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.dismissed, 1);
+      assert.equal(db.table('place_photo_reports').find(r => r.place_id === 'ChIJ_haeundae').status, 'dismissed');
+      assert.equal(db.table('places_cache').find(p => p.place_id === 'ChIJ_haeundae').photo_url, stored('c'));
+      assert.equal(db.table('admin_audit_log')[0].action, 'place.photo.reports.dismiss');
+    });
+  });
+
+  test('POST /api/admin/update-covers clears cover images and audits the batch', async () => {
+    resetState({
+      trip_plans: [
+        { id: 'trip-a', destination: '부산', itinerary_data: { trip_title: 'A', cover_image: 'https://img.example.com/a.jpg', itinerary: [] } },
+        { id: 'trip-b', destination: '서울', itinerary_data: { trip_title: 'B', cover_image: 'https://img.example.com/b.jpg', itinerary: [] } }
+      ]
+    });
+
+    const res = await withRestrictedAnonClient(() => api.request('POST', '/api/admin/update-covers', { user: USERS.admin }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.updatedCount, 2);
+    assert.ok(db.table('trip_plans').every(t => t.itinerary_data.cover_image === null));
+
+    const [entry] = db.table('admin_audit_log');
+    assert.equal(entry.action, 'trips.covers.reset');
+    assert.equal(entry.changes.updatedCount, 2);
+  });
+});
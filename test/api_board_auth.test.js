@@ -0,0 +1,199 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, USERS, resetState, startServer } = require('./support/app_harness');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('board API', () => {
+  let api;
+
+  before(async () => { api = await startServer(); });
+  after(() => api.close());
+  beforeEach(() => resetState({
+    suggestions: [
+      { id: 's-1', user_id: USERS.alice.id, email: USERS.alice.email, content: '다크 모드 주세요', created_at: daysAgo(3) },
+      { id: 's-2', user_id: null, email: '익명', content: '지도 확대가 안돼요', created_at: daysAgo(1) }
+    ]
+  }));
+
+  test('GET /api/board lists suggestions newest first', async () => {
+    const res = await api.request('GET', '/api/board');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map(s => s.id), ['s-2', 's-1']);
+  });
+
+  test('POST /api/board takes the email from the token, not the body', async () => {
+    const res = await api.request('POST', '/api/board', {
+      user: USERS.bob,
+      body: { content: '일정 공유 기능', email: 'spoof@example.com' }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data[0].email, USERS.bob.email);
+    assert.equal(res.body.data[0].user_id, USERS.bob.id);
+  });
+
+  test('POST /api/board accepts anonymous suggestions and requires content', async () => {
+    const anonymous = await api.request('POST', '/api/board', { body: { content: '익명 건의' } });
+    assert.equal(anonymous.body.data[0].email, '익명');
+
+    const empty = await api.request('POST', '/api/board', { body: {} });
+    assert.equal(empty.status, 400);
+  });
+
+  test('DELETE /api/board/:id allows the author or an admin only', async () => {
+    assert.equal((await api.request('DELETE', '/api/board/s-1', { user: USERS.bob })).status, 403);
+    assert.equal((await api.request('DELETE', '/api/board/s-2', { user: USERS.bob })).status, 403);
+    assert.equal((await api.request('DELETE', '/api/board/s-1', { user: USERS.alice })).status, 200);
+    assert.equal((await api.request('DELETE', '/api/board/s-2', { user: USERS.admin })).status, 200);
+    assert.equal((await api.request('DELETE', '/api/board/s-2', { user: USERS.admin })).status, 404);
+
+    assert.equal(db.table('suggestions').length, 0);
+    assert.deepEqual(db.table('admin_audit_log').map(e => [e.action, e.target_id]), [['board.delete', 's-2']]);
+  });
+});
+
+describe('account API', () => {
+  let api;
+
+  before(async () => { api = await startServer(); });
+  after(() => api.close());
+  beforeEach(() => resetState());
+
+  describe('DELETE /api/auth/delete', () => {
+    test('removes the caller\'s data, anonymises their posts and deletes the auth user', async () => {
+      resetState({
+        trip_plans: [
+          { id: 'trip-a', user_id: USERS.alice.id, destination: '부산' },
+          { id: 'trip-b', user_id: USERS.bob.id, destination: '서울' }
+        ],
+        trip_versions: [
+          { id: 'v-a', trip_id: 'trip-a', user_id: USERS.alice.id, version: 1 },
+          { id: 'v-b', trip_id: 'trip-b', user_id: USERS.bob.id, version: 1 }
+        ],
+        user_limits: [{ user_id: USERS.alice.id, tier: 'free', usage_count: 1 }],
+        suggestions: [{ id: 's-1', user_id: USERS.alice.id, email: USERS.alice.email, content: '건의' }],
+        community: [{ id: 1, user_id: USERS.alice.id, email: USERS.alice.email, nickname: '앨리스', content: '글', is_anonymous: false }]
+      });
+
+      const res = await api.request('DELETE', '/api/auth/delete', { user: USERS.alice, body: { user_id: USERS.bob.id } });
+      assert.equal(res.status, 200);
+
+      assert.deepEqual(db.table('trip_plans').map(t => t.id), ['trip-b']);
+      assert.deepEqual(db.table('trip_versions').map(v => v.id), ['v-b']);
+      assert.ok(!db.table('user_limits').some(r => r.user_id === USERS.alice.id));
+      assert.deepEqual(db.table('deleted_users').map(u => u.email), [USERS.alice.email]);
+      assert.equal(db.table('suggestions')[0].email, '탈퇴한 사용자');
+      assert.equal(db.table('community')[0].user_id, null);
+      assert.equal(db.table('community')[0].nickname, '탈퇴한 사용자');
+      assert.ok(!db.users.has(USERS.alice.id));
+      assert.ok(db.users.has(USERS.bob.id));
+    });
+
+    test('requires a token', async () => {
+      const res = await api.request('DELETE', '/api/auth/delete', { body: { user_id: USERS.alice.id, email: USERS.alice.email } });
+      assert.equal(res.status, 401);
+      assert.ok(db.users.has(USERS.alice.id));
+    });
+  });
+
+  describe('POST /api/auth/check-deleted', () => {
+    test('blocks re-registration for 30 days after deletion', async () => {
+      resetState({
+        deleted_users: [
+          { email: 'recent@example.com', deleted_at: daysAgo(10) },
+          { email: 'old@example.com', deleted_at: daysAgo(40) }
+        ]
+      });
+
+      const recent = await api.request('POST', '/api/auth/check-deleted', { body: { email: 'recent@example.com' } });
+      assert.equal(recent.body.blocked, true);
+      assert.equal(recent.body.remainingDays, 20);
+
+      const old = await api.request('POST', '/api/auth/check-deleted', { body: { email: 'old@example.com' } });
+      assert.deepEqual(old.body, { blocked: false });
+
+      const unknown = await api.request('POST', '/api/auth/check-deleted', { body: { email: 'new@example.com' } });
+      assert.deepEqual(unknown.body, { blocked: false });
+    });
+
+    test('requires an email', async () => {
+      const res = await api.request('POST', '/api/auth/check-deleted', { body: {} });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('/api/user/profile', () => {
+    test('GET returns the caller\'s profile or null', async () => {
+      resetState({ user_profiles: [{ user_id: USERS.alice.id, nickname: '앨리스' }] });
+
+      const alice = await api.request('GET', '/api/user/profile', { user: USERS.alice });
+      assert.equal(alice.body.data.nickname, '앨리스');
+
+      const bob = await api.request('GET', '/api/user/profile', { user: USERS.bob });
+      assert.equal(bob.body.data, null);
+    });
+
+    test('PUT validates length and uniqueness', async () => {
+      resetState({ user_profiles: [{ user_id: USERS.bob.id, nickname: '바다' }] });
+
+      const short = await api.request('PUT', '/api/user/profile', { user: USERS.alice, body: { nickname: ' 앨 ' } });
+      assert.equal(short.status, 400);
+
+      const taken = await api.request('PUT', '/api/user/profile', { user: USERS.alice, body: { nickname: '바다' } });
+      assert.equal(taken.status, 400);
+      assert.equal(taken.body.error, '이미 사용 중인 닉네임입니다');
+    });
+
+    test('PUT saves the nickname and renames non-anonymous posts and comments', async () => {
+      resetState({
+        user_profiles: [{ user_id: USERS.alice.id, nickname: '앨리스' }],
+        community: [
+          { id: 1, user_id: USERS.alice.id, nickname: '앨리스', content: '글', is_anonymous: false },
+          { id: 2, user_id: USERS.alice.id, nickname: '익명', content: '익명 글', is_anonymous: true }
+        ],
+        community_comments: [{ id: 'c-1', post_id: 1, user_id: USERS.alice.id, nickname: '앨리스', content: '댓글', is_anonymous: false }]
+      });
+
+      const res = await api.request('PUT', '/api/user/profile', { user: USERS.alice, body: { nickname: '  여행자  ', user_id: USERS.bob.id } });
+      assert.equal(res.status, 200);
+
+      assert.deepEqual(db.table('user_profiles').map(p => [p.user_id, p.nickname]), [[USERS.alice.id, '여행자']]);
+      assert.deepEqual(db.table('community').map(p => p.nickname), ['여행자', '익명']);
+      assert.equal(db.table('community_comments')[0].nickname, '여행자');
+    });
+  });
+
+  describe('/api/user/preferences', () => {
+    test('GET returns the caller\'s saved profile or an empty one', async () => {
+      resetState({ travel_preferences: [{ user_id: USERS.alice.id, preferences: { pace: 'relaxed' } }] });
+
+      const alice = await api.request('GET', '/api/user/preferences', { user: USERS.alice });
+      assert.deepEqual(alice.body.data, { pace: 'relaxed' });
+
+      const bob = await api.request('GET', '/api/user/preferences', { user: USERS.bob });
+      assert.deepEqual(bob.body.data, {});
+    });
+
+    test('PUT validates, normalizes and replaces the caller\'s profile', async () => {
+      const invalid = await api.request('PUT', '/api/user/preferences', { user: USERS.alice, body: { dietary: ['keto'] } });
+      assert.equal(invalid.status, 400);
+      assert.equal(db.table('travel_preferences').length, 0);
+
+      const res = await api.request('PUT', '/api/user/preferences', {
+        user: USERS.alice,
+        body: { user_id: USERS.bob.id, interests: [' 카페 ', '카페'], mobility: ['stroller'], wakeTime: '08:00' }
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data, { interests: ['카페'], mobility: ['stroller'], wakeTime: '08:00' });
+
+      const rows = db.table('travel_preferences');
+      assert.deepEqual(rows.map(r => [r.user_id, r.preferences]), [[USERS.alice.id, res.body.data]]);
+    });
+
+    test('requires a token', async () => {
+      const res = await api.request('GET', '/api/user/preferences');
+      assert.equal(res.status, 401);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, USERS, resetState, startServer } = require('./support/app_harness');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+function seedCommunity() {
+  resetState({
+    community: [
+      { id: 1, user_id: USERS.alice.id, email: USERS.alice.email, nickname: '옛닉네임', content: '부산 다녀왔어요', is_anonymous: false, created_at: daysAgo(10) },
+      { id: 2, user_id: USERS.bob.id, email: USERS.bob.email, nickname: '익명', content: '질문 있어요', is_anonymous: true, created_at: daysAgo(0.5) }
+    ],
+    community_likes: [
+      { id: 'like-1', post_id: 1, user_id: USERS.bob.id },
+      { id: 'like-2', post_id: 1, user_id: USERS.admin.id }
+    ],
+    community_comments: [
+      { id: 'c-1', post_id: 1, user_id: USERS.bob.id, nickname: '옛밥', content: '좋네요', is_anonymous: false, created_at: daysAgo(2) },
+      { id: 'c-2', post_id: 1, user_id: USERS.alice.id, nickname: '익명', content: '감사합니다', is_anonymous: true, created_at: daysAgo(1) }
+    ]
+  });
+}
+
+describe('community API', () => {
+  let api;
+
+  before(async () => { api = await startServer(); });
+  after(() => api.close());
+  beforeEach(seedCommunity);
+
+  describe('GET /api/community', () => {
+    test('lists posts newest first with current nicknames and like state', async () => {
+      const res = await api.request('GET', '/api/community', { user: USERS.bob });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(p => p.id), [2, 1]);
+
+      const [anonymous, named] = res.body.data;
+      assert.equal(anonymous.nickname, '익명');
+      assert.equal(anonymous.avatar_url, null);
+      assert.equal(named.nickname, '앨리스');
+      assert.equal(named.likes_count, 2);
+      assert.equal(named.user_liked, true);
+    });
+
+    test('sorts by likes and filters by period', async () => {
+      const popular = await api.request('GET', '/api/community?sort=popular');
+      assert.deepEqual(popular.body.data.map(p => p.id), [1, 2]);
+      assert.equal(popular.body.data[0].user_liked, false);
+
+      const today = await api.request('GET', '/api/community?period=day');
+      assert.deepEqual(today.body.data.map(p => p.id), [2]);
+    });
+
+    test('rejects a forged token instead of treating it as anonymous', async () => {
+      const res = await api.request('GET', '/api/community', { headers: { Authorization: 'Bearer not-a-jwt' } });
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('POST /api/community', () => {
+    test('stores the author from the token', async () => {
+      const res = await api.request('POST', '/api/community', {
+        user: USERS.alice,
+        body: { nickname: '앨리스', content: '새 글', user_id: USERS.bob.id }
+      });
+
+      assert.equal(res.status, 200);
+      const [post] = res.body.data;
+      assert.equal(post.user_id, USERS.alice.id);
+      assert.equal(post.email, USERS.alice.email);
+      assert.equal(post.is_anonymous, false);
+    });
+
+    test('allows anonymous posts and requires content', async () => {
+      const anonymous = await api.request('POST', '/api/community', { body: { content: '익명 글' } });
+      assert.equal(anonymous.status, 200);
+      assert.equal(anonymous.body.data[0].user_id, null);
+      assert.equal(anonymous.body.data[0].email, '익명');
+
+      const empty = await api.request('POST', '/api/community', { user: USERS.alice, body: {} });
+      assert.equal(empty.status, 400);
+    });
+  });
+
+  describe('DELETE /api/community/:id', () => {
+    test('lets the author delete without an audit entry', async () => {
+      const res = await api.request('DELETE', '/api/community/1', { user: USERS.alice });
+      assert.equal(res.status, 200);
+      assert.deepEqual(db.table('community').map(p => p.id), [2]);
+      assert.equal(db.table('admin_audit_log').length, 0);
+    });
+
+    test('forbids other users', async () => {
+      const res = await api.request('DELETE', '/api/community/1', { user: USERS.bob });
+      assert.equal(res.status, 403);
+      assert.equal(db.table('community').length, 2);
+    });
+
+    test('lets an admin delete and records it in the audit log', async () => {
+      const res = await api.request('DELETE', '/api/community/1', { user: USERS.admin });
+      assert.equal(res.status, 200);
+
+      const [entry] = db.table('admin_audit_log');
+      assert.equal(entry.actor_id, USERS.admin.id);
+      assert.equal(entry.action, 'community.delete');
+      assert.equal(String(entry.target_id), '1');
+      assert.equal(entry.changes.deleted.content, '부산 다녀왔어요');
+    });
+
+    test('returns 404 for unknown posts and 401 without a token', async () => {
+      assert.equal((await api.request('DELETE', '/api/community/99', { user: USERS.alice })).status, 404);
+      assert.equal((await api.request('DELETE', '/api/community/1')).status, 401);
+    });
+  });
+
+  describe('likes', () => {
+    test('POST /api/community/:id/like toggles the caller\'s like', async () => {
+      const liked = await api.request('POST', '/api/community/2/like', { user: USERS.alice });
+      assert.equal(liked.body.liked, true);
+      assert.ok(db.table('community_likes').some(l => l.post_id == 2 && l.user_id === USERS.alice.id));
+
+      const unliked = await api.request('POST', '/api/community/2/like', { user: USERS.alice });
+      assert.equal(unliked.body.liked, false);
+      assert.ok(!db.table('community_likes').some(l => l.post_id == 2));
+    });
+
+    test('GET /api/community/:id/likes counts likes for anonymous and signed-in readers', async () => {
+      const anonymous = await api.request('GET', '/api/community/1/likes');
+      assert.deepEqual(anonymous.body, { success: true, count: 2, userLiked: false });
+
+      const bob = await api.request('GET', '/api/community/1/likes', { user: USERS.bob });
+      assert.equal(bob.body.userLiked, true);
+    });
+  });
+
+  describe('comments', () => {
+    test('GET lists comments oldest first with current profile info', async () => {
+      const res = await api.request('GET', '/api/community/1/comments');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(c => c.id), ['c-1', 'c-2']);
+      assert.equal(res.body.data[0].nickname, '밥');
+      assert.equal(res.body.data[0].avatar_url, 'https://img.example.com/bob.png');
+      assert.equal(res.body.data[1].nickname, '익명');
+    });
+
+    test('POST masks the nickname of anonymous comments', async () => {
+      const res = await api.request('POST', '/api/community/1/comments', {
+        user: USERS.alice,
+        body: { nickname: '앨리스', content: '또 가고 싶어요', is_anonymous: true }
+      });
+      assert.equal(res.status, 200);
+      const [comment] = res.body.data;
+      assert.equal(comment.user_id, USERS.alice.id);
+      assert.equal(comment.nickname, '익명');
+    });
+
+    test('DELETE allows the author or an admin only', async () => {
+      assert.equal((await api.request('DELETE', '/api/community/comments/c-1', { user: USERS.alice })).status, 403);
+      assert.equal((await api.request('DELETE', '/api/community/comments/c-2', { user: USERS.alice })).status, 200);
+      assert.equal((await api.request('DELETE', '/api/community/comments/c-1', { user: USERS.admin })).status, 200);
+
+      assert.equal(db.table('community_comments').length, 0);
+      assert.deepEqual(db.table('admin_audit_log').map(e => e.action), ['community_comment.delete']);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, http, resetState, startServer } = require('./support/app_harness');
+
+describe('currency API', () => {
+  let api;
+
+  before(async () => { api = await startServer(); });
+  after(() => api.close());
+  beforeEach(() => resetState());
+
+  describe('GET /api/currency/convert', () => {
+    test('converts from the destination\'s local currency to KRW by default', async () => {
+      const res = await api.request('GET', `/api/currency/convert?amount=3000&destination=${encodeURIComponent('일본 도쿄')}`);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data, {
+        amount: 3000, from: 'JPY', to: 'KRW', converted: 28500, rate: 9.5,
+        date: new Date().toISOString().slice(0, 10), source: 'open_er_api'
+      });
+      assert.equal(db.table('exchange_rates').length, 1);
+    });
+
+    test('converts between any two known currencies and reuses the day\'s rates', async () => {
+      const res = await api.request('GET', '/api/currency/convert?amount=20&from=usd&to=JPY');
+      await api.request('GET', '/api/currency/convert?amount=1&from=EUR');
+
+      assert.deepEqual([res.body.data.converted, res.body.data.rate], [2947.37, 147.37]);
+      assert.equal(http.calls.filter(c => c.url.startsWith('https://open.er-api.com/')).length, 1);
+    });
+
+    test('rejects missing amounts, unknown destinations and unsupported currencies', async () => {
+      const noAmount = await api.request('GET', '/api/currency/convert?from=USD');
+      const noCurrency = await api.request('GET', `/api/currency/convert?amount=10&destination=${encodeURIComponent('아무데도없음')}`);
+      const unknown = await api.request('GET', '/api/currency/convert?amount=10&from=USD&to=XYZ');
+
+      assert.deepEqual([noAmount.status, noCurrency.status, unknown.status], [400, 400, 400]);
+      assert.match(unknown.body.error, /XYZ/);
+    });
+  });
+});
@@ -0,0 +1,376 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, http, USERS, resetState, startServer } = require('./support/app_harness');
+
+const FALLBACK_PATTERN = /images\.unsplash\.com/;
+const STORED_PATTERN = /^\/api\/images\/places\/[0-9a-f]{24}\/card\.webp$/;
+const downloads = () => http.calls.filter(c => c.url.includes('pstatic.net')).map(c => c.url);
+
+describe('places API', () => {
+  let api;
+
+  before(async () => { api = await startServer(); });
+  after(() => api.close());
+  beforeEach(() => resetState());
+
+  describe('GET /api/place-image', () => {
+    // 사진을 저장하는 건 places_cache에 있는 장소뿐
+    const seedPlaces = (...names) => names.forEach((place_name, i) => db.table('places_cache').push({ place_id: `ChIJ_image_${i}`, place_name }));
+    const naverCalls = () => http.calls.filter(c => c.url.includes('openapi.naver.com'));
+
+    test('stores the first usable Naver image for a cached place and redirects to our own copy', async () => {
+      seedPlaces('부산 감천문화마을');
+      const res = await api.request('GET', `/api/place-image?query=${encodeURIComponent('부산 감천문화마을')}`);
+
+      assert.equal(res.status, 302);
+      assert.match(res.headers.get('location'), STORED_PATTERN);
+      assert.match(res.headers.get('cache-control'), /no-store/);
+      assert.deepEqual(downloads(), ['https://blogfiles.pstatic.net/20250101_1/landscape.jpg']);
+      assert.equal(db.tables.places_cache[0].photo_url, res.headers.get('location'));
+
+      const image = await fetch(`${api.baseUrl}${res.headers.get('location')}`);
+      assert.equal(image.status, 200);
+      assert.equal(image.headers.get('content-type'), 'image/webp');
+      assert.match(image.headers.get('cache-control'), /immutable/);
+    });
+
+    test('serves the saved photo and the requested variant without searching again', async () => {
+      seedPlaces('부산 야경');
+      const query = `/api/place-image?query=${encodeURIComponent('부산 야경')}`;
+      const card = await api.request('GET', query);
+      const calls = http.calls.length;
+      const hero = await api.request('GET', `${query}&variant=hero`);
+
+      assert.equal(hero.headers.get('location'), card.headers.get('location').replace('card.webp', 'hero.webp'));
+      assert.equal(http.calls.length, calls);
+    });
+
+    test('does not search or store anything for places missing from places_cache', async () => {
+      const res = await api.request('GET', `/api/place-image?query=${encodeURIComponent('아무 검색어')}`);
+
+      assert.match(res.headers.get('location'), FALLBACK_PATTERN);
+      assert.equal(naverCalls().length, 0);
+      assert.deepEqual(downloads(), []);
+    });
+
+    test('retries without the "by ..." suffix when the full name has no results', async () => {
+      seedPlaces('L7 MYEONGDONG by LOTTE');
+      const res = await api.request('GET', `/api/place-image?query=${encodeURIComponent('L7 MYEONGDONG by LOTTE')}`);
+
+      assert.match(res.headers.get('location'), STORED_PATTERN);
+      assert.deepEqual(downloads(), ['https://postfiles.pstatic.net/20240301_2/l7-myeongdong.jpg']);
+      assert.deepEqual(naverCalls().map(c => c.params.query), ['L7 MYEONGDONG by LOTTE', 'L7 MYEONGDONG']);
+    });
+
+    test('falls back to the default image without a query or when Naver fails', async () => {
+      const empty = await api.request('GET', '/api/place-image');
+      assert.match(empty.headers.get('location'), FALLBACK_PATTERN);
+
+      seedPlaces('부산 해동용궁사');
+      http.override('get', url => url.includes('openapi.naver.com'), () => ({ errorMessage: 'quota' }), 429);
+      const failed = await api.request('GET', `/api/place-image?query=${encodeURIComponent('부산 해동용궁사')}`);
+      assert.match(failed.headers.get('location'), FALLBACK_PATTERN);
+      assert.equal(db.tables.places_cache[0].photo_url, undefined);
+    });
+
+    test('falls back to the default image when the source cannot be downloaded', async () => {
+      seedPlaces('해운대 블루라인파크');
+      http.override('get', url => url.includes('openapi.naver.com'), () => ({ items: [{ link: 'https://blogfiles.pstatic.net/blocked/1.jpg' }] }));
+      http.overrideImage(url => url.includes('pstatic.net'), { bytes: Buffer.from('<html>blocked</html>'), contentType: 'text/html' });
+      const res = await api.request('GET', `/api/place-image?query=${encodeURIComponent('해운대 블루라인파크')}`);
+
+      assert.match(res.headers.get('location'), FALLBACK_PATTERN);
+    });
+
+    test('limits requests per client', async () => {
+      process.env.RATE_LIMIT_PLACE_IMAGES_PER_MINUTE = '2';
+      try {
+        const statuses = [];
+        for (let i = 0; i < 3; i++) statuses.push((await api.request('GET', '/api/place-image?query=x')).status);
+        assert.deepEqual(statuses, [302, 302, 429]);
+      } finally {
+        delete process.env.RATE_LIMIT_PLACE_IMAGES_PER_MINUTE;
+      }
+    });
+
+    test('counts clients behind the load balancer separately by X-Forwarded-For', async () => {
+      process.env.RATE_LIMIT_PLACE_IMAGES_PER_MINUTE = '1';
+      try {
+        const from = ip => api.request('GET', '/api/place-image?query=x', { headers: { 'X-Forwarded-For': ip } });
+        const statuses = [];
+        for (const ip of ['203.0.113.1', '203.0.113.1', '203.0.113.2']) statuses.push((await from(ip)).status);
+        assert.deepEqual(statuses, [302, 429, 302]);
+      } finally {
+        delete process.env.RATE_LIMIT_PLACE_IMAGES_PER_MINUTE;
+      }
+    });
+  });
+
+  describe('GET /api/images/*', () => {
+    test('returns 404 for unknown or malformed image paths', async () => {
+      const missing = await api.request('GET', `/api/images/places/${'0'.repeat(24)}/card.webp`);
+      const traversal = await api.request('GET', '/api/images/places/..%2F..%2Fpackage.json');
+
+      assert.equal(missing.status, 404);
+      assert.match(missing.headers.get('cache-control'), /no-store/);
+      assert.equal(traversal.status, 404);
+    });
+  });
+
+  // 사진 캐시는 프로세스 전체에서 공유되므로 테스트마다 다른 사진 참조를 사용
+  describe('GET /api/proxy/google-photo/*', () => {
+    const mediaCalls = () => http.calls.filter(c => c.url.endsWith('/media'));
+    // 프록시는 places_cache에 저장된 사진 참조만 허용
+    const seedReferences = (...references) => references.forEach((photo_reference, i) =>
+      db.table('places_cache').push({ place_id: `ChIJ_photo_${i}`, place_name: `사진 ${i}`, photo_reference }));
+
+    test('serves the photo bytes with cache headers and keeps the key server-side', async () => {
+      seedReferences('places/ChIJ_gamcheon/photos/AbC-1');
+      const res = await api.request('GET', '/api/proxy/google-photo/places/ChIJ_gamcheon/photos/AbC-1?width=640');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.text, 'jpeg:places/ChIJ_gamcheon/photos/AbC-1/media:800x');
+      assert.equal(res.headers.get('content-type'), 'image/jpeg');
+      assert.match(res.headers.get('cache-control'), /public, max-age=86400/);
+      assert.match(res.headers.get('etag'), /^"[0-9a-f]{40}"$/);
+      assert.ok(!res.text.includes('test-google-key'));
+
+      const [request] = mediaCalls();
+      assert.equal(request.url, 'https://places.googleapis.com/v1/places/ChIJ_gamcheon/photos/AbC-1/media');
+      assert.deepEqual(request.params, { maxWidthPx: 800 });
+    });
+
+    test('caches bytes per size and answers If-None-Match with 304', async () => {
+      seedReferences('places/ChIJ_haeundae_beach/photos/Xyz');
+      const path = '/api/proxy/google-photo/places/ChIJ_haeundae_beach/photos/Xyz';
+      const first = await api.request('GET', path);
+      const again = await api.request('GET', path, { headers: { 'If-None-Match': first.headers.get('etag') } });
+      const resized = await api.request('GET', `${path}?width=300&height=200`);
+
+      assert.equal(first.text, 'jpeg:places/ChIJ_haeundae_beach/photos/Xyz/media:800x');
+      assert.equal(again.status, 304);
+      assert.equal(resized.text, 'jpeg:places/ChIJ_haeundae_beach/photos/Xyz/media:400x200');
+      assert.deepEqual(mediaCalls().map(c => c.params), [{ maxWidthPx: 800 }, { maxWidthPx: 400, maxHeightPx: 200 }]);
+    });
+
+    test('snaps requested sizes to a few buckets so new widths reuse the cache', async () => {
+      seedReferences('places/ChIJ_jagalchi/photos/Sz');
+      const path = '/api/proxy/google-photo/places/ChIJ_jagalchi/photos/Sz';
+      for (const width of [601, 700, 799, 800]) {
+        assert.equal((await api.request('GET', `${path}?width=${width}`)).status, 200);
+      }
+      const huge = await api.request('GET', `${path}?width=4000`);
+
+      assert.equal(huge.text, 'jpeg:places/ChIJ_jagalchi/photos/Sz/media:1600x');
+      assert.deepEqual(mediaCalls().map(c => c.params), [{ maxWidthPx: 800 }, { maxWidthPx: 1600 }]);
+    });
+
+    test('refuses references the server has not stored without calling Google', async () => {
+      const res = await api.request('GET', '/api/proxy/google-photo/places/ChIJ_unknown/photos/1');
+
+      assert.equal(res.status, 404);
+      assert.match(res.headers.get('cache-control'), /no-store/);
+      assert.equal(mediaCalls().length, 0);
+    });
+
+    test('shares the per-client limit with the place image proxy', async () => {
+      seedReferences('places/ChIJ_limited/photos/1');
+      process.env.RATE_LIMIT_PLACE_IMAGES_PER_MINUTE = '2';
+      try {
+        const image = await api.request('GET', '/api/place-image?query=x');
+        const photo = await api.request('GET', '/api/proxy/google-photo/places/ChIJ_limited/photos/1');
+        const limited = await api.request('GET', '/api/proxy/google-photo/places/ChIJ_limited/photos/1');
+        assert.deepEqual([image.status, photo.status, limited.status], [302, 200, 429]);
+      } finally {
+        delete process.env.RATE_LIMIT_PLACE_IMAGES_PER_MINUTE;
+      }
+    });
+
+    test('rejects malformed references and sizes without calling Google', async () => {
+      const badRef = await api.request('GET', '/api/proxy/google-photo/places/ChIJ_x/reviews/1');
+      const badSize = await api.request('GET', '/api/proxy/google-photo/places/ChIJ_x/photos/1?width=99999');
+
+      assert.equal(badRef.status, 400);
+      assert.equal(badSize.status, 400);
+      assert.equal(mediaCalls().length, 0);
+    });
+
+    test('maps Google failures to 404/502 without caching them', async () => {
+      seedReferences('places/ChIJ_gone/photos/1', 'places/ChIJ_down/photos/1');
+      http.override('get', url => url.endsWith('/media'), () => ({ error: { message: 'key=test-google-key' } }), 404);
+      const missing = await api.request('GET', '/api/proxy/google-photo/places/ChIJ_gone/photos/1');
+      assert.equal(missing.status, 404);
+      assert.match(missing.headers.get('cache-control'), /no-store/);
+      assert.ok(!missing.text.includes('test-google-key'));
+
+      http.override('get', url => url.endsWith('/media'), () => ({}), 503);
+      const down = await api.request('GET', '/api/proxy/google-photo/places/ChIJ_down/photos/1');
+      assert.equal(down.status, 502);
+
+      http.reset();
+      const recovered = await api.request('GET', '/api/proxy/google-photo/places/ChIJ_down/photos/1');
+      assert.equal(recovered.status, 200);
+    });
+  });
+
+  describe('POST /api/places/:placeId/photo-report', () => {
+    const seedPlace = () => resetState({
+      places_cache: [{ place_id: 'ChIJ_gamcheon', place_name: '감천문화마을', photo_url: '/api/images/places/aaaaaaaaaaaaaaaaaaaaaaaa/card.webp' }]
+    });
+
+    test('records one open report per user and place', async () => {
+      seedPlace();
+      const path = '/api/places/ChIJ_gamcheon/photo-report';
+      const first = await api.request('POST', path, { user: USERS.alice, body: { reason: 'wrong', comment: '다른 마을 사진이에요' } });
+      const again = await api.request('POST', path, { user: USERS.alice, body: { reason: 'broken' } });
+      await api.request('POST', path, { user: USERS.bob, body: { reason: 'broken' } });
+
+      assert.equal(first.status, 201);
+      assert.equal(again.status, 200);
+      assert.equal(again.body.duplicate, true);
+      assert.equal(again.body.data.id, first.body.data.id);
+
+      const reports = db.table('place_photo_reports');
+      assert.equal(reports.length, 2);
+      assert.equal(reports[0].reporter_id, USERS.alice.id);
+      assert.equal(reports[0].photo_url, '/api/images/places/aaaaaaaaaaaaaaaaaaaaaaaa/card.webp');
+      assert.equal(reports[0].status, 'open');
+    });
+
+    test('returns the report saved by a concurrent request instead of failing', async () => {
+      seedPlace();
+      // 조회와 저장 사이에 같은 사용자의 다른 요청이 먼저 신고를 저장한 상황 (유니크 인덱스 위반)
+      const winner = { id: 'report-winner', place_id: 'ChIJ_gamcheon', reporter_id: USERS.alice.id, reason: 'wrong', status: 'open' };
+      db.failNext('place_photo_reports', 'insert', () => {
+        db.table('place_photo_reports').push(winner);
+        return { code: '23505', message: 'duplicate key value violates unique constraint "uq_place_photo_reports_open_reporter"' };
+      });
+
+      const res = await api.request('POST', '/api/places/ChIJ_gamcheon/photo-report', { user: USERS.alice, body: { reason: 'broken' } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.duplicate, true);
+      assert.equal(res.body.data.id, 'report-winner');
+      assert.equal(db.table('place_photo_reports').length, 1);
+    });
+
+    test('requires login, a known reason and an existing place', async () => {
+      seedPlace();
+      assert.equal((await api.request('POST', '/api/places/ChIJ_gamcheon/photo-report', { body: { reason: 'wrong' } })).status, 401);
+      assert.equal((await api.request('POST', '/api/places/ChIJ_gamcheon/photo-report', { user: USERS.alice, body: { reason: 'ugly' } })).status, 400);
+      assert.equal((await api.request('POST', '/api/places/ChIJ_nowhere/photo-report', { user: USERS.alice, body: { reason: 'wrong' } })).status, 404);
+      assert.equal(db.table('place_photo_reports').length, 0);
+    });
+  });
+
+  describe('GET /api/places/autocomplete', () => {
+    test('keeps only Korean regions for Korean queries', async () => {
+      const res = await api.request('GET', `/api/places/autocomplete?query=${encodeURIComponent('부산')}`);
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.predictions.length > 0);
+      assert.ok(res.body.predictions.every(p => p.description.includes('대한민국')));
+
+      const request = http.calls.find(c => c.url.includes('places:autocomplete'));
+      assert.equal(request.body.input, '부산');
+      assert.equal(request.body.languageCode, 'ko');
+    });
+
+    test('returns an empty list without a query or when Google fails', async () => {
+      const empty = await api.request('GET', '/api/places/autocomplete');
+      assert.deepEqual(empty.body, { predictions: [] });
+
+      http.override('post', url => url.includes('places:autocomplete'), () => ({ error: { message: 'denied' } }), 403);
+      const failed = await api.request('GET', `/api/places/autocomplete?query=${encodeURIComponent('서울')}`);
+      assert.deepEqual(failed.body, { predictions: [] });
+    });
+  });
+
+  describe('POST /api/calculate-route', () => {
+    test('returns the leg summary for the requested travel mode', async () => {
+      const res = await api.request('POST', '/api/calculate-route', {
+        body: { origin_place_id: 'ChIJ_haeundae_beach', destination_place_id: 'ChIJ_gamcheon', mode: 'walking' }
+      });
+
+      assert.deepEqual(res.body, {
+        success: true,
+        data: { duration: '15분', distance: '1.2km', durationSeconds: 905, distanceMeters: 1204, mode: '도보' }
+      });
+      const request = http.calls.find(c => c.url.includes('directions'));
+      assert.equal(request.params.mode, 'walking');
+      assert.equal(request.params.origin, 'place_id:ChIJ_haeundae_beach');
+    });
+
+    test('validates place ids and reports missing routes', async () => {
+      const missing = await api.request('POST', '/api/calculate-route', { body: { origin_place_id: 'a' } });
+      assert.equal(missing.status, 400);
+
+      http.override('get', url => url.includes('directions'), () => ({ routes: [], status: 'ZERO_RESULTS' }));
+      const none = await api.request('POST', '/api/calculate-route', { body: { origin_place_id: 'a', destination_place_id: 'b' } });
+      assert.equal(none.body.success, false);
+    });
+  });
+
+  describe('POST /api/calculate-routes', () => {
+    const activities = [{ place_id: 'ChIJ_haeundae_beach', time: '10:00' }, { place_id: 'ChIJ_gamcheon', time: '13:00' }, { place_id: 'ChIJ_haeundae_galbi', time: '18:00' }];
+
+    test('returns every leg of a day with numeric durations and distances', async () => {
+      const res = await api.request('POST', '/api/calculate-routes', { user: USERS.alice, body: { mode: 'transit', activities } });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data, [{
+        day: null,
+        legs: [
+          { origin_place_id: 'ChIJ_haeundae_beach', destination_place_id: 'ChIJ_gamcheon', route: { duration: '54분', distance: '21.5km', durationSeconds: 3240, distanceMeters: 21480, mode: '대중교통' } },
+          { origin_place_id: 'ChIJ_gamcheon', destination_place_id: 'ChIJ_haeundae_galbi', route: { duration: '54분', distance: '21.5km', durationSeconds: 3240, distanceMeters: 21480, mode: '대중교통' } }
+        ]
+      }]);
+      assert.deepEqual(http.calls.filter(c => c.url.includes('distancematrix')).map(c => [c.params.origins, c.params.destinations]), [
+        ['place_id:ChIJ_haeundae_beach', 'place_id:ChIJ_gamcheon'],
+        ['place_id:ChIJ_gamcheon', 'place_id:ChIJ_haeundae_galbi']
+      ]);
+      assert.equal(http.calls.filter(c => c.url.includes('directions')).length, 0);
+    });
+
+    test('accepts a whole trip and answers repeated requests from the cache', async () => {
+      const itinerary = [{ day: 1, activities }, { day: 2, activities: [...activities].reverse() }];
+      const first = await api.request('POST', '/api/calculate-routes', { user: USERS.alice, body: { mode: 'walking', itinerary } });
+      const calls = http.calls.length;
+      const second = await api.request('POST', '/api/calculate-routes', { user: USERS.alice, body: { mode: 'walking', itinerary } });
+
+      assert.deepEqual(first.body.data.map(d => [d.day, d.legs.length]), [[1, 2], [2, 2]]);
+      assert.deepEqual(second.body, first.body);
+      assert.equal(http.calls.length, calls);
+    });
+
+    test('validates the request body', async () => {
+      const missing = await api.request('POST', '/api/calculate-routes', { user: USERS.alice, body: { mode: 'transit' } });
+      assert.equal(missing.status, 400);
+
+      const tooMany = Array.from({ length: 152 }, (_, i) => ({ place_id: `p${i}` }));
+      const large = await api.request('POST', '/api/calculate-routes', { user: USERS.alice, body: { activities: tooMany } });
+      assert.equal(large.status, 400);
+    });
+
+    test('requires login and limits requests per user', async () => {
+      const anonymous = await api.request('POST', '/api/calculate-routes', { body: { activities } });
+      assert.equal(anonymous.status, 401);
+      assert.equal(http.calls.length, 0);
+
+      process.env.RATE_LIMIT_ROUTES_PER_MINUTE = '2';
+      try {
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+          statuses.push((await api.request('POST', '/api/calculate-routes', { user: USERS.alice, body: { activities } })).status);
+        }
+        assert.deepEqual(statuses, [200, 200, 429]);
+
+        const other = await api.request('POST', '/api/calculate-routes', { user: USERS.bob, body: { activities } });
+        assert.equal(other.status, 200);
+      } finally {
+        delete process.env.RATE_LIMIT_ROUTES_PER_MINUTE;
+      }
+    });
+  });
+});
@@ -0,0 +1,982 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { db, http, USERS, tokenFor, resetState, startServer } = require('./support/app_harness');
+const { config } = require('../lib/config');
+const { placeDetailsCache } = require('../services/places');
+
+const tripRequest = {
+  destination: '부산',
+  startDate: '2025-05-01',
+  endDate: '2025-05-02',
+  arrivalTime: '10:00',
+  departureTime: '18:00',
+  travelers: 2,
+  budget: '50만원',
+  otherRequirements: '바다 위주'
+};
+
+function parseSse(text) {
+  return text.split('\n\n').filter(chunk => chunk.startsWith('event:')).map(chunk => {
+    const [eventLine, dataLine] = chunk.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+function signAdReceipt(userId, transactionId, timestamp = Date.now()) {
+  const signature = crypto.createHmac('sha256', 'test-ad-secret').update(`${userId}:${transactionId}:${timestamp}`).digest('hex');
+  return { transaction_id: transactionId, timestamp, signature };
+}
+
+describe('trip API', () => {
+  let api;
+
+  before(async () => { api = await startServer(); });
+  after(() => api.close());
+  beforeEach(() => resetState());
+
+  describe('POST /api/generate-trip', () => {
+    test('requires a verified user', async () => {
+      const res = await api.request('POST', '/api/generate-trip', { body: tripRequest });
+      assert.equal(res.status, 401);
+      assert.equal(db.table('trip_plans').length, 0);
+    });
+
+    test('rejects stays shorter than three hours', async () => {
+      const res = await api.request('POST', '/api/generate-trip', {
+        user: USERS.alice,
+        body: { ...tripRequest, endDate: '2025-05-01', departureTime: '12:00' }
+      });
+      assert.equal(res.status, 400);
+      assert.equal(http.geminiCalls.length, 0);
+    });
+
+    test('generates, enriches and saves the trip for the token owner', async () => {
+      const res = await api.request('POST', '/api/generate-trip', {
+        user: USERS.alice,
+        body: { ...tripRequest, user_id: USERS.bob.id }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.quotaSource, 'monthly');
+
+      const saved = db.table('trip_plans');
+      assert.equal(saved.length, 1);
+      assert.equal(saved[0].user_id, USERS.alice.id);
+      assert.equal(saved[0].destination, '부산');
+      assert.equal(saved[0].duration, '2025-05-01 ~ 2025-05-02');
+      assert.deepEqual([saved[0].style, saved[0].companions], ['맞춤 여행', '제한 없음']);
+      assert.equal(saved[0].itinerary_data.preferences, undefined);
+
+      const [day1, day2] = saved[0].itinerary_data.itinerary;
+      assert.deepEqual(day1.weather_info, { code: 1, max: 22.4, min: 14.1 });
+      assert.deepEqual(day2.weather_info, { code: 61, max: 19.8, min: 13.5 });
+
+      const beach = day1.activities[0];
+      assert.equal(beach.place_id, 'ChIJ_haeundae_beach');
+      assert.equal(beach.rating, 4.5);
+      assert.match(beach.photoUrl, /^\/api\/images\/places\/[0-9a-f]{24}\/card\.webp$/);
+      assert.equal(beach.photoVariants.hero, beach.photoUrl.replace('card.webp', 'hero.webp'));
+
+      const galbi = day1.activities[1];
+      assert.equal(galbi.booking_url, 'https://haeundaegalbi.example.com');
+
+      assert.equal(db.table('user_limits').find(r => r.user_id === USERS.alice.id).usage_count, 1);
+      assert.ok(db.table('places_cache').some(p => p.place_id === 'ChIJ_gamcheon'));
+    });
+
+    test('estimates per-activity costs and day and trip totals against the stated budget', async () => {
+      await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+      const { itinerary, budget_summary } = db.table('trip_plans')[0].itinerary_data;
+
+      // 식사는 Google priceLevel, 나머지는 모델 추정치 (1인 기준)
+      const galbi = itinerary[0].activities.find(a => a.place_id === 'ChIJ_haeundae_galbi');
+      assert.equal(galbi.priceLevel, 'PRICE_LEVEL_MODERATE');
+      assert.deepEqual(galbi.cost, { currency: 'KRW', min: 15000, max: 40000, krw_min: 15000, krw_max: 40000, source: 'price_level' });
+      assert.equal(itinerary[1].activities[1].cost.source, 'model');
+
+      assert.equal(budget_summary.travelers, 2);
+      assert.deepEqual(budget_summary.days.map(d => [d.min, d.max]), [[90000, 200000], [16000, 130000]]);
+      assert.deepEqual(budget_summary.total, { min: 106000, max: 330000, krw_min: 106000, krw_max: 330000 });
+      assert.deepEqual([budget_summary.status, budget_summary.warning], ['within', null]);
+
+      // 원화 환산은 오늘 환율 (출처에서 받아 exchange_rates에 저장)
+      const today = new Date().toISOString().slice(0, 10);
+      assert.deepEqual(budget_summary.exchange_rate, { date: today, source: 'open_er_api', krw_per_unit: 1 });
+      assert.deepEqual(db.table('exchange_rates').map(r => [r.rate_date, r.source]), [[today, 'open_er_api']]);
+    });
+
+    test('records the saved trip as version 1 with the request that produced it', async () => {
+      const res = await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+      const [trip] = db.table('trip_plans');
+      const [version] = db.table('trip_versions');
+
+      assert.equal(res.body.data.current_version, 1);
+      assert.equal(trip.current_version, 1);
+      assert.deepEqual([version.trip_id, version.user_id, version.version, version.kind], [trip.id, USERS.alice.id, 1, 'generate']);
+      assert.deepEqual(version.request, { ...tripRequest, preferences: {} });
+      assert.deepEqual(version.itinerary_data, trip.itinerary_data);
+    });
+
+    test('warns when the estimated cost exceeds the stated budget', async () => {
+      await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: { ...tripRequest, budget: '10만원' } });
+      const { budget_summary } = db.table('trip_plans')[0].itinerary_data;
+
+      assert.equal(budget_summary.status, 'over');
+      assert.equal(budget_summary.warning, '예상 비용이 예산을 넘습니다.');
+      assert.match(http.geminiCalls[0].body.contents[0].parts[0].text, /예산: 10만원/);
+    });
+
+    test('removes duplicate places across all days but keeps transfers', async () => {
+      await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+      const [day1, day2] = db.table('trip_plans')[0].itinerary_data.itinerary;
+
+      const names = [...day1.activities, ...day2.activities].map(a => a.place_name);
+      assert.equal(names.filter(n => n === '해운대 해수욕장').length, 1);
+      assert.equal(day1.activities.length, 3);
+      assert.deepEqual(day2.activities.map(a => a.place_name), ['감천문화마을', '부산역으로 이동']);
+    });
+
+    test('reclassifies beauty places that were labelled as meals', async () => {
+      await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+      const beauty = db.table('trip_plans')[0].itinerary_data.itinerary[0].activities
+        .find(a => a.place_name === '센텀 왁싱 뷰티');
+
+      assert.equal(beauty.type, '관광');
+      assert.equal(beauty.activity_description, '센텀 왁싱 뷰티에서 휴식 및 뷰티 체험을 즐깁니다.');
+      assert.ok(beauty.photoUrl, 'falls back to a generic image when Google has no match');
+    });
+
+    test('refuses once the monthly limit is used up', async () => {
+      resetState({ user_limits: [{ user_id: USERS.alice.id, tier: 'free', usage_count: 5, ad_credits: 0, last_reset_date: new Date().toISOString() }] });
+      const res = await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'QUOTA_EXCEEDED');
+      assert.equal(res.body.baseLimit, 5);
+      assert.equal(http.geminiCalls.length, 0);
+    });
+
+    test('spends an ad credit after the monthly limit', async () => {
+      resetState({ user_limits: [{ user_id: USERS.alice.id, tier: 'free', usage_count: 5, ad_credits: 2, last_reset_date: new Date().toISOString() }] });
+      const res = await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.quotaSource, 'ad_credit');
+      assert.equal(db.table('user_limits').find(r => r.user_id === USERS.alice.id).ad_credits, 1);
+    });
+
+    test('returns 502 and refunds the quota when the model keeps producing invalid itineraries', async () => {
+      http.queueGemini('gemini_invalid_itinerary', 'gemini_invalid_itinerary');
+      const res = await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+
+      assert.equal(res.status, 502);
+      assert.equal(res.body.code, 'INVALID_ITINERARY');
+      assert.ok(res.body.details.length > 0);
+      assert.equal(http.geminiCalls.length, 2);
+      assert.equal(db.table('user_limits').find(r => r.user_id === USERS.alice.id).usage_count, 0);
+      assert.equal(db.table('trip_plans').length, 0);
+    });
+
+    test('repairs an invalid itinerary by re-prompting with the errors', async () => {
+      http.queueGemini('gemini_invalid_itinerary', 'gemini_generate_trip');
+      const res = await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+
+      assert.equal(res.status, 200);
+      const repairTurn = http.geminiCalls[1].body.contents;
+      assert.equal(repairTurn.length, 3);
+      assert.equal(repairTurn[1].role, 'model');
+      assert.match(repairTurn[2].parts[0].text, /activities\[0\]\.time/);
+    });
+
+    test('generates a multi-city trip with per-city weather and place searches', async () => {
+      const legs = [
+        { city: '부산', startDate: '2025-05-01', endDate: '2025-05-01' },
+        { city: '경주', startDate: '2025-05-02', endDate: '2025-05-02' }
+      ];
+      const { departureTime, arrivalTime } = tripRequest;
+      const res = await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: { legs, arrivalTime, departureTime } });
+
+      assert.equal(res.status, 200);
+      const [saved] = db.table('trip_plans');
+      assert.equal(saved.destination, '부산 → 경주');
+      assert.equal(saved.duration, '2025-05-01 ~ 2025-05-02');
+      assert.deepEqual(saved.itinerary_data.legs, legs);
+
+      const [day1, day2] = saved.itinerary_data.itinerary;
+      assert.deepEqual([day1.city, day1.transfer], ['부산', null]);
+      assert.deepEqual([day2.city, day2.transfer], ['경주', { from: '부산', to: '경주' }]);
+
+      const geocoded = http.calls.filter(c => c.url.includes('geocoding-api')).map(c => new URL(c.url).searchParams.get('name'));
+      assert.deepEqual([...new Set(geocoded)].sort(), ['Busan', '경주']);
+
+      // 이동일: '부산역으로 이동' 전 활동은 출발 도시(부산)에서 검색
+      assert.equal(day2.activities.find(a => a.place_name === '감천문화마을').place_id, 'ChIJ_gamcheon');
+      assert.match(http.geminiCalls[0].body.contents[0].parts[0].text, /부산 → 경주 이동일/);
+    });
+
+    test('rejects multi-city legs that leave a gap', async () => {
+      const res = await api.request('POST', '/api/generate-trip', {
+        user: USERS.alice,
+        body: { ...tripRequest, legs: [
+          { city: '부산', startDate: '2025-05-01', endDate: '2025-05-01' },
+          { city: '경주', startDate: '2025-05-04', endDate: '2025-05-05' }
+        ] }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(db.table('trip_plans').length, 0);
+    });
+
+    test('applies the saved preference profile with per-request overrides', async () => {
+      resetState({ travel_preferences: [{ user_id: USERS.alice.id, preferences: { dietary: ['vegetarian'], companions: 'kids', pace: 'packed' } }] });
+      const res = await api.request('POST', '/api/generate-trip', {
+        user: USERS.alice,
+        body: { ...tripRequest, preferences: { pace: 'relaxed', interests: ['바다'] } }
+      });
+
+      assert.equal(res.status, 200);
+      const [saved] = db.table('trip_plans');
+      assert.deepEqual([saved.style, saved.companions], ['여유롭게 · 바다', '아이 동반']);
+      assert.deepEqual(saved.itinerary_data.preferences, { dietary: ['vegetarian'], companions: 'kids', pace: 'relaxed', interests: ['바다'] });
+
+      const prompt = http.geminiCalls[0].body.contents[0].parts[0].text;
+      assert.match(prompt, /\[여행자 취향\]/);
+      assert.match(prompt, /식단: 채식/);
+      assert.match(prompt, /동행: 아이 동반/);
+
+      // 모델이 넣은 갈비집은 채식 식단에 맞지 않아 빠짐
+      const day1 = saved.itinerary_data.itinerary[0];
+      assert.ok(!day1.activities.some(a => a.place_name.includes('갈비')));
+      assert.deepEqual(saved.itinerary_data.preference_filtered.map(f => [f.place_name, f.reason]), [['해운대암소갈비집', 'dietary']]);
+    });
+
+    test('rejects invalid preferences before reserving quota', async () => {
+      const res = await api.request('POST', '/api/generate-trip', {
+        user: USERS.alice,
+        body: { ...tripRequest, preferences: { pace: 'fast' } }
+      });
+
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /pace/);
+      assert.equal(http.geminiCalls.length, 0);
+      assert.equal(db.table('user_limits').some(r => r.user_id === USERS.alice.id), false);
+    });
+
+    test('summarises travel time between consecutive places for each day', async () => {
+      await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+      const itinerary = db.table('trip_plans')[0].itinerary_data;
+      const [beach, galbi] = itinerary.itinerary[0].activities;
+
+      assert.equal(beach.travel_estimate, undefined);
+      assert.deepEqual(galbi.travel_estimate, { minutes: 10, source: 'estimate', distance_km: 0.7 });
+      assert.deepEqual(itinerary.travel_summary.map(d => [d.day, d.total_travel_minutes, d.shifted, d.infeasible]), [
+        [1, 10, 0, 0], [2, 0, 0, 0]
+      ]);
+    });
+
+    test('reports activities scheduled while the place is closed', async () => {
+      await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: tripRequest });
+      const itinerary = db.table('trip_plans')[0].itinerary_data;
+      const [beach, galbi] = itinerary.itinerary[0].activities;
+
+      assert.equal(http.geminiCalls.length, 1);
+      assert.equal(beach.hours_conflict, undefined);
+      assert.equal(galbi.hours_conflict.reason, 'closed');
+      assert.equal(galbi.openingHours.periods.length, 7);
+      assert.deepEqual(itinerary.schedule_conflicts.map(c => [c.day, c.index, c.place_name, c.reason]), [
+        [1, 1, '해운대암소갈비집', 'closed']
+      ]);
+      assert.match(itinerary.schedule_conflicts[0].message, /목요일: 오후 5:00~오후 11:00/);
+    });
+
+    test('asks the model to reschedule conflicts when requested, then re-checks', async () => {
+      http.queueGemini('gemini_generate_trip', 'gemini_resolve_conflicts');
+      const res = await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: { ...tripRequest, resolveConflicts: true } });
+
+      assert.equal(res.status, 200);
+      assert.equal(http.geminiCalls.length, 2);
+      const prompt = http.geminiCalls[1].body.contents[0].parts[0].text;
+      assert.match(prompt, /13:00 "해운대암소갈비집": 2025-05-01 13:00에는 영업하지 않습니다/);
+
+      const itinerary = db.table('trip_plans')[0].itinerary_data;
+      const [day1, day2] = itinerary.itinerary;
+      assert.deepEqual(day1.activities.map(a => [a.time, a.place_name]), [
+        ['11:00', '해운대 해수욕장'], ['13:00', '센텀 왁싱 뷰티'], ['17:30', '해운대암소갈비집']
+      ]);
+      assert.equal(day1.activities[2].place_id, 'ChIJ_haeundae_galbi');
+      assert.equal(day1.activities[2].booking_url, 'https://haeundaegalbi.example.com');
+      assert.equal(day1.activities[2].hours_conflict, undefined);
+      assert.deepEqual(day1.weather_info, { code: 1, max: 22.4, min: 14.1 });
+      assert.equal(day2.activities[0].place_id, 'ChIJ_gamcheon');
+      assert.deepEqual(itinerary.schedule_conflicts, []);
+    });
+
+    test('keeps the original schedule and its conflicts when rescheduling fails', async () => {
+      http.queueGemini('gemini_generate_trip', 'gemini_invalid_itinerary', 'gemini_invalid_itinerary');
+      const res = await api.request('POST', '/api/generate-trip', { user: USERS.alice, body: { ...tripRequest, resolveConflicts: true } });
+
+      assert.equal(res.status, 200);
+      assert.equal(http.geminiCalls.length, 3);
+      const itinerary = db.table('trip_plans')[0].itinerary_data;
+      assert.equal(itinerary.itinerary[0].activities[1].time, '13:00');
+      assert.equal(itinerary.schedule_conflicts.length, 1);
+    });
+  });
+
+  describe('POST /api/generate-trip/stream', () => {
+    test('streams the skeleton, weather, activities and the saved trip id in order', async () => {
+      const res = await api.request('POST', '/api/generate-trip/stream', { user: USERS.alice, body: tripRequest });
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+      const events = parseSse(res.text);
+      const names = events.map(e => e.event);
+      assert.equal(names[0], 'itinerary');
+      assert.deepEqual(names.filter(n => n === 'weather').length, 2);
+      assert.equal(names.filter(n => n === 'activity').length, 5);
+      assert.equal(names[names.length - 1], 'done');
+      assert.ok(names.indexOf('weather') < names.indexOf('activity'));
+
+      assert.ok(names.indexOf('activity') < names.indexOf('conflicts'));
+      const conflicts = events.find(e => e.event === 'conflicts').data;
+      assert.equal(conflicts.rescheduled, false);
+      assert.equal(conflicts.conflicts[0].place_name, '해운대암소갈비집');
+
+      // 후처리가 끝난 최종 일정은 마지막 activity/conflicts 뒤, done 바로 앞
+      assert.equal(names.indexOf('final'), names.length - 2);
+      assert.ok(names.lastIndexOf('activity') < names.indexOf('final'));
+      assert.deepEqual(events[names.indexOf('final')].data, db.table('trip_plans')[0].itinerary_data);
+
+      const done = events[events.length - 1].data;
+      assert.equal(done.id, db.table('trip_plans')[0].id);
+    });
+
+    test('replaces streamed activities that post-processing removed with the final itinerary', async () => {
+      const res = await api.request('POST', '/api/generate-trip/stream', {
+        user: USERS.alice,
+        body: { ...tripRequest, preferences: { dietary: ['vegetarian'] } }
+      });
+
+      const events = parseSse(res.text);
+      const streamed = events.filter(e => e.event === 'activity').map(e => e.data.activity.place_name);
+      const final = events.find(e => e.event === 'final').data;
+      const kept = final.itinerary.flatMap(day => day.activities.map(a => a.place_name));
+
+      assert.ok(streamed.includes('해운대암소갈비집'));
+      assert.ok(!kept.includes('해운대암소갈비집'));
+      assert.deepEqual(final.preference_filtered.map(a => a.place_name), ['해운대암소갈비집']);
+    });
+
+    test('answers quota errors with a normal JSON response', async () => {
+      resetState({ user_limits: [{ user_id: USERS.alice.id, tier: 'free', usage_count: 5, ad_credits: 0, last_reset_date: new Date().toISOString() }] });
+      const res = await api.request('POST', '/api/generate-trip/stream', { user: USERS.alice, body: tripRequest });
+      assert.equal(res.status, 403);
+    });
+
+    test('does not save or charge when the client disconnects mid-stream', async () => {
+      const controller = new AbortController();
+
+      // 모델 응답을 붙잡아 두어 생성 도중에 연결이 끊기도록 함
+      const releaseGemini = http.holdGemini();
+
+      const response = await fetch(`${api.baseUrl}/api/generate-trip/stream`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenFor(USERS.alice)}` },
+        body: JSON.stringify(tripRequest)
+      });
+      assert.equal(response.status, 200);
+
+      controller.abort();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      releaseGemini();
+
+      // 서버 쪽 정리(환불)가 끝날 때까지 잠시 대기
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      assert.equal(db.table('trip_plans').length, 0);
+      assert.equal(db.table('user_limits').find(r => r.user_id === USERS.alice.id).usage_count, 0);
+    });
+
+    test('ends with an error event, saves nothing and refunds when generation fails', async () => {
+      http.queueGemini('gemini_invalid_itinerary', 'gemini_invalid_itinerary');
+      const res = await api.request('POST', '/api/generate-trip/stream', { user: USERS.alice, body: tripRequest });
+
+      const events = parseSse(res.text);
+      assert.equal(res.status, 200);
+      assert.deepEqual(events.map(e => e.event), ['error']);
+      assert.equal(events[0].data.code, 'INVALID_ITINERARY');
+      assert.equal(db.table('trip_plans').length, 0);
+      assert.equal(db.table('user_limits').find(r => r.user_id === USERS.alice.id).usage_count, 0);
+    });
+
+    test('still sends the error event and closes the stream when cleanup fails', async () => {
+      db.failNext('trip_versions', 'insert');
+      const rpc = db.rpc;
+      db.rpc = async (name, params) => {
+        if (name === 'refund_trip_quota') throw new Error('connection reset');
+        return rpc.call(db, name, params);
+      };
+
+      try {
+        const res = await api.request('POST', '/api/generate-trip/stream', { user: USERS.alice, body: tripRequest });
+        const events = parseSse(res.text);
+        assert.equal(events[events.length - 1].event, 'error');
+        assert.ok(!events.some(e => e.event === 'done'));
+      } finally {
+        db.rpc = rpc;
+      }
+
+      // 버전 기록에 실패한 일정은 남기지 않음
+      assert.equal(db.table('trip_plans').length, 0);
+    });
+  });
+
+  describe('quota endpoints', () => {
+    test('GET /api/quota reports monthly and ad-credit balance', async () => {
+      resetState({ user_limits: [{ user_id: USERS.alice.id, tier: 'free', usage_count: 2, ad_credits: 1, last_reset_date: new Date().toISOString() }] });
+      const res = await api.request('GET', '/api/quota', { user: USERS.alice });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.limit, 5);
+      assert.equal(res.body.data.monthlyRemaining, 3);
+      assert.equal(res.body.data.remaining, 4);
+    });
+
+    test('POST /api/quota/ad-reward grants one credit per verified receipt', async () => {
+      const receipt = signAdReceipt(USERS.alice.id, 'tx-1');
+      const first = await api.request('POST', '/api/quota/ad-reward', { user: USERS.alice, body: receipt });
+      assert.equal(first.status, 200);
+      assert.equal(first.body.data.adCredits, 1);
+
+      const replay = await api.request('POST', '/api/quota/ad-reward', { user: USERS.alice, body: receipt });
+      assert.equal(replay.status, 409);
+    });
+
+    test('POST /api/quota/ad-reward rejects forged receipts and enforces the daily cap', async () => {
+      const forged = { ...signAdReceipt(USERS.bob.id, 'tx-x'), transaction_id: 'tx-x' };
+      const bad = await api.request('POST', '/api/quota/ad-reward', { user: USERS.alice, body: forged });
+      assert.equal(bad.status, 400);
+
+      for (let i = 0; i < 3; i++) {
+        const ok = await api.request('POST', '/api/quota/ad-reward', { user: USERS.alice, body: signAdReceipt(USERS.alice.id, `tx-${i}`) });
+        assert.equal(ok.status, 200);
+      }
+      const capped = await api.request('POST', '/api/quota/ad-reward', { user: USERS.alice, body: signAdReceipt(USERS.alice.id, 'tx-9') });
+      assert.equal(capped.status, 429);
+    });
+  });
+
+  describe('POST /api/modify-trip', () => {
+    const currentItinerary = {
+      trip_title: '부산 바다 여행',
+      itinerary: [
+        { day: 1, date: '2025-05-01', activities: [
+          { time: '11:00', place_name: '해운대 해수욕장', type: '관광', activity_description: '해변 산책', is_booking_required: false, photoUrl: 'https://img.example.com/beach.jpg', place_id: 'ChIJ_haeundae_beach' },
+          { time: '13:00', place_name: '해운대 암소갈비집', type: '식사', activity_description: '점심', is_booking_required: true, photoUrl: 'https://img.example.com/galbi.jpg', place_id: 'ChIJ_haeundae_galbi' }
+        ] },
+        { day: 2, date: '2025-05-02', activities: [
+          { time: '10:30', place_name: '감천문화마을', type: '관광', activity_description: '골목 탐방', is_booking_required: false, photoUrl: 'https://img.example.com/gamcheon.jpg', place_id: 'ChIJ_gamcheon' }
+        ] }
+      ]
+    };
+
+    test('rewrites the trip, reuses known places and saves it for the owner only', async () => {
+      resetState({ trip_plans: [{ id: 'trip-1', user_id: USERS.alice.id, destination: '부산', duration: '2025-05-01 ~ 2025-05-02', itinerary_data: currentItinerary }] });
+      http.queueGemini('gemini_modify_trip');
+
+      const res = await api.request('POST', '/api/modify-trip', {
+        user: USERS.alice,
+        body: { trip_id: 'trip-1', currentItinerary, userRequest: '점심 대신 절에 가고 싶어', destination: '부산' }
+      });
+
+      assert.equal(res.status, 200);
+      const [day1] = res.body.data.itinerary;
+      assert.equal(day1.activities[0].photoUrl, 'https://img.example.com/beach.jpg');
+      assert.equal(day1.activities[1].place_id, 'ChIJ_yonggungsa');
+      assert.deepEqual(day1.activities[1].travel_info, { duration: '15분', distance: '1.2km', durationSeconds: 905, distanceMeters: 1204, mode: '대중교통' });
+      assert.deepEqual(res.body.data.schedule_conflicts, []);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, res.body.data);
+    });
+
+    test('keeps the overwritten plan as a version and can restore it', async () => {
+      resetState({ trip_plans: [{ id: 'trip-1', user_id: USERS.alice.id, destination: '부산', duration: '2025-05-01 ~ 2025-05-02', itinerary_data: currentItinerary }] });
+      http.queueGemini('gemini_modify_trip');
+
+      const res = await api.request('POST', '/api/modify-trip', {
+        user: USERS.alice,
+        body: { trip_id: 'trip-1', currentItinerary, userRequest: '점심 대신 절에 가고 싶어', destination: '부산' }
+      });
+
+      // 버전 기록 전에 만든 일정 -> 기존 내용을 snapshot으로 먼저 보관
+      assert.equal(res.body.version, 2);
+      assert.deepEqual(db.table('trip_versions').map(v => [v.version, v.kind, v.request]), [
+        [1, 'snapshot', null],
+        [2, 'modify', { userRequest: '점심 대신 절에 가고 싶어' }]
+      ]);
+      assert.deepEqual(db.table('trip_versions')[0].itinerary_data, currentItinerary);
+
+      const diff = await api.request('GET', '/api/trip/trip-1/versions/2/diff', { user: USERS.alice });
+      assert.equal(diff.status, 200);
+      const [day1] = diff.body.data.days;
+      assert.deepEqual([diff.body.data.from, diff.body.data.to, day1.day], [1, 2, 1]);
+      assert.deepEqual(day1.removed.map(a => a.place_id), ['ChIJ_haeundae_galbi']);
+      assert.deepEqual(day1.added.map(a => a.place_id), ['ChIJ_yonggungsa']);
+
+      const restored = await api.request('POST', '/api/trip/trip-1/versions/1/restore', { user: USERS.alice });
+      assert.equal(restored.status, 200);
+      assert.deepEqual([restored.body.data.version, restored.body.data.restored_from], [3, 1]);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, currentItinerary);
+      assert.equal(db.table('trip_plans')[0].current_version, 3);
+      assert.deepEqual(db.table('trip_versions').map(v => v.kind), ['snapshot', 'modify', 'restore']);
+    });
+
+    test('rewrites the trip to fit a target budget and re-estimates costs', async () => {
+      const priced = JSON.parse(JSON.stringify(currentItinerary));
+      priced.currency = 'KRW';
+      priced.budget_summary = { travelers: 2, budget: { text: '50만원' } };
+      priced.itinerary[0].activities[0].estimated_cost = { min: 0, max: 0 };
+      priced.itinerary[0].activities[1].estimated_cost = { min: 40000, max: 60000 };
+      priced.itinerary[1].activities[0].estimated_cost = { min: 0, max: 5000 };
+      resetState({ trip_plans: [{ id: 'trip-1', user_id: USERS.alice.id, destination: '부산', duration: '-', itinerary_data: priced }] });
+      http.queueGemini('gemini_modify_trip');
+
+      const res = await api.request('POST', '/api/modify-trip', {
+        user: USERS.alice,
+        body: { trip_id: 'trip-1', currentItinerary: priced, destination: '부산', fitBudget: '10만원' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(db.table('trip_versions').at(-1).kind, 'fit_budget');
+      const prompt = http.geminiCalls[0].body.contents[0].parts[0].text;
+      assert.match(prompt, /현재 예상 비용\]: 2명 합계 80000~130000 KRW/);
+      assert.match(prompt, /목표 예산\]: 10만원/);
+
+      const { budget_summary, currency } = res.body.data;
+      assert.equal(currency, 'KRW');
+      assert.deepEqual(budget_summary.budget, { text: '10만원', amount: 100000, currency: 'KRW', krw: 100000 });
+      assert.deepEqual(budget_summary.total, { min: 0, max: 10000, krw_min: 0, krw_max: 10000 });
+      assert.equal(budget_summary.status, 'within');
+    });
+
+    test('rejects a target budget without an amount', async () => {
+      resetState({ trip_plans: [{ id: 'trip-1', user_id: USERS.alice.id, destination: '부산', duration: '-', itinerary_data: currentItinerary }] });
+      const res = await api.request('POST', '/api/modify-trip', {
+        user: USERS.alice,
+        body: { trip_id: 'trip-1', currentItinerary, destination: '부산', fitBudget: '적당히' }
+      });
+      assert.equal(res.status, 400);
+      assert.equal(http.geminiCalls.length, 0);
+    });
+
+    test('answers 404 before calling the model for missing or other users\' trips', async () => {
+      resetState({ trip_plans: [{ id: 'trip-1', user_id: USERS.bob.id, destination: '부산', duration: '-', itinerary_data: currentItinerary }] });
+      http.queueGemini('gemini_modify_trip');
+
+      const other = await api.request('POST', '/api/modify-trip', {
+        user: USERS.alice,
+        body: { trip_id: 'trip-1', currentItinerary, userRequest: '바꿔줘', destination: '부산' }
+      });
+      const unknown = await api.request('POST', '/api/modify-trip', {
+        user: USERS.alice,
+        body: { trip_id: 'trip-404', currentItinerary, userRequest: '바꿔줘', destination: '부산' }
+      });
+
+      assert.deepEqual([other.status, unknown.status], [404, 404]);
+      assert.equal(http.geminiCalls.length, 0);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, currentItinerary);
+      assert.equal(db.table('trip_versions').length, 0);
+    });
+
+    test('returns the modified plan without saving when no trip_id is given', async () => {
+      resetState({ trip_plans: [{ id: 'trip-1', user_id: USERS.alice.id, destination: '부산', duration: '-', itinerary_data: currentItinerary }] });
+      http.queueGemini('gemini_modify_trip');
+
+      const res = await api.request('POST', '/api/modify-trip', {
+        user: USERS.alice,
+        body: { currentItinerary, userRequest: '바꿔줘', destination: '부산' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.version, null);
+      assert.ok(res.body.data.itinerary.length > 0);
+      assert.equal(http.geminiCalls.length, 1);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, currentItinerary);
+      assert.equal(db.table('trip_versions').length, 0);
+    });
+
+    test('requires a verified user', async () => {
+      const res = await api.request('POST', '/api/modify-trip', { body: { currentItinerary, userRequest: 'x', destination: '부산' } });
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('POST /api/trip/:id/optimize-day', () => {
+    const HAEUNDAE = { latitude: 35.1587, longitude: 129.1604 };
+    const GAMCHEON = { latitude: 35.0975, longitude: 129.0106 };
+    const itinerary = () => ({
+      trip_title: '부산 바다 여행',
+      travel_summary: [{ day: 1, date: '2025-05-01', total_travel_minutes: 140 }],
+      itinerary: [
+        { day: 1, date: '2025-05-01', activities: [
+          { time: '10:00', place_name: '해운대 해수욕장', type: '관광', activity_description: '', place_id: 'ChIJ_haeundae_beach', location: HAEUNDAE },
+          { time: '11:30', place_name: '감천문화마을', type: '관광', activity_description: '', place_id: 'ChIJ_gamcheon', location: GAMCHEON },
+          { time: '13:30', place_name: '해운대 시장', type: '쇼핑', activity_description: '', place_id: 'ChIJ_market', location: HAEUNDAE }
+        ] }
+      ]
+    });
+
+    test('reorders the day without calling the model and saves it for the owner', async () => {
+      resetState({ trip_plans: [{ id: 'trip-1', user_id: USERS.alice.id, destination: '부산', duration: '-', itinerary_data: itinerary() }] });
+
+      const res = await api.request('POST', '/api/trip/trip-1/optimize-day', { user: USERS.alice, body: { day: 1 } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.reordered, true);
+      assert.ok(res.body.data.travel_minutes_after < res.body.data.travel_minutes_before);
+      const [day1] = res.body.data.itinerary.itinerary;
+      assert.deepEqual(day1.activities.map(a => a.place_name), ['해운대 해수욕장', '해운대 시장', '감천문화마을']);
+      assert.equal(res.body.data.itinerary.travel_summary[0].total_travel_minutes, res.body.data.travel_minutes_after);
+      assert.equal(http.geminiCalls.length, 0);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, res.body.data.itinerary);
+      assert.equal(res.body.data.version, 2);
+      assert.deepEqual(db.table('trip_versions').map(v => [v.kind, v.request]), [['snapshot', null], ['optimize_day', { day: 1 }]]);
+    });
+
+    test('only optimizes the caller\'s own trips and existing days', async () => {
+      resetState({ trip_plans: [{ id: 'trip-1', user_id: USERS.bob.id, destination: '부산', duration: '-', itinerary_data: itinerary() }] });
+
+      const other = await api.request('POST', '/api/trip/trip-1/optimize-day', { user: USERS.alice, body: { day: 1 } });
+      assert.equal(other.status, 404);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, itinerary());
+
+      const missingDay = await api.request('POST', '/api/trip/trip-1/optimize-day', { user: USERS.bob, body: { day: 5 } });
+      assert.equal(missingDay.status, 404);
+      const invalid = await api.request('POST', '/api/trip/trip-1/optimize-day', { user: USERS.bob, body: {} });
+      assert.equal(invalid.status, 400);
+      const anonymous = await api.request('POST', '/api/trip/trip-1/optimize-day', { body: { day: 1 } });
+      assert.equal(anonymous.status, 401);
+    });
+  });
+
+  describe('POST /api/trip/:id/edit', () => {
+    const HAEUNDAE = { latitude: 35.1587, longitude: 129.1604 };
+    const itinerary = () => ({
+      trip_title: '부산 바다 여행',
+      currency: 'KRW',
+      budget_summary: { travelers: 2, budget: { text: '50만원' } },
+      travel_summary: [{ day: 1, date: '2025-05-01', total_travel_minutes: 10 }, { day: 2, date: '2025-05-02', total_travel_minutes: 0 }],
+      schedule_conflicts: [],
+      itinerary: [
+        { day: 1, date: '2025-05-01', activities: [
+          { time: '11:00', place_name: '해운대 해수욕장', type: '관광', activity_description: '해변 산책', is_booking_required: false, place_id: 'ChIJ_haeundae_beach', location: HAEUNDAE, estimated_cost: { min: 0, max: 0 } },
+          { time: '17:30', place_name: '해운대암소갈비집', type: '식사', activity_description: '갈비 저녁', is_booking_required: true, place_id: 'ChIJ_haeundae_galbi', location: { latitude: 35.1631, longitude: 129.1636 }, estimated_cost: { min: 40000, max: 60000 }, travel_info: { duration: '10분', mode: '도보' } }
+        ] },
+        { day: 2, date: '2025-05-02', weather_info: { condition: '맑음', max_temp: 22 }, activities: [
+          { time: '10:30', place_name: '감천문화마을', type: '관광', activity_description: '골목 탐방', is_booking_required: false, place_id: 'ChIJ_gamcheon', photoUrl: 'https://img.example.com/gamcheon.jpg', estimated_cost: { min: 0, max: 5000 }, cost: { currency: 'KRW', min: 0, max: 5000, krw_min: 0, krw_max: 4900, source: 'model' } },
+          { time: '15:00', place_name: '부산역으로 이동', type: '이동', activity_description: 'KTX 탑승', is_booking_required: false }
+        ] }
+      ]
+    });
+    const seed = (owner = USERS.alice) => resetState({
+      trip_plans: [{ id: 'trip-1', user_id: owner.id, destination: '부산', duration: '2025-05-01 ~ 2025-05-02', itinerary_data: itinerary() }]
+    });
+    const edit = (body, user = USERS.alice) => api.request('POST', '/api/trip/trip-1/edit', { user, body });
+
+    const lockedDay = () => JSON.stringify(itinerary().itinerary[1]);
+
+    test('replaces one activity, returns the other candidates and leaves other days untouched', async () => {
+      seed();
+      http.queueGemini('gemini_edit_alternatives');
+
+      const res = await edit({ operation: 'replace_activity', day: 1, index: 1, userRequest: '바다가 보이는 곳' });
+
+      assert.equal(res.status, 200);
+      // 고칠 날 하루만 보냄 - 다른 날 장소는 중복 금지 목록에만
+      assert.equal(http.geminiCalls.length, 1);
+      const prompt = http.geminiCalls[0].body.contents[0].parts[0].text;
+      assert.match(prompt, /\[날짜\]: Day 1 \(2025-05-01\)/);
+      assert.match(prompt, /17:30 "해운대암소갈비집"\(식사\) 대신 갈 곳 3곳/);
+      assert.match(prompt, /\(해운대 해수욕장, 해운대암소갈비집, 감천문화마을\)/);
+      assert.doesNotMatch(prompt, /골목 탐방/);
+
+      const { itinerary: edited, alternatives, version } = res.body.data;
+      const [day1, day2] = edited.itinerary;
+      assert.deepEqual(day1.activities.map(a => [a.time, a.place_id]), [['11:00', 'ChIJ_haeundae_beach'], ['17:30', 'ChIJ_yonggungsa']]);
+      assert.equal(day1.activities[1].travel_info.mode, '대중교통');
+      assert.deepEqual(alternatives.map(a => [a.time, a.place_name]), [['17:30', '자갈치시장'], ['17:30', '태종대']]);
+
+      assert.equal(JSON.stringify(day2), lockedDay());
+      assert.deepEqual(edited.travel_summary[1], itinerary().travel_summary[1]);
+      assert.ok(http.calls.every(call => !call.body?.textQuery?.includes('감천')));
+      assert.deepEqual(edited.budget_summary.days.map(d => d.krw_max), [0, 10000]);
+
+      assert.equal(version, 2);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, edited);
+      assert.deepEqual(db.table('trip_versions').map(v => [v.kind, v.request]), [
+        ['snapshot', null],
+        ['edit', { operation: 'replace_activity', day: 1, index: 1, userRequest: '바다가 보이는 곳' }]
+      ]);
+    });
+
+    test('swaps in a chosen alternative without calling the model', async () => {
+      seed();
+
+      const res = await edit({
+        operation: 'replace_activity', day: 1, index: 1,
+        alternative: { time: '17:30', place_name: '해동용궁사', type: '관광', activity_description: '바닷가 사찰 관람', photoUrl: 'https://evil.example.com/x.jpg' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(http.geminiCalls.length, 0);
+      const [day1, day2] = res.body.data.itinerary.itinerary;
+      assert.equal(day1.activities[1].place_id, 'ChIJ_yonggungsa');
+      assert.notEqual(day1.activities[1].photoUrl, 'https://evil.example.com/x.jpg');
+      assert.deepEqual(res.body.data.alternatives, []);
+      assert.equal(JSON.stringify(day2), lockedDay());
+      assert.deepEqual(db.table('trip_versions').at(-1).request, { operation: 'replace_activity', day: 1, index: 1, alternative: '해동용궁사' });
+
+      const duplicate = await edit({
+        operation: 'replace_activity', day: 1, index: 1,
+        alternative: { time: '17:30', place_name: '감천문화마을', type: '관광', activity_description: '골목 탐방' }
+      });
+      assert.equal(duplicate.status, 400);
+      assert.match(duplicate.body.error, /이미 일정에 있는 장소/);
+    });
+
+    test('inserts a meal at the requested time and keeps routes between untouched neighbours', async () => {
+      seed();
+      http.queueGemini('gemini_edit_meal');
+
+      const res = await edit({ operation: 'insert_meal', day: 1, time: '19:00' });
+
+      assert.equal(res.status, 200);
+      assert.match(http.geminiCalls[0].body.contents[0].parts[0].text, /19:00에 식사\(type: 식사\) 1곳을 추가/);
+      const [day1, day2] = res.body.data.itinerary.itinerary;
+      assert.deepEqual(day1.activities.map(a => [a.time, a.place_name, a.type]), [
+        ['11:00', '해운대 해수욕장', '관광'], ['17:30', '해운대암소갈비집', '식사'], ['19:00', '자갈치시장', '식사']
+      ]);
+      assert.deepEqual(day1.activities[1].travel_info, { duration: '10분', mode: '도보' });
+      assert.equal(JSON.stringify(day2), lockedDay());
+    });
+
+    test('searches the place cache around the neighbouring activities', async () => {
+      seed();
+      placeDetailsCache.clear();
+      // 같은 이름의 다른 지역 장소 (주소 없는 예전 캐시 행)
+      db.table('places_cache').push({ place_id: 'ChIJ_far_market', place_name: '자갈치시장', search_keywords: null, location: { latitude: 37.5665, longitude: 126.978 } });
+      const handler = db.rpcHandlers.match_cached_place;
+      const lookups = [];
+      db.rpcHandlers.match_cached_place = (params, self) => { lookups.push(params); return handler(params, self); };
+      http.queueGemini('gemini_edit_meal');
+
+      try {
+        const res = await edit({ operation: 'insert_meal', day: 1, time: '19:00' });
+        const meal = res.body.data.itinerary.itinerary[0].activities[2];
+        assert.equal(meal.place_name, '자갈치시장');
+        assert.notEqual(meal.place_id, 'ChIJ_far_market');
+      } finally {
+        db.rpcHandlers.match_cached_place = handler;
+      }
+
+      // 바로 앞 활동(해운대암소갈비집) 좌표 기준
+      assert.deepEqual([lookups[0].p_lat, lookups[0].p_lng], [35.1631, 129.1636]);
+    });
+
+    test('regenerates a whole day inside the saved departure time', async () => {
+      seed();
+      http.queueGemini('gemini_edit_day');
+
+      const res = await edit({ operation: 'regenerate_day', day: 2, userRequest: '바다 위주' });
+
+      assert.equal(res.status, 200);
+      const prompt = http.geminiCalls[0].body.contents[0].parts[0].text;
+      assert.match(prompt, /하루 전체 활동을 시간 순서대로\*\* 적으세요\. 15:00 이전 종료\./);
+      assert.match(prompt, /\(해운대 해수욕장, 해운대암소갈비집\)/);
+
+      const [day1, day2] = res.body.data.itinerary.itinerary;
+      assert.deepEqual(day2.activities.map(a => a.place_name), ['해동용궁사', '자갈치시장']);
+      assert.equal(day2.activities[0].place_id, 'ChIJ_yonggungsa');
+      assert.equal(JSON.stringify(day1), JSON.stringify(itinerary().itinerary[0]));
+      assert.deepEqual(res.body.data.itinerary.travel_summary[0], itinerary().travel_summary[0]);
+    });
+
+    test('removes an activity without filling the gap', async () => {
+      seed();
+
+      const res = await edit({ operation: 'remove_activity', day: 1, index: 0, fill: false });
+
+      assert.equal(res.status, 200);
+      assert.equal(http.geminiCalls.length, 0);
+      const [day1, day2] = res.body.data.itinerary.itinerary;
+      assert.deepEqual(day1.activities.map(a => a.place_name), ['해운대암소갈비집']);
+      assert.equal(day1.activities[0].travel_info, undefined);
+      assert.equal(JSON.stringify(day2), lockedDay());
+    });
+
+    test('rejects invalid edits and other users\' trips before calling the model', async () => {
+      seed();
+
+      const unknown = await edit({ operation: 'shuffle', day: 1 });
+      const missingIndex = await edit({ operation: 'replace_activity', day: 1, index: 5 });
+      const missingDay = await edit({ operation: 'regenerate_day', day: 3 });
+      const badTime = await edit({ operation: 'insert_meal', day: 1, time: '25:00' });
+      const other = await edit({ operation: 'regenerate_day', day: 1 }, USERS.bob);
+      const anonymous = await api.request('POST', '/api/trip/trip-1/edit', { body: { operation: 'regenerate_day', day: 1 } });
+
+      assert.deepEqual([unknown, missingIndex, missingDay, badTime].map(r => r.status), [400, 400, 400, 400]);
+      assert.equal(other.status, 404);
+      assert.equal(anonymous.status, 401);
+      assert.equal(http.geminiCalls.length, 0);
+      assert.equal(db.table('trip_versions').length, 0);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, itinerary());
+    });
+  });
+
+  describe('trip versions', () => {
+    const plan = (...places) => ({ itinerary: [{ day: 1, date: '2025-05-01', activities: places.map((place_name, i) => ({ time: `1${i}:00`, place_name, type: '관광' })) }] });
+    const seed = () => resetState({
+      trip_plans: [{ id: 'trip-1', user_id: USERS.alice.id, destination: '부산', duration: '-', itinerary_data: plan('해운대', '광안리'), current_version: 3 }],
+      trip_versions: [
+        { trip_id: 'trip-1', user_id: USERS.alice.id, version: 1, kind: 'generate', request: { destination: '부산' }, itinerary_data: plan('해운대'), created_at: '2025-01-01T00:00:00Z' },
+        { trip_id: 'trip-1', user_id: USERS.alice.id, version: 2, kind: 'modify', request: { userRequest: '광안리 추가' }, itinerary_data: plan('광안리', '해운대'), created_at: '2025-01-02T00:00:00Z' },
+        { trip_id: 'trip-1', user_id: USERS.alice.id, version: 3, kind: 'modify', request: { userRequest: '순서 바꿔줘' }, itinerary_data: plan('해운대', '광안리'), created_at: '2025-01-03T00:00:00Z' }
+      ]
+    });
+
+    test('GET /api/trip/:id/versions lists versions newest first without the itinerary', async () => {
+      seed();
+      const res = await api.request('GET', '/api/trip/trip-1/versions', { user: USERS.alice });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.current_version, 3);
+      assert.deepEqual(res.body.data.versions.map(v => [v.version, v.kind, v.request.userRequest]), [
+        [3, 'modify', '순서 바꿔줘'], [2, 'modify', '광안리 추가'], [1, 'generate', undefined]
+      ]);
+      assert.ok(res.body.data.versions.every(v => v.itinerary_data === undefined));
+    });
+
+    test('GET /api/trip/:id/versions/:version/diff compares against the previous or a chosen version', async () => {
+      seed();
+      const previous = await api.request('GET', '/api/trip/trip-1/versions/3/diff', { user: USERS.alice });
+      assert.deepEqual(previous.body.data.summary, { added: 0, removed: 0, moved: 1, retimed: 1 });
+
+      const chosen = await api.request('GET', '/api/trip/trip-1/versions/3/diff?against=1', { user: USERS.alice });
+      assert.deepEqual(chosen.body.data.days[0].added, [{ place_name: '광안리', place_id: null, time: '11:00' }]);
+
+      const first = await api.request('GET', '/api/trip/trip-1/versions/1/diff', { user: USERS.alice });
+      const missing = await api.request('GET', '/api/trip/trip-1/versions/9/diff', { user: USERS.alice });
+      assert.deepEqual([first.status, missing.status], [400, 404]);
+    });
+
+    test('restores only other existing versions of the caller\'s own trips', async () => {
+      seed();
+      const current = await api.request('POST', '/api/trip/trip-1/versions/3/restore', { user: USERS.alice });
+      const missing = await api.request('POST', '/api/trip/trip-1/versions/9/restore', { user: USERS.alice });
+      const invalid = await api.request('POST', '/api/trip/trip-1/versions/abc/restore', { user: USERS.alice });
+      const other = await api.request('POST', '/api/trip/trip-1/versions/1/restore', { user: USERS.bob });
+      const otherList = await api.request('GET', '/api/trip/trip-1/versions', { user: USERS.bob });
+
+      assert.deepEqual([current.status, missing.status, invalid.status, other.status, otherList.status], [400, 404, 400, 404, 404]);
+      assert.equal(db.table('trip_versions').length, 3);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, plan('해운대', '광안리'));
+
+      const restored = await api.request('POST', '/api/trip/trip-1/versions/1/restore', { user: USERS.alice });
+      assert.equal(restored.body.data.version, 4);
+      assert.deepEqual(db.table('trip_plans')[0].itinerary_data, plan('해운대'));
+      assert.deepEqual(db.table('trip_versions').at(-1).request, { version: 1 });
+    });
+  });
+
+  describe('trip listing and deletion', () => {
+    const seed = () => resetState({
+      trip_plans: [
+        { id: 'trip-a', user_id: USERS.alice.id, destination: '부산', duration: '2025-05-01 ~ 2025-05-02', created_at: '2025-01-01T00:00:00Z',
+          itinerary_data: { trip_title: '부산 여행', itinerary: [{ day: 1, activities: [{ place_name: '해운대', photoUrl: 'https://img.example.com/a.jpg' }] }] } },
+        { id: 'trip-b', user_id: USERS.bob.id, destination: '서울', duration: '2025-06-01 ~ 2025-06-02', created_at: '2025-02-01T00:00:00Z',
+          itinerary_data: { trip_title: '서울 여행', itinerary: [] } }
+      ]
+    });
+
+    test('GET /api/my-trips only returns the caller\'s trips, ignoring user_id in the query', async () => {
+      seed();
+      const res = await api.request('GET', `/api/my-trips?user_id=${USERS.bob.id}`, { user: USERS.alice });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.map(t => t.id), ['trip-a']);
+    });
+
+    test('GET /api/my-trips requires a token', async () => {
+      const res = await api.request('GET', `/api/my-trips?user_id=${USERS.alice.id}`);
+      assert.equal(res.status, 401);
+    });
+
+    test('DELETE /api/trip/:id only deletes the caller\'s own trip', async () => {
+      seed();
+      await api.request('DELETE', '/api/trip/trip-b', { user: USERS.alice, body: { user_id: USERS.bob.id } });
+      assert.equal(db.table('trip_plans').length, 2);
+
+      const res = await api.request('DELETE', '/api/trip/trip-a', { user: USERS.alice });
+      assert.equal(res.status, 200);
+      assert.deepEqual(db.table('trip_plans').map(t => t.id), ['trip-b']);
+    });
+
+    test('GET /api/public/trip/:id returns shared trips and 404s unknown ids', async () => {
+      seed();
+      const found = await api.request('GET', '/api/public/trip/trip-b');
+      assert.equal(found.status, 200);
+      assert.equal(found.body.data.destination, '서울');
+
+      const missing = await api.request('GET', '/api/public/trip/nope');
+      assert.equal(missing.status, 404);
+    });
+
+    test('GET /api/public/trip/:id and /api/my-trips convert saved costs to KRW at today\'s rate', async () => {
+      const activities = [{ time: '10:00', place_name: '도쿄 타워', type: '관광', estimated_cost: { min: 1200, max: 3000 } }];
+      const itinerary_data = {
+        trip_title: '도쿄 여행', currency: 'JPY', itinerary: [{ day: 1, date: '2025-05-01', activities }],
+        budget_summary: { travelers: 2, budget: { text: '5만원' }, total: { min: 2400, max: 6000, krw_min: 21600, krw_max: 54000 } }
+      };
+      resetState({ trip_plans: [{ id: 'trip-t', user_id: USERS.alice.id, destination: '도쿄', itinerary_data }] });
+
+      const shared = await api.request('GET', '/api/public/trip/trip-t');
+      const { budget_summary } = shared.body.data.itinerary_data;
+      assert.deepEqual(budget_summary.total, { min: 2400, max: 6000, krw_min: 22800, krw_max: 57000 });
+      assert.deepEqual([budget_summary.status, budget_summary.exchange_rate.krw_per_unit], ['at_risk', 9.5]);
+
+      const mine = await api.request('GET', '/api/my-trips', { user: USERS.alice });
+      assert.equal(mine.body.data[0].itinerary_data.budget_summary.total.krw_max, 57000);
+      // 저장된 일정은 그대로
+      assert.equal(db.table('trip_plans')[0].itinerary_data.budget_summary.total.krw_max, 54000);
+    });
+
+    test('GET /api/trip-preview/:id summarises the trip with a cover image', async () => {
+      seed();
+      const withPhoto = await api.request('GET', '/api/trip-preview/trip-a');
+      assert.deepEqual(withPhoto.body.data, {
+        id: 'trip-a', title: '부산 여행', destination: '부산', duration: '2025-05-01 ~ 2025-05-02', coverImage: 'https://img.example.com/a.jpg'
+      });
+
+      const withoutPhoto = await api.request('GET', '/api/trip-preview/trip-b');
+      assert.match(withoutPhoto.body.data.coverImage, /unsplash/);
+
+      const missing = await api.request('GET', '/api/trip-preview/nope');
+      assert.equal(missing.status, 404);
+    });
+
+    test('GET /api/trip-preview/:id uses the absolute hero image for stored photos', async () => {
+      const stored = '/api/images/places/0123456789abcdef01234567';
+      resetState({
+        trip_plans: [{ id: 'trip-c', user_id: USERS.alice.id, destination: '부산', duration: '2025-05-01 ~ 2025-05-02',
+          itinerary_data: { itinerary: [{ day: 1, activities: [{ place_name: '해운대', photoUrl: `${stored}/card.webp`,
+            photoVariants: { thumbnail: `${stored}/thumbnail.webp`, card: `${stored}/card.webp`, hero: `${stored}/hero.webp` } }] }] } }]
+      });
+
+      const res = await api.request('GET', '/api/trip-preview/trip-c');
+      assert.equal(res.body.data.coverImage, `${config.serverBaseUrl}${stored}/hero.webp`);
+    });
+  });
+});
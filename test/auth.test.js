@@ -0,0 +1,95 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'test-jwt-secret';
+process.env.SUPABASE_JWT_SECRET = JWT_SECRET;
+
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+
+function signToken(claims = {}, { secret = JWT_SECRET, expiresIn = '1h' } = {}) {
+  return jwt.sign(
+    { sub: 'user-1', email: 'user1@example.com', aud: 'authenticated', role: 'authenticated', ...claims },
+    secret,
+    { algorithm: 'HS256', expiresIn }
+  );
+}
+
+describe('auth middleware', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.get('/private', requireAuth, (req, res) => res.json({ user: req.user }));
+    app.get('/public', optionalAuth, (req, res) => res.json({ user: req.user || null }));
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const get = (path, token) => fetch(`${baseUrl}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  test('attaches the verified user for a valid token', async () => {
+    const res = await get('/private', signToken());
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).user, { id: 'user-1', email: 'user1@example.com' });
+  });
+
+  test('rejects a missing token', async () => {
+    const res = await get('/private');
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'AUTH_REQUIRED');
+  });
+
+  test('rejects a malformed Authorization header', async () => {
+    const res = await fetch(`${baseUrl}/private`, { headers: { Authorization: 'Token abc' } });
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'AUTH_REQUIRED');
+  });
+
+  test('rejects an expired token', async () => {
+    const res = await get('/private', signToken({}, { expiresIn: -10 }));
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'TOKEN_EXPIRED');
+  });
+
+  test('rejects a token signed with another secret', async () => {
+    const res = await get('/private', signToken({}, { secret: 'forged-secret' }));
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'TOKEN_INVALID');
+  });
+
+  test('rejects a token for another audience', async () => {
+    const res = await get('/private', signToken({ aud: 'anon' }));
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'TOKEN_INVALID');
+  });
+
+  test('rejects an unsigned token', async () => {
+    const unsigned = jwt.sign({ sub: 'user-1', aud: 'authenticated' }, null, { algorithm: 'none' });
+    const res = await get('/private', unsigned);
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'TOKEN_INVALID');
+  });
+
+  test('optionalAuth passes anonymous requests through', async () => {
+    const res = await get('/public');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).user, null);
+  });
+
+  test('optionalAuth still rejects forged tokens', async () => {
+    const res = await get('/public', signToken({}, { secret: 'forged-secret' }));
+    assert.equal(res.status, 401);
+  });
+
+  test('optionalAuth attaches the user for a valid token', async () => {
+    const res = await get('/public', signToken({ sub: 'user-2' }));
+    assert.equal((await res.json()).user.id, 'user-2');
+  });
+});
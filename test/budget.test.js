@@ -0,0 +1,107 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+['log', 'info', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const { parseBudget, estimateActivityCost, summarizeBudget } = require('../lib/budget');
+
+const activity = (place_name, type, extra = {}) => ({ time: '10:00', place_name, type, activity_description: '', ...extra });
+
+const busanTrip = () => ({
+  currency: 'KRW',
+  itinerary: [
+    { day: 1, date: '2025-05-01', activities: [
+      activity('해운대 해수욕장', '관광', { estimated_cost: { min: 0, max: 0 } }),
+      activity('해운대암소갈비집', '식사', { priceLevel: 'PRICE_LEVEL_MODERATE', estimated_cost: { min: 30000, max: 50000 } }),
+      activity('숙소 체크인', '숙소', { estimated_cost: { min: 80000, max: 120000 } })
+    ] },
+    { day: 2, date: '2025-05-02', activities: [
+      activity('감천문화마을', '관광'),
+      activity('부산역으로 이동', '이동', { estimated_cost: { min: 8000, max: 60000 } })
+    ] }
+  ]
+});
+
+describe('budget estimation', () => {
+  test('parses budgets with Korean units, ranges and currency markers', () => {
+    assert.deepEqual(parseBudget('50만원'), { amount: 500000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('1억 5천만원'), { amount: 150000000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('50~70만원'), { amount: 700000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('$1,500'), { amount: 1500, currency: 'USD' });
+    assert.deepEqual(parseBudget('10만엔'), { amount: 100000, currency: 'JPY' });
+    assert.deepEqual(parseBudget('NT$3000'), { amount: 3000, currency: 'TWD' });
+    assert.deepEqual(parseBudget(300000), { amount: 300000, currency: 'KRW' });
+    assert.equal(parseBudget('제한 없음'), null);
+    assert.equal(parseBudget(undefined), null);
+  });
+
+  test('reads only the first amount and ignores head counts and trip lengths', () => {
+    assert.deepEqual(parseBudget('30만원 (2인 기준)'), { amount: 300000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('1인 50만원'), { amount: 500000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('3박4일 100만원'), { amount: 1000000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('1만 5000원'), { amount: 15000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('50만~70만원'), { amount: 700000, currency: 'KRW' });
+    assert.equal(parseBudget('2인'), null);
+  });
+
+  test('takes the currency only from markers next to the amount', () => {
+    assert.deepEqual(parseBudget('리엔 호텔 포함 100만원'), { amount: 1000000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('리엔 100만'), { amount: 1000000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('$ 여행 경비 50만원'), { amount: 500000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('50만 원'), { amount: 500000, currency: 'KRW' });
+    assert.deepEqual(parseBudget('800 유로'), { amount: 800, currency: 'EUR' });
+    assert.deepEqual(parseBudget('USD 1,200'), { amount: 1200, currency: 'USD' });
+    assert.deepEqual(parseBudget('$50-70'), { amount: 70, currency: 'USD' });
+  });
+
+  test('prices meals by Google price level and everything else by the model estimate', () => {
+    assert.deepEqual(
+      estimateActivityCost(activity('이치란', '식사', { priceLevel: 'PRICE_LEVEL_INEXPENSIVE', estimated_cost: { min: 1, max: 2 } }), 'JPY'),
+      { currency: 'JPY', min: 556, max: 1667, krw_min: 5000, krw_max: 15000, source: 'price_level' }
+    );
+    assert.deepEqual(
+      estimateActivityCost(activity('기요미즈데라', '관광', { priceLevel: 'PRICE_LEVEL_EXPENSIVE', estimated_cost: { min: 400, max: 400 } }), 'JPY'),
+      { currency: 'JPY', min: 400, max: 400, krw_min: 3600, krw_max: 3600, source: 'model' }
+    );
+    assert.equal(estimateActivityCost(activity('어딘가', '관광'), 'KRW'), null);
+  });
+
+  test('annotates activities and totals days and trip for every traveler', () => {
+    const trip = busanTrip();
+    const summary = summarizeBudget(trip, { budget: '50만원', travelers: '2' });
+
+    assert.deepEqual(trip.itinerary[0].activities[1].cost, {
+      currency: 'KRW', min: 15000, max: 40000, krw_min: 15000, krw_max: 40000, source: 'price_level'
+    });
+    assert.equal(trip.itinerary[1].activities[0].cost, null);
+    assert.deepEqual(summary.days, [
+      { day: 1, date: '2025-05-01', min: 190000, max: 320000, krw_min: 190000, krw_max: 320000, unpriced: 0 },
+      { day: 2, date: '2025-05-02', min: 16000, max: 120000, krw_min: 16000, krw_max: 120000, unpriced: 1 }
+    ]);
+    assert.deepEqual(summary.total, { min: 206000, max: 440000, krw_min: 206000, krw_max: 440000 });
+    assert.deepEqual(summary.budget, { text: '50만원', amount: 500000, currency: 'KRW', krw: 500000 });
+    assert.deepEqual([summary.travelers, summary.status, summary.warning], [2, 'within', null]);
+  });
+
+  test('warns when the estimate may exceed or surely exceeds the budget', () => {
+    assert.deepEqual(
+      (({ status, warning }) => ({ status, warning }))(summarizeBudget(busanTrip(), { budget: '30만원', travelers: 2 })),
+      { status: 'at_risk', warning: '일정에 따라 예산을 넘을 수 있습니다.' }
+    );
+    assert.equal(summarizeBudget(busanTrip(), { budget: '$100', travelers: 2 }).status, 'over');
+    assert.equal(summarizeBudget(busanTrip(), { budget: '제한 없음' }).status, null);
+  });
+
+  test('keeps the local currency and compares foreign budgets through KRW', () => {
+    const trip = {
+      currency: 'JPY',
+      itinerary: [{ day: 1, date: '2025-05-01', activities: [activity('도쿄 타워', '관광', { estimated_cost: { min: 1200, max: 3000 } })] }]
+    };
+    const summary = summarizeBudget(trip, { budget: '10만엔' });
+
+    assert.equal(summary.currency, 'JPY');
+    assert.deepEqual(summary.total, { min: 1200, max: 3000, krw_min: 10800, krw_max: 27000 });
+    assert.equal(summary.status, 'within');
+    assert.equal(summarizeBudget({ ...trip, currency: 'XYZ' }).currency, 'KRW');
+  });
+});
@@ -0,0 +1,89 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TtlLruCache, createCache, getCacheStats } = require('../lib/cache');
+
+function clockedCache(options = {}) {
+  const clock = { now: 0 };
+  const cache = new TtlLruCache({ name: 'test', ttlMs: 1000, now: () => clock.now, ...options });
+  return { cache, clock };
+}
+
+describe('TtlLruCache', () => {
+  test('evicts the least recently used entry when full', () => {
+    const { cache } = clockedCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.stats().evictions, 1);
+  });
+
+  test('expires entries after their TTL and keeps negative results for a shorter time', () => {
+    const { cache, clock } = clockedCache({ negativeTtlMs: 100 });
+    cache.set('found', { id: 1 });
+    cache.set('missing', null);
+    cache.set('custom', 'x', 5000);
+
+    clock.now = 100;
+    assert.equal(cache.get('missing'), undefined);
+    assert.deepEqual(cache.get('found'), { id: 1 });
+
+    clock.now = 1000;
+    assert.equal(cache.get('found'), undefined);
+    assert.equal(cache.get('custom'), 'x');
+    assert.equal(cache.stats().expirations, 2);
+  });
+
+  test('runs the loader once for concurrent requests and caches the result', async () => {
+    const { cache } = clockedCache();
+    let loads = 0;
+    const loader = async () => { loads++; return 'value'; };
+
+    const results = await Promise.all([cache.getOrLoad('k', loader), cache.getOrLoad('k', loader)]);
+    assert.deepEqual(results, ['value', 'value']);
+    assert.equal(await cache.getOrLoad('k', loader), 'value');
+    assert.equal(loads, 1);
+
+    const stats = cache.stats();
+    assert.equal(stats.coalesced, 1);
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 2);
+  });
+
+  test('does not cache loader errors', async () => {
+    const { cache } = clockedCache();
+    await assert.rejects(cache.getOrLoad('k', async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await cache.getOrLoad('k', async () => 'ok'), 'ok');
+    assert.equal(cache.stats().loadErrors, 1);
+  });
+
+  test('serves cached negative results as negative hits', async () => {
+    const { cache } = clockedCache();
+    await cache.getOrLoad('k', async () => null);
+    assert.equal(await cache.getOrLoad('k', async () => 'late'), null);
+    assert.equal(cache.stats().negativeHits, 1);
+    assert.equal(cache.stats().hitRate, 0.5);
+  });
+
+  test('removes entries matching a predicate', () => {
+    const { cache } = clockedCache();
+    cache.set('a', { place_id: 'p1' });
+    cache.set('b', { place_id: 'p2' });
+    cache.set('c', { place_id: 'p1' });
+
+    assert.equal(cache.deleteWhere(value => value.place_id === 'p1'), 2);
+    assert.equal(cache.stats().size, 1);
+  });
+});
+
+test('createCache registers caches for the stats endpoint', () => {
+  createCache({ name: 'registered', ttlMs: 1000 }).set('a', 1);
+  const stats = getCacheStats().find(s => s.name === 'registered');
+  assert.equal(stats.size, 1);
+  assert.throws(() => createCache({ name: 'broken' }), /ttlMs/);
+});
@@ -0,0 +1,158 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { config, validateConfig, assertConfig, ConfigError } = require('../lib/config');
+
+const ORIGINAL_ENV = { ...process.env };
+
+const COMPLETE_ENV = {
+  SUPABASE_URL: 'https://project.supabase.co',
+  SUPABASE_KEY: 'anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+  SUPABASE_JWT_SECRET: 'jwt-secret',
+  GEMINI_API_KEY: 'gemini-key',
+  GOOGLE_MAPS_API_KEY: 'google-key',
+  NAVER_CLIENT_ID: 'naver-id',
+  NAVER_CLIENT_SECRET: 'naver-secret',
+  AD_REWARD_SECRET: 'ad-secret',
+  IMAGE_STORE: 'supabase'
+};
+
+describe('config', () => {
+  beforeEach(() => {
+    Object.keys(process.env).forEach(key => delete process.env[key]);
+    Object.assign(process.env, COMPLETE_ENV);
+  });
+  afterEach(() => {
+    Object.keys(process.env).forEach(key => delete process.env[key]);
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  test('reads values lazily with defaults', () => {
+    assert.equal(config.port, 8080);
+    assert.equal(config.llm.provider, 'gemini');
+    assert.equal(config.adReward.dailyCap, 3);
+
+    process.env.PORT = '3000';
+    process.env.AD_DAILY_CAP = '5';
+    process.env.LLM_MODEL_PRO = 'gemini-2.5-pro';
+    assert.equal(config.port, '3000');
+    assert.equal(config.adReward.dailyCap, 5);
+    assert.equal(config.llm.tierModel('pro'), 'gemini-2.5-pro');
+  });
+
+  test('falls back to the anon key when no service role key is set', () => {
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    assert.equal(config.supabase.serviceRoleKey, 'anon-key');
+  });
+
+  test('passes a complete environment without warnings', () => {
+    assert.deepEqual(validateConfig(), { errors: [], warnings: [] });
+  });
+
+  test('reports missing Supabase settings as errors', () => {
+    delete process.env.SUPABASE_URL;
+    process.env.SUPABASE_KEY = '';
+
+    const { errors } = validateConfig();
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /SUPABASE_URL/);
+    assert.match(errors[1], /SUPABASE_KEY/);
+  });
+
+  test('requires an API key for every configured LLM provider', () => {
+    process.env.LLM_PROVIDER_PRO = 'openai';
+    delete process.env.GEMINI_API_KEY;
+
+    const { errors } = validateConfig();
+    assert.ok(errors.some(e => e.includes('LLM_PROVIDER=gemini') && e.includes('GEMINI_API_KEY')));
+    assert.ok(errors.some(e => e.includes('LLM_PROVIDER_PRO=openai') && e.includes('OPENAI_API_KEY')));
+  });
+
+  test('rejects unknown providers and malformed numbers', () => {
+    process.env.LLM_PROVIDER = 'claude';
+    process.env.AD_DAILY_CAP = 'three';
+
+    const { errors } = validateConfig();
+    assert.ok(errors.some(e => e.includes('LLM_PROVIDER=claude')));
+    assert.ok(errors.some(e => e.includes('AD_DAILY_CAP')));
+  });
+
+  test('trusts one proxy hop by default and validates TRUST_PROXY_HOPS', () => {
+    assert.equal(config.trustProxyHops, 1);
+
+    process.env.TRUST_PROXY_HOPS = '0';
+    assert.equal(config.trustProxyHops, 0);
+    assert.deepEqual(validateConfig().errors, []);
+
+    process.env.TRUST_PROXY_HOPS = 'yes';
+    assert.ok(validateConfig().errors.some(e => e.includes('TRUST_PROXY_HOPS')));
+  });
+
+  test('accepts only known image stores and warns when Supabase Storage lacks the service key', () => {
+    delete process.env.IMAGE_STORE;
+    assert.equal(config.imageStore.backend, 'local');
+    assert.equal(config.imageStore.bucket, 'place-images');
+
+    process.env.IMAGE_STORE = 's3';
+    assert.ok(validateConfig().errors.some(e => e.includes('IMAGE_STORE=s3')));
+
+    process.env.IMAGE_STORE = 'supabase';
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const { errors, warnings } = validateConfig();
+    assert.deepEqual(errors, []);
+    assert.ok(warnings.some(w => w.includes('IMAGE_STORE=supabase')));
+  });
+
+  test('warns about the local image store without blocking production boots', () => {
+    process.env.IMAGE_STORE = 'local';
+    const dev = validateConfig();
+    assert.deepEqual(dev.errors, []);
+    assert.ok(dev.warnings.some(w => w.includes('IMAGE_STORE=local')));
+
+    // IMAGE_STORE를 설정하지 않은 기존 운영 배포도 그대로 떠야 함
+    process.env.NODE_ENV = 'production';
+    delete process.env.IMAGE_STORE;
+    const production = validateConfig();
+    assert.deepEqual(production.errors, []);
+    assert.ok(production.warnings.some(w => w.includes('IMAGE_STORE=local')));
+    assert.doesNotThrow(() => assertConfig());
+  });
+
+  test('accepts only known exchange rate sources', () => {
+    assert.equal(config.currency.rateSource, 'open_er_api');
+
+    process.env.CURRENCY_RATE_SOURCE = 'ecb';
+    assert.ok(validateConfig().errors.some(e => e.includes('CURRENCY_RATE_SOURCE=ecb')));
+
+    process.env.CURRENCY_RATE_SOURCE = 'fixed';
+    assert.deepEqual(validateConfig().errors, []);
+  });
+
+  test('the stub provider needs no key', () => {
+    process.env.LLM_PROVIDER = 'stub';
+    delete process.env.GEMINI_API_KEY;
+    assert.deepEqual(validateConfig().errors, []);
+  });
+
+  test('optional integrations only produce warnings', () => {
+    ['SUPABASE_SERVICE_ROLE_KEY', 'SUPABASE_JWT_SECRET', 'GOOGLE_MAPS_API_KEY', 'NAVER_CLIENT_ID', 'AD_REWARD_SECRET']
+      .forEach(key => delete process.env[key]);
+
+    const { errors, warnings } = validateConfig();
+    assert.deepEqual(errors, []);
+    assert.equal(warnings.length, 6);
+  });
+
+  test('assertConfig throws a ConfigError listing every problem', () => {
+    delete process.env.SUPABASE_URL;
+    process.env.PORT = 'abc';
+
+    assert.throws(() => assertConfig(), (err) => {
+      assert.ok(err instanceof ConfigError);
+      assert.equal(err.errors.length, 2);
+      assert.match(err.message, /SUPABASE_URL/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cleanCityName, geocodingName, detectCountry } = require('../lib/destinations');
+
+describe('destinations', () => {
+  test('cleans country names, comma suffixes and Korean district suffixes', () => {
+    assert.equal(cleanCityName('일본 도쿄'), '도쿄');
+    assert.equal(cleanCityName('New York, 뉴욕'), 'New York');
+    assert.equal(cleanCityName('뉴욕 New York'), 'New York');
+    assert.equal(cleanCityName('제주시'), '제주');
+  });
+
+  test('maps well-known cities to their English geocoding names', () => {
+    assert.equal(geocodingName('부산'), 'Busan');
+    assert.equal(geocodingName('New York'), 'New York City');
+    assert.equal(geocodingName('아무데도없음'), '아무데도없음');
+  });
+
+  test('detects the country from a written country name first, then from the city', () => {
+    assert.equal(detectCountry('영국 맨체스터'), 'GB');
+    assert.equal(detectCountry('오사카'), 'JP');
+    assert.equal(detectCountry('Prague, 프라하'), 'CZ');
+    assert.equal(detectCountry('Hong Kong'), 'HK');
+    assert.equal(detectCountry('아무데도없음'), null);
+    assert.equal(detectCountry(undefined), null);
+  });
+});
@@ -0,0 +1,121 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFakeSupabase } = require('./support/fake_supabase');
+const { installHttpFixtures } = require('./support/http_fixtures');
+const { useTempImageStore } = require('./support/temp_image_store');
+
+Object.assign(process.env, { NAVER_CLIENT_ID: 'test-naver-id', NAVER_CLIENT_SECRET: 'test-naver-secret' });
+useTempImageStore();
+['log', 'info', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const db = createFakeSupabase({ primaryKeys: { places_cache: 'place_id' } });
+require('../lib/supabase').setClients({ supabase: db, supabaseAdmin: db });
+const http = installHttpFixtures();
+
+const { runImageHealthCheck } = require('../jobs/image_cron');
+const { storeRemoteImage } = require('../services/image_store');
+
+const STORED_PATTERN = /^\/api\/images\/places\/[0-9a-f]{24}\/card\.webp$/;
+const MISSING_STORED_URL = `/api/images/places/${'0'.repeat(24)}/card.webp`;
+const GOOGLE_PROXY_URL = '/api/proxy/google-photo/places/ChIJ_x/photos/1';
+const photoOf = id => db.table('places_cache').find(p => p.place_id === id);
+
+let storedUrl;
+
+beforeEach(async () => {
+  storedUrl = (await storeRemoteImage('https://blogfiles.pstatic.net/stored/ok.jpg')).url;
+  db.reset({
+    places_cache: [
+      { place_id: 'stored', place_name: '광안리 해수욕장', photo_url: storedUrl },
+      { place_id: 'stored-missing', place_name: '태종대', photo_url: MISSING_STORED_URL },
+      { place_id: 'external', place_name: '해운대 해수욕장', photo_url: 'https://ok.example.com/beach.jpg' },
+      { place_id: 'broken', place_name: '감천문화마을', photo_url: 'https://gone.example.com/gamcheon.jpg' },
+      { place_id: 'google', place_name: '자갈치시장', photo_url: GOOGLE_PROXY_URL },
+      { place_id: 'no-photo', place_name: '용궁사', photo_url: null }
+    ]
+  });
+  http.reset();
+  http.overrideImage(url => url.startsWith('https://ok.example.com'));
+});
+
+test('moves reachable external photos into the image store', async () => {
+  await runImageHealthCheck();
+
+  const external = photoOf('external');
+  assert.match(external.photo_url, STORED_PATTERN);
+  assert.equal(external.photo_variants.thumbnail, external.photo_url.replace('card.webp', 'thumbnail.webp'));
+  assert.equal(photoOf('stored').photo_url, storedUrl);
+  assert.equal(photoOf('google').photo_url, GOOGLE_PROXY_URL);
+  assert.equal(photoOf('no-photo').photo_url, null);
+});
+
+test('does not duplicate photos already among the candidates when migrating', async () => {
+  const migrated = await storeRemoteImage('https://ok.example.com/beach.jpg');
+  const other = { url: storedUrl, variants: {}, sourceUrl: 'https://blogfiles.pstatic.net/stored/ok.jpg', score: 3 };
+  db.reset({
+    places_cache: [{
+      place_id: 'external', place_name: '해운대 해수욕장', photo_url: 'https://ok.example.com/beach.jpg',
+      photo_candidates: [{ ...migrated, score: 5 }, other, other]
+    }]
+  });
+
+  await runImageHealthCheck();
+
+  const place = photoOf('external');
+  assert.equal(place.photo_url, migrated.url);
+  assert.deepEqual(place.photo_candidates.map(c => c.url), [migrated.url, storedUrl]);
+});
+
+test('replaces broken links and missing stored files using the shared Naver search', async () => {
+  await runImageHealthCheck();
+
+  assert.match(photoOf('broken').photo_url, STORED_PATTERN);
+  assert.match(photoOf('stored-missing').photo_url, STORED_PATTERN);
+  assert.notEqual(photoOf('stored-missing').photo_url, MISSING_STORED_URL);
+
+  const naverQueries = http.calls.filter(c => c.url.includes('openapi.naver.com')).map(c => c.params.query);
+  assert.deepEqual(naverQueries.sort(), ['감천문화마을 관광 사진', '태종대 관광 사진']);
+  const downloads = http.calls.filter(c => c.method === 'get' && !c.url.includes('openapi.naver.com')).map(c => c.url);
+  assert.ok(!downloads.includes('https://blogfiles.pstatic.net/stored/ok.jpg'), 'stored photos are not downloaded again');
+});
+
+test('leaves the photo alone and searches only once when no replacement exists', async () => {
+  http.override('get', url => url.includes('openapi.naver.com'), () => ({ items: [] }));
+  await runImageHealthCheck();
+
+  assert.equal(photoOf('broken').photo_url, 'https://gone.example.com/gamcheon.jpg');
+  assert.deepEqual(http.calls.filter(c => c.url.includes('openapi.naver.com')).map(c => c.params.query).sort(), ['감천문화마을 관광 사진', '태종대 관광 사진']);
+});
+
+test('fails over to the next stored candidate without searching again', async () => {
+  const backup = { url: storedUrl, variants: {}, sourceUrl: 'https://blogfiles.pstatic.net/stored/ok.jpg', score: 4 };
+  db.reset({
+    places_cache: [{
+      place_id: 'rotating', place_name: '해동용궁사', photo_url: MISSING_STORED_URL,
+      photo_candidates: [{ url: MISSING_STORED_URL, variants: {}, sourceUrl: 'https://gone.example.com/a.jpg', score: 6 }, backup]
+    }]
+  });
+
+  await runImageHealthCheck();
+
+  const place = photoOf('rotating');
+  assert.equal(place.photo_url, storedUrl);
+  assert.deepEqual(place.photo_candidates, [backup]);
+  assert.equal(http.calls.filter(c => c.url.includes('openapi.naver.com')).length, 0);
+});
+
+test('never replaces pinned photos, even when their stored file is missing', async () => {
+  db.reset({
+    places_cache: [
+      { place_id: 'pinned', place_name: '해동용궁사', photo_url: storedUrl, photo_pinned: true },
+      { place_id: 'pinned-missing', place_name: '태종대', photo_url: MISSING_STORED_URL, photo_pinned: true }
+    ]
+  });
+
+  await runImageHealthCheck();
+
+  assert.equal(photoOf('pinned').photo_url, storedUrl);
+  assert.equal(photoOf('pinned-missing').photo_url, MISSING_STORED_URL);
+  assert.equal(http.calls.filter(c => c.url.includes('openapi.naver.com')).length, 0);
+});
@@ -0,0 +1,147 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const { createFakeSupabase } = require('./support/fake_supabase');
+const { installHttpFixtures } = require('./support/http_fixtures');
+const { useTempImageStore } = require('./support/temp_image_store');
+
+// 장소 사진 자체 저장소 - 다운로드 검증, 크기별 변환, 로컬/Supabase Storage 저장
+const storeDir = useTempImageStore();
+['log', 'info', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const db = createFakeSupabase();
+require('../lib/supabase').setClients({ supabase: db, supabaseAdmin: db });
+const http = installHttpFixtures();
+
+const imageStore = require('../services/image_store');
+
+const SOURCE = 'https://blogfiles.pstatic.net/store-test/original.jpg';
+const downloads = () => http.calls.filter(c => c.url.includes('pstatic.net'));
+const imageOf = (width, height) => sharp({ create: { width, height, channels: 3, background: '#3366aa' } }).jpeg().toBuffer();
+
+beforeEach(() => {
+  db.reset();
+  http.reset();
+});
+
+describe('local disk store', () => {
+  test('stores webp variants under a stable URL derived from the source', async () => {
+    const stored = await imageStore.storeRemoteImage(SOURCE);
+
+    assert.match(stored.url, /^\/api\/images\/places\/[0-9a-f]{24}\/card\.webp$/);
+    assert.equal(stored.sourceUrl, SOURCE);
+    assert.deepEqual(Object.keys(stored.variants), ['thumbnail', 'card', 'hero']);
+
+    const sizeOf = async (url) => {
+      const file = path.join(storeDir, imageStore.objectPathFromUrl(url));
+      const { format, width, height } = await sharp(fs.readFileSync(file)).metadata();
+      return { format, width, height };
+    };
+    assert.deepEqual(await sizeOf(stored.variants.thumbnail), { format: 'webp', width: 200, height: 200 });
+    // 원본(400x300)보다 크게 늘리지 않음
+    assert.deepEqual(await sizeOf(stored.variants.hero), { format: 'webp', width: 400, height: 300 });
+  });
+
+  test('downloads a source once, even for concurrent requests', async () => {
+    const source = 'https://blogfiles.pstatic.net/store-test/concurrent.jpg';
+    const [first, second] = await Promise.all([imageStore.storeRemoteImage(source), imageStore.storeRemoteImage(source)]);
+    const third = await imageStore.storeRemoteImage(source);
+
+    assert.equal(first.url, second.url);
+    assert.equal(third.url, first.url);
+    assert.equal(downloads().length, 1);
+    assert.equal(await imageStore.storedImageExists(first.url), true);
+  });
+
+  test('rejects downloads with the wrong content type, undecodable bytes or tiny images', async () => {
+    http.overrideImage(url => url.endsWith('/html.jpg'), { bytes: Buffer.from('<html></html>'), contentType: 'text/html' });
+    http.overrideImage(url => url.endsWith('/fake.jpg'), { bytes: Buffer.from('not really a jpeg') });
+    http.overrideImage(url => url.endsWith('/icon.jpg'), { bytes: await imageOf(64, 64) });
+    http.overrideImage(url => url.endsWith('/huge.jpg'), { bytes: Buffer.alloc(10 * 1024 * 1024 + 1) });
+
+    for (const name of ['html', 'fake', 'icon', 'huge']) {
+      assert.equal(await imageStore.storeRemoteImage(`https://blogfiles.pstatic.net/store-test/${name}.jpg`), null, name);
+    }
+    assert.equal(downloads().length, 4);
+  });
+
+  test('returns null when the source cannot be fetched', async () => {
+    assert.equal(await imageStore.storeRemoteImage('https://gone.example.com/a.jpg'), null);
+    assert.equal(await imageStore.storeRemoteImage(null), null);
+  });
+
+  test('stores uploaded images by content hash and rejects invalid uploads', async () => {
+    const bytes = await imageOf(800, 600);
+    const first = await imageStore.storeUploadedImage(bytes);
+    const again = await imageStore.storeUploadedImage(bytes);
+
+    assert.match(first.url, /^\/api\/images\/places\/[0-9a-f]{24}\/card\.webp$/);
+    assert.equal(first.sourceUrl, null);
+    assert.equal(again.url, first.url);
+    assert.equal(await imageStore.storedImageExists(first.variants.hero), true);
+
+    await assert.rejects(imageStore.storeUploadedImage(Buffer.from('nope')), imageStore.ImageValidationError);
+    await assert.rejects(imageStore.storeUploadedImage(await imageOf(64, 64)), /too small/);
+  });
+
+  test('only maps well-formed stored URLs to object paths', () => {
+    const id = 'a'.repeat(24);
+    assert.equal(imageStore.objectPathFromUrl(`/api/images/places/${id}/hero.webp`), `places/${id}/hero.webp`);
+    assert.equal(imageStore.objectPathFromUrl(`/api/images/places/${id}/../../secret`), null);
+    assert.equal(imageStore.objectPathFromUrl('https://blogfiles.pstatic.net/a.jpg'), null);
+    assert.equal(imageStore.isStoredImageUrl(`/api/images/places/${id}/card.webp`), true);
+  });
+});
+
+describe('private address guard', () => {
+  test('accepts only http(s) URLs whose host is a public address', async () => {
+    const blocked = [
+      'http://127.0.0.1/a.jpg',
+      'http://localhost:3000/a.jpg',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.5/a.jpg',
+      'http://172.20.1.1/a.jpg',
+      'http://192.168.0.10/a.jpg',
+      'http://[::1]/a.jpg',
+      'http://[::ffff:127.0.0.1]/a.jpg',
+      'http://[fd00::1]/a.jpg',
+      'file:///etc/passwd',
+      'not a url'
+    ];
+    for (const url of blocked) {
+      assert.equal(await imageStore.isPublicImageUrl(url), false, url);
+    }
+    assert.equal(await imageStore.isPublicImageUrl('https://203.0.113.10/a.jpg'), true);
+    assert.equal(await imageStore.isPublicImageUrl('http://[2001:db8::1]/a.jpg'), true);
+  });
+
+  test('refuses connections to hosts that resolve to private addresses', async () => {
+    const lookup = (hostname, options) => new Promise((resolve, reject) => {
+      imageStore.publicOnlyLookup(hostname, options, (error, address) => (error ? reject(error) : resolve(address)));
+    });
+    await assert.rejects(lookup('localhost', {}), /blocked private address/);
+    await assert.rejects(lookup('localhost', { all: true }), /blocked private address/);
+  });
+});
+
+describe('Supabase Storage store', () => {
+  beforeEach(() => { process.env.IMAGE_STORE = 'supabase'; });
+  afterEach(() => { process.env.IMAGE_STORE = 'local'; });
+
+  test('uploads variants to the bucket and exposes their public URLs', async () => {
+    const stored = await imageStore.storeRemoteImage('https://blogfiles.pstatic.net/store-test/supabase.jpg');
+
+    const objectPath = imageStore.objectPathFromUrl(stored.url);
+    const object = db.objects.get(`place-images/${objectPath}`);
+    assert.equal(object.contentType, 'image/webp');
+    assert.equal(db.objects.size, 3);
+
+    const store = imageStore.getImageStore();
+    assert.equal(store.name, 'supabase');
+    assert.equal(await store.exists(objectPath), true);
+    assert.equal(store.publicUrl(objectPath), `https://fake.supabase.co/storage/v1/object/public/place-images/${objectPath}`);
+  });
+});
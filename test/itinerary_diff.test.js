@@ -0,0 +1,64 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffItineraries } = require('../lib/itinerary_diff');
+
+const act = (time, place_name, place_id) => ({ time, place_name, type: '관광', ...(place_id ? { place_id } : {}) });
+const trip = (...days) => ({ itinerary: days.map((activities, i) => ({ day: i + 1, date: `2025-05-0${i + 1}`, activities })) });
+
+const beach = time => act(time, '해운대 해수욕장', 'ChIJ_beach');
+const galbi = time => act(time, '해운대암소갈비집', 'ChIJ_galbi');
+const gamcheon = time => act(time, '감천문화마을', 'ChIJ_gamcheon');
+const market = time => act(time, '자갈치시장');
+
+describe('itinerary diff', () => {
+  test('reports nothing for identical versions', () => {
+    const plan = trip([beach('10:00'), galbi('12:30')], [gamcheon('10:00')]);
+    assert.deepEqual(diffItineraries(plan, structuredClone(plan)), {
+      days: [], summary: { added: 0, removed: 0, moved: 0, retimed: 0 }
+    });
+  });
+
+  test('groups added, removed, moved and retimed activities by day', () => {
+    const before = trip([beach('10:00'), galbi('12:30')], [gamcheon('10:00'), market('14:00')]);
+    const after = trip([beach('09:30'), gamcheon('13:00')], [act('10:00', '해동용궁사', 'ChIJ_yonggungsa'), market('14:00')]);
+
+    assert.deepEqual(diffItineraries(before, after), {
+      days: [
+        {
+          day: 1, date: '2025-05-01',
+          added: [],
+          removed: [{ place_name: '해운대암소갈비집', place_id: 'ChIJ_galbi', time: '12:30' }],
+          moved: [{ place_name: '감천문화마을', place_id: 'ChIJ_gamcheon', from: { day: 2, time: '10:00' }, to: { day: 1, time: '13:00' } }],
+          retimed: [{ place_name: '해운대 해수욕장', place_id: 'ChIJ_beach', from: '10:00', to: '09:30' }]
+        },
+        {
+          day: 2, date: '2025-05-02',
+          added: [{ place_name: '해동용궁사', place_id: 'ChIJ_yonggungsa', time: '10:00' }],
+          removed: [], moved: [], retimed: []
+        }
+      ],
+      summary: { added: 1, removed: 1, moved: 1, retimed: 1 }
+    });
+  });
+
+  test('marks only the activities that changed order within a day as moved', () => {
+    const before = trip([beach('10:00'), galbi('12:00'), gamcheon('14:00'), market('16:00')]);
+    const after = trip([beach('10:00'), gamcheon('12:00'), galbi('14:00'), market('16:00')]);
+
+    const { days, summary } = diffItineraries(before, after);
+    assert.deepEqual(summary, { added: 0, removed: 0, moved: 1, retimed: 1 });
+    assert.deepEqual(days[0].moved.map(m => [m.place_name, m.from.time, m.to.time]), [['해운대암소갈비집', '12:00', '14:00']]);
+    assert.deepEqual(days[0].retimed.map(r => r.place_name), ['감천문화마을']);
+  });
+
+  test('matches repeated places by occurrence and places without ids by name', () => {
+    const transfer = time => act(time, '숙소로 이동');
+    const before = trip([transfer('09:00'), market('10:00'), transfer('18:00')]);
+    const after = trip([transfer('09:00'), act('10:00', ' 자갈치시장 ')]);
+
+    const { days } = diffItineraries(before, after);
+    assert.deepEqual(days[0].removed, [{ place_name: '숙소로 이동', place_id: null, time: '18:00' }]);
+    assert.deepEqual([days[0].added, days[0].moved, days[0].retimed], [[], [], []]);
+  });
+});
@@ -0,0 +1,124 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateItinerary, validateActivities, normalizeItinerary, normalizeActivities, buildRepairPrompt } = require('../lib/itinerary_schema');
+
+const constraints = { startDate: '2025-05-01', endDate: '2025-05-02', arrivalTime: '10:00', departureTime: '18:00' };
+
+function makeItinerary() {
+  return {
+    trip_title: '부산 1박 2일',
+    itinerary: [
+      {
+        day: 1,
+        date: '2025-05-01',
+        activities: [
+          { time: '11:00', place_name: '해운대 해수욕장', type: '관광', activity_description: '산책', is_booking_required: false },
+          { time: '13:00', place_name: '해운대 암소갈비집', type: '식사', activity_description: '점심', is_booking_required: true }
+        ]
+      },
+      {
+        day: 2,
+        date: '2025-05-02',
+        activities: [
+          { time: '09:00', place_name: '감천문화마을', type: '관광', activity_description: '골목 탐방', is_booking_required: false }
+        ]
+      }
+    ]
+  };
+}
+
+const paths = errors => errors.map(e => e.path);
+
+describe('validateItinerary', () => {
+  test('accepts a well-formed itinerary inside the requested window', () => {
+    assert.deepEqual(validateItinerary(makeItinerary(), constraints), []);
+  });
+
+  test('rejects non-objects and missing itinerary', () => {
+    assert.deepEqual(paths(validateItinerary(null, constraints)), ['$']);
+    assert.ok(paths(validateItinerary({ trip_title: 'x' }, constraints)).includes('itinerary'));
+  });
+
+  test('reports missing days and wrong dates', () => {
+    const json = makeItinerary();
+    json.itinerary.pop();
+    json.itinerary[0].date = '2025-04-30';
+    const errors = validateItinerary(json, constraints);
+    assert.ok(paths(errors).includes('itinerary'));
+    assert.ok(paths(errors).includes('itinerary[0].date'));
+  });
+
+  test('reports malformed times, unknown types and out-of-order activities', () => {
+    const json = makeItinerary();
+    json.itinerary[0].activities[0].time = '25:00';
+    json.itinerary[0].activities[1].type = '맛집';
+    json.itinerary[1].activities.push({ time: '08:00', place_name: '국제시장', type: '쇼핑', activity_description: '', is_booking_required: false });
+    const errors = validateItinerary(json, constraints);
+    assert.ok(paths(errors).includes('itinerary[0].activities[0].time'));
+    assert.ok(paths(errors).includes('itinerary[0].activities[1].type'));
+    assert.ok(paths(errors).includes('itinerary[1].activities[1].time'));
+  });
+
+  test('enforces arrival and departure times', () => {
+    const json = makeItinerary();
+    json.itinerary[0].activities[0].time = '08:00';
+    json.itinerary[1].activities[0].time = '19:00';
+    const errors = validateItinerary(json, constraints);
+    assert.equal(errors.filter(e => e.message.includes('도착 시간')).length, 1);
+    assert.equal(errors.filter(e => e.message.includes('출발 시간')).length, 1);
+  });
+});
+
+describe('validateActivities', () => {
+  const activity = (time, place_name, type = '관광') => ({ time, place_name, type, activity_description: '', is_booking_required: false });
+
+  test('accepts suggestions inside the window', () => {
+    const json = { activities: [activity('12:00', '자갈치시장', '식사')] };
+    assert.deepEqual(validateActivities(json, { maxItems: 1, from: '11:00', until: '14:00', types: ['식사'] }), []);
+  });
+
+  test('reports too many items, wrong types and times outside the window', () => {
+    const json = { activities: [activity('10:00', '태종대'), activity('15:00', '자갈치시장')] };
+    const errors = validateActivities(json, { maxItems: 1, from: '11:00', until: '14:00', types: ['식사'] });
+    assert.deepEqual(paths(errors), ['activities', 'activities[0].type', 'activities[0].time', 'activities[1].type', 'activities[1].time']);
+    assert.deepEqual(paths(validateActivities({ activities: [] })), ['activities']);
+  });
+
+  test('rejects places already in the trip or repeated, but allows transfers and lodging', () => {
+    const json = { activities: [activity('12:00', ' 감천문화마을 '), activity('13:00', '태종대'), activity('14:00', '태종대'), activity('15:00', '숙소로 이동', '이동')] };
+    const errors = validateActivities(json, { excludePlaces: ['감천문화마을', '숙소로 이동'] });
+    assert.deepEqual(paths(errors), ['activities[0].place_name', 'activities[2].place_name']);
+  });
+
+  test('checks the order only when asked', () => {
+    const json = { activities: [activity('14:00', '태종대'), activity('12:00', '자갈치시장')] };
+    assert.deepEqual(validateActivities(json), []);
+    assert.deepEqual(paths(validateActivities(json, { ordered: true })), ['activities[1].time']);
+  });
+});
+
+describe('normalizeItinerary', () => {
+  test('pads single-digit hours and coerces booking flags', () => {
+    const json = makeItinerary();
+    json.itinerary[0].activities[0].time = '9:30';
+    json.itinerary[0].activities[1].is_booking_required = 'true';
+    delete json.itinerary[1].activities[0].is_booking_required;
+    normalizeItinerary(json);
+    assert.equal(json.itinerary[0].activities[0].time, '09:30');
+    assert.equal(json.itinerary[0].activities[1].is_booking_required, true);
+    assert.equal(json.itinerary[1].activities[0].is_booking_required, false);
+  });
+});
+
+test('normalizeActivities applies the same fixes to scoped edit suggestions', () => {
+  const json = normalizeActivities({ activities: [{ time: '9:00', place_name: '태종대', type: '관광', estimated_cost: '3000' }] });
+  assert.deepEqual(json.activities[0], {
+    time: '09:00', place_name: '태종대', type: '관광', is_booking_required: false, activity_description: '', estimated_cost: { min: 3000, max: 3000 }
+  });
+});
+
+test('buildRepairPrompt lists each validation error', () => {
+  const prompt = buildRepairPrompt([{ path: 'itinerary[0].date', message: '날짜 오류' }]);
+  assert.match(prompt, /itinerary\[0\]\.date: 날짜 오류/);
+});
@@ -0,0 +1,202 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getItineraryGenerator, resolveTierConfig } = require('../services/llm');
+const { createItineraryGenerator } = require('../services/llm/generator');
+const { createStubProvider } = require('../services/llm/stub');
+const { buildGeneratePrompt } = require('../services/llm/prompts');
+const { ItineraryValidationError } = require('../lib/itinerary_schema');
+
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_PROVIDER_PRO', 'LLM_MODEL_PRO'];
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+describe('resolveTierConfig', () => {
+  test('defaults to gemini-2.5-flash', () => {
+    assert.deepEqual(resolveTierConfig('free'), { provider: 'gemini', model: 'gemini-2.5-flash' });
+  });
+
+  test('lets a tier override the model', () => {
+    process.env.LLM_MODEL_PRO = 'gemini-2.5-pro';
+    assert.equal(resolveTierConfig('pro').model, 'gemini-2.5-pro');
+    assert.equal(resolveTierConfig('free').model, 'gemini-2.5-flash');
+  });
+
+  test('does not apply the base model to a different tier provider', () => {
+    process.env.LLM_MODEL = 'gemini-2.0-flash';
+    process.env.LLM_PROVIDER_PRO = 'openai';
+    assert.deepEqual(resolveTierConfig('pro'), { provider: 'openai', model: 'gpt-4o-mini' });
+  });
+});
+
+describe('stub itinerary generator', () => {
+  const params = {
+    destination: '부산',
+    startDate: '2025-05-01',
+    endDate: '2025-05-05',
+    arrivalTime: '13:00',
+    departureTime: '15:00',
+    totalDays: 5
+  };
+
+  test('generates a deterministic itinerary inside the requested window', async () => {
+    process.env.LLM_PROVIDER = 'stub';
+    const generator = getItineraryGenerator('free');
+    const first = await generator.generate(params);
+    const second = await generator.generate(params);
+
+    assert.deepEqual(first, second);
+    assert.equal(first.itinerary.length, 5);
+    assert.equal(first.itinerary[4].date, '2025-05-05');
+    assert.ok(first.itinerary[0].activities.every(act => act.time >= '13:00'));
+    assert.ok(first.itinerary[4].activities.every(act => act.time <= '15:00'));
+
+    const names = first.itinerary.flatMap(day => day.activities.map(act => act.place_name));
+    assert.equal(new Set(names).size, names.length);
+  });
+
+  test('fills each day with its own city and starts transfer days with the move', async () => {
+    const legs = [
+      { city: '오사카', startDate: '2025-05-01', endDate: '2025-05-02' },
+      { city: '교토', startDate: '2025-05-03', endDate: '2025-05-03' }
+    ];
+    const generator = createItineraryGenerator(createStubProvider());
+    const trip = await generator.generate({ ...params, destination: '오사카 → 교토', legs, endDate: '2025-05-03', totalDays: 3 });
+
+    assert.match(trip.itinerary[1].activities[0].place_name, /^오사카 /);
+    assert.deepEqual(trip.itinerary[2].activities[0], {
+      time: '10:00', place_name: '교토로 이동', type: '이동', activity_description: '오사카에서 교토로 이동', is_booking_required: false
+    });
+    assert.ok(trip.itinerary[2].activities.slice(1).every(act => act.place_name.startsWith('교토 ')));
+  });
+
+  test('returns the existing itinerary for modify requests', async () => {
+    const generator = createItineraryGenerator(createStubProvider());
+    const trip = await generator.generate({ ...params, endDate: '2025-05-02', totalDays: 2 });
+    const modified = await generator.modify({ simplifiedItinerary: trip, userRequest: '점심 바꿔줘', destination: '부산' });
+    assert.deepEqual(modified, trip);
+  });
+
+  test('rejects a modified itinerary whose first day starts before arrival', async () => {
+    const stub = createStubProvider();
+    const prompts = [];
+    const generator = createItineraryGenerator({
+      ...stub,
+      async complete(request) {
+        prompts.push(request.messages[request.messages.length - 1].content);
+        return stub.complete(request);
+      }
+    });
+    const trip = await createItineraryGenerator(stub).generate({ ...params, endDate: '2025-05-02', totalDays: 2 });
+    trip.itinerary[0].activities[0].time = '10:00';
+
+    await assert.rejects(
+      generator.modify({ simplifiedItinerary: trip, userRequest: '점심 바꿔줘', destination: '부산', arrivalTime: '13:00', departureTime: '15:00' }),
+      error => error instanceof ItineraryValidationError && error.errors.some(e => e.path === 'itinerary[0].activities[0].time')
+    );
+    assert.equal(prompts.length, 3);
+    assert.match(prompts[0], /Day 1: 13:00 이후 시작/);
+    assert.match(prompts[1], /도착 시간 13:00/);
+  });
+
+  test('repairs a budget fit that runs past departure', async () => {
+    const trip = await createItineraryGenerator(createStubProvider()).generate({ ...params, endDate: '2025-05-02', totalDays: 2 });
+    const late = structuredClone(trip);
+    late.itinerary[1].activities.push({ time: '18:00', place_name: '부산 야시장', type: '식사', activity_description: '저녁' });
+    const replies = [late, trip];
+    const generator = createItineraryGenerator({
+      name: 'scripted',
+      model: 'test',
+      async complete() {
+        return JSON.stringify(replies.shift());
+      }
+    });
+
+    const fitted = await generator.fitBudget({
+      simplifiedItinerary: trip, destination: '부산', targetBudget: '30만원',
+      budgetSummary: { currency: 'KRW', travelers: 1, total: { min: 100000, max: 200000 } },
+      arrivalTime: '13:00', departureTime: '15:00'
+    });
+    assert.equal(replies.length, 0);
+    assert.ok(fitted.itinerary[1].activities.every(act => act.time <= '15:00'));
+  });
+
+  test('re-prompts with validation errors and gives up after the repair budget', async () => {
+    const prompts = [];
+    const generator = createItineraryGenerator({
+      name: 'broken',
+      model: 'test',
+      async complete({ messages }) {
+        prompts.push(messages[messages.length - 1].content);
+        return '{"trip_title": "x", "itinerary": []}';
+      }
+    });
+
+    await assert.rejects(generator.generate({ ...params, totalDays: 5 }), ItineraryValidationError);
+    assert.equal(prompts.length, 3);
+    assert.match(prompts[1], /itinerary/);
+  });
+});
+
+describe('scoped edit suggestions', () => {
+  const edit = (operation, constraints, extra = {}) => ({
+    operation, region: '부산', day: 1, date: '2025-05-01', currency: 'KRW',
+    activities: [{ time: '11:00', place_name: '해운대 해수욕장', type: '관광', activity_description: '', is_booking_required: false }],
+    constraints, ...extra
+  });
+
+  test('the stub suggests places that are not in the trip yet', async () => {
+    const generator = createItineraryGenerator(createStubProvider());
+    const { activities } = await generator.editActivities(edit('insert_meal', { maxItems: 1, types: ['식사'], excludePlaces: ['부산 추천 장소 1'] }, { time: '12:30' }));
+    assert.deepEqual(activities, [{ time: '12:30', place_name: '부산 추천 장소 2', type: '식사', activity_description: '부산 추천 장소 2 방문', is_booking_required: false }]);
+  });
+
+  test('re-prompts when the model repeats a place already in the trip', async () => {
+    const replies = [
+      '{"activities": [{"time": "12:00", "place_name": "감천문화마을", "type": "관광", "activity_description": "", "is_booking_required": false}]}',
+      '{"activities": [{"time": "12:00", "place_name": "태종대", "type": "관광", "activity_description": "", "is_booking_required": false}]}'
+    ];
+    const prompts = [];
+    const generator = createItineraryGenerator({
+      name: 'scripted',
+      model: 'test',
+      async complete({ task, messages }) {
+        assert.equal(task.type, 'edit_activities');
+        prompts.push(messages[messages.length - 1].content);
+        return replies.shift();
+      }
+    });
+
+    const target = { time: '12:00', place_name: '해운대 해수욕장', type: '관광' };
+    const { activities } = await generator.editActivities(edit('replace_activity', { maxItems: 3, excludePlaces: ['해운대 해수욕장', '감천문화마을'] }, { target }));
+
+    assert.deepEqual(activities.map(a => a.place_name), ['태종대']);
+    assert.match(prompts[0], /12:00 "해운대 해수욕장"\(관광\) 대신 갈 곳 3곳/);
+    assert.match(prompts[1], /activities\[0\]\.place_name: 이미 일정에 있는 장소입니다/);
+  });
+});
+
+describe('generate prompt', () => {
+  const base = { startDate: '2025-05-01', endDate: '2025-05-03', arrivalTime: '10:00', departureTime: '18:00', totalDays: 3 };
+
+  test('pins every place to the single destination', () => {
+    const prompt = buildGeneratePrompt({ ...base, destination: '부산' });
+    assert.match(prompt, /모든 장소는 반드시 \*\*부산\*\* 지역 내에/);
+  });
+
+  test('lists the city of each day and the transfer days for multi-city trips', () => {
+    const legs = [
+      { city: '오사카', startDate: '2025-05-01', endDate: '2025-05-02' },
+      { city: '교토', startDate: '2025-05-02', endDate: '2025-05-03' }
+    ];
+    const prompt = buildGeneratePrompt({ ...base, destination: '오사카 → 교토', legs });
+
+    assert.match(prompt, /여행지: 오사카 → 교토 \(도시 순서대로 이동\)/);
+    assert.match(prompt, /- Day 1 \(2025-05-01\): 오사카\n/);
+    assert.match(prompt, /- Day 2 \(2025-05-02\): \*\*오사카 → 교토 이동일\*\*/);
+    assert.match(prompt, /- Day 3 \(2025-05-03\): 교토\n/);
+    assert.doesNotMatch(prompt, /모든 장소는 반드시/);
+  });
+});
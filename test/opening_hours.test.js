@@ -0,0 +1,67 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkOpeningHours, hoursTextFor, weekdayOf } = require('../lib/opening_hours');
+
+const DAYS = '월화수목금토일';
+
+// 매일 같은 시간 영업 (close가 open보다 이르면 다음 날 새벽까지)
+function daily(open, close, descriptions) {
+  const [oh, om] = open.split(':').map(Number);
+  const [ch, cm] = close.split(':').map(Number);
+  const overnight = ch * 60 + cm <= oh * 60 + om;
+  return {
+    periods: [0, 1, 2, 3, 4, 5, 6].map(day => ({
+      open: { day, hour: oh, minute: om },
+      close: { day: overnight ? (day + 1) % 7 : day, hour: ch, minute: cm }
+    })),
+    weekdayDescriptions: descriptions || [...DAYS].map(d => `${d}요일: ${open}~${close}`)
+  };
+}
+
+describe('opening hours', () => {
+  test('weekdayOf follows Google day numbers (0 = Sunday)', () => {
+    assert.equal(weekdayOf('2025-05-04'), 0);
+    assert.equal(weekdayOf('2025-05-01'), 4);
+  });
+
+  test('reports open, closing soon and closed slots', () => {
+    const hours = daily('09:00', '18:00');
+
+    assert.deepEqual(checkOpeningHours(hours, '2025-05-01', '10:30'), { status: 'open', closesAt: '18:00', hours: '목요일: 09:00~18:00' });
+    assert.equal(checkOpeningHours(hours, '2025-05-01', '17:45').status, 'closing_soon');
+    assert.equal(checkOpeningHours(hours, '2025-05-01', '17:45').closesAt, '18:00');
+    assert.equal(checkOpeningHours(hours, '2025-05-01', '08:59').status, 'closed');
+    assert.equal(checkOpeningHours(hours, '2025-05-01', '18:00').status, 'closed');
+  });
+
+  test('handles places that stay open past midnight, including Saturday into Sunday', () => {
+    const bar = daily('18:00', '02:00');
+
+    assert.equal(checkOpeningHours(bar, '2025-05-02', '23:30').closesAt, '02:00');
+    assert.equal(checkOpeningHours(bar, '2025-05-02', '01:00').status, 'open'); // 목요일 밤 영업
+    assert.equal(checkOpeningHours(bar, '2025-05-04', '01:00').status, 'open'); // 토요일 밤 영업
+    assert.equal(checkOpeningHours(bar, '2025-05-04', '03:00').status, 'closed');
+  });
+
+  test('treats a period without close as open all day', () => {
+    const allDay = { periods: [{ open: { day: 0, hour: 0, minute: 0 } }] };
+    assert.equal(checkOpeningHours(allDay, '2025-05-01', '03:00').status, 'open');
+  });
+
+  test('closes on days without a period (weekly holiday)', () => {
+    const hours = daily('10:00', '20:00');
+    hours.periods = hours.periods.filter(p => p.open.day !== 1); // 월요일 휴무
+    hours.weekdayDescriptions[0] = '월요일: 휴무일';
+
+    assert.equal(checkOpeningHours(hours, '2025-05-05', '12:00').status, 'closed');
+    assert.equal(checkOpeningHours(hours, '2025-05-05', '12:00').hours, '월요일: 휴무일');
+    assert.equal(checkOpeningHours(hours, '2025-05-06', '12:00').status, 'open');
+  });
+
+  test('is unknown without hours data', () => {
+    assert.deepEqual(checkOpeningHours(null, '2025-05-01', '10:00'), { status: 'unknown', hours: null });
+    assert.equal(checkOpeningHours({ weekdayDescriptions: [] }, '2025-05-01', '10:00').status, 'unknown');
+    assert.equal(hoursTextFor({ weekdayDescriptions: ['a'] }, '2025-05-01'), null);
+  });
+});
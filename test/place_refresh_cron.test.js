@@ -0,0 +1,158 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFakeSupabase } = require('./support/fake_supabase');
+const { installHttpFixtures } = require('./support/http_fixtures');
+
+Object.assign(process.env, { GOOGLE_MAPS_API_KEY: 'test-google-key' });
+['log', 'info', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const db = createFakeSupabase({ primaryKeys: { places_cache: 'place_id' } });
+require('../lib/supabase').setClients({ supabase: db, supabaseAdmin: db });
+const http = installHttpFixtures();
+
+const { runPlaceRefresh } = require('../jobs/place_refresh_cron');
+
+const NOW = Date.UTC(2025, 5, 1);
+const daysAgo = days => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+const placeOf = id => db.table('places_cache').find(p => p.place_id === id);
+const detailCalls = () => http.calls.filter(c => /\/v1\/places\/[^/:]+$/.test(c.url)).map(c => c.url.split('/places/')[1]);
+
+const trip = (id, placeIds) => ({
+  id,
+  user_id: 'user-1',
+  destination: '부산',
+  itinerary_data: { itinerary: [{ day: 1, activities: placeIds.map(placeId => ({ place_id: placeId, place_name: placeId })) }] }
+});
+
+beforeEach(() => {
+  delete process.env.PLACE_REFRESH_DAILY_BUDGET;
+  db.reset({
+    places_cache: [
+      { place_id: 'ChIJ_gamcheon', place_name: '감천문화마을', rating: 4.1, rating_count: 100, last_verified_at: null },
+      { place_id: 'ChIJ_haeundae_galbi', place_name: '해운대 암소갈비집', last_verified_at: daysAgo(45) },
+      { place_id: 'ChIJ_yonggungsa', place_name: '해동용궁사', use_count: 12, last_verified_at: daysAgo(10) },
+      { place_id: 'ChIJ_haeundae_beach', place_name: '해운대 해수욕장', use_count: 1, last_verified_at: daysAgo(10) },
+      { place_id: 'ChIJ_closed_before', place_name: '이미 폐업', business_status: 'CLOSED_PERMANENTLY', last_verified_at: daysAgo(90) }
+    ],
+    trip_plans: [
+      trip('trip-with-galbi', ['ChIJ_gamcheon', 'ChIJ_haeundae_galbi']),
+      trip('trip-without', ['ChIJ_yonggungsa'])
+    ]
+  });
+  http.reset();
+});
+
+test('refreshes unverified, stale and popular places and skips recent or closed ones', async () => {
+  const summary = await runPlaceRefresh(NOW);
+
+  assert.deepEqual(detailCalls(), ['ChIJ_gamcheon', 'ChIJ_haeundae_galbi', 'ChIJ_yonggungsa']);
+  assert.equal(summary.updated, 3);
+
+  const gamcheon = placeOf('ChIJ_gamcheon');
+  assert.equal(gamcheon.rating, 4.5);
+  assert.equal(gamcheon.rating_count, 18250);
+  assert.equal(gamcheon.website_uri, 'https://www.gamcheon.or.kr/');
+  assert.equal(gamcheon.business_status, 'OPERATIONAL');
+  assert.equal(gamcheon.opening_hours.periods.length, 7);
+  assert.equal(gamcheon.last_verified_at, new Date(NOW).toISOString());
+  assert.equal(placeOf('ChIJ_haeundae_beach').last_verified_at, daysAgo(10));
+});
+
+test('flags permanently closed places and the trips that contain them', async () => {
+  const summary = await runPlaceRefresh(NOW);
+
+  assert.equal(summary.closed, 1);
+  assert.equal(summary.tripsMarked, 1);
+  assert.equal(placeOf('ChIJ_haeundae_galbi').business_status, 'CLOSED_PERMANENTLY');
+  assert.equal(placeOf('ChIJ_haeundae_galbi').closed_detected_at, new Date(NOW).toISOString());
+
+  const [marked, untouched] = db.table('trip_plans');
+  assert.deepEqual(marked.closed_place_ids, ['ChIJ_haeundae_galbi']);
+  const [open, closed] = marked.itinerary_data.itinerary[0].activities;
+  assert.equal(closed.needs_replacement, true);
+  assert.equal(open.needs_replacement, undefined);
+  assert.equal(untouched.closed_place_ids, undefined);
+});
+
+test('records the closed-place marking as a system version that can be restored', async () => {
+  await runPlaceRefresh(NOW);
+
+  const versions = db.table('trip_versions').filter(v => v.trip_id === 'trip-with-galbi');
+  assert.deepEqual(versions.map(v => [v.version, v.kind]), [[1, 'snapshot'], [2, 'system']]);
+  assert.deepEqual(versions[1].request, { author: 'system', reason: 'place_closed', place_id: 'ChIJ_haeundae_galbi' });
+  assert.equal(versions[0].itinerary_data.itinerary[0].activities[1].needs_replacement, undefined);
+  assert.equal(db.table('trip_plans')[0].current_version, 2);
+  assert.equal(db.table('trip_versions').filter(v => v.trip_id === 'trip-without').length, 0);
+});
+
+test('does not overwrite a user edit saved while the trip was being marked', async () => {
+  const from = db.from;
+  let interrupted = false;
+  db.from = name => {
+    // 버전 기록 직전에 사용자가 일정에 활동을 추가하고 저장
+    if (name === 'trip_versions' && !interrupted) {
+      interrupted = true;
+      const userTrip = db.table('trip_plans')[0];
+      userTrip.itinerary_data = structuredClone(userTrip.itinerary_data);
+      userTrip.itinerary_data.itinerary[0].activities.push({ place_id: 'ChIJ_user_added', place_name: '사용자가 추가' });
+      userTrip.current_version = 7;
+    }
+    return from.call(db, name);
+  };
+
+  try {
+    await runPlaceRefresh(NOW);
+  } finally {
+    db.from = from;
+  }
+
+  const activities = db.table('trip_plans')[0].itinerary_data.itinerary[0].activities;
+  assert.deepEqual(activities.map(a => a.place_id), ['ChIJ_gamcheon', 'ChIJ_haeundae_galbi', 'ChIJ_user_added']);
+  assert.equal(activities[1].needs_replacement, true);
+});
+
+test('stays within the daily budget, most urgent places first', async () => {
+  process.env.PLACE_REFRESH_DAILY_BUDGET = '2';
+  await runPlaceRefresh(NOW);
+  assert.deepEqual(detailCalls(), ['ChIJ_gamcheon', 'ChIJ_haeundae_galbi']);
+});
+
+test('orders and limits the candidates in the query instead of loading every stale place', async () => {
+  process.env.PLACE_REFRESH_DAILY_BUDGET = '2';
+  db.reset({
+    places_cache: [
+      { place_id: 'old_rare', place_name: 'A', use_count: 1, last_verified_at: daysAgo(40) },
+      { place_id: 'old_popular', place_name: 'B', use_count: 9, last_verified_at: daysAgo(40) },
+      { place_id: 'never', place_name: 'C', last_verified_at: null }
+    ]
+  });
+  const from = db.from;
+  const queries = [];
+  db.from = name => {
+    const query = from.call(db, name);
+    if (name === 'places_cache') queries.push(query);
+    return query;
+  };
+
+  try {
+    await runPlaceRefresh(NOW);
+  } finally {
+    db.from = from;
+  }
+
+  const [select] = queries;
+  assert.equal(select.orExpressions.length, 1);
+  assert.equal(select.limitCount, 2);
+  assert.deepEqual(select.orders.map(o => [o.column, o.ascending, o.nullsFirst]), [['last_verified_at', true, true], ['use_count', false, false]]);
+  assert.deepEqual(detailCalls(), ['never', 'old_popular']);
+});
+
+test('records places Google no longer knows without flagging them as closed', async () => {
+  db.reset({ places_cache: [{ place_id: 'ChIJ_gone', place_name: '사라진 장소', last_verified_at: null }] });
+  const summary = await runPlaceRefresh(NOW);
+
+  assert.equal(summary.missing, 1);
+  assert.equal(placeOf('ChIJ_gone').business_status, undefined);
+  assert.equal(placeOf('ChIJ_gone').last_verified_at, new Date(NOW).toISOString());
+});
@@ -0,0 +1,63 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validatePreferences, normalizePreferences, describeStyle, describeCompanions, findPreferenceViolation
+} = require('../lib/preferences');
+
+const meal = (place_name, types = []) => ({ place_name, type: '식사', types });
+
+describe('traveler preferences', () => {
+  test('accepts a full profile and rejects unknown options', () => {
+    assert.equal(validatePreferences({
+      pace: 'relaxed', interests: ['카페'], dietary: ['vegetarian'], mobility: ['stroller'],
+      companions: 'kids', wakeTime: '08:00', sleepTime: '21:30'
+    }), null);
+    assert.equal(validatePreferences({}), null);
+
+    assert.match(validatePreferences([]), /형식/);
+    assert.match(validatePreferences({ pace: 'fast' }), /pace/);
+    assert.match(validatePreferences({ companions: 'pets' }), /companions/);
+    assert.match(validatePreferences({ dietary: ['keto'] }), /dietary/);
+    assert.match(validatePreferences({ mobility: 'wheelchair' }), /mobility/);
+    assert.match(validatePreferences({ interests: ['카페', 3] }), /interests/);
+    assert.match(validatePreferences({ wakeTime: '8:00' }), /wakeTime/);
+    assert.match(validatePreferences({ wakeTime: '22:00', sleepTime: '07:00' }), /취침 시간/);
+  });
+
+  test('normalizes by trimming, de-duplicating and dropping empty values', () => {
+    assert.deepEqual(normalizePreferences({
+      pace: 'packed', interests: [' 카페 ', '카페', ''], dietary: [], companions: null, sleepTime: '22:00', user_id: 'x'
+    }), { pace: 'packed', interests: ['카페'], sleepTime: '22:00' });
+    assert.deepEqual(normalizePreferences(undefined), {});
+  });
+
+  test('describes the trip style and companions for the saved columns', () => {
+    assert.equal(describeStyle({ pace: 'relaxed', interests: ['바다', '카페'] }), '여유롭게 · 바다, 카페');
+    assert.equal(describeStyle({}), '맞춤 여행');
+    assert.equal(describeCompanions({ companions: 'seniors' }), '어르신 동반');
+    assert.equal(describeCompanions(undefined), '제한 없음');
+  });
+
+  test('flags meals that do not fit the diet by place type or name', () => {
+    const vegetarian = { dietary: ['vegetarian'] };
+
+    assert.equal(findPreferenceViolation(meal('해운대암소갈비집', ['restaurant']), vegetarian).reason, 'dietary');
+    assert.equal(findPreferenceViolation(meal('더 그릴', ['steak_house']), vegetarian).reason, 'dietary');
+    assert.equal(findPreferenceViolation(meal('채식 고기 없는 식당', ['vegetarian_restaurant']), vegetarian), null);
+    assert.equal(findPreferenceViolation(meal('바다 횟집'), { dietary: ['halal'] }), null);
+    assert.equal(findPreferenceViolation({ place_name: '갈비 골목', type: '관광' }, vegetarian), null);
+  });
+
+  test('flags places unsuited to mobility needs or companions, but never lodging or transfers', () => {
+    const hike = { place_name: '장산', type: '관광', types: ['hiking_area'] };
+    const bar = { place_name: '광안리 이자카야', type: '식사', types: ['restaurant'] };
+
+    assert.deepEqual(findPreferenceViolation(hike, { mobility: ['wheelchair'] }), {
+      reason: 'mobility', message: '휠체어 이용 여행자에게 어려운 장소입니다.'
+    });
+    assert.equal(findPreferenceViolation(bar, { companions: 'kids' }).reason, 'companions');
+    assert.equal(findPreferenceViolation(bar, { companions: 'couple' }), null);
+    assert.equal(findPreferenceViolation({ place_name: '등산로 입구로 이동', type: '이동' }, { mobility: ['wheelchair'] }), null);
+  });
+});
@@ -0,0 +1,49 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.AD_REWARD_SECRET = 'ad-secret';
+
+const { verifyAdReceipt, getTierLimit } = require('../lib/quota');
+
+function signReceipt(userId, transactionId, timestamp, secret = 'ad-secret') {
+  return crypto.createHmac('sha256', secret).update(`${userId}:${transactionId}:${timestamp}`).digest('hex');
+}
+
+describe('verifyAdReceipt', () => {
+  test('accepts a fresh receipt signed for the same user', () => {
+    const timestamp = Date.now();
+    const signature = signReceipt('user-1', 'tx-1', timestamp);
+    assert.deepEqual(verifyAdReceipt('user-1', { transaction_id: 'tx-1', timestamp, signature }), { valid: true });
+  });
+
+  test('rejects a receipt issued for another user', () => {
+    const timestamp = Date.now();
+    const signature = signReceipt('user-2', 'tx-1', timestamp);
+    assert.equal(verifyAdReceipt('user-1', { transaction_id: 'tx-1', timestamp, signature }).reason, 'bad_signature');
+  });
+
+  test('rejects a receipt signed with another secret', () => {
+    const timestamp = Date.now();
+    const signature = signReceipt('user-1', 'tx-1', timestamp, 'other');
+    assert.equal(verifyAdReceipt('user-1', { transaction_id: 'tx-1', timestamp, signature }).reason, 'bad_signature');
+  });
+
+  test('rejects stale receipts', () => {
+    const timestamp = Date.now() - 60 * 60 * 1000;
+    const signature = signReceipt('user-1', 'tx-1', timestamp);
+    assert.equal(verifyAdReceipt('user-1', { transaction_id: 'tx-1', timestamp, signature }).reason, 'expired');
+  });
+
+  test('rejects incomplete receipts', () => {
+    assert.equal(verifyAdReceipt('user-1', { transaction_id: 'tx-1' }).reason, 'missing_fields');
+  });
+});
+
+describe('getTierLimit', () => {
+  test('falls back to the default limit for unknown tiers', () => {
+    assert.equal(getTierLimit('free'), 5);
+    assert.equal(getTierLimit('admin'), Infinity);
+    assert.equal(getTierLimit('legacy'), 3);
+  });
+});
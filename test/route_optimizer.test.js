@@ -0,0 +1,100 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFakeSupabase } = require('./support/fake_supabase');
+
+['log', 'info', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const db = createFakeSupabase({ primaryKeys: { places_cache: 'place_id' } });
+require('../lib/supabase').setClients({ supabase: db, supabaseAdmin: db });
+
+const { isFixed, optimizeDayRoute } = require('../services/route_optimizer');
+const { routeCache } = require('../services/routing');
+
+const HAEUNDAE = { latitude: 35.1587, longitude: 129.1604 };
+const HAEUNDAE_NEARBY = { latitude: 35.1631, longitude: 129.1636 };
+const GAMCHEON = { latitude: 35.0975, longitude: 129.0106 };
+const GAMCHEON_NEARBY = { latitude: 35.0990, longitude: 129.0120 };
+
+const activity = (time, place_name, type, place_id, extra = {}) => ({ time, place_name, type, place_id, activity_description: '', ...extra });
+const names = day => day.activities.map(a => a.place_name);
+
+// 해운대 -> 감천 -> 해운대 -> 감천으로 오가는 하루 (점심은 시간대 안이라 고정, 숙소는 좌표 없음)
+const zigzagDay = () => ({ day: 1, date: '2025-05-01', activities: [
+  activity('10:00', '해운대', '관광', 'p_haeundae'),
+  activity('11:00', '감천문화마을', '관광', 'p_gamcheon', { location: GAMCHEON }),
+  activity('12:30', '해운대 식당', '식사', 'p_restaurant', { location: HAEUNDAE_NEARBY }),
+  activity('14:00', '해운대 시장', '쇼핑', 'p_market', { location: HAEUNDAE_NEARBY }),
+  activity('16:00', '감천 카페', '휴식', 'p_cafe', { location: GAMCHEON_NEARBY }),
+  activity('19:00', '숙소 체크인', '숙소', null)
+] });
+
+beforeEach(() => {
+  db.reset({ places_cache: [{ place_id: 'p_haeundae', place_name: '해운대', location: HAEUNDAE }] });
+  routeCache.clear();
+});
+
+describe('daily route optimizer', () => {
+  test('keeps lodging, transfers, bookings and meals inside meal windows in place', () => {
+    assert.equal(isFixed(activity('15:00', '숙소 체크인', '숙소', 'p', { location: HAEUNDAE })), true);
+    assert.equal(isFixed(activity('15:00', '부산역으로 이동', '이동', 'p', { location: HAEUNDAE })), true);
+    assert.equal(isFixed(activity('15:00', '요트 투어', '관광', 'p', { location: HAEUNDAE, is_booking_required: true })), true);
+    assert.equal(isFixed(activity('12:00', '점심', '식사', 'p', { location: HAEUNDAE })), true);
+    assert.equal(isFixed(activity('15:30', '간식', '식사', 'p', { location: HAEUNDAE })), false);
+    assert.equal(isFixed(activity('15:00', '해운대', '관광', 'p')), true);
+    assert.equal(isFixed(activity('15:00', '해운대', '관광', 'p', { location: HAEUNDAE })), false);
+  });
+
+  test('reorders movable activities around anchors to minimise travel and re-times the day', async () => {
+    const day = zigzagDay();
+    const result = await optimizeDayRoute(day);
+
+    assert.deepEqual(names(day), ['해운대', '해운대 시장', '해운대 식당', '감천문화마을', '감천 카페', '숙소 체크인']);
+    assert.equal(result.reordered, true);
+    assert.equal(result.fixed, 2);
+    assert.equal(result.moved, 2);
+    assert.ok(result.travel_minutes_after < result.travel_minutes_before);
+
+    // 해운대 좌표는 places_cache에서 가져옴
+    assert.deepEqual(day.activities[0].location, HAEUNDAE);
+    // 각 자리의 원래 시각을 쓰고, 이동 시간이 모자란 구간만 미룸
+    assert.deepEqual(day.activities.map(a => [a.time, a.original_time]), [
+      ['10:00', undefined], ['11:00', '14:00'], ['12:30', undefined], ['14:25', '11:00'], ['16:00', undefined], ['19:00', undefined]
+    ]);
+  });
+
+  test('uses route durations stored in routes_cache over coordinate estimates', async () => {
+    const fetched_at = new Date().toISOString();
+    const row = (origin, destination, seconds) => ({
+      origin_place_id: origin, destination_place_id: destination, mode: 'transit', time_bucket: 'any',
+      duration_seconds: seconds, distance_meters: 1000, duration_text: '', distance_text: '', fetched_at
+    });
+    db.reset({
+      places_cache: [{ place_id: 'p_haeundae', place_name: '해운대', location: HAEUNDAE }],
+      routes_cache: [row('p_haeundae', 'p_gamcheon', 600), row('p_gamcheon', 'p_market', 600)]
+    });
+
+    const day = { day: 1, date: '2025-05-01', activities: [
+      activity('10:00', '해운대', '관광', 'p_haeundae'),
+      activity('11:00', '해운대 시장', '쇼핑', 'p_market', { location: HAEUNDAE_NEARBY }),
+      activity('12:00', '감천문화마을', '관광', 'p_gamcheon', { location: GAMCHEON })
+    ] };
+    await optimizeDayRoute(day);
+
+    assert.deepEqual(names(day), ['해운대', '감천문화마을', '해운대 시장']);
+    assert.deepEqual(day.activities[1].travel_estimate, { minutes: 10, source: 'route', distance_km: 1 });
+  });
+
+  test('leaves the day untouched when nothing can be improved', async () => {
+    const day = { day: 1, date: '2025-05-01', activities: [
+      activity('10:00', '해운대 시장', '쇼핑', 'p_market', { location: HAEUNDAE_NEARBY, travel_info: { duration: '1분' } }),
+      activity('12:00', '해운대', '관광', 'p_haeundae', { travel_info: { duration: '10분' } }),
+      activity('15:00', '감천문화마을', '관광', 'p_gamcheon', { location: GAMCHEON, travel_info: { duration: '70분' } })
+    ] };
+    const result = await optimizeDayRoute(day);
+
+    assert.equal(result.reordered, false);
+    assert.deepEqual(names(day), ['해운대 시장', '해운대', '감천문화마을']);
+    assert.deepEqual(day.activities.map(a => a.travel_info?.duration), ['1분', '10분', '70분']);
+  });
+});
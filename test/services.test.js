@@ -0,0 +1,608 @@
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFakeSupabase } = require('./support/fake_supabase');
+const { installHttpFixtures } = require('./support/http_fixtures');
+const { registerPlaceMatchRpc } = require('./support/place_match_rpc');
+const { useTempImageStore } = require('./support/temp_image_store');
+
+// 서비스 모듈 단위 테스트 - 가짜 Supabase + 외부 API 녹화 응답
+Object.assign(process.env, {
+  GOOGLE_MAPS_API_KEY: 'test-google-key',
+  NAVER_CLIENT_ID: 'test-naver-id',
+  NAVER_CLIENT_SECRET: 'test-naver-secret'
+});
+delete process.env.WEATHER_API_KEY;
+useTempImageStore();
+['log', 'info', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const db = createFakeSupabase({ primaryKeys: { places_cache: 'place_id' } });
+registerPlaceMatchRpc(db);
+require('../lib/supabase').setClients({ supabase: db, supabaseAdmin: db });
+const http = installHttpFixtures();
+
+const images = require('../services/images');
+const places = require('../services/places');
+const { fetchDailyWeather } = require('../services/weather');
+const { calculateRoute, calculateRoutes, getRouteByMode, resolveDeparture, routeCache } = require('../services/routing');
+const { travelBetween } = require('../services/travel_time');
+const currency = require('../services/currency');
+const { dedupeActivities, correctBeautyPlaces, validateTripWindow, detectScheduleConflicts, applyPreferences } = require('../services/itinerary');
+
+const naverCalls = () => http.calls.filter(c => c.url.includes('openapi.naver.com')).map(c => c.params.query);
+const emptyNaver = () => http.override('get', url => url.includes('openapi.naver.com'), () => ({ items: [] }));
+
+beforeEach(() => {
+  db.reset();
+  http.reset();
+  places.placeDetailsCache.clear();
+  routeCache.clear();
+  currency.rateCache.clear();
+});
+
+describe('images service', () => {
+  test('prefers Naver-hosted images and skips profile-like URLs', async () => {
+    assert.equal(await images.fetchNaverImage('부산 야경'), 'https://blogfiles.pstatic.net/20250101_1/landscape.jpg');
+  });
+
+  test('retries with travel keywords only when asked to', async () => {
+    emptyNaver();
+    assert.equal(await images.fetchNaverImage('없는 장소', false), null);
+    assert.deepEqual(naverCalls(), ['없는 장소']);
+
+    http.reset();
+    emptyNaver();
+    await images.fetchNaverImage('없는 장소');
+    assert.deepEqual(naverCalls(), ['없는 장소', '없는 장소 여행 사진', '없는 장소 관광 명소', '없는 장소 풍경 사진', '없는 장소 호텔']);
+  });
+
+  test('skips the search entirely without Naver credentials', async () => {
+    const saved = process.env.NAVER_CLIENT_ID;
+    delete process.env.NAVER_CLIENT_ID;
+    try {
+      assert.equal(await images.fetchNaverImage('부산'), null);
+      assert.deepEqual(naverCalls(), []);
+    } finally {
+      process.env.NAVER_CLIENT_ID = saved;
+    }
+  });
+
+  describe('candidate scoring', () => {
+    const item = (link, title, sizewidth = '1200', sizeheight = '800') => ({ link, title, sizewidth, sizeheight });
+    const hotel = { placeName: '시그니엘 부산', city: '부산', types: ['lodging'] };
+    const hotelResults = {
+      items: [
+        item('https://cdn.example.com/music/album-cover.jpg', '시그니엘 <b>앨범</b> 커버', '600', '600'),
+        item('https://img.agoda.net/hotel/1.jpg', '시그니엘 부산 호텔 외관'),
+        item('https://cdn.example.com/photo/tall.jpg', '부산 여행', '500', '900'),
+        item('https://cdn.example.com/photo/lobby.jpg', '<b>시그니엘 부산</b> 호텔 로비'),
+        item('https://blogfiles.pstatic.net/2025/signiel.jpg', '시그니엘 부산 호텔 외관 야경')
+      ]
+    };
+
+    test('rewards name, city and type matches, size and trusted hosts', () => {
+      const best = images.scoreImageCandidate(hotelResults.items[4], hotel);
+      const album = images.scoreImageCandidate(hotelResults.items[0], hotel);
+
+      assert.equal(images.scoreImageCandidate(hotelResults.items[1], hotel), null, 'hotlink-protected hosts are dropped');
+      assert.equal(best.title, '시그니엘 부산 호텔 외관 야경');
+      assert.equal(best.width, 1200);
+      assert.ok(best.score > images.scoreImageCandidate(hotelResults.items[3], hotel).score);
+      assert.ok(album.score < 0);
+    });
+
+    test('ranks every search result instead of taking the first acceptable one', async () => {
+      http.override('get', url => url.includes('openapi.naver.com'), () => hotelResults);
+      const candidates = await images.searchImageCandidates('부산 시그니엘 부산 호텔 외관 사진', false, hotel);
+
+      assert.deepEqual(candidates.map(c => c.url), [
+        'https://blogfiles.pstatic.net/2025/signiel.jpg',
+        'https://cdn.example.com/photo/lobby.jpg'
+      ]);
+      assert.ok(candidates[0].score >= candidates[1].score);
+    });
+
+    test('stores the top candidates per place and skips ones that fail to download', async () => {
+      http.override('get', url => url.includes('openapi.naver.com'), () => ({
+        items: [
+          item('https://blogfiles.pstatic.net/2025/a.jpg', '시그니엘 부산 호텔 외관'),
+          item('https://blogfiles.pstatic.net/2025/broken.jpg', '시그니엘 부산 호텔 객실'),
+          item('https://postfiles.pstatic.net/2025/b.jpg', '시그니엘 부산 호텔'),
+          item('https://postfiles.pstatic.net/2025/c.jpg', '시그니엘 호텔'),
+          item('https://postfiles.pstatic.net/2025/d.jpg', '부산 호텔')
+        ]
+      }));
+      http.overrideImage(url => url.endsWith('/broken.jpg'), { status: 404 });
+
+      const stored = await images.fetchStoredPlaceImages(hotel);
+
+      assert.deepEqual(naverCalls(), ['부산 시그니엘 부산 호텔 외관 사진']);
+      assert.deepEqual(stored.map(s => s.sourceUrl), [
+        'https://blogfiles.pstatic.net/2025/a.jpg',
+        'https://postfiles.pstatic.net/2025/b.jpg',
+        'https://postfiles.pstatic.net/2025/c.jpg'
+      ]);
+      assert.ok(stored.every(s => /^\/api\/images\//.test(s.url) && typeof s.score === 'number'));
+    });
+  });
+
+  test('picks fallback images by place type', () => {
+    assert.match(images.getFallbackImage(['cafe']), /photo-1504674900247/);
+    assert.match(images.getFallbackImage(['park']), /photo-1441974231531/);
+    assert.equal(images.getFallbackImage([]), images.FALLBACK_IMAGE_URL);
+  });
+});
+
+describe('places service', () => {
+  test('looks up Google once for concurrent requests and caches the result in the DB', async () => {
+    const [a, b] = await Promise.all([
+      places.getPlaceDetails('감천문화마을', '부산'),
+      places.getPlaceDetails('감천문화마을', '부산')
+    ]);
+
+    assert.equal(a, b);
+    assert.equal(a.place_id, 'ChIJ_gamcheon');
+    assert.equal(http.calls.filter(c => c.url.includes('searchText')).length, 1);
+
+    const [row] = db.table('places_cache');
+    assert.equal(row.place_id, 'ChIJ_gamcheon');
+    assert.ok(row.search_keywords.startsWith('감천문화마을|'));
+    assert.equal(row.photo_candidates[0].url, row.photo_url);
+    assert.deepEqual(a.photoCandidates, row.photo_candidates);
+  });
+
+  test('keys the memory cache by city and caches failed lookups briefly', async () => {
+    const tokyo = await places.getPlaceDetails('감천문화마을', '도쿄');
+    const busan = await places.getPlaceDetails('감천문화마을', '부산');
+    await places.getPlaceDetails('감천문화마을', '도쿄');
+    await places.getPlaceDetails(' 감천문화마을 ', '부산');
+
+    assert.equal(busan.place_id, 'ChIJ_gamcheon');
+    assert.equal(tokyo.place_id, undefined);
+    assert.deepEqual(http.calls.filter(c => c.url.includes('searchText')).map(c => c.body.textQuery), ['도쿄 감천문화마을', '부산 감천문화마을']);
+
+    const stats = places.placeDetailsCache.stats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.negativeHits, 1);
+  });
+
+  test('keeps the Google price level on details and in the DB cache', async () => {
+    const details = await places.fetchPlaceDetails('해운대 암소갈비집', '부산');
+
+    assert.equal(details.priceLevel, 'PRICE_LEVEL_MODERATE');
+    assert.equal(db.table('places_cache').find(p => p.place_id === 'ChIJ_haeundae_galbi').price_level, 'PRICE_LEVEL_MODERATE');
+  });
+
+  test('maps DB cache rows to the camelCase shape', async () => {
+    db.reset({
+      places_cache: [{
+        place_id: 'ChIJ_cached', place_name: '광안리 해수욕장', search_keywords: '광안리 해수욕장|대한민국 부산광역시 수영구 광안해변로 219',
+        rating: 4.6, rating_count: 100, google_maps_uri: 'https://maps.google.com/?cid=9',
+        photo_url: 'https://img.example.com/gwangalli.jpg', types: ['beach']
+      }]
+    });
+
+    const details = await places.fetchPlaceDetails('광안리 해수욕장', '부산');
+    assert.equal(details.ratingCount, 100);
+    assert.equal(details.googleMapsUri, 'https://maps.google.com/?cid=9');
+    assert.equal(details.photoUrl, 'https://img.example.com/gwangalli.jpg');
+    assert.deepEqual(details.photoCandidates, []);
+    assert.equal(http.calls.length, 0);
+
+    // 사용 횟수는 비동기로 기록 (재검증 cron 우선순위)
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(db.table('places_cache')[0].use_count, 1);
+  });
+
+  test('keeps pinned photos instead of healing or searching again', async () => {
+    const pinnedUrl = `/api/images/places/${'b'.repeat(24)}/card.webp`;
+    db.reset({
+      places_cache: [
+        { place_id: 'ChIJ_pinned_empty', place_name: '광안대교', search_keywords: '광안대교|대한민국 부산광역시 수영구', photo_url: null, photo_pinned: true },
+        { place_id: 'ChIJ_yonggungsa', place_name: 'Haedong Yonggungsa', search_keywords: 'Haedong Yonggungsa', photo_url: pinnedUrl, photo_pinned: true, photo_candidates: [{ url: pinnedUrl }] }
+      ]
+    });
+
+    const bridge = await places.fetchPlaceDetails('광안대교', '부산');
+    // DB 캐시에는 없는 검색어지만 Google 결과가 같은 place_id -> 고정 사진 유지
+    const temple = await places.fetchPlaceDetails('해동용궁사', '부산');
+
+    assert.equal(bridge.photoUrl, null);
+    assert.equal(temple.place_id, 'ChIJ_yonggungsa');
+    assert.equal(temple.photoUrl, pinnedUrl);
+    assert.deepEqual(naverCalls(), []);
+    assert.equal(db.table('places_cache').find(p => p.place_id === 'ChIJ_yonggungsa').photo_url, pinnedUrl);
+  });
+
+  describe('DB cache lookup', () => {
+    const seed = () => db.reset({
+      places_cache: [
+        { place_id: 'ChIJ_starbucks_busan', place_name: '스타벅스 해운대점', search_keywords: '스타벅스|스타벅스 해운대점|대한민국 부산광역시 해운대구' },
+        { place_id: 'ChIJ_starbucks_tokyo', place_name: '스타벅스 시부야점', search_keywords: '스타벅스|스타벅스 시부야점|일본 도쿄도 시부야구' },
+        { place_id: 'ChIJ_cafe', place_name: '카페 (해운대, 오션뷰)', search_keywords: '카페 (해운대, 오션뷰)|대한민국 부산광역시 해운대구' },
+        {
+          place_id: 'ChIJ_far', place_name: '감천문화마을 전망대', search_keywords: '감천문화마을 전망대',
+          location: { latitude: 37.5665, longitude: 126.978 }
+        }
+      ]
+    });
+
+    test('keeps matches inside the requested city and reports the confidence', async () => {
+      seed();
+      const busan = await places.findCachedPlace('스타벅스 해운대점', { city: '부산' });
+      const tokyo = await places.findCachedPlace('스타벅스', { city: '도쿄' });
+
+      assert.equal(busan.place.place_id, 'ChIJ_starbucks_busan');
+      assert.equal(busan.confidence, 1);
+      assert.equal(tokyo.place.place_id, 'ChIJ_starbucks_tokyo');
+      assert.equal(await places.findCachedPlace('스타벅스 해운대점', { city: '서울' }), null);
+    });
+
+    test('passes names with commas and parentheses as parameters', async () => {
+      seed();
+      const match = await places.findCachedPlace('카페 (해운대, 오션뷰)', { city: '부산' });
+      assert.equal(match.place.place_id, 'ChIJ_cafe');
+      assert.equal(match.confidence, 1);
+    });
+
+    test('does not match short or unrelated names and respects the radius', async () => {
+      seed();
+      assert.equal(await places.findCachedPlace('카페', { city: '부산' }), null);
+      assert.equal(await places.findCachedPlace('해운대 돼지국밥', { city: '부산' }), null);
+
+      const busanCenter = { latitude: 35.1796, longitude: 129.0756 };
+      assert.equal(await places.findCachedPlace('감천문화마을 전망대', { near: busanCenter }), null);
+      const nearby = await places.findCachedPlace('감천문화마을 전망대', { near: { latitude: 37.57, longitude: 126.98 } });
+      assert.ok(nearby.distanceKm < 1);
+    });
+
+    test('treats legacy rows without search keywords as an unknown city', async () => {
+      db.reset({ places_cache: [{ place_id: 'ChIJ_legacy', place_name: '해동용궁사', search_keywords: null, photo_url: 'https://img.example.com/temple.jpg' }] });
+
+      const match = await places.findCachedPlace('해동용궁사', { city: '부산' });
+      assert.equal(match.place.place_id, 'ChIJ_legacy');
+
+      const details = await places.fetchPlaceDetails('해동용궁사', '부산');
+      assert.equal(details.place_id, 'ChIJ_legacy');
+      assert.equal(http.calls.length, 0);
+    });
+
+    test('passes the nearby coordinates so a same-name place elsewhere is skipped', async () => {
+      // 주소 없는 예전 행 - 도시로는 거를 수 없고 좌표로만 거름
+      db.reset({ places_cache: [{ place_id: 'ChIJ_seoul_temple', place_name: '해동용궁사', search_keywords: null, location: { latitude: 37.5665, longitude: 126.978 } }] });
+      const handler = db.rpcHandlers.match_cached_place;
+      const params = [];
+      db.rpcHandlers.match_cached_place = (p, self) => { params.push(p); return handler(p, self); };
+
+      try {
+        const details = await places.getPlaceDetails('해동용궁사', '부산', { near: { latitude: 35.1587, longitude: 129.1604 } });
+        assert.equal(details.place_id, 'ChIJ_yonggungsa');
+        assert.deepEqual([params[0].p_city, params[0].p_lat, params[0].p_lng], ['부산', 35.1587, 129.1604]);
+      } finally {
+        db.rpcHandlers.match_cached_place = handler;
+      }
+    });
+
+    test('falls back to Google when the lookup function fails', async () => {
+      const handler = db.rpcHandlers.match_cached_place;
+      db.rpcHandlers.match_cached_place = () => { throw new Error('function unavailable'); };
+      try {
+        const details = await places.fetchPlaceDetails('감천문화마을', '부산');
+        assert.equal(details.place_id, 'ChIJ_gamcheon');
+      } finally {
+        db.rpcHandlers.match_cached_place = handler;
+      }
+    });
+  });
+
+  test('does not search for lodging placeholders', async () => {
+    const details = await places.fetchPlaceDetails('숙소 체크인');
+    assert.equal(details.type, '숙소');
+    assert.equal(http.calls.length, 0);
+  });
+
+  test('autocompleteRegions keeps Korean regions for Korean input', async () => {
+    const predictions = await places.autocompleteRegions('부산');
+    assert.ok(predictions.length > 0);
+    assert.ok(predictions.every(p => p.description.includes('대한민국')));
+  });
+});
+
+describe('weather service', () => {
+  test('geocodes Korean city names in English and caches the forecast', async () => {
+    const weather = await fetchDailyWeather('부산', '2025-05-01', '2025-05-02');
+    assert.deepEqual(Object.keys(weather), ['2025-05-01', '2025-05-02']);
+
+    const geocoding = http.calls.find(c => c.url.includes('geocoding-api'));
+    assert.match(geocoding.url, /name=Busan/);
+
+    http.reset();
+    await fetchDailyWeather('부산', '2025-05-01', '2025-05-02');
+    assert.equal(http.calls.length, 0);
+  });
+
+  test('returns null when the city cannot be geocoded', async () => {
+    assert.equal(await fetchDailyWeather('아무데도없음', '2025-05-01', '2025-05-02'), null);
+  });
+});
+
+describe('currency service', () => {
+  const today = () => new Date().toISOString().slice(0, 10);
+  const rateCalls = () => http.calls.filter(c => c.url.startsWith('https://open.er-api.com/'));
+
+  test('saves the day\'s rates once and converts through KRW', async () => {
+    const [a, b] = await Promise.all([currency.getExchangeRates(), currency.getExchangeRates()]);
+
+    assert.equal(a, b);
+    assert.deepEqual([a.date, a.source], [today(), 'open_er_api']);
+    assert.deepEqual([a.rates.USD, a.rates.JPY, a.rates.VND, a.rates.KRW], [1400, 9.5, 0.055, 1]);
+    assert.equal(rateCalls().length, 1);
+
+    const [row] = db.table('exchange_rates');
+    assert.deepEqual([row.rate_date, row.source, row.rates.EUR], [today(), 'open_er_api', 1500]);
+
+    assert.equal(currency.convertAmount(3000, 'JPY', 'KRW', a.rates), 28500);
+    assert.equal(currency.convertAmount(28500, 'KRW', 'USD', a.rates), 20.36);
+    assert.equal(currency.convertAmount(100, 'XYZ', 'KRW', a.rates), null);
+  });
+
+  test('reuses today\'s saved rates without calling the source', async () => {
+    db.reset({ exchange_rates: [{ rate_date: today(), source: 'open_er_api', rates: { KRW: 1, USD: 1300 } }] });
+
+    assert.equal((await currency.getExchangeRates()).rates.USD, 1300);
+    assert.deepEqual(rateCalls(), []);
+  });
+
+  test('falls back to the latest saved rates, then to fixed rates when the source fails', async () => {
+    http.override('get', url => url.startsWith('https://open.er-api.com/'), () => ({ result: 'error', 'error-type': 'quota-reached' }));
+    db.reset({
+      exchange_rates: [
+        { rate_date: '2025-04-29', source: 'open_er_api', rates: { KRW: 1, USD: 1380 } },
+        { rate_date: '2025-04-30', source: 'open_er_api', rates: { KRW: 1, USD: 1390 } },
+        { rate_date: '2025-05-01', source: 'fixed', rates: { KRW: 1, USD: 1350 } }
+      ]
+    });
+
+    const latest = await currency.getExchangeRates();
+    assert.deepEqual([latest.date, latest.rates.USD], ['2025-04-30', 1390]);
+
+    db.reset();
+    const fixed = await currency.getExchangeRates();
+    assert.deepEqual([fixed.date, fixed.source, fixed.rates.JPY], [null, 'fixed', 9]);
+    // 출처 장애는 짧게 캐시 -> 다시 호출하지 않음
+    assert.equal(rateCalls().length, 1);
+  });
+
+  test('uses the fixed source offline and maps destinations to their local currency', async () => {
+    process.env.CURRENCY_RATE_SOURCE = 'fixed';
+    try {
+      const rates = await currency.getExchangeRates();
+      assert.deepEqual([rates.source, rates.rates.USD], ['fixed', 1350]);
+      assert.deepEqual(rateCalls(), []);
+    } finally {
+      delete process.env.CURRENCY_RATE_SOURCE;
+    }
+
+    assert.deepEqual(
+      ['일본 도쿄', '파리', 'Da Nang', '제주시', '아무데도없음'].map(currency.currencyForDestination),
+      ['JPY', 'EUR', 'VND', 'KRW', null]
+    );
+  });
+});
+
+describe('routing service', () => {
+  const directionsCalls = () => http.calls.filter(c => c.url.includes('directions'));
+  const matrixCalls = () => http.calls.filter(c => c.url.includes('distancematrix'));
+
+  test('calculateRoute falls back from transit to driving', async () => {
+    http.override('get', (url, config) => url.includes('directions') && config.params.mode === 'transit', () => ({ status: 'ZERO_RESULTS', routes: [] }));
+
+    const route = await calculateRoute('origin', 'dest');
+    assert.deepEqual(route, { duration: '15분', distance: '1.2km', durationSeconds: 905, distanceMeters: 1204, mode: '택시/차량' });
+  });
+
+  test('calculateRoute caches routes and the travel check reuses them without calling Google', async () => {
+    const first = await calculateRoute('ChIJ_a', 'ChIJ_b');
+    const second = await calculateRoute('ChIJ_a', 'ChIJ_b');
+
+    assert.deepEqual(second, first);
+    assert.equal(directionsCalls().length, 1);
+    assert.deepEqual(travelBetween({ place_id: 'ChIJ_a' }, { place_id: 'ChIJ_b' }), { minutes: 16, source: 'route', distance_km: 1.2 });
+    assert.equal(travelBetween({ place_id: 'ChIJ_b' }, { place_id: 'ChIJ_a' }), null);
+  });
+
+  test('routes persist in routes_cache and are reused after a restart until they go stale', async () => {
+    await calculateRoute('ChIJ_a', 'ChIJ_b');
+    assert.deepEqual(db.tables.routes_cache.map(r => [r.origin_place_id, r.destination_place_id, r.mode, r.time_bucket, r.duration_seconds]), [
+      ['ChIJ_a', 'ChIJ_b', 'transit', 'any', 905]
+    ]);
+
+    routeCache.clear();
+    http.reset();
+    assert.equal((await calculateRoute('ChIJ_a', 'ChIJ_b')).durationSeconds, 905);
+    assert.equal(directionsCalls().length, 0);
+
+    routeCache.clear();
+    db.tables.routes_cache[0].fetched_at = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    await calculateRoute('ChIJ_a', 'ChIJ_b');
+    assert.equal(directionsCalls().length, 1);
+    assert.equal(db.tables.routes_cache.length, 1);
+  });
+
+  test('getRouteByMode labels the requested mode and returns null on failure', async () => {
+    assert.equal((await getRouteByMode('a', 'b', 'driving')).mode, '자동차');
+    assert.equal((await getRouteByMode('a', 'b', 'teleport')).mode, '도보');
+
+    routeCache.clear();
+    db.reset();
+    http.override('get', url => url.includes('directions'), () => ({}), 500);
+    assert.equal(await getRouteByMode('a', 'b'), null);
+  });
+
+  test('getRouteByMode caches transit routes per departure time bucket', async () => {
+    db.reset({ places_cache: [{ place_id: 'a', place_name: 'A', utc_offset_minutes: 540 }] });
+
+    await getRouteByMode('a', 'b', 'transit', { time: '08:30' });
+    await getRouteByMode('a', 'b', 'transit', { time: '09:45' });
+    await getRouteByMode('a', 'b', 'transit', { time: '19:00' });
+    await getRouteByMode('a', 'b', 'walking', { time: '19:00' });
+
+    assert.equal(directionsCalls().length, 3);
+    assert.ok(directionsCalls()[0].params.departure_time > Date.now() / 1000);
+    assert.equal(directionsCalls()[2].params.departure_time, undefined);
+    assert.deepEqual(db.tables.routes_cache.map(r => `${r.mode}:${r.time_bucket}`), ['transit:morning', 'transit:evening', 'walking:any']);
+  });
+
+  test('resolveDeparture picks the next representative hour in local time', () => {
+    const now = Date.parse('2025-05-01T03:00:00Z'); // 서울 12:00
+    assert.deepEqual(resolveDeparture('transit', '09:00', 540, now), { bucket: 'morning', departureTime: Date.parse('2025-05-01T23:00:00Z') / 1000 });
+    assert.deepEqual(resolveDeparture('driving', '18:30', 540, now), { bucket: 'evening', departureTime: Date.parse('2025-05-01T09:00:00Z') / 1000 });
+    assert.equal(resolveDeparture('transit', '02:00', 540, now).bucket, 'night');
+    assert.equal(resolveDeparture('transit', '09:00', null, now).bucket, 'any');
+    assert.equal(resolveDeparture('walking', '09:00', 540, now).bucket, 'any');
+  });
+
+  test('calculateRoutes requests only the consecutive legs of the day, one origin per Distance Matrix call', async () => {
+    const day = { day: 1, activities: [{ place_id: 'p1' }, { place_id: 'p2' }, { place_name: '좌표 없음' }, { place_id: 'p3' }, { place_id: 'p1' }] };
+    const [result] = await calculateRoutes([day], { mode: 'walking' });
+
+    assert.equal(directionsCalls().length, 0);
+    assert.deepEqual(matrixCalls().map(c => [c.params.origins, c.params.destinations]), [
+      ['place_id:p1', 'place_id:p2'],
+      ['place_id:p3', 'place_id:p1']
+    ]);
+    assert.deepEqual(result.legs.map(leg => leg.route && leg.route.durationSeconds), [3240, null, null, 3240]);
+    assert.deepEqual(result.legs[0].route, { duration: '54분', distance: '21.5km', durationSeconds: 3240, distanceMeters: 21480, mode: '도보' });
+    assert.deepEqual(db.tables.routes_cache.map(r => `${r.origin_place_id}>${r.destination_place_id}`), ['p1>p2', 'p3>p1']);
+
+    // 다시 계산하면 DB 캐시에서 (인메모리 초기화 후에도 API 호출 없음)
+    routeCache.clear();
+    http.reset();
+    const [again] = await calculateRoutes([day], { mode: 'walking' });
+    assert.deepEqual(again.legs, result.legs);
+    assert.equal(http.calls.length, 0);
+  });
+
+  test('calculateRoutes groups legs that share an origin into one request', async () => {
+    const days = [
+      { day: 1, activities: [{ place_id: 'hotel' }, { place_id: 'a' }] },
+      { day: 2, activities: [{ place_id: 'hotel' }, { place_id: 'b' }] },
+      { day: 3, activities: [{ place_id: 'hotel' }, { place_id: 'a' }] }
+    ];
+    const result = await calculateRoutes(days, { mode: 'walking' });
+
+    assert.deepEqual(matrixCalls().map(c => [c.params.origins, c.params.destinations]), [['place_id:hotel', 'place_id:a|place_id:b']]);
+    assert.ok(result.every(d => d.legs[0].route.durationSeconds === 3240));
+  });
+
+  test('calculateRoutes falls back to Directions per leg when the matrix request fails', async () => {
+    http.override('get', url => url.includes('distancematrix'), () => ({ status: 'OVER_QUERY_LIMIT', rows: [] }));
+
+    const [result] = await calculateRoutes([{ activities: [{ place_id: 'p1' }, { place_id: 'p2' }, { place_id: 'p3' }] }], { mode: 'driving' });
+    assert.equal(directionsCalls().length, 2);
+    assert.deepEqual(result.legs.map(leg => leg.route.mode), ['자동차', '자동차']);
+    assert.equal(result.legs[1].route.distanceMeters, 1204);
+  });
+});
+
+describe('itinerary helpers', () => {
+  test('dedupeActivities removes repeats across days but keeps transfers and lodging', () => {
+    const seen = new Set();
+    const day1 = dedupeActivities([
+      { place_name: '해운대' }, { place_name: '숙소 체크인' }, { place_name: '해운대' }
+    ], seen);
+    const day2 = dedupeActivities([
+      { place_name: '해운대' }, { place_name: '부산역으로 이동' }, { place_name: '숙소 체크인' }
+    ], seen);
+
+    assert.deepEqual(day1.map(a => a.place_name), ['해운대', '숙소 체크인']);
+    assert.deepEqual(day2.map(a => a.place_name), ['부산역으로 이동', '숙소 체크인']);
+  });
+
+  test('correctBeautyPlaces retypes beauty shops labelled as meals', () => {
+    const activities = [
+      { place_name: '센텀 네일샵', type: '식사', activity_description: '브런치 카페' },
+      { place_name: '마사지 골목 국밥', type: '식사', activity_description: '국밥 한 그릇' },
+      { place_name: '스파랜드', type: '휴식', activity_description: '찜질' }
+    ];
+    correctBeautyPlaces(activities);
+
+    assert.deepEqual(activities.map(a => a.type), ['관광', '관광', '휴식']);
+    assert.equal(activities[0].activity_description, '센텀 네일샵에서 휴식 및 뷰티 체험을 즐깁니다.');
+    assert.equal(activities[1].activity_description, '국밥 한 그릇');
+  });
+
+  test('validateTripWindow requires at least three hours on site', () => {
+    assert.ok(validateTripWindow({ startDate: '2025-05-01', endDate: '2025-05-01', arrivalTime: '10:00', departureTime: '12:59' }));
+    assert.equal(validateTripWindow({ startDate: '2025-05-01', endDate: '2025-05-01', arrivalTime: '10:00', departureTime: '13:00' }), null);
+  });
+
+  test('applyPreferences drops unsuitable, late and surplus activities and moves early ones to the wake time', () => {
+    const itinerary = {
+      itinerary: [{
+        day: 1,
+        date: '2025-05-01',
+        activities: [
+          { time: '07:00', place_name: '해운대 해수욕장', type: '관광' },
+          { time: '09:00', place_name: '동백섬', type: '관광' },
+          { time: '12:00', place_name: '해운대암소갈비집', type: '식사', types: ['restaurant'] },
+          { time: '14:00', place_name: '광안리', type: '관광' },
+          { time: '16:00', place_name: '센텀시티', type: '쇼핑' },
+          { time: '21:00', place_name: '야시장', type: '쇼핑' },
+          { time: '22:00', place_name: '호텔 체크인', type: '숙소' }
+        ]
+      }]
+    };
+
+    const filtered = applyPreferences(itinerary, { dietary: ['vegetarian'], pace: 'relaxed', wakeTime: '08:30', sleepTime: '20:30' });
+    const activities = itinerary.itinerary[0].activities;
+
+    assert.deepEqual(filtered.map(f => [f.place_name, f.reason]), [
+      ['해운대암소갈비집', 'dietary'], ['센텀시티', 'pace'], ['야시장', 'sleep']
+    ]);
+    assert.deepEqual(filtered[0], {
+      day: 1, date: '2025-05-01', place_name: '해운대암소갈비집', time: '12:00', reason: 'dietary', message: '채식 식단에 맞지 않는 식당입니다.'
+    });
+    assert.deepEqual(activities.map(a => [a.place_name, a.time]), [
+      ['해운대 해수욕장', '08:30'], ['동백섬', '09:00'], ['광안리', '14:00'], ['호텔 체크인', '22:00']
+    ]);
+    assert.equal(activities[0].original_time, '07:00');
+    assert.deepEqual(applyPreferences(itinerary, {}), []);
+  });
+
+  test('detectScheduleConflicts flags activities outside opening hours and clears stale flags', () => {
+    const lunchOnly = {
+      periods: [4, 5].map(day => ({ open: { day, hour: 11, minute: 0 }, close: { day, hour: 15, minute: 0 } })),
+      weekdayDescriptions: ['월요일: 휴무일', '화요일: 휴무일', '수요일: 휴무일', '목요일: 11:00~15:00', '금요일: 11:00~15:00', '토요일: 휴무일', '일요일: 휴무일']
+    };
+    const itinerary = {
+      itinerary: [{
+        day: 1,
+        date: '2025-05-01',
+        activities: [
+          { time: '12:00', place_name: '점심집', type: '식사', openingHours: lunchOnly, hours_conflict: { reason: 'closed' } },
+          { time: '14:45', place_name: '늦은 점심집', type: '식사', openingHours: lunchOnly },
+          { time: '18:00', place_name: '저녁집', type: '식사', openingHours: lunchOnly },
+          { time: '22:00', place_name: '호텔', type: '숙소', openingHours: lunchOnly },
+          { time: '23:00', place_name: '정보 없는 곳', type: '관광' },
+          { time: '23:30', place_name: '문 닫은 곳', type: '관광', businessStatus: 'CLOSED_PERMANENTLY' }
+        ]
+      }]
+    };
+
+    const conflicts = detectScheduleConflicts(itinerary);
+    const [lunch, late, dinner, hotel] = itinerary.itinerary[0].activities;
+
+    assert.deepEqual(conflicts.map(c => [c.place_name, c.reason]), [
+      ['늦은 점심집', 'closing_soon'], ['저녁집', 'closed'], ['문 닫은 곳', 'closed_permanently']
+    ]);
+    assert.deepEqual(conflicts[1], {
+      day: 1, date: '2025-05-01', index: 2, place_name: '저녁집', time: '18:00', reason: 'closed',
+      message: '2025-05-01 18:00에는 영업하지 않습니다. (영업시간: 목요일: 11:00~15:00)', hours: '목요일: 11:00~15:00'
+    });
+    assert.equal(late.hours_conflict.message, '15:00에 영업이 끝나 머물 시간이 부족합니다. (영업시간: 목요일: 11:00~15:00)');
+    assert.equal(dinner.hours_conflict.reason, 'closed');
+    assert.equal(lunch.hours_conflict, undefined);
+    assert.equal(hotel.hours_conflict, undefined);
+  });
+});
@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const { createFakeSupabase } = require('./fake_supabase');
+const { registerQuotaRpc } = require('./quota_rpc');
+const { registerPlaceMatchRpc } = require('./place_match_rpc');
+const { installHttpFixtures } = require('./http_fixtures');
+const { useTempImageStore } = require('./temp_image_store');
+
+// 통합 테스트 공통 준비: 환경변수 -> 가짜 Supabase -> 외부 API 녹화 응답 -> app.js 로드
+const JWT_SECRET = 'integration-test-secret';
+
+Object.assign(process.env, {
+  SUPABASE_JWT_SECRET: JWT_SECRET,
+  GEMINI_API_KEY: 'test-gemini-key',
+  GOOGLE_MAPS_API_KEY: 'test-google-key',
+  NAVER_CLIENT_ID: 'test-naver-id',
+  NAVER_CLIENT_SECRET: 'test-naver-secret',
+  AD_REWARD_SECRET: 'test-ad-secret',
+  LLM_PROVIDER: 'gemini',
+  ITINERARY_MAX_REPAIRS: '1'
+});
+delete process.env.WEATHER_API_KEY;
+useTempImageStore();
+
+// 앱 로그(한글/이모지)가 많으면 Node 20 테스트 러너가 자식 프로세스 출력을 잘못 읽는 경우가 있어 기본은 숨김
+// 디버깅할 때는 TEST_LOGS=1 npm test
+if (!process.env.TEST_LOGS) {
+  ['log', 'info', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+}
+
+const db = createFakeSupabase({
+  primaryKeys: { user_limits: 'user_id', places_cache: 'place_id', user_profiles: 'user_id', travel_preferences: 'user_id' }
+});
+registerQuotaRpc(db);
+registerPlaceMatchRpc(db);
+require('../../lib/supabase').setClients({ supabase: db, supabaseAdmin: db });
+
+const http = installHttpFixtures();
+const app = require('../../app');
+const { routeCache } = require('../../services/routing');
+const { rateCache } = require('../../services/currency');
+const { resetRateLimits } = require('../../middleware/rate_limit');
+
+const USERS = {
+  alice: { id: '11111111-1111-4111-8111-111111111111', email: 'alice@example.com', user_metadata: { nickname: '앨리스' } },
+  bob: { id: '22222222-2222-4222-8222-222222222222', email: 'bob@example.com', user_metadata: { nickname: '밥', avatar_url: 'https://img.example.com/bob.png' } },
+  admin: { id: '33333333-3333-4333-8333-333333333333', email: 'admin@example.com', user_metadata: {} }
+};
+
+function tokenFor(user) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, aud: 'authenticated', role: 'authenticated' },
+    JWT_SECRET,
+    { algorithm: 'HS256', expiresIn: '1h' }
+  );
+}
+
+// 매 테스트마다 DB/외부 API/경로·환율 캐시/요청 제한 상태 초기화 (관리자 계정은 항상 존재)
+function resetState(seed = {}) {
+  db.reset({
+    ...seed,
+    user_limits: [{ user_id: USERS.admin.id, tier: 'admin', usage_count: 0, ad_credits: 0 }, ...(seed.user_limits || [])]
+  });
+  Object.values(USERS).forEach(user => db.addUser(user));
+  http.reset();
+  routeCache.clear();
+  rateCache.clear();
+  resetRateLimits();
+}
+
+function startServer() {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      async function request(method, path, { user, body, headers = {} } = {}) {
+        const res = await fetch(`${baseUrl}${path}`, {
+          method,
+          redirect: 'manual',
+          headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(user ? { Authorization: `Bearer ${tokenFor(user)}` } : {}),
+            ...headers
+          },
+          body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await res.text();
+        let json = null;
+        try { json = JSON.parse(text); } catch (e) { /* SSE 또는 빈 응답 */ }
+        return { status: res.status, headers: res.headers, body: json, text };
+      }
+
+      resolve({
+        baseUrl,
+        request,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { app, db, http, USERS, tokenFor, resetState, startServer };
@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+
+// 테스트용 인메모리 Supabase 클라이언트
+// supabase-js 쿼리 빌더 중 이 저장소에서 사용하는 부분만 흉내냄
+// (from/select/insert/update/upsert/delete, 필터, order/limit, single/maybeSingle, rpc, auth.admin, storage)
+
+const NOT_FOUND = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function parseValue(raw) {
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  return raw;
+}
+
+function likeToRegExp(pattern, flags) {
+  const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+// jsonb @> 포함 관계 (배열은 순서 무관하게 각 요소가 포함되면 true)
+function jsonContains(actual, expected) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every(e => actual.some(a => jsonContains(a, e)));
+  }
+  if (expected !== null && typeof expected === 'object') {
+    return actual !== null && typeof actual === 'object' &&
+      Object.entries(expected).every(([key, value]) => jsonContains(actual[key], value));
+  }
+  return actual === expected;
+}
+
+function compare(op, actual, expected) {
+  switch (op) {
+    case 'eq': return actual == expected;
+    case 'neq': return actual != expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'like': return actual != null && likeToRegExp(expected).test(String(actual));
+    case 'ilike': return actual != null && likeToRegExp(expected, 'i').test(String(actual));
+    case 'is': return expected === null ? actual == null : actual === expected;
+    case 'in': return expected.some(v => v == actual);
+    case 'contains': return Array.isArray(actual) ? jsonContains(actual, [].concat(expected)) : jsonContains(actual, expected);
+    default: throw new Error(`FakeSupabase: unsupported operator ${op}`);
+  }
+}
+
+// 괄호 밖의 쉼표로만 나눔 ("a.eq.1,and(b.eq.2,c.eq.3)" -> ["a.eq.1", "and(b.eq.2,c.eq.3)"])
+function splitTopLevel(expression) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of expression) {
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+// "a.eq.1,b.ilike.%x%,and(c.lt.2,d.gte.5)" 형태의 or() 필터 -> 행 검사 함수 목록 (하나라도 맞으면 통과)
+function parseOrFilter(expression) {
+  return splitTopLevel(expression).map(part => {
+    const group = part.match(/^(and|or)\((.*)\)$/);
+    if (group) {
+      const conditions = parseOrFilter(group[2]);
+      return group[1] === 'and' ? row => conditions.every(c => c(row)) : row => conditions.some(c => c(row));
+    }
+    const [column, op, ...rest] = part.split('.');
+    const value = parseValue(rest.join('.'));
+    return row => compare(op, row[column], value);
+  });
+}
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.orExpressions = [];
+    this.limitCount = null;
+    this.rangeFrom = null;
+    this.columns = '*';
+    this.countMode = null;
+    this.returning = false;
+    this.singleMode = null;
+    this.payload = null;
+    this.options = {};
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = options.count || null;
+      if (options.head) this.head = true;
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) { this.action = 'insert'; this.payload = [].concat(rows); return this; }
+  upsert(rows, options = {}) { this.action = 'upsert'; this.payload = [].concat(rows); this.options = options; return this; }
+  update(values) { this.action = 'update'; this.payload = values; return this; }
+  delete() { this.action = 'delete'; return this; }
+
+  filter(column, op, value) { this.filters.push(row => compare(op, row[column], value)); return this; }
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  like(column, value) { return this.filter(column, 'like', value); }
+  ilike(column, value) { return this.filter(column, 'ilike', value); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  contains(column, values) { return this.filter(column, 'contains', values); }
+
+  not(column, op, value) {
+    this.filters.push(row => !compare(op, row[column], parseValue(String(value))));
+    return this;
+  }
+
+  or(expression) {
+    this.orExpressions.push(expression);
+    const clauses = parseOrFilter(expression);
+    this.filters.push(row => clauses.some(c => c(row)));
+    return this;
+  }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = false } = {}) { this.orders.push({ column, ascending, nullsFirst }); return this; }
+  limit(count) { this.limitCount = count; return this; }
+  range(from, to) { this.rangeFrom = from; this.limitCount = to - from + 1; return this; }
+  single() { this.singleMode = 'single'; return this; }
+  maybeSingle() { this.singleMode = 'maybe'; return this; }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  project(row) {
+    if (this.columns === '*' || !this.columns) return clone(row);
+    const out = {};
+    this.columns.split(',').map(c => c.trim()).filter(Boolean).forEach(c => { out[c] = clone(row[c]); });
+    return out;
+  }
+
+  matching() {
+    return this.db.table(this.table).filter(row => this.filters.every(f => f(row)));
+  }
+
+  execute() {
+    const injected = this.db.takeFailure(this.table, this.action);
+    if (injected) return { data: null, error: injected, count: null, status: 500 };
+
+    let rows;
+    let error = null;
+
+    switch (this.action) {
+      case 'select':
+        rows = this.matching();
+        break;
+      case 'insert': {
+        rows = [];
+        for (const input of this.payload) {
+          const row = this.db.withDefaults(this.table, input);
+          const pk = this.db.primaryKey(this.table);
+          if (this.db.table(this.table).some(r => r[pk] === row[pk])) {
+            error = { code: '23505', message: `duplicate key value violates unique constraint on ${this.table}.${pk}` };
+            break;
+          }
+          this.db.table(this.table).push(row);
+          rows.push(row);
+        }
+        break;
+      }
+      case 'upsert': {
+        const keys = (this.options.onConflict || this.db.primaryKey(this.table)).split(',').map(k => k.trim());
+        rows = this.payload.map(input => {
+          const existing = this.db.table(this.table).find(r => keys.every(k => r[k] === input[k]));
+          if (existing) {
+            Object.assign(existing, clone(input));
+            return existing;
+          }
+          const row = this.db.withDefaults(this.table, input);
+          this.db.table(this.table).push(row);
+          return row;
+        });
+        break;
+      }
+      case 'update':
+        rows = this.matching();
+        rows.forEach(row => Object.assign(row, clone(this.payload)));
+        break;
+      case 'delete': {
+        rows = this.matching();
+        const removed = new Set(rows);
+        this.db.tables[this.table] = this.db.table(this.table).filter(row => !removed.has(row));
+        break;
+      }
+      default:
+        throw new Error(`FakeSupabase: unsupported action ${this.action}`);
+    }
+
+    if (error) return { data: null, error, count: null, status: 409 };
+
+    if (this.action === 'select') {
+      for (const { column, ascending, nullsFirst } of [...this.orders].reverse()) {
+        rows = [...rows].sort((a, b) => {
+          if (a[column] === b[column] || (a[column] == null && b[column] == null)) return 0;
+          if (a[column] == null) return nullsFirst ? -1 : 1;
+          if (b[column] == null) return nullsFirst ? 1 : -1;
+          return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+        });
+      }
+    }
+    const count = rows.length;
+    if (this.rangeFrom !== null) rows = rows.slice(this.rangeFrom);
+    if (this.limitCount !== null) rows = rows.slice(0, this.limitCount);
+
+    const returnsRows = this.action === 'select' || this.returning;
+    let data = returnsRows ? rows.map(row => this.project(row)) : null;
+
+    if (this.singleMode) {
+      if (data.length > 1 || (data.length === 0 && this.singleMode === 'single')) {
+        return { data: null, error: NOT_FOUND, count: null, status: 406 };
+      }
+      data = data[0] || null;
+    }
+
+    return { data: this.head ? null : data, error: null, count: this.countMode ? count : null, status: 200 };
+  }
+}
+
+function createFakeSupabase({ primaryKeys = {} } = {}) {
+  const db = {
+    tables: {},
+    users: new Map(),
+    objects: new Map(), // Storage: `${bucket}/${path}` -> { bytes, contentType }
+    rpcHandlers: {},
+    failures: [],
+
+    table(name) {
+      if (!this.tables[name]) this.tables[name] = [];
+      return this.tables[name];
+    },
+
+    primaryKey(name) {
+      return primaryKeys[name] || 'id';
+    },
+
+    withDefaults(name, input) {
+      const row = clone(input);
+      const pk = this.primaryKey(name);
+      if (pk === 'id' && row.id === undefined) row.id = crypto.randomUUID();
+      if (row.created_at === undefined) row.created_at = new Date().toISOString();
+      return row;
+    },
+
+    // 테스트 데이터 초기화
+    reset(seed = {}) {
+      this.tables = {};
+      this.users = new Map();
+      this.objects = new Map();
+      this.failures = [];
+      Object.entries(seed).forEach(([name, rows]) => {
+        this.tables[name] = rows.map(row => this.withDefaults(name, row));
+      });
+    },
+
+    addUser(user) {
+      this.users.set(user.id, clone(user));
+    },
+
+    // 다음 한 번의 쿼리를 실패시킴 (에러 처리 경로 테스트용)
+    // error가 함수면 실패하는 시점에 호출 (다른 요청이 먼저 저장한 상황 등을 흉내)
+    failNext(tableName, action, error = { message: 'injected failure' }) {
+      this.failures.push({ table: tableName, action, error });
+    },
+
+    takeFailure(tableName, action) {
+      const index = this.failures.findIndex(f => f.table === tableName && (!f.action || f.action === action));
+      if (index === -1) return null;
+      const { error } = this.failures.splice(index, 1)[0];
+      return typeof error === 'function' ? error() : error;
+    },
+
+    from(name) {
+      return new QueryBuilder(this, name);
+    },
+
+    async rpc(name, params = {}) {
+      const handler = this.rpcHandlers[name];
+      if (!handler) return { data: null, error: { message: `function ${name} does not exist` } };
+      try {
+        return { data: clone(await handler(params, this)), error: null };
+      } catch (err) {
+        return { data: null, error: { message: err.message } };
+      }
+    },
+
+    auth: {
+      getUser: async () => ({ data: { user: null }, error: { message: 'FakeSupabase: use SUPABASE_JWT_SECRET in tests' } }),
+      admin: {
+        getUserById: async (id) => {
+          const user = db.users.get(id);
+          return user
+            ? { data: { user: clone(user) }, error: null }
+            : { data: { user: null }, error: { message: 'User not found' } };
+        },
+        deleteUser: async (id) => {
+          if (!db.users.has(id)) return { data: null, error: { message: 'User not found' } };
+          db.users.delete(id);
+          return { data: {}, error: null };
+        }
+      }
+    },
+
+    storage: {
+      from(bucket) {
+        return {
+          upload: async (objectPath, bytes, { contentType, upsert = false } = {}) => {
+            const key = `${bucket}/${objectPath}`;
+            if (db.objects.has(key) && !upsert) return { data: null, error: { message: 'The resource already exists' } };
+            db.objects.set(key, { bytes: Buffer.from(bytes), contentType });
+            return { data: { path: objectPath }, error: null };
+          },
+          list: async (dir = '', { search = '' } = {}) => {
+            const prefix = `${bucket}/${dir ? `${dir}/` : ''}`;
+            const names = [...db.objects.keys()]
+              .filter(key => key.startsWith(prefix) && !key.slice(prefix.length).includes('/'))
+              .map(key => key.slice(prefix.length))
+              .filter(name => name.includes(search));
+            return { data: names.map(name => ({ name })), error: null };
+          },
+          getPublicUrl: (objectPath) => ({
+            data: { publicUrl: `https://fake.supabase.co/storage/v1/object/public/${bucket}/${objectPath}` }
+          })
+        };
+      }
+    }
+  };
+
+  return db;
+}
+
+module.exports = { createFakeSupabase };
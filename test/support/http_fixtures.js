@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// 외부 API 호출을 녹화된 응답(test/fixtures/*.json)으로 대체
+// - axios 요청: Google Places / Place Details / Directions / Distance Matrix / Photo Media, Naver 이미지 검색, Open-Meteo, 환율(open.er-api)
+//   + 네이버 호스팅 이미지(pstatic.net) 다운로드는 test/fixtures/place_photo.jpg (400x300)
+// - fetch 요청: Gemini (@google/generative-ai SDK는 global fetch 사용)
+// 등록되지 않은 요청은 실패시켜 테스트가 실제 네트워크에 나가지 않도록 함
+
+const fixture = name => require(`../fixtures/${name}.json`);
+const PLACE_PHOTO = fs.readFileSync(path.join(__dirname, '../fixtures/place_photo.jpg'));
+
+function httpError(config, status, data) {
+  const response = { status, statusText: String(status), data, headers: {}, config };
+  return new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+}
+
+function parseBody(config) {
+  if (!config.data) return {};
+  return typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+}
+
+function defaultRoutes() {
+  const placesSearch = fixture('google_places_search_text');
+  const placeDetails = fixture('google_place_details');
+  const naverImages = fixture('naver_image_search');
+  const geocoding = fixture('open_meteo_geocoding');
+
+  return [
+    {
+      method: 'post',
+      match: url => url.startsWith('https://places.googleapis.com/v1/places:searchText'),
+      reply: config => placesSearch[parseBody(config).textQuery] || {}
+    },
+    {
+      method: 'post',
+      match: url => url.startsWith('https://places.googleapis.com/v1/places:autocomplete'),
+      reply: () => fixture('google_places_autocomplete')
+    },
+    {
+      // 사진 바이트 대신 참조·크기를 담은 짧은 텍스트 (응답 내용으로 어떤 요청이었는지 확인 가능)
+      method: 'get',
+      match: url => /^https:\/\/places\.googleapis\.com\/v1\/places\/.+\/media$/.test(url),
+      headers: { 'content-type': 'image/jpeg' },
+      reply: config => Buffer.from(`jpeg:${config.url.split('/v1/')[1]}:${config.params?.maxWidthPx || ''}x${config.params?.maxHeightPx || ''}`)
+    },
+    {
+      // Place Details - 녹화되지 않은 장소는 Google처럼 404
+      method: 'get',
+      match: url => /^https:\/\/places\.googleapis\.com\/v1\/places\/[^/:]+$/.test(url),
+      reply: config => {
+        const details = placeDetails[decodeURIComponent(config.url.split('/places/')[1])];
+        if (!details) throw httpError(config, 404, { error: { code: 404, status: 'NOT_FOUND' } });
+        return details;
+      }
+    },
+    {
+      method: 'get',
+      match: url => url.startsWith('https://maps.googleapis.com/maps/api/directions/json'),
+      reply: () => fixture('google_directions')
+    },
+    {
+      // 녹화된 2x2 응답의 원소를 요청한 장소 수(N x N)만큼 반복 - 대각선(같은 장소)은 0
+      method: 'get',
+      match: url => url.startsWith('https://maps.googleapis.com/maps/api/distancematrix/json'),
+      reply: config => {
+        const recorded = fixture('google_distance_matrix');
+        const origins = config.params.origins.split('|');
+        const destinations = config.params.destinations.split('|');
+        const rows = origins.map(origin => ({
+          elements: destinations.map(destination => recorded.rows[origin === destination ? 0 : 1].elements[0])
+        }));
+        return { ...recorded, rows };
+      }
+    },
+    {
+      method: 'get',
+      match: url => url.startsWith('https://openapi.naver.com/v1/search/image'),
+      reply: config => naverImages[config.params?.query] || naverImages._default
+    },
+    {
+      method: 'get',
+      match: url => /^https:\/\/[a-z]+\.pstatic\.net\//.test(url),
+      headers: { 'content-type': 'image/jpeg' },
+      reply: () => PLACE_PHOTO
+    },
+    {
+      method: 'get',
+      match: url => url.startsWith('https://geocoding-api.open-meteo.com/v1/search'),
+      reply: config => {
+        const name = new URL(config.url).searchParams.get('name');
+        return geocoding[name] || { generationtime_ms: 0.1 };
+      }
+    },
+    {
+      method: 'get',
+      match: url => url.startsWith('https://api.open-meteo.com/v1/forecast'),
+      reply: () => fixture('open_meteo_forecast')
+    },
+    {
+      method: 'get',
+      match: url => url === 'https://open.er-api.com/v6/latest/KRW',
+      reply: () => fixture('open_er_api_latest_krw')
+    }
+  ];
+}
+
+function installHttpFixtures() {
+  const state = {
+    routes: defaultRoutes(),
+    overrides: [],
+    calls: [],
+    geminiQueue: [],
+    geminiCalls: [],
+    geminiGate: null
+  };
+
+  axios.defaults.adapter = async (config) => {
+    const method = (config.method || 'get').toLowerCase();
+    const url = config.url;
+    state.calls.push({ method, url, params: config.params, body: config.data ? parseBody(config) : undefined });
+
+    const route = [...state.overrides, ...state.routes].find(r => r.method === method && r.match(url, config));
+    if (!route) {
+      throw new axios.AxiosError(`Unexpected HTTP request in test: ${method.toUpperCase()} ${url}`, 'ERR_NETWORK', config);
+    }
+
+    const result = await route.reply(config);
+    const status = route.status || 200;
+    if (status >= 400) throw httpError(config, status, result);
+    return { data: result, status, statusText: 'OK', headers: route.headers || {}, config, request: {} };
+  };
+
+  const originalFetch = global.fetch;
+  global.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith('https://generativelanguage.googleapis.com/')) {
+      return originalFetch(input, init);
+    }
+
+    state.geminiCalls.push({ url, body: JSON.parse(init.body) });
+    if (state.geminiGate) await state.geminiGate;
+    const name = state.geminiQueue.shift() || 'gemini_generate_trip';
+    return new Response(JSON.stringify(fixture(name)), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+
+  return {
+    calls: state.calls,
+    geminiCalls: state.geminiCalls,
+
+    // 다음 Gemini 호출들이 돌려줄 녹화 응답 이름 (기본: gemini_generate_trip)
+    queueGemini(...names) {
+      state.geminiQueue.push(...names);
+    },
+
+    // 반환된 함수를 호출할 때까지 Gemini 응답을 보류 (생성 도중 취소 테스트용)
+    holdGemini() {
+      let release;
+      state.geminiGate = new Promise(resolve => { release = resolve; });
+      return () => {
+        state.geminiGate = null;
+        release();
+      };
+    },
+
+    // 특정 요청의 응답을 테스트 안에서 덮어씀 (status >= 400이면 에러 응답)
+    override(method, match, reply, status = 200, headers = {}) {
+      state.overrides.unshift({ method, match, reply, status, headers });
+    },
+
+    // 이미지 다운로드 응답 (기본: place_photo.jpg)
+    overrideImage(match, { bytes = PLACE_PHOTO, contentType = 'image/jpeg', status = 200 } = {}) {
+      this.override('get', match, () => bytes, status, { 'content-type': contentType });
+    },
+
+    reset() {
+      state.overrides = [];
+      state.geminiGate = null;
+      state.calls.length = 0;
+      state.geminiQueue.length = 0;
+      state.geminiCalls.length = 0;
+    }
+  };
+}
+
+module.exports = { installHttpFixtures };
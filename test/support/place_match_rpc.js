@@ -0,0 +1,56 @@
+// migrations/create_place_match_function.sql 의 match_cached_place 함수를 인메모리로 재현
+// (pg_trgm similarity: 단어별로 앞 공백 2개/뒤 공백 1개를 붙인 3글자 조각의 자카드 유사도)
+
+function trigrams(text) {
+  const grams = new Set();
+  for (const word of String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)) {
+    const chars = [' ', ' ', ...word, ' '];
+    for (let i = 0; i + 3 <= chars.length; i++) grams.add(chars.slice(i, i + 3).join(''));
+  }
+  return grams;
+}
+
+function similarity(a, b) {
+  const ga = trigrams(a);
+  const gb = trigrams(b);
+  if (ga.size === 0 || gb.size === 0) return 0;
+  let common = 0;
+  ga.forEach(g => { if (gb.has(g)) common++; });
+  return common / (ga.size + gb.size - common);
+}
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const rad = deg => deg * Math.PI / 180;
+  const h = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function registerPlaceMatchRpc(db) {
+  db.rpcHandlers.match_cached_place = ({
+    p_query, p_city = null, p_lat = null, p_lng = null, p_radius_km = 50, p_min_similarity = 0.45, p_limit = 3
+  }) => {
+    const query = String(p_query).trim().toLowerCase();
+    const city = String(p_city || '').trim().toLowerCase();
+
+    return db.table('places_cache')
+      .map(place => {
+        const keywords = String(place.search_keywords || '').split('|').map(k => k.trim());
+        const confidence = place.place_name.toLowerCase() === query
+          ? 1
+          : Math.max(similarity(place.place_name, query), ...keywords.map(k => similarity(k, query)));
+        const hasLocation = p_lat !== null && p_lng !== null && place.location?.latitude !== undefined;
+        const distance = hasLocation ? distanceKm(p_lat, p_lng, place.location.latitude, place.location.longitude) : null;
+        return { place, confidence, distance_km: distance };
+      })
+      .filter(({ place, confidence, distance_km }) =>
+        confidence >= p_min_similarity &&
+        ([...query].length >= 3 || confidence === 1) &&
+        (distance_km === null || distance_km <= p_radius_km) &&
+        (!city || place.search_keywords == null || `${place.search_keywords}|${place.place_name}`.toLowerCase().includes(city) || distance_km !== null))
+      .sort((a, b) => b.confidence - a.confidence || (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity))
+      .slice(0, Math.max(p_limit, 1));
+  };
+}
+
+module.exports = { registerPlaceMatchRpc, similarity };
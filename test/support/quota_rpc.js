@@ -0,0 +1,76 @@
+// migrations/create_quota_functions.sql 의 DB 함수를 인메모리로 재현
+
+function ensureRow(db, userId) {
+  const table = db.table('user_limits');
+  let row = table.find(r => r.user_id === userId);
+  if (!row) {
+    row = db.withDefaults('user_limits', {
+      user_id: userId, tier: 'free', usage_count: 0, ad_credits: 0, daily_ad_count: 0,
+      last_reset_date: new Date().toISOString(), last_ad_watch_date: null
+    });
+    table.push(row);
+  }
+  return row;
+}
+
+function sameMonth(a, b) {
+  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth();
+}
+
+function registerQuotaRpc(db) {
+  db.rpcHandlers.reserve_trip_quota = ({ p_user_id, p_tier_limits }) => {
+    const row = ensureRow(db, p_user_id);
+    const now = new Date();
+    if (!row.last_reset_date || !sameMonth(new Date(row.last_reset_date), now)) {
+      row.usage_count = 0;
+      row.last_reset_date = now.toISOString();
+    }
+
+    const limit = Object.prototype.hasOwnProperty.call(p_tier_limits, row.tier) ? p_tier_limits[row.tier] : 3;
+    const summary = source => ({
+      reserved: Boolean(source), source, tier: row.tier, limit,
+      usage_count: row.usage_count, ad_credits: row.ad_credits || 0
+    });
+
+    if (limit === null || (row.usage_count || 0) < limit) {
+      row.usage_count = (row.usage_count || 0) + 1;
+      return summary('monthly');
+    }
+    if ((row.ad_credits || 0) > 0) {
+      row.ad_credits -= 1;
+      return summary('ad_credit');
+    }
+    return summary(null);
+  };
+
+  db.rpcHandlers.refund_trip_quota = ({ p_user_id, p_source }) => {
+    const row = ensureRow(db, p_user_id);
+    if (p_source === 'monthly') row.usage_count = Math.max((row.usage_count || 0) - 1, 0);
+    if (p_source === 'ad_credit') row.ad_credits = (row.ad_credits || 0) + 1;
+    return null;
+  };
+
+  db.rpcHandlers.grant_ad_credit = ({ p_user_id, p_transaction_id, p_daily_cap }) => {
+    const row = ensureRow(db, p_user_id);
+    const today = new Date().toDateString();
+    if (!row.last_ad_watch_date || new Date(row.last_ad_watch_date).toDateString() !== today) {
+      row.daily_ad_count = 0;
+    }
+    if ((row.daily_ad_count || 0) >= p_daily_cap) {
+      return { granted: false, reason: 'daily_cap', ad_credits: row.ad_credits, daily_ad_count: row.daily_ad_count };
+    }
+
+    const transactions = db.table('ad_reward_transactions');
+    if (transactions.some(t => t.transaction_id === p_transaction_id)) {
+      return { granted: false, reason: 'duplicate', ad_credits: row.ad_credits, daily_ad_count: row.daily_ad_count };
+    }
+    transactions.push({ transaction_id: p_transaction_id, user_id: p_user_id, created_at: new Date().toISOString() });
+
+    row.ad_credits = (row.ad_credits || 0) + 1;
+    row.daily_ad_count = (row.daily_ad_count || 0) + 1;
+    row.last_ad_watch_date = new Date().toISOString();
+    return { granted: true, reason: null, ad_credits: row.ad_credits, daily_ad_count: row.daily_ad_count };
+  };
+}
+
+module.exports = { registerQuotaRpc };
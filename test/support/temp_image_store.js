@@ -0,0 +1,13 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 테스트용 로컬 이미지 저장소 (IMAGE_STORE=local, 임시 폴더 - 프로세스 종료 시 삭제)
+function useTempImageStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-store-'));
+  Object.assign(process.env, { IMAGE_STORE: 'local', IMAGE_STORE_DIR: dir });
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = { useTempImageStore };
@@ -0,0 +1,91 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateTravelMinutes, travelBetween, planDayTravel, applyTravelTimes } = require('../services/travel_time');
+
+['log', 'info', 'warn', 'error'].forEach(level => { console[level] = () => {}; });
+
+const HAEUNDAE = { latitude: 35.1587, longitude: 129.1604 };
+const HAEUNDAE_NEARBY = { latitude: 35.1631, longitude: 129.1636 };
+const GAMCHEON = { latitude: 35.0975, longitude: 129.0106 };
+
+const activity = (time, place_name, type, location) => ({ time, place_name, type, location });
+
+describe('travel time check', () => {
+  test('estimates walking for short hops and transit with overhead for longer ones', () => {
+    assert.equal(estimateTravelMinutes(0.3), 10);
+    assert.equal(estimateTravelMinutes(10), 50);
+    assert.deepEqual(travelBetween({ location: HAEUNDAE }, { location: GAMCHEON }), { minutes: 70, source: 'estimate', distance_km: 19.8 });
+    assert.equal(travelBetween({ place_name: '좌표 없음' }, { location: GAMCHEON }), null);
+  });
+
+  test('shifts activities that cannot be reached in time and summarises travel', () => {
+    const day = { activities: [
+      activity('10:00', '해운대', '관광', HAEUNDAE),
+      activity('10:30', '감천문화마을', '관광', GAMCHEON),
+      activity('12:00', '감천 식당', '식사', GAMCHEON)
+    ] };
+
+    const summary = planDayTravel(day);
+
+    assert.deepEqual(day.activities.map(a => [a.time, a.original_time]), [['10:00', undefined], ['11:55', '10:30'], ['12:45', '12:00']]);
+    assert.deepEqual(day.activities[1].travel_estimate, { minutes: 70, source: 'estimate', distance_km: 19.8 });
+    assert.deepEqual(summary, {
+      total_travel_minutes: 75, legs: 2, estimated_legs: 2, unknown_legs: 0, shifted: 2, reordered: false, infeasible: 0
+    });
+  });
+
+  test('reorders sightseeing by proximity when shifting alone runs past the end of the day', () => {
+    const day = { activities: [
+      activity('10:00', '해운대', '관광', HAEUNDAE),
+      activity('11:00', '감천문화마을', '관광', GAMCHEON),
+      activity('12:00', '해운대 시장', '관광', HAEUNDAE_NEARBY),
+      activity('13:30', '부산역으로 이동', '이동')
+    ] };
+
+    const summary = planDayTravel(day, { endTime: '14:00' });
+
+    assert.deepEqual(day.activities.map(a => [a.place_name, a.time]), [
+      ['해운대', '10:00'], ['해운대 시장', '11:00'], ['감천문화마을', '13:00'], ['부산역으로 이동', '13:45']
+    ]);
+    assert.equal(summary.reordered, true);
+    assert.equal(summary.infeasible, 0);
+    assert.equal(summary.unknown_legs, 1);
+  });
+
+  test('flags transitions that stay impossible and keeps their planned time', () => {
+    const day = { activities: [
+      activity('10:00', '해운대', '관광', HAEUNDAE),
+      activity('10:30', '감천문화마을', '관광', GAMCHEON)
+    ] };
+
+    const [summary] = applyTravelTimes({ itinerary: [{ day: 1, date: '2025-05-02', ...day }] }, { departureTime: '11:00' });
+
+    assert.equal(summary.infeasible, 1);
+    assert.equal(summary.day, 1);
+    assert.equal(summary.date, '2025-05-02');
+    assert.equal(day.activities[1].time, '10:30');
+  });
+
+  test('only applies the departure time to the last day and clears stale flags', () => {
+    const itinerary = { itinerary: [
+      { day: 1, date: '2025-05-01', activities: [activity('10:00', '해운대', '관광', HAEUNDAE), activity('10:30', '감천문화마을', '관광', GAMCHEON)] },
+      { day: 2, date: '2025-05-02', activities: [
+        activity('10:00', '해운대', '관광', HAEUNDAE),
+        { ...activity('10:30', '감천문화마을', '관광', GAMCHEON), travel_conflict: { needed_minutes: 1 } }
+      ] }
+    ] };
+
+    const summaries = applyTravelTimes(itinerary, { departureTime: '11:00' });
+    const [day1, day2] = itinerary.itinerary;
+
+    assert.deepEqual(summaries.map(s => s.infeasible), [0, 1]);
+    assert.equal(day1.activities[1].time, '11:55');
+    assert.equal(day1.activities[1].travel_conflict, undefined);
+    assert.deepEqual(day2.activities[1].travel_conflict, {
+      needed_minutes: 115,
+      available_minutes: 30,
+      message: '이전 장소에서 이동/체류에 115분이 필요하지만 30분밖에 없습니다.'
+    });
+  });
+});
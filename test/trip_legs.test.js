@@ -0,0 +1,60 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateTripLegs, resolveTripRequest, planTripDays, activityCity } = require('../lib/trip_legs');
+
+const OSAKA_KYOTO_TOKYO = [
+  { city: '오사카', startDate: '2025-05-01', endDate: '2025-05-02' },
+  { city: '교토', startDate: '2025-05-02', endDate: '2025-05-03' },
+  { city: '도쿄', startDate: '2025-05-04', endDate: '2025-05-05' }
+];
+
+describe('trip legs', () => {
+  test('accepts legs that share a transfer day or start the next day', () => {
+    assert.equal(validateTripLegs(OSAKA_KYOTO_TOKYO), null);
+  });
+
+  test('rejects empty legs, bad dates and gaps between cities', () => {
+    assert.match(validateTripLegs([]), /비어 있습니다/);
+    assert.match(validateTripLegs([{ city: ' ', startDate: '2025-05-01', endDate: '2025-05-01' }]), /도시 이름/);
+    assert.match(validateTripLegs([{ city: '오사카', startDate: '2025-05-03', endDate: '2025-05-01' }]), /날짜/);
+    assert.equal(validateTripLegs([
+      { city: '오사카', startDate: '2025-05-01', endDate: '2025-05-02' },
+      { city: '도쿄', startDate: '2025-05-05', endDate: '2025-05-06' }
+    ]), '오사카 다음 도쿄 일정은 2025-05-02 또는 2025-05-03에 시작해야 합니다.');
+  });
+
+  test('derives the destination and date range from the legs', () => {
+    const { params } = resolveTripRequest({ legs: OSAKA_KYOTO_TOKYO, arrivalTime: '10:00', destination: '무시됨' });
+
+    assert.equal(params.destination, '오사카 → 교토 → 도쿄');
+    assert.equal(params.startDate, '2025-05-01');
+    assert.equal(params.endDate, '2025-05-05');
+    assert.equal(params.arrivalTime, '10:00');
+
+    const single = { destination: '부산', startDate: '2025-05-01', endDate: '2025-05-02' };
+    assert.equal(resolveTripRequest(single).params, single);
+    assert.ok(resolveTripRequest({ legs: 'osaka' }).error);
+  });
+
+  test('plans one city per day and marks transfer days', () => {
+    assert.deepEqual(planTripDays(OSAKA_KYOTO_TOKYO), [
+      { day: 1, date: '2025-05-01', city: '오사카', transfer: null },
+      { day: 2, date: '2025-05-02', city: '교토', transfer: { from: '오사카', to: '교토' } },
+      { day: 3, date: '2025-05-03', city: '교토', transfer: null },
+      { day: 4, date: '2025-05-04', city: '도쿄', transfer: { from: '교토', to: '도쿄' } },
+      { day: 5, date: '2025-05-05', city: '도쿄', transfer: null }
+    ]);
+  });
+
+  test('places activities before the transfer in the departure city', () => {
+    const transferDay = {
+      city: '교토',
+      transfer: { from: '오사카', to: '교토' },
+      activities: [{ type: '관광' }, { type: '이동' }, { type: '관광' }]
+    };
+
+    assert.deepEqual([0, 1, 2].map(i => activityCity(transferDay, i, '오사카 → 교토')), ['오사카', '교토', '교토']);
+    assert.equal(activityCity({ activities: [] }, 0, '부산'), '부산');
+  });
+});